@@ -0,0 +1,50 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Lit un nombre positif ou nul depuis une variable d'environnement.
+ * @param {string} name - Le nom de la variable d'environnement.
+ * @param {number} defaultValue - La valeur par défaut si la variable est absente ou invalide.
+ * @returns {number}
+ */
+const readWeight = (name, defaultValue) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) || value < 0 ? defaultValue : value;
+};
+
+class GradingConfig {
+  /**
+   * Retourne le barème (note maximale) utilisé lorsqu'aucun barème d'école n'est disponible.
+   * Configurable via BAREME_DEFAUT.
+   * @returns {number}
+   */
+  static getDefaultBareme() {
+    return parseInt(process.env.BAREME_DEFAUT, 10) || 10;
+  }
+
+  /**
+   * Retourne la politique appliquée aux absences non excusées lorsqu'aucune école n'est disponible :
+   * 'Zéro' (l'absence compte pour 0) ou 'Exclue' (l'évaluation est exclue de la moyenne).
+   * Configurable via POLITIQUE_ABSENCE_DEFAUT.
+   * @returns {'Zéro'|'Exclue'}
+   */
+  static getDefaultPolitiqueAbsence() {
+    return process.env.POLITIQUE_ABSENCE_DEFAUT === 'Exclue' ? 'Exclue' : 'Zéro';
+  }
+
+  /**
+   * Retourne les poids de chaque type de composition utilisés pour le calcul de la Moyenne Générale Annuelle (MGA).
+   * Configurables via MGA_POIDS_MENSUELLE, MGA_POIDS_PROGRAMME et MGA_POIDS_PASSAGE.
+   * @returns {{Mensuelle: number, Programme: number, Passage: number}}
+   */
+  static getCompositionWeights() {
+    return {
+      Mensuelle: readWeight('MGA_POIDS_MENSUELLE', 1),
+      Programme: readWeight('MGA_POIDS_PROGRAMME', 2),
+      Passage: readWeight('MGA_POIDS_PASSAGE', 3),
+    };
+  }
+}
+
+export default GradingConfig;
@@ -1,79 +1,126 @@
-import { Model, DataTypes } from "sequelize"; // Ajout de DataTypes pour les JSDoc
-import ErrorResponse from "../Utils/errorResponse.js";
-import logger from '../Utils/Logger.js';
-
-class Schema extends Model {
-  /**
-   * Initialise un modèle avec des options enrichies.
-   * @param {Object} attributes - Les colonnes du modèle, avec leurs types et contraintes (ex. { name: { type: DataTypes.STRING, allowNull: false } }).
-   * @param {Object} options - Les options de configuration.
-   * @param {Sequelize} options.sequelize - L'instance Sequelize requise.
-   * @param {string} [options.modelName] - Le nom du modèle, déduit de la classe si non fourni.
-   * @param {boolean} [options.timestamps=true] - Active ou désactive les champs createdAt/updatedAt.
-   * @param {boolean} [options.paranoid=true] - Active ou désactive le soft delete avec deletedAt.
-   * @param {boolean} [options.underscored=true] - Utilise snake_case pour les noms de colonnes.
-   * @param {boolean} [options.normalizeStrings=true] - Normalise les champs de type string (trim).
-   * @throws {ErrorResponse} Si la configuration est invalide.
-   */
-  static init(attributes, options) {
-    if (!options || !options.sequelize) {
-      throw new ErrorResponse("L'instance Sequelize est requise dans les options", 500, {
-        code: "MODEL_CONFIG_ERROR",
-        details: "Missing sequelize instance in model options",
-      });
-    }
-    if (!attributes || Object.keys(attributes).length === 0) {
-      throw new ErrorResponse("Les attributs du modèle sont requis", 500, {
-        code: "MODEL_CONFIG_ERROR",
-        details: "Model attributes cannot be empty",
-      });
-    }
-
-    super.init(attributes, {
-      ...options,
-      sequelize: options.sequelize,
-      timestamps: options.timestamps !== undefined ? options.timestamps : true,
-      paranoid: options.paranoid !== undefined ? options.paranoid : true,
-      underscored: options.underscored !== undefined ? options.underscored : true,
-      modelName: options.modelName || this.name,
-    });
-
-    // Hook global optionnel pour normaliser les champs de type string
-    // Appliqué sur la création et la mise à jour pour une meilleure cohérence
-    if (options.normalizeStrings !== false) {
-      this.addHook('beforeValidate', (instance) => { // Utilisez beforeValidate pour s'assurer que le trim est fait avant la validation
-        for (const attributeName in this.rawAttributes) {
-          const attribute = this.rawAttributes[attributeName];
-          if (attribute.type instanceof DataTypes.STRING && instance.dataValues[attributeName] !== undefined) {
-            if (typeof instance.dataValues[attributeName] === 'string') {
-              instance.dataValues[attributeName] = instance.dataValues[attributeName].trim();
-            }
-          }
-        }
-      });
-    }
-  }
-
-  /**
-   * Point d’entrée pour déclarer les associations entre modèles.
-   * @param {Object} models - Un objet contenant tous les modèles (ex. { User, Post }).
-   * @throws {ErrorResponse} Si les associations ne sont pas définies ou si models est invalide.
-   */
-  static associate(models) {
-    if (!models || Object.keys(models).length === 0) {
-      throw new ErrorResponse("Les modèles pour les associations sont requis", 500, {
-        code: "MODEL_ASSOC_ERROR",
-        details: "Invalid or empty models object for associations",
-      });
-    }
-    // À surcharger dans les sous-classes pour définir les associations
-    // Exemple : this.hasMany(models.Post, { foreignKey: 'schemaId' });
-
-    // Ajout d'un log si la méthode associate n'est pas surchargée et appelée
-    if (this.prototype.associate === Schema.prototype.associate && process.env.NODE_ENV !== 'production') {
-      logger.warn(`⚠️ La méthode 'associate' n'a pas été surchargée pour le modèle '${this.name}'. Aucune association ne sera définie pour ce modèle.`);
-    }
-  }
-}
-
+import { Model, DataTypes } from "sequelize"; // Ajout de DataTypes pour les JSDoc
+import ErrorResponse from "../Utils/errorResponse.js";
+import logger from '../Utils/Logger.js';
+import AuditContext from '../Utils/auditContext.js';
+
+class Schema extends Model {
+  /**
+   * Initialise un modèle avec des options enrichies.
+   * @param {Object} attributes - Les colonnes du modèle, avec leurs types et contraintes (ex. { name: { type: DataTypes.STRING, allowNull: false } }).
+   * @param {Object} options - Les options de configuration.
+   * @param {Sequelize} options.sequelize - L'instance Sequelize requise.
+   * @param {string} [options.modelName] - Le nom du modèle, déduit de la classe si non fourni.
+   * @param {boolean} [options.timestamps=true] - Active ou désactive les champs createdAt/updatedAt.
+   * @param {boolean} [options.paranoid=true] - Active ou désactive le soft delete avec deletedAt.
+   * @param {boolean} [options.underscored=true] - Utilise snake_case pour les noms de colonnes.
+   * @param {boolean} [options.normalizeStrings=true] - Normalise les champs de type string (trim).
+   * @param {{entite: string, fields: string[]}} [options.audit] - Enregistre dans l'historique chaque changement des champs suivis.
+   * @throws {ErrorResponse} Si la configuration est invalide.
+   */
+  static init(attributes, options) {
+    if (!options || !options.sequelize) {
+      throw new ErrorResponse("L'instance Sequelize est requise dans les options", 500, {
+        code: "MODEL_CONFIG_ERROR",
+        details: "Missing sequelize instance in model options",
+      });
+    }
+    if (!attributes || Object.keys(attributes).length === 0) {
+      throw new ErrorResponse("Les attributs du modèle sont requis", 500, {
+        code: "MODEL_CONFIG_ERROR",
+        details: "Model attributes cannot be empty",
+      });
+    }
+
+    super.init(attributes, {
+      ...options,
+      sequelize: options.sequelize,
+      timestamps: options.timestamps !== undefined ? options.timestamps : true,
+      paranoid: options.paranoid !== undefined ? options.paranoid : true,
+      underscored: options.underscored !== undefined ? options.underscored : true,
+      modelName: options.modelName || this.name,
+    });
+
+    // Hook global optionnel pour normaliser les champs de type string
+    // Appliqué sur la création et la mise à jour pour une meilleure cohérence
+    if (options.normalizeStrings !== false) {
+      this.addHook('beforeValidate', (instance) => { // Utilisez beforeValidate pour s'assurer que le trim est fait avant la validation
+        for (const attributeName in this.rawAttributes) {
+          const attribute = this.rawAttributes[attributeName];
+          if (attribute.type instanceof DataTypes.STRING && instance.dataValues[attributeName] !== undefined) {
+            if (typeof instance.dataValues[attributeName] === 'string') {
+              instance.dataValues[attributeName] = instance.dataValues[attributeName].trim();
+            }
+          }
+        }
+      });
+    }
+
+    // Hooks optionnels d'historique : création, modification et suppression des champs suivis
+    if (options.audit) {
+      this.addAuditHooks(options.audit);
+    }
+  }
+
+  /**
+   * Ajoute les hooks qui écrivent dans l'historique (modèle Historique) chaque changement des champs suivis,
+   * avec l'auteur et le motif du contexte d'audit de la requête. L'écriture se fait dans la même transaction que la modification.
+   * Les modifications et suppressions en masse (`Model.update(values, { where })`, `Model.destroy({ where })`) doivent passer
+   * `individualHooks: true` pour être historisées.
+   * @param {Object} audit
+   * @param {string} audit.entite - Le nom de l'entité dans l'historique (ex: 'Note').
+   * @param {string[]} audit.fields - Les champs suivis.
+   */
+  static addAuditHooks({ entite, fields }) {
+    const pick = (getValue) => Object.fromEntries(fields.map((field) => [field, getValue(field) ?? null]));
+
+    const write = (instance, options, action, ancienneValeur, nouvelleValeur) => {
+      const { userId = null, motif = null } = AuditContext.get();
+
+      return this.sequelize.models.Historique.create({
+        entite,
+        action,
+        matriculEleve: instance.get('matriculEleve'),
+        cle: Object.fromEntries(this.primaryKeyAttributes.map((attribute) => [attribute, instance.get(attribute)])),
+        ancienneValeur,
+        nouvelleValeur,
+        userId,
+        motif,
+      }, { transaction: options.transaction });
+    };
+
+    this.addHook('afterCreate', (instance, options) => write(instance, options, 'Création', null, pick((field) => instance.get(field))));
+
+    this.addHook('afterUpdate', (instance, options) => {
+      // Seuls les changements des champs suivis sont historisés (pas les rangs ni les indicateurs de péremption)
+      if (!fields.some((field) => instance.changed(field))) {
+        return undefined;
+      }
+      return write(instance, options, 'Modification', pick((field) => instance.previous(field)), pick((field) => instance.get(field)));
+    });
+
+    this.addHook('afterDestroy', (instance, options) => write(instance, options, 'Suppression', pick((field) => instance.get(field)), null));
+  }
+
+  /**
+   * Point d’entrée pour déclarer les associations entre modèles.
+   * @param {Object} models - Un objet contenant tous les modèles (ex. { User, Post }).
+   * @throws {ErrorResponse} Si les associations ne sont pas définies ou si models est invalide.
+   */
+  static associate(models) {
+    if (!models || Object.keys(models).length === 0) {
+      throw new ErrorResponse("Les modèles pour les associations sont requis", 500, {
+        code: "MODEL_ASSOC_ERROR",
+        details: "Invalid or empty models object for associations",
+      });
+    }
+    // À surcharger dans les sous-classes pour définir les associations
+    // Exemple : this.hasMany(models.Post, { foreignKey: 'schemaId' });
+
+    // Ajout d'un log si la méthode associate n'est pas surchargée et appelée
+    if (this.prototype.associate === Schema.prototype.associate && process.env.NODE_ENV !== 'production') {
+      logger.warn(`⚠️ La méthode 'associate' n'a pas été surchargée pour le modèle '${this.name}'. Aucune association ne sera définie pour ce modèle.`);
+    }
+  }
+}
+
 export default Schema;
\ No newline at end of file
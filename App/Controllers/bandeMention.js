@@ -0,0 +1,234 @@
+// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
+import { db } from '../Models/index.js';
+import Validator from '../Middlewares/Validator.js';
+// Importe l'instance unique du logger
+import logger from '../Utils/Logger.js';
+import ErrorResponse from '../Utils/errorResponse.js';
+import APIFeatures from '../Utils/apiFeatures.js';
+
+class BandeMentionController {
+  constructor() {
+    this.model = db.BandeMention; // Accède au modèle via l'objet 'db'
+    this.validator = Validator;
+  }
+
+  /**
+   * Méthode générique pour gérer les erreurs de manière centralisée.
+   * Elle log l'erreur et la passe au prochain middleware de gestion d'erreurs.
+   * @param {Error} error - L'objet erreur capturé.
+   * @param {string} message - Un message descriptif de l'erreur pour le log et la réponse.
+   * @param {import('express').Request} request - L'objet requête Express pour accéder aux informations de l'utilisateur.
+   * @param {import('express').NextFunction} next - La fonction next d'Express pour passer l'erreur.
+   */
+  handleError(error, message, request, next) {
+    // Log l'erreur avec le message et des détails supplémentaires, y compris l'ID utilisateur si disponible.
+    logger.error(message, {
+      error: error.message,
+      stack: error.stack,
+      userId: request.auth?.userId, // Utilise l'opérateur de chaînage optionnel pour éviter les erreurs si request.auth est undefined
+      originalError: error instanceof ErrorResponse ? error.details : undefined // Ajoute les détails de l'ErrorResponse si c'est une instance
+    });
+
+    // Si l'erreur est déjà une instance de ErrorResponse, la passe directement au middleware suivant.
+    if (error instanceof ErrorResponse) {
+      return next(error);
+    }
+
+    // Pour toutes les autres erreurs, crée une nouvelle ErrorResponse générique et la passe.
+    next(new ErrorResponse(message, 'SERVER_ERROR', 500));
+  }
+
+  /**
+   * Vérifie la cohérence des bornes d'une tranche (minimum strictement inférieur au maximum).
+   * @param {Object} bande - Les attributs de la tranche.
+   * @throws {ErrorResponse} Si la borne minimale n'est pas inférieure à la borne maximale.
+   */
+  assertBornes({ moyenneMin, moyenneMax }) {
+    if (moyenneMax !== null && moyenneMax !== undefined && moyenneMin >= moyenneMax) {
+      throw new ErrorResponse('La moyenne minimale doit être inférieure à la moyenne maximale.', 'VALIDATION_ERROR', 400, { details: { moyenneMin, moyenneMax } });
+    }
+  }
+
+  /**
+   * @description Crée une nouvelle tranche de mention pour une école.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async createBande(request, response, next) {
+    try {
+      // Valide les données de la requête
+      this.validator.validate(request.body, this.validator.bandeMentionCreateSchema);
+      this.assertBornes(request.body);
+
+      const { ecoleId, mention, moyenneMin, moyenneMax, appreciation } = request.body;
+
+      // Vérifie l'existence de l'école
+      const ecole = await db.Ecole.findByPk(ecoleId);
+      if (!ecole) {
+        return next(new ErrorResponse('École non trouvée.', 'NOT_FOUND', 404));
+      }
+
+      // Crée la nouvelle tranche dans la base de données
+      const bande = await this.model.create({ ecoleId, mention, moyenneMin, moyenneMax, appreciation });
+
+      // Log l'action
+      logger.info('Tranche de mention créée avec succès.', { bandeId: bande.bandeId, ecoleId, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(201).json({ success: true, data: bande });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la création de la tranche de mention.', request, next);
+    }
+  }
+
+  /**
+   * @description Récupère toutes les tranches de mention. Un enseignant ne voit que les tranches de son école.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async getAll(request, response, next) {
+    try {
+      const resPerPage = parseInt(process.env.RES_PER_PAGE, 10) || 10;
+
+      // Si l'utilisateur est un enseignant, filtre les tranches par son école
+      const where = request.auth?.userRole === 'Teacher' ? { ecoleId: request.auth.ecoleId } : {};
+
+      // Compte le nombre total de tranches avec le filtre 'where' appliqué
+      const bandeCount = await this.model.count({ where });
+
+      // Applique les fonctionnalités d'API (recherche, filtre, tri, etc.)
+      const apiFeatures = new APIFeatures(this.model, request.query, { searchableFields: ['appreciation'] })
+        .search()
+        .filter()
+        .sort()
+        .limitFields()
+        .paginate(resPerPage);
+
+      // Fusionne le filtre spécifique à l'école avec les filtres de l'APIFeatures
+      apiFeatures.query.where = { ...apiFeatures.query.where, ...where };
+
+      // Exécute la requête et récupère les tranches
+      const bandes = await apiFeatures.execute();
+
+      // Log l'action
+      logger.info('Tranches de mention récupérées avec succès.', { userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({
+        success: true,
+        count: bandes.length,
+        totalCount: bandeCount,
+        resPerPage,
+        bandes,
+      });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la récupération des tranches de mention.', request, next);
+    }
+  }
+
+  /**
+   * @description Récupère une tranche de mention par son ID.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async getBande(request, response, next) {
+    try {
+      // Recherche la tranche par sa clé primaire (ID)
+      const bande = await this.model.findByPk(request.params.id);
+
+      // Si non trouvée, renvoie une erreur 404
+      if (!bande) {
+        return next(new ErrorResponse('Tranche de mention non trouvée.', 'NOT_FOUND', 404));
+      }
+
+      // Un enseignant ne peut consulter que les tranches de son école
+      if (request.auth?.userRole === 'Teacher' && bande.ecoleId !== request.auth.ecoleId) {
+        return next(new ErrorResponse('Vous n\'êtes pas autorisé à consulter cette tranche de mention.', 'FORBIDDEN', 403));
+      }
+
+      // Log l'action
+      logger.info('Tranche de mention récupérée par ID avec succès.', { bandeId: request.params.id, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: bande });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la récupération de la tranche de mention par ID.', request, next);
+    }
+  }
+
+  /**
+   * @description Met à jour une tranche de mention existante.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async updateBande(request, response, next) {
+    try {
+      // Valide les données de la requête
+      this.validator.validate(request.body, this.validator.bandeMentionUpdateSchema);
+
+      // Recherche la tranche à mettre à jour
+      const bande = await this.model.findByPk(request.params.id);
+
+      // Si non trouvée, renvoie une erreur 404
+      if (!bande) {
+        return next(new ErrorResponse('Tranche de mention non trouvée pour la mise à jour.', 'NOT_FOUND', 404));
+      }
+
+      const { mention, moyenneMin, moyenneMax, appreciation } = request.body;
+
+      // Vérifie la cohérence des bornes après fusion avec les valeurs existantes
+      this.assertBornes({ ...bande.toJSON(), ...request.body });
+
+      // Met à jour la tranche
+      await bande.update({ mention, moyenneMin, moyenneMax, appreciation });
+
+      // Log l'action
+      logger.info('Tranche de mention mise à jour avec succès.', { bandeId: request.params.id, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: bande });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la mise à jour de la tranche de mention.', request, next);
+    }
+  }
+
+  /**
+   * @description Supprime une tranche de mention.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async deleteBande(request, response, next) {
+    try {
+      // Recherche la tranche à supprimer
+      const bande = await this.model.findByPk(request.params.id);
+
+      // Si non trouvée, renvoie une erreur 404
+      if (!bande) {
+        return next(new ErrorResponse('Tranche de mention non trouvée pour la suppression.', 'NOT_FOUND', 404));
+      }
+
+      // Supprime la tranche
+      await bande.destroy();
+
+      // Log l'action
+      logger.info('Tranche de mention supprimée avec succès.', { bandeId: request.params.id, userId: request.auth?.userId });
+
+      // Envoie une réponse vide pour indiquer la suppression réussie
+      response.status(200).json({ success: true, data: {} });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la suppression de la tranche de mention.', request, next);
+    }
+  }
+}
+
+export default BandeMentionController;
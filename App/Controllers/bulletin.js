@@ -0,0 +1,86 @@
+// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
+import { db } from '../Models/index.js';
+import Validator from '../Middlewares/Validator.js';
+// Importe l'instance unique du logger
+import logger from '../Utils/Logger.js';
+import ErrorResponse from '../Utils/errorResponse.js';
+import PdfRenderer from '../Utils/PdfRenderer.js';
+import BulletinService from '../Services/bulletin.js';
+
+class BulletinController {
+  constructor() {
+    this.model = db.Eleve; // Accède au modèle via l'objet 'db'
+    this.validator = Validator;
+  }
+
+  /**
+   * Méthode générique pour gérer les erreurs de manière centralisée.
+   * Elle log l'erreur et la passe au prochain middleware de gestion d'erreurs.
+   * @param {Error} error - L'objet erreur capturé.
+   * @param {string} message - Un message descriptif de l'erreur pour le log et la réponse.
+   * @param {import('express').Request} request - L'objet requête Express pour accéder aux informations de l'utilisateur.
+   * @param {import('express').NextFunction} next - La fonction next d'Express pour passer l'erreur.
+   */
+  handleError(error, message, request, next) {
+    // Log l'erreur avec le message et des détails supplémentaires, y compris l'ID utilisateur si disponible.
+    logger.error(message, {
+      error: error.message,
+      stack: error.stack,
+      userId: request.auth?.userId, // Utilise l'opérateur de chaînage optionnel pour éviter les erreurs si request.auth est undefined
+      originalError: error instanceof ErrorResponse ? error.details : undefined // Ajoute les détails de l'ErrorResponse si c'est une instance
+    });
+
+    // Si l'erreur est déjà une instance de ErrorResponse, la passe directement au middleware suivant.
+    if (error instanceof ErrorResponse) {
+      return next(error);
+    }
+
+    // Pour toutes les autres erreurs, crée une nouvelle ErrorResponse générique et la passe.
+    next(new ErrorResponse(message, 'SERVER_ERROR', 500));
+  }
+
+  /**
+   * @description Génère le bulletin PDF d'un élève pour une composition (paramètre de requête `composition`)
+   * ou pour une période (paramètre de requête `periode`). Le modèle de bulletin de l'école de l'élève est utilisé s'il existe.
+   * Un enseignant ne peut générer que les bulletins des élèves de son école.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async getBulletin(request, response, next) {
+    try {
+      const matriculEleve = request.params.id;
+      const { composition: codeCompo, periode: codePeriode } = request.query;
+
+      // Le bulletin porte soit sur une composition, soit sur une période
+      if ((!codeCompo && !codePeriode) || (codeCompo && codePeriode)
+        || (codeCompo && typeof codeCompo !== 'string') || (codePeriode && typeof codePeriode !== 'string')) {
+        return next(new ErrorResponse('Un et un seul des paramètres \'composition\' ou \'periode\' est requis.', 'VALIDATION_ERROR', 400));
+      }
+
+      const ecoleId = request.auth?.userRole === 'Teacher' ? request.auth.ecoleId : undefined;
+      const bulletin = codeCompo
+        ? await BulletinService.buildForComposition(matriculEleve, codeCompo, { ecoleId })
+        : await BulletinService.buildForPeriode(matriculEleve, codePeriode, { ecoleId });
+
+      const pdf = await PdfRenderer.render('bulletins', codeCompo ? 'composition' : 'periode', bulletin, { ecoleId: bulletin.ecole?.ecoleId });
+
+      // Log l'action
+      logger.info('Bulletin généré avec succès.', { matriculEleve, codeCompo, codePeriode, userId: request.auth?.userId });
+
+      // Envoie le PDF
+      response
+        .status(200)
+        .set({
+          'Content-Type': 'application/pdf',
+          'Content-Disposition': `inline; filename="bulletin-${matriculEleve}-${codeCompo || codePeriode}.pdf"`,
+        })
+        .send(pdf);
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la génération du bulletin.', request, next);
+    }
+  }
+}
+
+export default BulletinController;
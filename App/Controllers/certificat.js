@@ -0,0 +1,167 @@
+// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
+import { db } from '../Models/index.js';
+import Validator from '../Middlewares/Validator.js';
+// Importe l'instance unique du logger
+import logger from '../Utils/Logger.js';
+import ErrorResponse from '../Utils/errorResponse.js';
+import PdfRenderer from '../Utils/PdfRenderer.js';
+import CertificatService from '../Services/certificat.js';
+
+class CertificatController {
+  constructor() {
+    this.model = db.Certificat; // Accède au modèle via l'objet 'db'
+    this.validator = Validator;
+  }
+
+  /**
+   * Méthode générique pour gérer les erreurs de manière centralisée.
+   * Elle log l'erreur et la passe au prochain middleware de gestion d'erreurs.
+   * @param {Error} error - L'objet erreur capturé.
+   * @param {string} message - Un message descriptif de l'erreur pour le log et la réponse.
+   * @param {import('express').Request} request - L'objet requête Express pour accéder aux informations de l'utilisateur.
+   * @param {import('express').NextFunction} next - La fonction next d'Express pour passer l'erreur.
+   */
+  handleError(error, message, request, next) {
+    // Log l'erreur avec le message et des détails supplémentaires, y compris l'ID utilisateur si disponible.
+    logger.error(message, {
+      error: error.message,
+      stack: error.stack,
+      userId: request.auth?.userId, // Utilise l'opérateur de chaînage optionnel pour éviter les erreurs si request.auth est undefined
+      originalError: error instanceof ErrorResponse ? error.details : undefined // Ajoute les détails de l'ErrorResponse si c'est une instance
+    });
+
+    // Si l'erreur est déjà une instance de ErrorResponse, la passe directement au middleware suivant.
+    if (error instanceof ErrorResponse) {
+      return next(error);
+    }
+
+    // Pour toutes les autres erreurs, crée une nouvelle ErrorResponse générique et la passe.
+    next(new ErrorResponse(message, 'SERVER_ERROR', 500));
+  }
+
+  /**
+   * Construit l'adresse publique de vérification d'un code, imprimée sur le document.
+   * L'adresse de base peut être fixée via PUBLIC_URL (ex: derrière un proxy) ; à défaut, celle de la requête est utilisée.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {string} code - Le code de vérification.
+   * @returns {string} L'adresse de vérification.
+   */
+  getUrlVerification(request, code) {
+    const base = process.env.PUBLIC_URL || `${request.protocol}://${request.get('host')}`;
+    return `${base.replace(/\/$/, '')}${request.baseUrl}/certificats/verification/${code}`;
+  }
+
+  /**
+   * @description Délivre un certificat de scolarité ou une attestation de réussite à un élève et renvoie le PDF.
+   * Le document est enregistré avec un code de vérification unique, renvoyé aussi dans l'en-tête `X-Code-Verification`.
+   * Un enseignant ne peut délivrer de documents qu'aux élèves de son école.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async delivrerCertificat(request, response, next) {
+    try {
+      const matriculEleve = request.params.id;
+      const { type, anneeCode } = request.body;
+      const ecoleId = request.auth?.userRole === 'Teacher' ? request.auth.ecoleId : undefined;
+
+      // Le certificat n'est enregistré que si son PDF a pu être produit
+      const [certificat, pdf] = await db.sequelize.transaction(async (transaction) => {
+        const record = await CertificatService.delivrer(matriculEleve, { type, anneeCode }, { ecoleId, userId: request.auth?.userId, transaction });
+        const document = CertificatService.toDocument(record, this.getUrlVerification(request, record.code));
+        return [record, await PdfRenderer.render('certificats', CertificatService.getType(type).template, document, { ecoleId: record.ecoleId })];
+      });
+
+      // Log l'action
+      logger.info('Certificat délivré avec succès.', { matriculEleve, type, code: certificat.code, userId: request.auth?.userId });
+
+      // Envoie le PDF
+      response
+        .status(201)
+        .set({
+          'Content-Type': 'application/pdf',
+          'Content-Disposition': `inline; filename="${CertificatService.getType(type).template}-${matriculEleve}-${certificat.anneeCode}.pdf"`,
+          'X-Code-Verification': certificat.code,
+        })
+        .send(pdf);
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la délivrance du certificat.', request, next);
+    }
+  }
+
+  /**
+   * @description Récupère les certificats et attestations délivrés à un élève, du plus récent au plus ancien.
+   * Un enseignant ne peut consulter que ceux des élèves de son école.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async getCertificatsByEleve(request, response, next) {
+    try {
+      const matriculEleve = request.params.id;
+      const ecoleId = request.auth?.userRole === 'Teacher' ? request.auth.ecoleId : undefined;
+      await CertificatService.getEleve(matriculEleve, { ecoleId });
+
+      const certificats = await this.model.findAll({
+        where: { matriculEleve },
+        attributes: ['certificatId', 'code', 'type', 'anneeCode', 'userId', 'revoqueLe', 'motifRevocation', 'createdAt'],
+        order: [['createdAt', 'DESC']],
+      });
+
+      // Log l'action
+      logger.info('Certificats de l\'élève récupérés avec succès.', { matriculEleve, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, count: certificats.length, data: certificats });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la récupération des certificats de l\'élève.', request, next);
+    }
+  }
+
+  /**
+   * @description Vérifie l'authenticité d'un document à partir de son code (route publique, sans authentification).
+   * Renvoie le statut du document (valide ou révoqué) et les informations minimales à comparer avec le document présenté.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async verifierCertificat(request, response, next) {
+    try {
+      const verification = await CertificatService.verifier(request.params.code);
+
+      // Log l'action
+      logger.info('Certificat vérifié.', { code: verification.code, statut: verification.statut, ip: request.ip });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: verification });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la vérification du certificat.', request, next);
+    }
+  }
+
+  /**
+   * @description Révoque un certificat ou une attestation (ex: délivré par erreur) ; sa vérification indique alors qu'il n'est plus valide.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async revoquerCertificat(request, response, next) {
+    try {
+      const certificat = await CertificatService.revoquer(request.params.code, request.body.motif);
+
+      // Log l'action
+      logger.info('Certificat révoqué avec succès.', { code: certificat.code, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: certificat });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la révocation du certificat.', request, next);
+    }
+  }
+}
+
+export default CertificatController;
@@ -1,205 +1,446 @@
-// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
-import { db } from '../Models/index.js';
-import Validator from '../Middlewares/Validator.js';
-// Importe l'instance unique du logger, comme suggéré précédemment
-import logger from '../Utils/Logger.js';
-import ErrorResponse from '../Utils/errorResponse.js';
-import APIFeatures from '../Utils/apiFeatures.js';
-
-class CompositionController {
-  constructor() {
-    this.model = db.Composition; // Accède au modèle via l'objet 'db'
-    this.validator = Validator;
-    
-  }
-
-  /**
-   * Méthode générique pour gérer les erreurs de manière centralisée.
-   * Elle log l'erreur et la passe au prochain middleware de gestion d'erreurs.
-   * @param {Error} error - L'objet erreur capturé.
-   * @param {string} message - Un message descriptif de l'erreur pour le log et la réponse.
-   * @param {import('express').Request} request - L'objet requête Express pour accéder aux informations de l'utilisateur.
-   * @param {import('express').NextFunction} next - La fonction next d'Express pour passer l'erreur.
-   */
-  handleError(error, message, request, next) {
-    // Log l'erreur avec le message et des détails supplémentaires, y compris l'ID utilisateur si disponible.
-    logger.error(message, {
-      error: error.message,
-      stack: error.stack,
-      userId: request.auth?.userId, // Utilise l'opérateur de chaînage optionnel pour éviter les erreurs si request.auth est undefined
-      originalError: error instanceof ErrorResponse ? error.details : undefined // Ajoute les détails de l'ErrorResponse si c'est une instance
-    });
-
-    // Si l'erreur est déjà une instance de ErrorResponse, la passe directement au middleware suivant.
-    if (error instanceof ErrorResponse) {
-      return next(error);
-    }
-
-    // Pour toutes les autres erreurs, crée une nouvelle ErrorResponse générique et la passe.
-    next(new ErrorResponse(message, 'SERVER_ERROR', 500));
-  }
-
-  /**
-   * @description Crée une nouvelle composition.
-   * @param {import('express').Request} request - Objet requête Express.
-   * @param {import('express').Response} response - Objet réponse Express.
-   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
-   */
-  async createComposition(request, response, next) {
-    try {
-      // Valide les données de la requête
-      this.validator.validate(request.body, this.validator.compositionCreateSchema);
-
-      // Utilise les noms de champs mis à jour : dateCompo et anneeCode
-      const { codeCompo, libelle, dateCompo, typeCompo, anneeCode } = request.body;
-
-      // Crée la nouvelle composition dans la base de données
-      const composition = await this.model.create({ codeCompo, libelle, dateCompo, typeCompo, anneeCode });
-
-      // Log l'action
-      logger.info('Composition créée avec succès.', { codeCompo, userId: request.auth?.userId });
-
-      // Envoie la réponse
-      response.status(201).json({ success: true, data: composition });
-    } catch (error) {
-      // Gère les erreurs
-      this.handleError(error, 'Erreur lors de la création de la composition.', request, next);
-    }
-  }
-
-  /**
-   * @description Récupère toutes les compositions.
-   * @param {import('express').Request} request - Objet requête Express.
-   * @param {import('express').Response} response - Objet réponse Express.
-   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
-   */
-  async getAll(request, response, next) {
-    try {
-      const resPerPage = parseInt(process.env.RES_PER_PAGE, 10) || 10;
-
-      // Compte le nombre total de compositions
-      const compositionCount = await this.model.count();
-
-      // Applique les fonctionnalités d'API (recherche, filtre, tri, etc.)
-      const apiFeatures = new APIFeatures(this.model, request.query, { searchableFields: ['libelle'] })
-        .search()
-        .filter()
-        .sort()
-        .limitFields()
-        .paginate(resPerPage);
-
-      // Exécute la requête et récupère les compositions
-      const compositions = await apiFeatures.execute();
-
-      // Log l'action
-      logger.info('Compositions récupérées avec succès.', { userId: request.auth?.userId });
-
-      // Envoie la réponse
-      response.status(200).json({
-        success: true,
-        count: compositions.length, // Nombre d'éléments dans la réponse actuelle
-        totalCount: compositionCount, // Nombre total d'éléments disponibles
-        resPerPage,
-        compositions,
-      });
-    } catch (error) {
-      // Gère les erreurs
-      this.handleError(error, 'Erreur lors de la récupération des compositions.', request, next);
-    }
-  }
-
-  /**
-   * @description Récupère une composition par son ID.
-   * @param {import('express').Request} request - Objet requête Express.
-   * @param {import('express').Response} response - Objet réponse Express.
-   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
-   */
-  async getComposition(request, response, next) {
-    try {
-      // Recherche la composition par sa clé primaire (ID)
-      const composition = await this.model.findByPk(request.params.id);
-
-      // Si non trouvée, renvoie une erreur 404
-      if (!composition) {
-        return next(new ErrorResponse('Composition non trouvée.', 'NOT_FOUND', 404));
-      }
-
-      // Log l'action
-      logger.info('Composition récupérée par ID avec succès.', { codeCompo: request.params.id, userId: request.auth?.userId });
-
-      // Envoie la réponse
-      response.status(200).json({ success: true, data: composition });
-    } catch (error) {
-      // Gère les erreurs
-      this.handleError(error, 'Erreur lors de la récupération de la composition par ID.', request, next);
-    }
-  }
-
-  /**
-   * @description Met à jour une composition existante.
-   * @param {import('express').Request} request - Objet requête Express.
-   * @param {import('express').Response} response - Objet réponse Express.
-   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
-   */
-  async updateComposition(request, response, next) {
-    try {
-      // Valide les données de la requête
-      this.validator.validate(request.body, this.validator.compositionUpdateSchema);
-
-      // Recherche la composition à mettre à jour
-      const composition = await this.model.findByPk(request.params.id);
-
-      // Si non trouvée, renvoie une erreur 404
-      if (!composition) {
-        return next(new ErrorResponse('Composition non trouvée pour la mise à jour.', 'NOT_FOUND', 404));
-      }
-
-      // Utilise les noms de champs mis à jour : dateCompo et anneeCode
-      const { libelle, dateCompo, typeCompo, anneeCode } = request.body;
-
-      // Met à jour la composition
-      await composition.update({ libelle, dateCompo, typeCompo, anneeCode });
-
-      // Log l'action
-      logger.info('Composition mise à jour avec succès.', { codeCompo: request.params.id, userId: request.auth?.userId });
-
-      // Envoie la réponse
-      response.status(200).json({ success: true, data: composition });
-    } catch (error) {
-      // Gère les erreurs
-      this.handleError(error, 'Erreur lors de la mise à jour de la composition.', request, next);
-    }
-  }
-
-  /**
-   * @description Supprime une composition.
-   * @param {import('express').Request} request - Objet requête Express.
-   * @param {import('express').Response} response - Objet réponse Express.
-   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
-   */
-  async deleteComposition(request, response, next) {
-    try {
-      // Recherche la composition à supprimer
-      const composition = await this.model.findByPk(request.params.id);
-
-      // Si non trouvée, renvoie une erreur 404
-      if (!composition) {
-        return next(new ErrorResponse('Composition non trouvée pour la suppression.', 'NOT_FOUND', 404));
-      }
-
-      // Supprime la composition
-      await composition.destroy();
-
-      // Log l'action
-      logger.info('Composition supprimée avec succès.', { codeCompo: request.params.id, userId: request.auth?.userId });
-
-      // Envoie une réponse vide pour indiquer la suppression réussie
-      response.status(200).json({ success: true, data: {} });
-    } catch (error) {
-      // Gère les erreurs
-      this.handleError(error, 'Erreur lors de la suppression de la composition.', request, next);
-    }
-  }
-}
-
-export default CompositionController;
+// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
+import { db } from '../Models/index.js';
+import Validator from '../Middlewares/Validator.js';
+// Importe l'instance unique du logger, comme suggéré précédemment
+import logger from '../Utils/Logger.js';
+import ErrorResponse from '../Utils/errorResponse.js';
+import APIFeatures from '../Utils/apiFeatures.js';
+import PdfRenderer from '../Utils/PdfRenderer.js';
+import CompositionService from '../Services/composition.js';
+import ResultatService from '../Services/resultat.js';
+import StatistiqueService from '../Services/statistique.js';
+import AnomalieService from '../Services/anomalie.js';
+import ProcesVerbalService from '../Services/procesVerbal.js';
+
+class CompositionController {
+  constructor() {
+    this.model = db.Composition; // Accède au modèle via l'objet 'db'
+    this.validator = Validator;
+    
+  }
+
+  /**
+   * Méthode générique pour gérer les erreurs de manière centralisée.
+   * Elle log l'erreur et la passe au prochain middleware de gestion d'erreurs.
+   * @param {Error} error - L'objet erreur capturé.
+   * @param {string} message - Un message descriptif de l'erreur pour le log et la réponse.
+   * @param {import('express').Request} request - L'objet requête Express pour accéder aux informations de l'utilisateur.
+   * @param {import('express').NextFunction} next - La fonction next d'Express pour passer l'erreur.
+   */
+  handleError(error, message, request, next) {
+    // Log l'erreur avec le message et des détails supplémentaires, y compris l'ID utilisateur si disponible.
+    logger.error(message, {
+      error: error.message,
+      stack: error.stack,
+      userId: request.auth?.userId, // Utilise l'opérateur de chaînage optionnel pour éviter les erreurs si request.auth est undefined
+      originalError: error instanceof ErrorResponse ? error.details : undefined // Ajoute les détails de l'ErrorResponse si c'est une instance
+    });
+
+    // Si l'erreur est déjà une instance de ErrorResponse, la passe directement au middleware suivant.
+    if (error instanceof ErrorResponse) {
+      return next(error);
+    }
+
+    // Pour toutes les autres erreurs, crée une nouvelle ErrorResponse générique et la passe.
+    next(new ErrorResponse(message, 'SERVER_ERROR', 500));
+  }
+
+  /**
+   * @description Crée une nouvelle composition.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async createComposition(request, response, next) {
+    try {
+      // Valide les données de la requête
+      this.validator.validate(request.body, this.validator.compositionCreateSchema);
+
+      // Utilise les noms de champs mis à jour : dateCompo et anneeCode
+      const { codeCompo, libelle, dateCompo, typeCompo, anneeCode, codePeriode } = request.body;
+
+      // Vérifie que la période éventuelle correspond à l'année et à la date de la composition
+      if (codePeriode) {
+        await CompositionService.assertPeriode(codePeriode, { anneeCode, dateCompo });
+      }
+
+      // Crée la nouvelle composition dans la base de données
+      const composition = await this.model.create({ codeCompo, libelle, dateCompo, typeCompo, anneeCode, codePeriode });
+
+      // Log l'action
+      logger.info('Composition créée avec succès.', { codeCompo, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(201).json({ success: true, data: composition });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la création de la composition.', request, next);
+    }
+  }
+
+  /**
+   * @description Récupère toutes les compositions.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async getAll(request, response, next) {
+    try {
+      const resPerPage = parseInt(process.env.RES_PER_PAGE, 10) || 10;
+
+      // Compte le nombre total de compositions
+      const compositionCount = await this.model.count();
+
+      // Applique les fonctionnalités d'API (recherche, filtre, tri, etc.)
+      const apiFeatures = new APIFeatures(this.model, request.query, { searchableFields: ['libelle'] })
+        .search()
+        .filter()
+        .sort()
+        .limitFields()
+        .paginate(resPerPage);
+
+      // Exécute la requête et récupère les compositions
+      const compositions = await apiFeatures.execute();
+
+      // Log l'action
+      logger.info('Compositions récupérées avec succès.', { userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({
+        success: true,
+        count: compositions.length, // Nombre d'éléments dans la réponse actuelle
+        totalCount: compositionCount, // Nombre total d'éléments disponibles
+        resPerPage,
+        compositions,
+      });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la récupération des compositions.', request, next);
+    }
+  }
+
+  /**
+   * @description Récupère une composition par son ID.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async getComposition(request, response, next) {
+    try {
+      // Recherche la composition par sa clé primaire (ID)
+      const composition = await this.model.findByPk(request.params.id);
+
+      // Si non trouvée, renvoie une erreur 404
+      if (!composition) {
+        return next(new ErrorResponse('Composition non trouvée.', 'NOT_FOUND', 404));
+      }
+
+      // Log l'action
+      logger.info('Composition récupérée par ID avec succès.', { codeCompo: request.params.id, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: composition });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la récupération de la composition par ID.', request, next);
+    }
+  }
+
+  /**
+   * @description Met à jour une composition existante.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async updateComposition(request, response, next) {
+    try {
+      // Valide les données de la requête
+      this.validator.validate(request.body, this.validator.compositionUpdateSchema);
+
+      // Recherche la composition à mettre à jour
+      const composition = await this.model.findByPk(request.params.id);
+
+      // Si non trouvée, renvoie une erreur 404
+      if (!composition) {
+        return next(new ErrorResponse('Composition non trouvée pour la mise à jour.', 'NOT_FOUND', 404));
+      }
+
+      // Utilise les noms de champs mis à jour : dateCompo et anneeCode
+      const { libelle, dateCompo, typeCompo, anneeCode, codePeriode } = request.body;
+
+      // Vérifie que la période (nouvelle ou conservée) correspond toujours à l'année et à la date de la composition
+      const periode = codePeriode !== undefined ? codePeriode : composition.codePeriode;
+      if (periode && (codePeriode !== undefined || dateCompo !== undefined || anneeCode !== undefined)) {
+        await CompositionService.assertPeriode(periode, {
+          anneeCode: anneeCode ?? composition.anneeCode,
+          dateCompo: dateCompo ?? composition.dateCompo,
+        });
+      }
+
+      // Met à jour la composition ; si elle change de type (donc de poids), de période ou d'année, les moyennes des périodes
+      // concernées et les résultats des années concernées sont à recalculer
+      const { codePeriode: anciennePeriode, anneeCode: ancienneAnnee, typeCompo: ancienType } = composition;
+      await db.sequelize.transaction(async (transaction) => {
+        await composition.update({ libelle, dateCompo, typeCompo, anneeCode, codePeriode }, { transaction });
+
+        if (composition.typeCompo !== ancienType || composition.codePeriode !== anciennePeriode || composition.anneeCode !== ancienneAnnee) {
+          const codePeriodes = [anciennePeriode, composition.codePeriode];
+          await ResultatService.markPerimesAnnee(ancienneAnnee, { codePeriodes, transaction });
+          if (composition.anneeCode !== ancienneAnnee) {
+            await ResultatService.markPerimesAnnee(composition.anneeCode, { transaction });
+          }
+        }
+      });
+
+      // Log l'action
+      logger.info('Composition mise à jour avec succès.', { codeCompo: request.params.id, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: composition });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la mise à jour de la composition.', request, next);
+    }
+  }
+
+  /**
+   * @description Récupère les statistiques d'une composition pour une classe (paramètre de requête `classe`) :
+   * moyenne, médiane, écart type, extrêmes, taux de réussite et histogramme, globalement, par matière, par évaluation et par genre.
+   * Un enseignant ne peut consulter que les classes de son école.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async getStatistics(request, response, next) {
+    try {
+      const classeId = request.query.classe;
+
+      // La classe est obligatoire : les statistiques sont calculées classe par classe
+      if (!classeId || typeof classeId !== 'string') {
+        return next(new ErrorResponse('Le paramètre \'classe\' est requis.', 'VALIDATION_ERROR', 400));
+      }
+
+      const ecoleId = request.auth?.userRole === 'Teacher' ? request.auth.ecoleId : undefined;
+      const statistiques = await StatistiqueService.getForComposition(request.params.id, classeId, { ecoleId });
+
+      // Log l'action
+      logger.info('Statistiques de la composition récupérées avec succès.', { codeCompo: request.params.id, classeId, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: statistiques });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors du calcul des statistiques de la composition.', request, next);
+    }
+  }
+
+  /**
+   * @description Récupère le rapport des erreurs de saisie probables d'une composition pour une classe (paramètre de requête `classe`) :
+   * notes aberrantes, notes manquantes, saisies en double et évaluations aux notes toutes identiques.
+   * Chaque avertissement comporte des liens vers les enregistrements concernés. Un enseignant ne peut consulter que les classes de son école.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async getAnomalies(request, response, next) {
+    try {
+      const classeId = request.query.classe;
+
+      // La classe est obligatoire : les notes sont comparées au sein d'une classe
+      if (!classeId || typeof classeId !== 'string') {
+        return next(new ErrorResponse('Le paramètre \'classe\' est requis.', 'VALIDATION_ERROR', 400));
+      }
+
+      const ecoleId = request.auth?.userRole === 'Teacher' ? request.auth.ecoleId : undefined;
+      const rapport = await AnomalieService.getForComposition(request.params.id, classeId, { ecoleId });
+
+      // Log l'action
+      logger.info('Anomalies de saisie de la composition récupérées avec succès.', { codeCompo: request.params.id, classeId, count: rapport.count, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: rapport });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la détection des anomalies de saisie de la composition.', request, next);
+    }
+  }
+
+  /**
+   * @description Récupère le procès-verbal (PV) d'une composition pour une classe (paramètre de requête `classe`) :
+   * une ligne par élève avec ses notes, sa moyenne, son rang et sa mention, puis les statistiques de la classe.
+   * Le PV est renvoyé en JSON, ou en PDF paysage avec `format=pdf`. Un enseignant ne peut consulter que les classes de son école.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async getProcesVerbal(request, response, next) {
+    try {
+      const codeCompo = request.params.id;
+      const { classe: classeId, format = 'json' } = request.query;
+
+      // La classe est obligatoire : le PV liste les élèves d'une classe
+      if (!classeId || typeof classeId !== 'string') {
+        return next(new ErrorResponse('Le paramètre \'classe\' est requis.', 'VALIDATION_ERROR', 400));
+      }
+
+      if (!['json', 'pdf'].includes(format)) {
+        return next(new ErrorResponse('Le paramètre \'format\' doit valoir \'json\' ou \'pdf\'.', 'VALIDATION_ERROR', 400));
+      }
+
+      const ecoleId = request.auth?.userRole === 'Teacher' ? request.auth.ecoleId : undefined;
+      const procesVerbal = await ProcesVerbalService.getForComposition(codeCompo, classeId, { ecoleId });
+
+      // Log l'action
+      logger.info('Procès-verbal de la composition généré avec succès.', { codeCompo, classeId, format, userId: request.auth?.userId });
+
+      if (format === 'json') {
+        // Envoie la réponse
+        return response.status(200).json({ success: true, data: procesVerbal });
+      }
+
+      const pdf = await PdfRenderer.render('pv', 'composition', procesVerbal, { ecoleId: procesVerbal.ecole?.ecoleId, landscape: true });
+
+      // Envoie le PDF
+      response
+        .status(200)
+        .set({
+          'Content-Type': 'application/pdf',
+          'Content-Disposition': `inline; filename="pv-${codeCompo}-${classeId}.pdf"`,
+        })
+        .send(pdf);
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la génération du procès-verbal de la composition.', request, next);
+    }
+  }
+
+  /**
+   * @description Clôture une composition validée par la direction : ses notes et moyennes ne peuvent plus être modifiées.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async closeComposition(request, response, next) {
+    try {
+      // Recherche la composition à clôturer
+      const composition = await this.model.findByPk(request.params.id);
+
+      // Si non trouvée, renvoie une erreur 404
+      if (!composition) {
+        return next(new ErrorResponse('Composition non trouvée.', 'NOT_FOUND', 404));
+      }
+
+      await CompositionService.changeStatut(composition, 'Clôturée');
+
+      // Log l'action
+      logger.info('Composition clôturée avec succès.', { codeCompo: request.params.id, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: composition });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la clôture de la composition.', request, next);
+    }
+  }
+
+  /**
+   * @description Publie une composition clôturée.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async publishComposition(request, response, next) {
+    try {
+      // Recherche la composition à publier
+      const composition = await this.model.findByPk(request.params.id);
+
+      // Si non trouvée, renvoie une erreur 404
+      if (!composition) {
+        return next(new ErrorResponse('Composition non trouvée.', 'NOT_FOUND', 404));
+      }
+
+      await CompositionService.changeStatut(composition, 'Publiée');
+
+      // Log l'action
+      logger.info('Composition publiée avec succès.', { codeCompo: request.params.id, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: composition });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la publication de la composition.', request, next);
+    }
+  }
+
+  /**
+   * @description Rouvre une composition clôturée ou publiée pour permettre de nouveau la saisie des notes.
+   * Le motif est obligatoire et la réouverture est journalisée.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async reopenComposition(request, response, next) {
+    try {
+      // Valide les données de la requête
+      this.validator.validate(request.body, this.validator.compositionReopenSchema);
+
+      // Recherche la composition à rouvrir
+      const composition = await this.model.findByPk(request.params.id);
+
+      // Si non trouvée, renvoie une erreur 404
+      if (!composition) {
+        return next(new ErrorResponse('Composition non trouvée.', 'NOT_FOUND', 404));
+      }
+
+      const ancienStatut = composition.statut;
+      await CompositionService.changeStatut(composition, 'Ouverte');
+
+      // Journalise la réouverture : les notes d'une composition validée redeviennent modifiables
+      logger.warn('Composition rouverte.', {
+        codeCompo: request.params.id,
+        ancienStatut,
+        motif: request.body.motif,
+        userId: request.auth?.userId,
+        username: request.auth?.username,
+      });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: composition });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la réouverture de la composition.', request, next);
+    }
+  }
+
+  /**
+   * @description Supprime une composition.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async deleteComposition(request, response, next) {
+    try {
+      // Recherche la composition à supprimer
+      const composition = await this.model.findByPk(request.params.id);
+
+      // Si non trouvée, renvoie une erreur 404
+      if (!composition) {
+        return next(new ErrorResponse('Composition non trouvée pour la suppression.', 'NOT_FOUND', 404));
+      }
+
+      // Supprime la composition
+      await composition.destroy();
+
+      // Log l'action
+      logger.info('Composition supprimée avec succès.', { codeCompo: request.params.id, userId: request.auth?.userId });
+
+      // Envoie une réponse vide pour indiquer la suppression réussie
+      response.status(200).json({ success: true, data: {} });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la suppression de la composition.', request, next);
+    }
+  }
+}
+
+export default CompositionController;
@@ -0,0 +1,97 @@
+// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
+import { db } from '../Models/index.js';
+import Validator from '../Middlewares/Validator.js';
+// Importe l'instance unique du logger
+import logger from '../Utils/Logger.js';
+import ErrorResponse from '../Utils/errorResponse.js';
+import APIFeatures from '../Utils/apiFeatures.js';
+
+class HistoriqueController {
+  constructor() {
+    this.model = db.Historique; // Accède au modèle via l'objet 'db'
+    this.validator = Validator;
+  }
+
+  /**
+   * Méthode générique pour gérer les erreurs de manière centralisée.
+   * Elle log l'erreur et la passe au prochain middleware de gestion d'erreurs.
+   * @param {Error} error - L'objet erreur capturé.
+   * @param {string} message - Un message descriptif de l'erreur pour le log et la réponse.
+   * @param {import('express').Request} request - L'objet requête Express pour accéder aux informations de l'utilisateur.
+   * @param {import('express').NextFunction} next - La fonction next d'Express pour passer l'erreur.
+   */
+  handleError(error, message, request, next) {
+    // Log l'erreur avec le message et des détails supplémentaires, y compris l'ID utilisateur si disponible.
+    logger.error(message, {
+      error: error.message,
+      stack: error.stack,
+      userId: request.auth?.userId, // Utilise l'opérateur de chaînage optionnel pour éviter les erreurs si request.auth est undefined
+      originalError: error instanceof ErrorResponse ? error.details : undefined // Ajoute les détails de l'ErrorResponse si c'est une instance
+    });
+
+    // Si l'erreur est déjà une instance de ErrorResponse, la passe directement au middleware suivant.
+    if (error instanceof ErrorResponse) {
+      return next(error);
+    }
+
+    // Pour toutes les autres erreurs, crée une nouvelle ErrorResponse générique et la passe.
+    next(new ErrorResponse(message, 'SERVER_ERROR', 500));
+  }
+
+  /**
+   * @description Récupère l'historique des modifications des notes, moyennes et résultats d'un élève, du plus récent au plus ancien par défaut.
+   * Chaque entrée indique l'ancienne et la nouvelle valeur, l'auteur, la date et le motif éventuel.
+   * Les filtres de l'API s'appliquent (ex: `?entite=Note`).
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async getHistoriqueByEleve(request, response, next) {
+    try {
+      const resPerPage = parseInt(process.env.RES_PER_PAGE, 10) || 10;
+      const matriculEleve = request.params.eleveId; // Utilise le paramètre d'URL pour le matricule de l'élève
+
+      // Filtre par le matricule de l'élève
+      const where = { matriculEleve };
+
+      // Compte le nombre total d'entrées pour cet élève
+      const historiqueCount = await this.model.count({ where });
+
+      // Applique les fonctionnalités d'API
+      const apiFeatures = new APIFeatures(this.model, request.query, { searchableFields: ['motif'] })
+        .search()
+        .filter()
+        .sort()
+        .limitFields()
+        .paginate(resPerPage);
+
+      // Fusionne le filtre spécifique à l'élève avec les filtres de l'APIFeatures
+      apiFeatures.query.where = { ...apiFeatures.query.where, ...where };
+
+      // Inclut l'auteur de chaque modification
+      apiFeatures.query.include = [
+        { model: db.User, as: 'auteur', attributes: ['userId', 'username', 'userRole'] },
+      ];
+
+      // Exécute la requête et récupère l'historique
+      const historique = await apiFeatures.execute();
+
+      // Log l'action
+      logger.info('Historique de l\'élève récupéré avec succès.', { matriculEleve, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({
+        success: true,
+        count: historique.length,
+        totalCount: historiqueCount,
+        resPerPage,
+        historique,
+      });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la récupération de l\'historique de l\'élève.', request, next);
+    }
+  }
+}
+
+export default HistoriqueController;
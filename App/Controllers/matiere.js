@@ -0,0 +1,351 @@
+import { Op } from 'sequelize';
+// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
+import { db } from '../Models/index.js';
+import Validator from '../Middlewares/Validator.js';
+// Importe l'instance unique du logger
+import logger from '../Utils/Logger.js';
+import ErrorResponse from '../Utils/errorResponse.js';
+import APIFeatures from '../Utils/apiFeatures.js';
+import MoyenneService from '../Services/moyenne.js';
+
+class MatiereController {
+  constructor() {
+    this.model = db.Matiere; // Accède au modèle via l'objet 'db'
+    this.validator = Validator;
+  }
+
+  /**
+   * Méthode générique pour gérer les erreurs de manière centralisée.
+   * Elle log l'erreur et la passe au prochain middleware de gestion d'erreurs.
+   * @param {Error} error - L'objet erreur capturé.
+   * @param {string} message - Un message descriptif de l'erreur pour le log et la réponse.
+   * @param {import('express').Request} request - L'objet requête Express pour accéder aux informations de l'utilisateur.
+   * @param {import('express').NextFunction} next - La fonction next d'Express pour passer l'erreur.
+   */
+  handleError(error, message, request, next) {
+    // Log l'erreur avec le message et des détails supplémentaires, y compris l'ID utilisateur si disponible.
+    logger.error(message, {
+      error: error.message,
+      stack: error.stack,
+      userId: request.auth?.userId, // Utilise l'opérateur de chaînage optionnel pour éviter les erreurs si request.auth est undefined
+      originalError: error instanceof ErrorResponse ? error.details : undefined // Ajoute les détails de l'ErrorResponse si c'est une instance
+    });
+
+    // Si l'erreur est déjà une instance de ErrorResponse, la passe directement au middleware suivant.
+    if (error instanceof ErrorResponse) {
+      return next(error);
+    }
+
+    // Pour toutes les autres erreurs, crée une nouvelle ErrorResponse générique et la passe.
+    next(new ErrorResponse(message, 'SERVER_ERROR', 500));
+  }
+
+  /**
+   * @description Crée une nouvelle matière.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async createMatiere(request, response, next) {
+    try {
+      // Valide les données de la requête
+      this.validator.validate(request.body, this.validator.matiereCreateSchema);
+
+      const { codeMatiere, libelle, ordre } = request.body;
+
+      // Vérifie l'unicité du code et du libellé
+      const existing = await this.model.findOne({ where: { [Op.or]: [{ codeMatiere }, { libelle }] } });
+      if (existing) {
+        return next(new ErrorResponse('Une matière avec ce code ou ce libellé existe déjà.', 'CONFLICT', 409));
+      }
+
+      // Crée la nouvelle matière dans la base de données
+      const matiere = await this.model.create({ codeMatiere, libelle, ordre });
+
+      // Log l'action
+      logger.info('Matière créée avec succès.', { codeMatiere, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(201).json({ success: true, data: matiere });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la création de la matière.', request, next);
+    }
+  }
+
+  /**
+   * @description Récupère toutes les matières.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async getAll(request, response, next) {
+    try {
+      const resPerPage = parseInt(process.env.RES_PER_PAGE, 10) || 10;
+
+      // Compte le nombre total de matières
+      const matiereCount = await this.model.count();
+
+      // Applique les fonctionnalités d'API (recherche, filtre, tri, etc.)
+      const apiFeatures = new APIFeatures(this.model, request.query, { searchableFields: ['codeMatiere', 'libelle'] })
+        .search()
+        .filter()
+        .sort()
+        .limitFields()
+        .paginate(resPerPage);
+
+      // Exécute la requête et récupère les matières
+      const matieres = await apiFeatures.execute();
+
+      // Log l'action
+      logger.info('Matières récupérées avec succès.', { userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({
+        success: true,
+        count: matieres.length,
+        totalCount: matiereCount,
+        resPerPage,
+        matieres,
+      });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la récupération des matières.', request, next);
+    }
+  }
+
+  /**
+   * @description Récupère une matière par son code, avec ses coefficients par niveau et série.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async getMatiere(request, response, next) {
+    try {
+      // Recherche la matière par sa clé primaire (code)
+      const matiere = await this.model.findByPk(request.params.id, {
+        include: [{ model: db.MatiereCoefficient, as: 'coefficients' }],
+      });
+
+      // Si non trouvée, renvoie une erreur 404
+      if (!matiere) {
+        return next(new ErrorResponse('Matière non trouvée.', 'NOT_FOUND', 404));
+      }
+
+      // Log l'action
+      logger.info('Matière récupérée par code avec succès.', { codeMatiere: request.params.id, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: matiere });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la récupération de la matière par code.', request, next);
+    }
+  }
+
+  /**
+   * @description Met à jour une matière existante.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async updateMatiere(request, response, next) {
+    try {
+      // Valide les données de la requête
+      this.validator.validate(request.body, this.validator.matiereUpdateSchema);
+
+      // Recherche la matière à mettre à jour
+      const matiere = await this.model.findByPk(request.params.id);
+
+      // Si non trouvée, renvoie une erreur 404
+      if (!matiere) {
+        return next(new ErrorResponse('Matière non trouvée pour la mise à jour.', 'NOT_FOUND', 404));
+      }
+
+      const { libelle, ordre } = request.body;
+
+      // Vérifie l'unicité du nouveau libellé
+      if (libelle && libelle !== matiere.libelle) {
+        const existing = await this.model.findOne({ where: { libelle } });
+        if (existing) {
+          return next(new ErrorResponse('Une matière avec ce libellé existe déjà.', 'CONFLICT', 409));
+        }
+      }
+
+      // Met à jour la matière
+      await matiere.update({ libelle, ordre });
+
+      // Log l'action
+      logger.info('Matière mise à jour avec succès.', { codeMatiere: request.params.id, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: matiere });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la mise à jour de la matière.', request, next);
+    }
+  }
+
+  /**
+   * @description Supprime une matière. Refusée tant que des évaluations y sont rattachées.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async deleteMatiere(request, response, next) {
+    try {
+      // Recherche la matière à supprimer
+      const matiere = await this.model.findByPk(request.params.id);
+
+      // Si non trouvée, renvoie une erreur 404
+      if (!matiere) {
+        return next(new ErrorResponse('Matière non trouvée pour la suppression.', 'NOT_FOUND', 404));
+      }
+
+      // Les évaluations rattachées doivent d'abord être réaffectées
+      const evaluationsCount = await db.Evaluation.count({ where: { codeMatiere: matiere.codeMatiere } });
+      if (evaluationsCount > 0) {
+        return next(new ErrorResponse(
+          'Impossible de supprimer une matière à laquelle des évaluations sont rattachées.',
+          'CONFLICT',
+          409,
+          { details: { codeMatiere: matiere.codeMatiere, evaluationsCount } }
+        ));
+      }
+
+      // Supprime la matière et ses coefficients
+      await db.sequelize.transaction(async (transaction) => {
+        await db.MatiereCoefficient.destroy({ where: { codeMatiere: matiere.codeMatiere }, transaction });
+        await matiere.destroy({ transaction });
+      });
+
+      // Log l'action
+      logger.info('Matière supprimée avec succès.', { codeMatiere: request.params.id, userId: request.auth?.userId });
+
+      // Envoie une réponse vide pour indiquer la suppression réussie
+      response.status(200).json({ success: true, data: {} });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la suppression de la matière.', request, next);
+    }
+  }
+
+  /**
+   * @description Récupère les coefficients d'une matière, par niveau et série.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async getCoefficients(request, response, next) {
+    try {
+      // Vérifie l'existence de la matière
+      const matiere = await this.model.findByPk(request.params.id);
+      if (!matiere) {
+        return next(new ErrorResponse('Matière non trouvée.', 'NOT_FOUND', 404));
+      }
+
+      // Récupère les coefficients de la matière
+      const coefficients = await db.MatiereCoefficient.findAll({
+        where: { codeMatiere: matiere.codeMatiere },
+        order: [['niveau', 'ASC'], ['serie', 'ASC']],
+      });
+
+      // Log l'action
+      logger.info('Coefficients de la matière récupérés avec succès.', { codeMatiere: request.params.id, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, count: coefficients.length, data: coefficients });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la récupération des coefficients de la matière.', request, next);
+    }
+  }
+
+  /**
+   * @description Définit (crée ou remplace) le coefficient d'une matière pour un niveau et, éventuellement, une série.
+   * Les moyennes déjà calculées des classes concernées sont marquées comme périmées, jusqu'à leur recalcul.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async setCoefficient(request, response, next) {
+    try {
+      // Valide les données de la requête
+      this.validator.validate(request.body, this.validator.matiereCoefficientSchema);
+
+      // Vérifie l'existence de la matière
+      const matiere = await this.model.findByPk(request.params.id);
+      if (!matiere) {
+        return next(new ErrorResponse('Matière non trouvée.', 'NOT_FOUND', 404));
+      }
+
+      const { niveau, serie = null, coefficient } = request.body;
+
+      // Un seul coefficient par matière, niveau et série (une série nulle vaut pour tout le niveau)
+      const [record, created] = await db.sequelize.transaction(async (transaction) => {
+        const [coefficientMatiere, nouveau] = await db.MatiereCoefficient.findOrCreate({
+          where: { codeMatiere: matiere.codeMatiere, niveau, serie },
+          defaults: { coefficient },
+          transaction,
+        });
+
+        const modifie = nouveau || coefficientMatiere.coefficient !== coefficient;
+        if (!nouveau) {
+          await coefficientMatiere.update({ coefficient }, { transaction }); // Remplace le coefficient existant
+        }
+        if (modifie) {
+          await MoyenneService.markPerimeesForNiveau(niveau, serie, { transaction });
+        }
+
+        return [coefficientMatiere, nouveau];
+      });
+
+      // Log l'action
+      logger.info('Coefficient de la matière enregistré avec succès.', { codeMatiere: matiere.codeMatiere, niveau, serie, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(created ? 201 : 200).json({ success: true, data: record });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de l\'enregistrement du coefficient de la matière.', request, next);
+    }
+  }
+
+  /**
+   * @description Supprime un coefficient d'une matière. La matière comptera alors avec un coefficient de 1 pour ce niveau et cette série ;
+   * les moyennes déjà calculées des classes concernées sont marquées comme périmées.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async deleteCoefficient(request, response, next) {
+    try {
+      // Recherche le coefficient de la matière
+      const coefficient = await db.MatiereCoefficient.findOne({
+        where: { coefficientId: request.params.coefficientId, codeMatiere: request.params.id },
+      });
+
+      // Si non trouvé, renvoie une erreur 404
+      if (!coefficient) {
+        return next(new ErrorResponse('Coefficient non trouvé pour cette matière.', 'NOT_FOUND', 404));
+      }
+
+      // Supprime le coefficient et marque les moyennes concernées comme périmées
+      await db.sequelize.transaction(async (transaction) => {
+        await coefficient.destroy({ transaction });
+        await MoyenneService.markPerimeesForNiveau(coefficient.niveau, coefficient.serie, { transaction });
+      });
+
+      // Log l'action
+      logger.info('Coefficient de la matière supprimé avec succès.', { codeMatiere: request.params.id, coefficientId: request.params.coefficientId, userId: request.auth?.userId });
+
+      // Envoie une réponse vide pour indiquer la suppression réussie
+      response.status(200).json({ success: true, data: {} });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la suppression du coefficient de la matière.', request, next);
+    }
+  }
+}
+
+export default MatiereController;
@@ -1,329 +1,443 @@
-// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
-import { db } from '../Models/index.js';
-import Validator from '../Middlewares/Validator.js';
-// Importe l'instance unique du logger, comme suggéré précédemment
-import logger from '../Utils/Logger.js';
-import ErrorResponse from '../Utils/errorResponse.js';
-import APIFeatures from '../Utils/apiFeatures.js';
-
-class MoyenneController {
-  constructor() {
-    this.model = db.Moyenne; // Accède au modèle via l'objet 'db'
-    this.validator = Validator;
-    // this.logger n'est plus nécessaire car nous importons l'instance unique 'logger' directement
-  }
-
-  /**
-   * Méthode générique pour gérer les erreurs de manière centralisée.
-   * Elle log l'erreur et la passe au prochain middleware de gestion d'erreurs.
-   * @param {Error} error - L'objet erreur capturé.
-   * @param {string} message - Un message descriptif de l'erreur pour le log et la réponse.
-   * @param {import('express').Request} request - L'objet requête Express pour accéder aux informations de l'utilisateur.
-   * @param {import('express').NextFunction} next - La fonction next d'Express pour passer l'erreur.
-   */
-  handleError(error, message, request, next) {
-    // Log l'erreur avec le message et des détails supplémentaires, y compris l'ID utilisateur si disponible.
-    logger.error(message, {
-      error: error.message,
-      stack: error.stack,
-      userId: request.auth?.userId, // Utilise l'opérateur de chaînage optionnel pour éviter les erreurs si request.auth est undefined
-      originalError: error instanceof ErrorResponse ? error.details : undefined // Ajoute les détails de l'ErrorResponse si c'est une instance
-    });
-
-    // Si l'erreur est déjà une instance de ErrorResponse, la passe directement au middleware suivant.
-    if (error instanceof ErrorResponse) {
-      return next(error);
-    }
-
-    // Pour toutes les autres erreurs, crée une nouvelle ErrorResponse générique et la passe.
-    next(new ErrorResponse(message, 'SERVER_ERROR', 500));
-  }
-
-  /**
-   * @description Calcule et enregistre la moyenne d'un élève pour une composition donnée.
-   * @param {import('express').Request} request - Objet requête Express.
-   * @param {import('express').Response} response - Objet réponse Express.
-   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
-   */
-  async calculateMoyenne(request, response, next) {
-    try {
-      // Valide les données de la requête
-      this.validator.validate(request.body, this.validator.moyenneCreateSchema);
-
-      // Utilise les noms de champs mis à jour : matriculEleve et codeCompo
-      const { eleve, compos } = request.body; // eleve et compos viennent de la requête
-      const matriculEleve = eleve; // Mappe à matriculEleve du modèle
-      const codeCompo = compos;   // Mappe à codeCompo du modèle
-
-      // Récupère toutes les notes de l'élève pour la composition donnée, incluant les évaluations pour les coefficients
-      const notes = await db.Note.findAll({
-        where: { matriculEleve, codeCompo }, // Utilise les noms de champs du modèle Note
-        include: [{
-          model: db.Evaluation,
-          as: 'evaluationType' // Utilise l'alias défini dans le modèle Note pour l'association Evaluation
-        }],
-      });
-
-      // Si aucune note n'est trouvée, renvoie une erreur
-      if (notes.length === 0) {
-        return next(new ErrorResponse('Aucune note trouvée pour calculer la moyenne.', 'NO_GRADES', 404));
-      }
-
-      // Calcule la somme pondérée des notes et le total des coefficients
-      const total = notes.reduce((sum, note) => sum + note.note * note.evaluationType.coeficient, 0);
-      const totalCoef = notes.reduce((sum, note) => sum + note.evaluationType.coeficient, 0);
-
-      // Calcule la moyenne
-      const moyenne = totalCoef === 0 ? 0 : total / totalCoef; // Évite la division par zéro
-
-      // Cherche ou crée l'enregistrement de moyenne. Si existant, le met à jour.
-      const [record, created] = await this.model.findOrCreate({
-        where: { matriculEleve, codeCompo }, // Utilise les noms de champs du modèle Moyenne
-        defaults: { moyenne },
-      });
-
-      if (!created) {
-        await record.update({ moyenne }); // Met à jour la moyenne si l'enregistrement existait déjà
-      }
-
-      // Log l'action
-      logger.info('Moyenne calculée et/ou mise à jour avec succès.', { matriculEleve, codeCompo, moyenne, userId: request.auth?.userId });
-
-      // Envoie la réponse
-      response.status(created ? 201 : 200).json({ success: true, data: record });
-    } catch (error) {
-      // Gère les erreurs
-      this.handleError(error, 'Erreur lors du calcul de la moyenne.', request, next);
-    }
-  }
-
-  /**
-   * @description Récupère toutes les moyennes.
-   * @param {import('express').Request} request - Objet requête Express.
-   * @param {import('express').Response} response - Objet réponse Express.
-   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
-   */
-  async getAllMoyennes(request, response, next) {
-    try {
-      const resPerPage = parseInt(process.env.RES_PER_PAGE, 10) || 10;
-      const where = {}; // Pas de filtre spécifique au rôle ici, mais peut être ajouté si nécessaire
-
-      // Compte le nombre total de moyennes avec le filtre 'where' appliqué
-      const moyenneCount = await this.model.count({ where });
-
-      // Applique les fonctionnalités d'API (filtrage, tri, etc.)
-      const apiFeatures = new APIFeatures(this.model, request.query, { searchableFields: [] }) // Moyenne n'a pas de champs recherchables directs
-        .filter()
-        .sort()
-        .limitFields()
-        .paginate(resPerPage);
-
-      // Fusionne le filtre 'where' avec les filtres de l'APIFeatures
-      apiFeatures.query.where = { ...apiFeatures.query.where, ...where };
-
-      // Inclut les modèles associés pour enrichir la réponse
-      apiFeatures.query.include = [
-        { model: db.Composition, as: 'compositionDetail' }, // Utilise l'alias défini dans le modèle Moyenne
-        { model: db.Eleve, as: 'eleveDetail' } // Inclut les détails de l'élève
-      ];
-
-      // Exécute la requête et récupère les moyennes
-      const moyennes = await apiFeatures.execute();
-
-      // Log l'action
-      logger.info('Toutes les moyennes récupérées avec succès.', { userId: request.auth?.userId });
-
-      // Envoie la réponse
-      response.status(200).json({
-        success: true,
-        count: moyennes.length, // Nombre d'éléments dans la réponse actuelle
-        totalCount: moyenneCount, // Nombre total d'éléments disponibles après filtrage
-        resPerPage,
-        moyennes,
-      });
-    } catch (error) {
-      // Gère les erreurs
-      this.handleError(error, 'Erreur lors de la récupération de toutes les moyennes.', request, next);
-    }
-  }
-
-  /**
-   * @description Récupère les moyennes d'un élève spécifique.
-   * @param {import('express').Request} request - Objet requête Express.
-   * @param {import('express').Response} response - Objet réponse Express.
-   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
-   */
-  async getMoyennesByEleve(request, response, next) {
-    try {
-      const resPerPage = parseInt(process.env.RES_PER_PAGE, 10) || 10;
-      const matriculEleve = request.params.eleveId; // Utilise le paramètre d'URL pour le matricule de l'élève
-
-      // Filtre par le matricule de l'élève
-      const where = { matriculEleve };
-
-      // Compte le nombre total de moyennes pour cet élève
-      const moyenneCount = await this.model.count({ where });
-
-      // Applique les fonctionnalités d'API
-      const apiFeatures = new APIFeatures(this.model, request.query, { searchableFields: [] })
-        .filter()
-        .sort()
-        .limitFields()
-        .paginate(resPerPage);
-
-      // Fusionne le filtre spécifique à l'élève avec les filtres de l'APIFeatures
-      apiFeatures.query.where = { ...apiFeatures.query.where, ...where };
-
-      // Inclut les modèles associés pour enrichir la réponse
-      apiFeatures.query.include = [
-        { model: db.Composition, as: 'compositionDetail' }, // Utilise l'alias défini dans le modèle Moyenne
-        { model: db.Eleve, as: 'eleveDetail' } // Inclut les détails de l'élève
-      ];
-
-      // Exécute la requête et récupère les moyennes
-      const moyennes = await apiFeatures.execute();
-
-      // Log l'action
-      logger.info('Moyennes récupérées par élève avec succès.', { matriculEleve, userId: request.auth?.userId });
-
-      // Envoie la réponse
-      response.status(200).json({
-        success: true,
-        count: moyennes.length,
-        totalCount: moyenneCount,
-        resPerPage,
-        moyennes,
-      });
-    } catch (error) {
-      // Gère les erreurs
-      this.handleError(error, 'Erreur lors de la récupération des moyennes par élève.', request, next);
-    }
-  }
-
-  /**
-   * @description Récupère les moyennes pour une composition spécifique.
-   * @param {import('express').Request} request - Objet requête Express.
-   * @param {import('express').Response} response - Objet réponse Express.
-   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
-   */
-  async getMoyennesByCompos(request, response, next) {
-    try {
-      const resPerPage = parseInt(process.env.RES_PER_PAGE, 10) || 10;
-      const codeCompo = request.params.composId; // Utilise le paramètre d'URL pour le code de composition
-
-      // Filtre par le code de composition
-      const where = { codeCompo };
-
-      // Compte le nombre total de moyennes pour cette composition
-      const moyenneCount = await this.model.count({ where });
-
-      // Applique les fonctionnalités d'API
-      const apiFeatures = new APIFeatures(this.model, request.query, { searchableFields: [] })
-        .filter()
-        .sort()
-        .limitFields()
-        .paginate(resPerPage);
-
-      // Fusionne le filtre spécifique à la composition avec les filtres de l'APIFeatures
-      apiFeatures.query.where = { ...apiFeatures.query.where, ...where };
-
-      // Inclut les modèles associés pour enrichir la réponse
-      apiFeatures.query.include = [
-        { model: db.Composition, as: 'compositionDetail' }, // Utilise l'alias défini dans le modèle Moyenne
-        { model: db.Eleve, as: 'eleveDetail' } // Inclut les détails de l'élève
-      ];
-
-      // Exécute la requête et récupère les moyennes
-      const moyennes = await apiFeatures.execute();
-
-      // Log l'action
-      logger.info('Moyennes récupérées par composition avec succès.', { codeCompo, userId: request.auth?.userId });
-
-      // Envoie la réponse
-      response.status(200).json({
-        success: true,
-        count: moyennes.length,
-        totalCount: moyenneCount,
-        resPerPage,
-        moyennes,
-      });
-    } catch (error) {
-      // Gère les erreurs
-      this.handleError(error, 'Erreur lors de la récupération des moyennes par composition.', request, next);
-    }
-  }
-
-  /**
-   * @description Met à jour une moyenne existante.
-   * @param {import('express').Request} request - Objet requête Express.
-   * @param {import('express').Response} response - Objet réponse Express.
-   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
-   */
-  async updateMoyenne(request, response, next) {
-    try {
-      // Valide les données de la requête
-      this.validator.validate(request.body, this.validator.moyenneUpdateSchema);
-
-      // Utilise les noms de champs mis à jour pour la clé primaire composite
-      const { eleve, compos } = request.params; // eleve et compos viennent des paramètres d'URL
-      const matriculEleve = eleve;
-      const codeCompo = compos;
-
-      const { moyenne } = request.body;
-
-      // Met à jour la moyenne en utilisant la clé primaire composite
-      const [updatedRows] = await this.model.update(
-        { moyenne },
-        { where: { matriculEleve, codeCompo } } // Utilise les noms de champs du modèle
-      );
-
-      // Si aucune ligne n'a été mise à jour, la moyenne n'a pas été trouvée
-      if (updatedRows === 0) {
-        return next(new ErrorResponse('Moyenne non trouvée pour la mise à jour.', 'NOT_FOUND', 404));
-      }
-
-      // Log l'action
-      logger.info('Moyenne mise à jour avec succès.', { matriculEleve, codeCompo, userId: request.auth?.userId });
-
-      // Envoie une réponse vide pour indiquer la mise à jour réussie (cohérent avec les autres contrôleurs)
-      response.status(200).json({ success: true, data: { matriculEleve, codeCompo, moyenne } }); // Retourne les identifiants et la nouvelle moyenne
-    } catch (error) {
-      // Gère les erreurs
-      this.handleError(error, 'Erreur lors de la mise à jour de la moyenne.', request, next);
-    }
-  }
-
-  /**
-   * @description Supprime une moyenne.
-   * @param {import('express').Request} request - Objet requête Express.
-   * @param {import('express').Response} response - Objet réponse Express.
-   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
-   */
-  async deleteMoyenne(request, response, next) {
-    try {
-      // Utilise les noms de champs mis à jour pour la clé primaire composite
-      const { eleve, compos } = request.params; // eleve et compos viennent des paramètres d'URL
-      const matriculEleve = eleve;
-      const codeCompo = compos;
-
-      // Supprime la moyenne en utilisant la clé primaire composite
-      const deletedRows = await this.model.destroy({ where: { matriculEleve, codeCompo } });
-
-      // Si aucune ligne n'a été supprimée, la moyenne n'a pas été trouvée
-      if (deletedRows === 0) {
-        return next(new ErrorResponse('Moyenne non trouvée pour la suppression.', 'NOT_FOUND', 404));
-      }
-
-      // Log l'action
-      logger.info('Moyenne supprimée avec succès.', { matriculEleve, codeCompo, userId: request.auth?.userId });
-
-      // Envoie une réponse vide pour indiquer la suppression réussie
-      response.status(200).json({ success: true, data: {} });
-    } catch (error) {
-      // Gère les erreurs
-      this.handleError(error, 'Erreur lors de la suppression de la moyenne.', request, next);
-    }
-  }
-}
-
-export default MoyenneController;
+// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
+import { db } from '../Models/index.js';
+import Validator from '../Middlewares/Validator.js';
+// Importe l'instance unique du logger, comme suggéré précédemment
+import logger from '../Utils/Logger.js';
+import ErrorResponse from '../Utils/errorResponse.js';
+import APIFeatures from '../Utils/apiFeatures.js';
+import MoyenneService from '../Services/moyenne.js';
+import ResultatService from '../Services/resultat.js';
+import CompositionService from '../Services/composition.js';
+import BaremeService from '../Services/bareme.js';
+import ArrondiService from '../Services/arrondi.js';
+import MentionService from '../Services/mention.js';
+import ExportService from '../Services/export.js';
+
+class MoyenneController {
+  constructor() {
+    this.model = db.Moyenne; // Accède au modèle via l'objet 'db'
+    this.validator = Validator;
+    // this.logger n'est plus nécessaire car nous importons l'instance unique 'logger' directement
+  }
+
+  /**
+   * Méthode générique pour gérer les erreurs de manière centralisée.
+   * Elle log l'erreur et la passe au prochain middleware de gestion d'erreurs.
+   * @param {Error} error - L'objet erreur capturé.
+   * @param {string} message - Un message descriptif de l'erreur pour le log et la réponse.
+   * @param {import('express').Request} request - L'objet requête Express pour accéder aux informations de l'utilisateur.
+   * @param {import('express').NextFunction} next - La fonction next d'Express pour passer l'erreur.
+   */
+  handleError(error, message, request, next) {
+    // Log l'erreur avec le message et des détails supplémentaires, y compris l'ID utilisateur si disponible.
+    logger.error(message, {
+      error: error.message,
+      stack: error.stack,
+      userId: request.auth?.userId, // Utilise l'opérateur de chaînage optionnel pour éviter les erreurs si request.auth est undefined
+      originalError: error instanceof ErrorResponse ? error.details : undefined // Ajoute les détails de l'ErrorResponse si c'est une instance
+    });
+
+    // Si l'erreur est déjà une instance de ErrorResponse, la passe directement au middleware suivant.
+    if (error instanceof ErrorResponse) {
+      return next(error);
+    }
+
+    // Pour toutes les autres erreurs, crée une nouvelle ErrorResponse générique et la passe.
+    next(new ErrorResponse(message, 'SERVER_ERROR', 500));
+  }
+
+  /**
+   * @description Calcule et enregistre la moyenne d'un élève pour une composition donnée.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async calculateMoyenne(request, response, next) {
+    try {
+      // Valide les données de la requête
+      this.validator.validate(request.body, this.validator.moyenneCreateSchema);
+
+      // Utilise les noms de champs mis à jour : matriculEleve et codeCompo
+      const { eleve, compos } = request.body; // eleve et compos viennent de la requête
+      const matriculEleve = eleve; // Mappe à matriculEleve du modèle
+      const codeCompo = compos;   // Mappe à codeCompo du modèle
+
+      // Les moyennes d'une composition clôturée ne peuvent plus être modifiées
+      await CompositionService.assertOuverte(codeCompo);
+
+      // Calcule et enregistre la moyenne à partir des notes de l'élève et des coefficients, puis met à jour les rangs de sa classe
+      const result = await db.sequelize.transaction((transaction) => MoyenneService.computeForEleve(matriculEleve, codeCompo, { transaction }));
+
+      // Si aucune note n'est prise en compte (aucune saisie, ou uniquement des évaluations excusées ou dispensées), renvoie une erreur
+      if (!result) {
+        return next(new ErrorResponse('Aucune note prise en compte pour calculer la moyenne.', 'NO_GRADES', 404));
+      }
+
+      const { record, created, bareme, notesCount, notesExclues } = result;
+      const { moyenne } = record;
+
+      // Log l'action
+      logger.info('Moyenne calculée et/ou mise à jour avec succès.', { matriculEleve, codeCompo, moyenne, userId: request.auth?.userId });
+
+      // Envoie la réponse, avec les évaluations exclues du calcul (élève excusé, dispensé ou absent selon la politique de l'école)
+      response.status(created ? 201 : 200).json({ success: true, data: { ...record.toJSON(), bareme }, notesCount, notesExclues });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors du calcul de la moyenne.', request, next);
+    }
+  }
+
+  /**
+   * @description Calcule et enregistre en une seule transaction les moyennes de tous les élèves d'une classe pour une composition.
+   * Renvoie un rapport par élève, incluant la liste des élèves sans aucune note.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async calculateMoyennesByClasse(request, response, next) {
+    try {
+      const { composId, classeId } = request.params;
+      const codeCompo = composId;
+
+      // Vérifie l'existence de la composition et de la classe
+      const composition = await db.Composition.findByPk(codeCompo);
+      if (!composition) {
+        return next(new ErrorResponse('Composition non trouvée.', 'NOT_FOUND', 404));
+      }
+
+      // Les moyennes d'une composition clôturée ne peuvent plus être modifiées
+      await CompositionService.assertOuverte(composition);
+
+      const classe = await db.Classe.findByPk(classeId);
+      if (!classe) {
+        return next(new ErrorResponse('Classe non trouvée.', 'NOT_FOUND', 404));
+      }
+
+      // Un enseignant ne peut calculer que les moyennes des classes de son école
+      if (request.auth?.userRole === 'Teacher' && classe.ecoleId !== request.auth.ecoleId) {
+        return next(new ErrorResponse('Vous n\'êtes pas autorisé à calculer les moyennes de cette classe.', 'FORBIDDEN', 403));
+      }
+
+      // Calcule et enregistre les moyennes de toute la classe
+      const rapport = await MoyenneService.computeForClasse(codeCompo, classeId);
+
+      // Log l'action
+      logger.info('Moyennes de la classe calculées avec succès.', { codeCompo, classeId, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: rapport });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors du calcul des moyennes de la classe.', request, next);
+    }
+  }
+
+  /**
+   * @description Récupère toutes les moyennes.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async getAllMoyennes(request, response, next) {
+    try {
+      const resPerPage = parseInt(process.env.RES_PER_PAGE, 10) || 10;
+      const where = {}; // Pas de filtre spécifique au rôle ici, mais peut être ajouté si nécessaire
+
+      // Compte le nombre total de moyennes avec le filtre 'where' appliqué
+      const moyenneCount = await this.model.count({ where });
+
+      // Applique les fonctionnalités d'API (filtrage, tri, etc.)
+      const apiFeatures = new APIFeatures(this.model, request.query, { searchableFields: [] }) // Moyenne n'a pas de champs recherchables directs
+        .filter()
+        .sort()
+        .limitFields()
+        .paginate(resPerPage);
+
+      // Fusionne le filtre 'where' avec les filtres de l'APIFeatures
+      apiFeatures.query.where = { ...apiFeatures.query.where, ...where };
+
+      // Inclut les modèles associés pour enrichir la réponse
+      apiFeatures.query.include = [
+        { model: db.Composition, as: 'compositionDetail' }, // Utilise l'alias défini dans le modèle Moyenne
+        { model: db.Eleve, as: 'eleveDetail' } // Inclut les détails de l'élève
+      ];
+
+      // Exécute la requête et récupère les moyennes
+      const moyennes = await apiFeatures.execute();
+
+      // Log l'action
+      logger.info('Toutes les moyennes récupérées avec succès.', { userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({
+        success: true,
+        count: moyennes.length, // Nombre d'éléments dans la réponse actuelle
+        totalCount: moyenneCount, // Nombre total d'éléments disponibles après filtrage
+        resPerPage,
+        moyennes: await MentionService.annotate(await BaremeService.annotate(moyennes), 'moyenne'), // Ajoute le barème, la mention et l'appréciation de chaque moyenne
+      });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la récupération de toutes les moyennes.', request, next);
+    }
+  }
+
+  /**
+   * @description Récupère les moyennes d'un élève spécifique, avec son rang dans sa classe pour chaque composition (`rang`, `exAequo`).
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async getMoyennesByEleve(request, response, next) {
+    try {
+      const resPerPage = parseInt(process.env.RES_PER_PAGE, 10) || 10;
+      const matriculEleve = request.params.eleveId; // Utilise le paramètre d'URL pour le matricule de l'élève
+
+      // Filtre par le matricule de l'élève
+      const where = { matriculEleve };
+
+      // Compte le nombre total de moyennes pour cet élève
+      const moyenneCount = await this.model.count({ where });
+
+      // Applique les fonctionnalités d'API
+      const apiFeatures = new APIFeatures(this.model, request.query, { searchableFields: [] })
+        .filter()
+        .sort()
+        .limitFields()
+        .paginate(resPerPage);
+
+      // Fusionne le filtre spécifique à l'élève avec les filtres de l'APIFeatures
+      apiFeatures.query.where = { ...apiFeatures.query.where, ...where };
+
+      // Inclut les modèles associés pour enrichir la réponse
+      apiFeatures.query.include = [
+        { model: db.Composition, as: 'compositionDetail' }, // Utilise l'alias défini dans le modèle Moyenne
+        { model: db.Eleve, as: 'eleveDetail' } // Inclut les détails de l'élève
+      ];
+
+      // Exécute la requête et récupère les moyennes
+      const moyennes = await apiFeatures.execute();
+
+      // Log l'action
+      logger.info('Moyennes récupérées par élève avec succès.', { matriculEleve, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({
+        success: true,
+        count: moyennes.length,
+        totalCount: moyenneCount,
+        resPerPage,
+        moyennes: await MentionService.annotate(await BaremeService.annotate(moyennes), 'moyenne'), // Ajoute le barème, la mention et l'appréciation de chaque moyenne
+      });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la récupération des moyennes par élève.', request, next);
+    }
+  }
+
+  /**
+   * @description Récupère les moyennes pour une composition spécifique, avec le rang de chaque élève dans sa classe (`rang`, `exAequo`).
+   * Avec `format=csv` ou `format=xlsx`, exporte toutes les moyennes filtrées de la composition en tableur.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async getMoyennesByCompos(request, response, next) {
+    try {
+      const resPerPage = parseInt(process.env.RES_PER_PAGE, 10) || 10;
+      const codeCompo = request.params.composId; // Utilise le paramètre d'URL pour le code de composition
+      const format = ExportService.getFormat(request.query.format);
+
+      // Filtre par le code de composition
+      const where = { codeCompo };
+
+      // Applique les fonctionnalités d'API
+      const apiFeatures = new APIFeatures(this.model, request.query, { searchableFields: [] })
+        .filter()
+        .sort();
+
+      // Fusionne le filtre spécifique à la composition avec les filtres de l'APIFeatures
+      apiFeatures.query.where = { ...apiFeatures.query.where, ...where };
+
+      // Export CSV ou XLSX : toutes les moyennes filtrées, sans pagination
+      if (ExportService.isExportFormat(format)) {
+        // Un enseignant n'exporte que les élèves de son école (aucun s'il n'est rattaché à aucune école)
+        const ecoleId = request.auth?.userRole === 'Teacher' ? request.auth.ecoleId ?? null : undefined;
+        const count = await ExportService.send(response, apiFeatures, 'moyennes', { format, filename: `moyennes-${codeCompo}`, ecoleId });
+        logger.info('Moyennes exportées avec succès.', { codeCompo, format, count, userId: request.auth?.userId });
+        return;
+      }
+
+      apiFeatures.limitFields().paginate(resPerPage);
+
+      // Compte le nombre total de moyennes pour cette composition
+      const moyenneCount = await this.model.count({ where });
+
+      // Inclut les modèles associés pour enrichir la réponse
+      apiFeatures.query.include = [
+        { model: db.Composition, as: 'compositionDetail' }, // Utilise l'alias défini dans le modèle Moyenne
+        { model: db.Eleve, as: 'eleveDetail' } // Inclut les détails de l'élève
+      ];
+
+      // Exécute la requête et récupère les moyennes
+      const moyennes = await apiFeatures.execute();
+
+      // Log l'action
+      logger.info('Moyennes récupérées par composition avec succès.', { codeCompo, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({
+        success: true,
+        count: moyennes.length,
+        totalCount: moyenneCount,
+        resPerPage,
+        moyennes: await MentionService.annotate(await BaremeService.annotate(moyennes), 'moyenne'), // Ajoute le barème, la mention et l'appréciation de chaque moyenne
+      });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la récupération des moyennes par composition.', request, next);
+    }
+  }
+
+  /**
+   * @description Met à jour une moyenne existante.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async updateMoyenne(request, response, next) {
+    try {
+      // Valide les données de la requête
+      this.validator.validate(request.body, this.validator.moyenneUpdateSchema);
+
+      // Utilise les noms de champs mis à jour pour la clé primaire composite
+      const { eleve, compos } = request.params; // eleve et compos viennent des paramètres d'URL
+      const matriculEleve = eleve;
+      const codeCompo = compos;
+
+      // Les moyennes d'une composition clôturée ne peuvent plus être modifiées
+      await CompositionService.assertOuverte(codeCompo);
+
+      const { moyenne } = request.body;
+
+      // Vérifie que la moyenne respecte le barème de l'école de l'élève
+      const bareme = await BaremeService.getForEleve(matriculEleve);
+      BaremeService.assertInRange(moyenne, bareme, 'moyenne');
+
+      // Vérifie l'existence de la moyenne par sa clé primaire composite
+      const existing = await this.model.findOne({ where: { matriculEleve, codeCompo } });
+
+      // Si non trouvée, renvoie une erreur 404
+      if (!existing) {
+        return next(new ErrorResponse('Moyenne non trouvée pour la mise à jour.', 'NOT_FOUND', 404));
+      }
+
+      // La moyenne saisie est arrondie selon la politique de l'école, comme une moyenne calculée
+      const arrondi = await ArrondiService.getForEleve(matriculEleve);
+
+      // Enregistre la moyenne saisie (à jour) ; si elle change, recalcule les rangs de la classe et marque le résultat annuel comme périmé
+      const record = await db.sequelize.transaction(async (transaction) => {
+        const [saved, , changed] = await MoyenneService.saveMoyenne(matriculEleve, codeCompo, moyenne, { transaction, arrondi });
+        if (changed) {
+          await MoyenneService.recomputeRangsForEleve(matriculEleve, codeCompo, { transaction });
+          await saved.reload({ transaction });
+        }
+        return saved;
+      });
+
+      // Log l'action
+      logger.info('Moyenne mise à jour avec succès.', { matriculEleve, codeCompo, userId: request.auth?.userId });
+
+      // Envoie une réponse vide pour indiquer la mise à jour réussie (cohérent avec les autres contrôleurs)
+      response.status(200).json({ success: true, data: await MentionService.annotate({ ...record.toJSON(), bareme }, 'moyenne') }); // Retourne la moyenne mise à jour, le barème et la mention
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la mise à jour de la moyenne.', request, next);
+    }
+  }
+
+  /**
+   * @description Enregistre l'appréciation de l'enseignant pour la moyenne d'un élève, à la place de l'appréciation par défaut de la mention.
+   * Une appréciation nulle rétablit l'appréciation par défaut.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async updateAppreciation(request, response, next) {
+    try {
+      // Valide les données de la requête
+      this.validator.validate(request.body, this.validator.appreciationSchema);
+
+      const { eleveId, composId } = request.params;
+      const matriculEleve = eleveId;
+      const codeCompo = composId;
+
+      // L'appréciation figure sur le bulletin : elle ne peut plus être modifiée une fois la composition clôturée
+      await CompositionService.assertOuverte(codeCompo);
+
+      // Recherche la moyenne par sa clé primaire composite
+      const moyenne = await this.model.findOne({ where: { matriculEleve, codeCompo } });
+
+      // Si non trouvée, renvoie une erreur 404
+      if (!moyenne) {
+        return next(new ErrorResponse('Moyenne non trouvée.', 'NOT_FOUND', 404));
+      }
+
+      // Une chaîne vide équivaut à retirer l'appréciation personnalisée
+      await moyenne.update({ appreciation: request.body.appreciation || null });
+
+      // Log l'action
+      logger.info('Appréciation de la moyenne enregistrée avec succès.', { matriculEleve, codeCompo, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: await MentionService.annotate(moyenne, 'moyenne') });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de l\'enregistrement de l\'appréciation de la moyenne.', request, next);
+    }
+  }
+
+  /**
+   * @description Supprime une moyenne.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async deleteMoyenne(request, response, next) {
+    try {
+      // Utilise les noms de champs mis à jour pour la clé primaire composite
+      const { eleve, compos } = request.params; // eleve et compos viennent des paramètres d'URL
+      const matriculEleve = eleve;
+      const codeCompo = compos;
+
+      // Les moyennes d'une composition clôturée ne peuvent plus être modifiées
+      await CompositionService.assertOuverte(codeCompo);
+
+      // Supprime la moyenne en utilisant la clé primaire composite ; la MGA de l'année devient périmée et la classe est reclassée
+      const deletedRows = await db.sequelize.transaction(async (transaction) => {
+        const count = await this.model.destroy({ where: { matriculEleve, codeCompo }, transaction, individualHooks: true });
+        if (count > 0) {
+          await ResultatService.markPerimes([matriculEleve], codeCompo, { transaction });
+          await MoyenneService.recomputeRangsForEleve(matriculEleve, codeCompo, { transaction });
+        }
+        return count;
+      });
+
+      // Si aucune ligne n'a été supprimée, la moyenne n'a pas été trouvée
+      if (deletedRows === 0) {
+        return next(new ErrorResponse('Moyenne non trouvée pour la suppression.', 'NOT_FOUND', 404));
+      }
+
+      // Log l'action
+      logger.info('Moyenne supprimée avec succès.', { matriculEleve, codeCompo, userId: request.auth?.userId });
+
+      // Envoie une réponse vide pour indiquer la suppression réussie
+      response.status(200).json({ success: true, data: {} });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la suppression de la moyenne.', request, next);
+    }
+  }
+}
+
+export default MoyenneController;
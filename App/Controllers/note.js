@@ -1,251 +1,410 @@
-// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
-import { db } from '../Models/index.js';
-import Validator from '../Middlewares/Validator.js';
-// Importe l'instance unique du logger, comme suggéré précédemment
-import logger from '../Utils/Logger.js';
-import ErrorResponse from '../Utils/errorResponse.js';
-import APIFeatures from '../Utils/apiFeatures.js';
-
-class NoteController {
-  constructor() {
-    this.model = db.Note; // Accède au modèle via l'objet 'db'
-    this.validator = Validator;
-    // this.logger n'est plus nécessaire car nous importons l'instance unique 'logger' directement
-  }
-
-  /**
-   * Méthode générique pour gérer les erreurs de manière centralisée.
-   * Elle log l'erreur et la passe au prochain middleware de gestion d'erreurs.
-   * @param {Error} error - L'objet erreur capturé.
-   * @param {string} message - Un message descriptif de l'erreur pour le log et la réponse.
-   * @param {import('express').Request} request - L'objet requête Express pour accéder aux informations de l'utilisateur.
-   * @param {import('express').NextFunction} next - La fonction next d'Express pour passer l'erreur.
-   */
-  handleError(error, message, request, next) {
-    // Log l'erreur avec le message et des détails supplémentaires, y compris l'ID utilisateur si disponible.
-    logger.error(message, {
-      error: error.message,
-      stack: error.stack,
-      userId: request.auth?.userId, // Utilise l'opérateur de chaînage optionnel pour éviter les erreurs si request.auth est undefined
-      originalError: error instanceof ErrorResponse ? error.details : undefined // Ajoute les détails de l'ErrorResponse si c'est une instance
-    });
-
-    // Si l'erreur est déjà une instance de ErrorResponse, la passe directement au middleware suivant.
-    if (error instanceof ErrorResponse) {
-      return next(error);
-    }
-
-    // Pour toutes les autres erreurs, crée une nouvelle ErrorResponse générique et la passe.
-    next(new ErrorResponse(message, 'SERVER_ERROR', 500));
-  }
-
-  /**
-   * @description Crée une nouvelle note pour un élève, une évaluation et une composition donnée.
-   * @param {import('express').Request} request - Objet requête Express.
-   * @param {import('express').Response} response - Objet réponse Express.
-   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
-   */
-  async createNote(request, response, next) {
-    try {
-      // Valide les données de la requête
-      this.validator.validate(request.body, this.validator.noteCreateSchema);
-
-      // Utilise les noms de champs mis à jour pour le modèle Note
-      const { eleve, evaluation, compos, note } = request.body;
-      const matriculEleve = eleve;     // Mappe 'eleve' de la requête vers 'matriculEleve' du modèle
-      const codeEva = evaluation;     // Mappe 'evaluation' de la requête vers 'codeEva' du modèle
-      const codeCompo = compos;       // Mappe 'compos' de la requête vers 'codeCompo' du modèle
-
-      // Crée la nouvelle note dans la base de données
-      const newNote = await this.model.create({ matriculEleve, codeEva, codeCompo, note });
-
-      // Log l'action
-      logger.info('Note créée avec succès.', { matriculEleve, codeEva, codeCompo, userId: request.auth?.userId });
-
-      // Envoie la réponse
-      response.status(201).json({ success: true, data: newNote });
-    } catch (error) {
-      // Gère les erreurs
-      this.handleError(error, 'Erreur lors de la création de la note.', request, next);
-    }
-  }
-
-  /**
-   * @description Récupère les notes d'un élève spécifique.
-   * @param {import('express').Request} request - Objet requête Express.
-   * @param {import('express').Response} response - Objet réponse Express.
-   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
-   */
-  async getNotesByEleve(request, response, next) {
-    try {
-      const resPerPage = parseInt(process.env.RES_PER_PAGE, 10) || 10;
-      const matriculEleve = request.params.eleveId; // Utilise le paramètre d'URL pour le matricule de l'élève
-
-      // Filtre par le matricule de l'élève
-      const where = { matriculEleve };
-
-      // Compte le nombre total de notes pour cet élève
-      const noteCount = await this.model.count({ where });
-
-      // Applique les fonctionnalités d'API
-      const apiFeatures = new APIFeatures(this.model, request.query, { searchableFields: [] })
-        .filter()
-        .sort()
-        .limitFields()
-        .paginate(resPerPage);
-
-      // Fusionne le filtre spécifique à l'élève avec les filtres de l'APIFeatures
-      apiFeatures.query.where = { ...apiFeatures.query.where, ...where };
-
-      // Inclut les modèles associés pour enrichir la réponse, en utilisant les alias
-      apiFeatures.query.include = [
-        { model: db.Evaluation, as: 'evaluationType' }, // Utilise l'alias défini dans le modèle Note
-        { model: db.Composition, as: 'composition' },   // Utilise l'alias défini dans le modèle Note
-        { model: db.Eleve, as: 'eleveDetail' }          // Utilise l'alias défini dans le modèle Note
-      ];
-
-      // Exécute la requête et récupère les notes
-      const notes = await apiFeatures.execute();
-
-      // Log l'action
-      logger.info('Notes récupérées par élève avec succès.', { matriculEleve, userId: request.auth?.userId });
-
-      // Envoie la réponse
-      response.status(200).json({
-        success: true,
-        count: notes.length,
-        totalCount: noteCount,
-        resPerPage,
-        notes,
-      });
-    } catch (error) {
-      // Gère les erreurs
-      this.handleError(error, 'Erreur lors de la récupération des notes par élève.', request, next);
-    }
-  }
-
-  /**
-   * @description Récupère toutes les notes.
-   * @param {import('express').Request} request - Objet requête Express.
-   * @param {import('express').Response} response - Objet réponse Express.
-   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
-   */
-  async getAllNotes(request, response, next) {
-    try {
-      const resPerPage = parseInt(process.env.RES_PER_PAGE, 10) || 10;
-
-      // Compte le nombre total de notes
-      const noteCount = await this.model.count();
-
-      // Applique les fonctionnalités d'API
-      const apiFeatures = new APIFeatures(this.model, request.query, { searchableFields: [] })
-        .filter()
-        .sort()
-        .limitFields()
-        .paginate(resPerPage);
-
-      // Inclut les modèles associés pour enrichir la réponse, en utilisant les alias
-      apiFeatures.query.include = [
-        { model: db.Evaluation, as: 'evaluationType' },
-        { model: db.Composition, as: 'composition' },
-        { model: db.Eleve, as: 'eleveDetail' }
-      ];
-
-      // Exécute la requête et récupère les notes
-      const notes = await apiFeatures.execute();
-
-      // Log l'action
-      logger.info('Toutes les notes récupérées avec succès.', { userId: request.auth?.userId });
-
-      // Envoie la réponse
-      response.status(200).json({
-        success: true,
-        count: notes.length,
-        totalCount: noteCount,
-        resPerPage,
-        notes,
-      });
-    } catch (error) {
-      // Gère les erreurs
-      this.handleError(error, 'Erreur lors de la récupération de toutes les notes.', request, next);
-    }
-  }
-
-  /**
-   * @description Met à jour une note existante.
-   * La note est identifiée par sa clé primaire composite (eleveId, evaluationId, composId).
-   * @param {import('express').Request} request - Objet requête Express.
-   * @param {import('express').Response} response - Objet réponse Express.
-   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
-   */
-  async updateNote(request, response, next) {
-    try {
-      // Valide les données de la requête
-      this.validator.validate(request.body, this.validator.noteUpdateSchema);
-
-      // Récupère les composants de la clé primaire composite depuis les paramètres d'URL
-      const { eleveId, evaluationId, composId } = request.params;
-      const matriculEleve = eleveId;
-      const codeEva = evaluationId;
-      const codeCompo = composId;
-
-      const { note } = request.body;
-
-      // Met à jour la note en utilisant la clé primaire composite
-      const [updatedRows] = await this.model.update(
-        { note },
-        { where: { matriculEleve, codeEva, codeCompo } } // Utilise les noms de champs du modèle
-      );
-
-      // Si aucune ligne n'a été mise à jour, la note n'a pas été trouvée
-      if (updatedRows === 0) {
-        return next(new ErrorResponse('Note non trouvée pour la mise à jour.', 'NOT_FOUND', 404));
-      }
-
-      // Log l'action
-      logger.info('Note mise à jour avec succès.', { matriculEleve, codeEva, codeCompo, userId: request.auth?.userId });
-
-      // Envoie la réponse avec les identifiants de la note mise à jour
-      response.status(200).json({ success: true, data: { matriculEleve, codeEva, codeCompo, note } });
-    } catch (error) {
-      // Gère les erreurs
-      this.handleError(error, 'Erreur lors de la mise à jour de la note.', request, next);
-    }
-  }
-
-  /**
-   * @description Supprime une note.
-   * La note est identifiée par sa clé primaire composite (eleveId, evaluationId, composId).
-   * @param {import('express').Request} request - Objet requête Express.
-   * @param {import('express').Response} response - Objet réponse Express.
-   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
-   */
-  async deleteNote(request, response, next) {
-    try {
-      // Récupère les composants de la clé primaire composite depuis les paramètres d'URL
-      const { eleveId, evaluationId, composId } = request.params;
-      const matriculEleve = eleveId;
-      const codeEva = evaluationId;
-      const codeCompo = composId;
-
-      // Supprime la note en utilisant la clé primaire composite
-      const deletedRows = await this.model.destroy({ where: { matriculEleve, codeEva, codeCompo } });
-
-      // Si aucune ligne n'a été supprimée, la note n'a pas été trouvée
-      if (deletedRows === 0) {
-        return next(new ErrorResponse('Note non trouvée pour la suppression.', 'NOT_FOUND', 404));
-      }
-
-      // Log l'action
-      logger.info('Note supprimée avec succès.', { matriculEleve, codeEva, codeCompo, userId: request.auth?.userId });
-
-      // Envoie une réponse vide pour indiquer la suppression réussie
-      response.status(200).json({ success: true, data: {} });
-    } catch (error) {
-      // Gère les erreurs
-      this.handleError(error, 'Erreur lors de la suppression de la note.', request, next);
-    }
-  }
-}
-
-export default NoteController;
+// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
+import { db } from '../Models/index.js';
+import Validator from '../Middlewares/Validator.js';
+// Importe l'instance unique du logger, comme suggéré précédemment
+import logger from '../Utils/Logger.js';
+import ErrorResponse from '../Utils/errorResponse.js';
+import APIFeatures from '../Utils/apiFeatures.js';
+import BaremeService from '../Services/bareme.js';
+import MoyenneService from '../Services/moyenne.js';
+import NoteService from '../Services/note.js';
+import CompositionService from '../Services/composition.js';
+import ExportService from '../Services/export.js';
+import ImportService from '../Services/import.js';
+
+class NoteController {
+  constructor() {
+    this.model = db.Note; // Accède au modèle via l'objet 'db'
+    this.validator = Validator;
+    // this.logger n'est plus nécessaire car nous importons l'instance unique 'logger' directement
+  }
+
+  /**
+   * Méthode générique pour gérer les erreurs de manière centralisée.
+   * Elle log l'erreur et la passe au prochain middleware de gestion d'erreurs.
+   * @param {Error} error - L'objet erreur capturé.
+   * @param {string} message - Un message descriptif de l'erreur pour le log et la réponse.
+   * @param {import('express').Request} request - L'objet requête Express pour accéder aux informations de l'utilisateur.
+   * @param {import('express').NextFunction} next - La fonction next d'Express pour passer l'erreur.
+   */
+  handleError(error, message, request, next) {
+    // Log l'erreur avec le message et des détails supplémentaires, y compris l'ID utilisateur si disponible.
+    logger.error(message, {
+      error: error.message,
+      stack: error.stack,
+      userId: request.auth?.userId, // Utilise l'opérateur de chaînage optionnel pour éviter les erreurs si request.auth est undefined
+      originalError: error instanceof ErrorResponse ? error.details : undefined // Ajoute les détails de l'ErrorResponse si c'est une instance
+    });
+
+    // Si l'erreur est déjà une instance de ErrorResponse, la passe directement au middleware suivant.
+    if (error instanceof ErrorResponse) {
+      return next(error);
+    }
+
+    // Pour toutes les autres erreurs, crée une nouvelle ErrorResponse générique et la passe.
+    next(new ErrorResponse(message, 'SERVER_ERROR', 500));
+  }
+
+  /**
+   * @description Crée une nouvelle note pour un élève, une évaluation et une composition donnée.
+   * La moyenne de l'élève pour la composition est recalculée dans la même transaction.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async createNote(request, response, next) {
+    try {
+      // Valide les données de la requête
+      this.validator.validate(request.body, this.validator.noteCreateSchema);
+
+      // Utilise les noms de champs mis à jour pour le modèle Note
+      const { eleve, evaluation, compos, note, statut } = request.body;
+      const matriculEleve = eleve;     // Mappe 'eleve' de la requête vers 'matriculEleve' du modèle
+      const codeEva = evaluation;     // Mappe 'evaluation' de la requête vers 'codeEva' du modèle
+      const codeCompo = compos;       // Mappe 'compos' de la requête vers 'codeCompo' du modèle
+
+      // Les notes d'une composition clôturée ne peuvent plus être modifiées
+      await CompositionService.assertOuverte(codeCompo);
+
+      // La note d'un élève absent, excusé ou dispensé n'est pas conservée
+      const attributes = NoteService.normalize({ note, statut });
+
+      // Vérifie que la note respecte le barème de l'école de l'élève
+      const bareme = await BaremeService.getForEleve(matriculEleve);
+      BaremeService.assertInRange(attributes.note, bareme, 'note');
+
+      // Crée la nouvelle note dans la base de données et resynchronise la moyenne de l'élève
+      const [newNote, moyenne] = await db.sequelize.transaction(async (transaction) => {
+        const record = await this.model.create({ matriculEleve, codeEva, codeCompo, ...attributes }, { transaction });
+        return [record, await MoyenneService.syncAfterNoteChange(matriculEleve, codeCompo, { transaction })];
+      });
+
+      // Log l'action
+      logger.info('Note créée avec succès.', { matriculEleve, codeEva, codeCompo, userId: request.auth?.userId });
+
+      // Envoie la réponse, avec l'état de la moyenne après resynchronisation
+      response.status(201).json({ success: true, data: { ...newNote.toJSON(), bareme }, moyenne });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la création de la note.', request, next);
+    }
+  }
+
+  /**
+   * @description Enregistre une feuille de notes complète : une évaluation et une composition pour plusieurs élèves.
+   * Chaque ligne est validée avec le schéma de création d'une note et le tout est enregistré dans une seule transaction,
+   * en mode tout ou rien (`atomic`) ou avec succès partiel (`partial`). Les erreurs sont renvoyées par ligne, avec le matricule de l'élève.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async bulkCreateNotes(request, response, next) {
+    try {
+      // Valide l'enveloppe de la feuille de notes (les lignes sont validées une à une par le service)
+      const { error, value } = this.validator.noteBulkSchema.validate(request.body, { abortEarly: false });
+      if (error) {
+        return next(new ErrorResponse(error.details.map((detail) => detail.message).join(', '), 'VALIDATION_ERROR', 400, { details: error.details }));
+      }
+
+      const { codeEva, codeCompo, mode } = value;
+
+      // Vérifie l'existence de l'évaluation et de la composition
+      const evaluation = await db.Evaluation.findByPk(codeEva);
+      if (!evaluation) {
+        return next(new ErrorResponse('Évaluation non trouvée.', 'NOT_FOUND', 404));
+      }
+
+      const composition = await db.Composition.findByPk(codeCompo);
+      if (!composition) {
+        return next(new ErrorResponse('Composition non trouvée.', 'NOT_FOUND', 404));
+      }
+
+      // Les notes d'une composition clôturée ne peuvent plus être modifiées
+      await CompositionService.assertOuverte(composition);
+
+      // Un enseignant ne peut saisir que les notes des élèves de son école
+      const ecoleId = request.auth?.userRole === 'Teacher' ? request.auth.ecoleId : undefined;
+      const rapport = await NoteService.bulkSave(value, { ecoleId });
+
+      // Log l'action
+      logger.info('Feuille de notes enregistrée.', {
+        codeEva,
+        codeCompo,
+        mode,
+        savedCount: rapport.savedCount,
+        errorCount: rapport.errorCount,
+        userId: request.auth?.userId,
+      });
+
+      // Envoie la réponse (207 si certaines lignes n'ont pas été enregistrées en mode partiel)
+      response.status(rapport.errorCount > 0 ? 207 : 200).json({ success: rapport.savedCount > 0 || rapport.errorCount === 0, data: rapport });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de l\'enregistrement de la feuille de notes.', request, next);
+    }
+  }
+
+  /**
+   * @description Importe les notes d'une composition (paramètre de requête `composition`) à partir de la feuille d'un enseignant,
+   * au format CSV ou XLSX (champ `fichier`) : une ligne par élève (colonne Matricule) et une colonne par évaluation (code ou nom).
+   * Avec `dryRun=true`, renvoie le rapport sans rien enregistrer. Sinon, les notes sont créées ou remplacées en une seule transaction
+   * si aucune cellule n'est en erreur ; dans le cas contraire, rien n'est enregistré et le rapport est renvoyé en erreur.
+   * Réimporter la même feuille ne modifie aucune note.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async importNotes(request, response, next) {
+    try {
+      const codeCompo = request.query.composition;
+      const dryRun = request.query.dryRun === 'true';
+
+      if (!codeCompo || typeof codeCompo !== 'string') {
+        return next(new ErrorResponse('Le paramètre \'composition\' est requis.', 'VALIDATION_ERROR', 400));
+      }
+
+      // Les notes d'une composition clôturée ne peuvent plus être modifiées
+      await CompositionService.assertOuverte(codeCompo);
+
+      // Un enseignant ne peut importer que les notes des élèves de son école
+      const ecoleId = request.auth?.userRole === 'Teacher' ? request.auth.ecoleId : undefined;
+      const rapport = await db.sequelize.transaction((transaction) => ImportService.importNotes(request.file, codeCompo, { ecoleId, dryRun, transaction }));
+
+      if (!dryRun && rapport.erreurs > 0) {
+        return next(new ErrorResponse(
+          `Import refusé : ${rapport.erreurs} cellule(s) en erreur. Aucune note n'a été enregistrée.`,
+          'IMPORT_ERROR',
+          422,
+          { details: rapport }
+        ));
+      }
+
+      // Log l'action
+      logger.info(dryRun ? 'Simulation d\'import de notes effectuée.' : 'Notes importées avec succès.', {
+        codeCompo,
+        fichier: request.file.originalname,
+        enregistrees: rapport.enregistrees,
+        inchangees: rapport.inchangees,
+        erreurs: rapport.erreurs,
+        userId: request.auth?.userId,
+      });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: rapport });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de l\'import des notes.', request, next);
+    }
+  }
+
+  /**
+   * @description Récupère les notes d'un élève spécifique.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async getNotesByEleve(request, response, next) {
+    try {
+      const resPerPage = parseInt(process.env.RES_PER_PAGE, 10) || 10;
+      const matriculEleve = request.params.eleveId; // Utilise le paramètre d'URL pour le matricule de l'élève
+
+      // Filtre par le matricule de l'élève
+      const where = { matriculEleve };
+
+      // Compte le nombre total de notes pour cet élève
+      const noteCount = await this.model.count({ where });
+
+      // Applique les fonctionnalités d'API
+      const apiFeatures = new APIFeatures(this.model, request.query, { searchableFields: [] })
+        .filter()
+        .sort()
+        .limitFields()
+        .paginate(resPerPage);
+
+      // Fusionne le filtre spécifique à l'élève avec les filtres de l'APIFeatures
+      apiFeatures.query.where = { ...apiFeatures.query.where, ...where };
+
+      // Inclut les modèles associés pour enrichir la réponse, en utilisant les alias
+      apiFeatures.query.include = [
+        { model: db.Evaluation, as: 'evaluationType' }, // Utilise l'alias défini dans le modèle Note
+        { model: db.Composition, as: 'composition' },   // Utilise l'alias défini dans le modèle Note
+        { model: db.Eleve, as: 'eleveDetail' }          // Utilise l'alias défini dans le modèle Note
+      ];
+
+      // Exécute la requête et récupère les notes
+      const notes = await apiFeatures.execute();
+
+      // Log l'action
+      logger.info('Notes récupérées par élève avec succès.', { matriculEleve, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({
+        success: true,
+        count: notes.length,
+        totalCount: noteCount,
+        resPerPage,
+        notes: await BaremeService.annotate(notes), // Ajoute le barème applicable à chaque note
+      });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la récupération des notes par élève.', request, next);
+    }
+  }
+
+  /**
+   * @description Récupère toutes les notes.
+   * Avec `format=csv` ou `format=xlsx`, exporte toutes les notes filtrées en tableur (nom de l'élève, matière et évaluation en clair).
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async getAllNotes(request, response, next) {
+    try {
+      const resPerPage = parseInt(process.env.RES_PER_PAGE, 10) || 10;
+      const format = ExportService.getFormat(request.query.format);
+
+      // Applique les fonctionnalités d'API
+      const apiFeatures = new APIFeatures(this.model, request.query, { searchableFields: [] })
+        .filter()
+        .sort();
+
+      // Export CSV ou XLSX : toutes les notes filtrées, sans pagination
+      if (ExportService.isExportFormat(format)) {
+        // Un enseignant n'exporte que les élèves de son école (aucun s'il n'est rattaché à aucune école)
+        const ecoleId = request.auth?.userRole === 'Teacher' ? request.auth.ecoleId ?? null : undefined;
+        const count = await ExportService.send(response, apiFeatures, 'notes', { format, filename: 'notes', ecoleId });
+        logger.info('Notes exportées avec succès.', { format, count, userId: request.auth?.userId });
+        return;
+      }
+
+      apiFeatures.limitFields().paginate(resPerPage);
+
+      // Compte le nombre total de notes
+      const noteCount = await this.model.count();
+
+      // Inclut les modèles associés pour enrichir la réponse, en utilisant les alias
+      apiFeatures.query.include = [
+        { model: db.Evaluation, as: 'evaluationType' },
+        { model: db.Composition, as: 'composition' },
+        { model: db.Eleve, as: 'eleveDetail' }
+      ];
+
+      // Exécute la requête et récupère les notes
+      const notes = await apiFeatures.execute();
+
+      // Log l'action
+      logger.info('Toutes les notes récupérées avec succès.', { userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({
+        success: true,
+        count: notes.length,
+        totalCount: noteCount,
+        resPerPage,
+        notes: await BaremeService.annotate(notes), // Ajoute le barème applicable à chaque note
+      });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la récupération de toutes les notes.', request, next);
+    }
+  }
+
+  /**
+   * @description Met à jour une note existante.
+   * La note est identifiée par sa clé primaire composite (eleveId, evaluationId, composId).
+   * La moyenne de l'élève pour la composition est recalculée dans la même transaction.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async updateNote(request, response, next) {
+    try {
+      // Valide les données de la requête
+      this.validator.validate(request.body, this.validator.noteUpdateSchema);
+
+      // Récupère les composants de la clé primaire composite depuis les paramètres d'URL
+      const { eleveId, evaluationId, composId } = request.params;
+      const matriculEleve = eleveId;
+      const codeEva = evaluationId;
+      const codeCompo = composId;
+
+      // Les notes d'une composition clôturée ne peuvent plus être modifiées
+      await CompositionService.assertOuverte(codeCompo);
+
+      const { note, statut } = request.body;
+      const attributes = NoteService.normalize({ note, statut });
+
+      // Vérifie que la note respecte le barème de l'école de l'élève
+      const bareme = await BaremeService.getForEleve(matriculEleve);
+      BaremeService.assertInRange(attributes.note, bareme, 'note');
+
+      // Met à jour la note retrouvée par sa clé primaire composite (via l'instance, pour que la modification soit historisée),
+      // puis resynchronise la moyenne de l'élève
+      const [record, moyenne] = await db.sequelize.transaction(async (transaction) => {
+        const existing = await this.model.findOne({ where: { matriculEleve, codeEva, codeCompo }, transaction });
+        if (!existing) {
+          return [null, null];
+        }
+        await existing.update(attributes, { transaction });
+        return [existing, await MoyenneService.syncAfterNoteChange(matriculEleve, codeCompo, { transaction })];
+      });
+
+      // Si aucune note ne correspond à la clé, la note n'a pas été trouvée
+      if (!record) {
+        return next(new ErrorResponse('Note non trouvée pour la mise à jour.', 'NOT_FOUND', 404));
+      }
+
+      // Log l'action
+      logger.info('Note mise à jour avec succès.', { matriculEleve, codeEva, codeCompo, userId: request.auth?.userId });
+
+      // Envoie la réponse avec les identifiants de la note mise à jour et l'état de la moyenne
+      response.status(200).json({ success: true, data: { matriculEleve, codeEva, codeCompo, ...attributes, bareme }, moyenne });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la mise à jour de la note.', request, next);
+    }
+  }
+
+  /**
+   * @description Supprime une note.
+   * La note est identifiée par sa clé primaire composite (eleveId, evaluationId, composId).
+   * La moyenne de l'élève est recalculée à partir des notes restantes, ou marquée comme périmée s'il n'en reste aucune.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async deleteNote(request, response, next) {
+    try {
+      // Récupère les composants de la clé primaire composite depuis les paramètres d'URL
+      const { eleveId, evaluationId, composId } = request.params;
+      const matriculEleve = eleveId;
+      const codeEva = evaluationId;
+      const codeCompo = composId;
+
+      // Les notes d'une composition clôturée ne peuvent plus être modifiées
+      await CompositionService.assertOuverte(codeCompo);
+
+      // Supprime la note en utilisant la clé primaire composite, puis resynchronise la moyenne de l'élève
+      const [deletedRows, moyenne] = await db.sequelize.transaction(async (transaction) => {
+        const count = await this.model.destroy({ where: { matriculEleve, codeEva, codeCompo }, transaction, individualHooks: true });
+        return [count, count > 0 ? await MoyenneService.syncAfterNoteChange(matriculEleve, codeCompo, { transaction }) : null];
+      });
+
+      // Si aucune ligne n'a été supprimée, la note n'a pas été trouvée
+      if (deletedRows === 0) {
+        return next(new ErrorResponse('Note non trouvée pour la suppression.', 'NOT_FOUND', 404));
+      }
+
+      // Log l'action
+      logger.info('Note supprimée avec succès.', { matriculEleve, codeEva, codeCompo, userId: request.auth?.userId });
+
+      // Envoie une réponse vide pour indiquer la suppression réussie, avec l'état de la moyenne
+      response.status(200).json({ success: true, data: {}, moyenne });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la suppression de la note.', request, next);
+    }
+  }
+}
+
+export default NoteController;
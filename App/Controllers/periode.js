@@ -0,0 +1,398 @@
+import { Op } from 'sequelize';
+// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
+import { db } from '../Models/index.js';
+import Validator from '../Middlewares/Validator.js';
+// Importe l'instance unique du logger
+import logger from '../Utils/Logger.js';
+import ErrorResponse from '../Utils/errorResponse.js';
+import APIFeatures from '../Utils/apiFeatures.js';
+import ResultatService from '../Services/resultat.js';
+import BaremeService from '../Services/bareme.js';
+import MentionService from '../Services/mention.js';
+
+class PeriodeController {
+  constructor() {
+    this.model = db.Periode; // Accède au modèle via l'objet 'db'
+    this.validator = Validator;
+  }
+
+  /**
+   * Méthode générique pour gérer les erreurs de manière centralisée.
+   * Elle log l'erreur et la passe au prochain middleware de gestion d'erreurs.
+   * @param {Error} error - L'objet erreur capturé.
+   * @param {string} message - Un message descriptif de l'erreur pour le log et la réponse.
+   * @param {import('express').Request} request - L'objet requête Express pour accéder aux informations de l'utilisateur.
+   * @param {import('express').NextFunction} next - La fonction next d'Express pour passer l'erreur.
+   */
+  handleError(error, message, request, next) {
+    // Log l'erreur avec le message et des détails supplémentaires, y compris l'ID utilisateur si disponible.
+    logger.error(message, {
+      error: error.message,
+      stack: error.stack,
+      userId: request.auth?.userId, // Utilise l'opérateur de chaînage optionnel pour éviter les erreurs si request.auth est undefined
+      originalError: error instanceof ErrorResponse ? error.details : undefined // Ajoute les détails de l'ErrorResponse si c'est une instance
+    });
+
+    // Si l'erreur est déjà une instance de ErrorResponse, la passe directement au middleware suivant.
+    if (error instanceof ErrorResponse) {
+      return next(error);
+    }
+
+    // Pour toutes les autres erreurs, crée une nouvelle ErrorResponse générique et la passe.
+    next(new ErrorResponse(message, 'SERVER_ERROR', 500));
+  }
+
+  /**
+   * Vérifie les dates d'une période : la date de début précède la date de fin et la période ne chevauche
+   * aucune autre période de la même année scolaire.
+   * @param {Object} periode - Les attributs `anneeCode`, `dateDebut` et `dateFin` de la période.
+   * @param {string} [codePeriode] - Le code de la période modifiée, exclue de la recherche de chevauchement.
+   * @returns {Promise<void>}
+   * @throws {ErrorResponse} Si les dates sont incohérentes (400) ou chevauchent une autre période (409).
+   */
+  async assertDates({ anneeCode, dateDebut, dateFin }, codePeriode) {
+    if (new Date(dateDebut) > new Date(dateFin)) {
+      throw new ErrorResponse('La date de début doit précéder la date de fin de la période.', 'VALIDATION_ERROR', 400, { details: { dateDebut, dateFin } });
+    }
+
+    const where = { anneeCode, dateDebut: { [Op.lte]: dateFin }, dateFin: { [Op.gte]: dateDebut } };
+    if (codePeriode) {
+      where.codePeriode = { [Op.ne]: codePeriode };
+    }
+
+    const chevauchement = await this.model.findOne({ where });
+    if (chevauchement) {
+      throw new ErrorResponse(
+        `La période chevauche la période ${chevauchement.codePeriode} (${chevauchement.dateDebut} - ${chevauchement.dateFin}).`,
+        'CONFLICT',
+        409,
+        { details: { codePeriode: chevauchement.codePeriode, dateDebut: chevauchement.dateDebut, dateFin: chevauchement.dateFin } }
+      );
+    }
+  }
+
+  /**
+   * @description Crée une nouvelle période (trimestre, semestre) dans une année scolaire.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async createPeriode(request, response, next) {
+    try {
+      // Valide les données de la requête
+      this.validator.validate(request.body, this.validator.periodeCreateSchema);
+
+      const { codePeriode, libelle, anneeCode, dateDebut, dateFin, poids } = request.body;
+
+      // Vérifie l'existence de l'année scolaire
+      const annee = await db.AnneeScolaire.findByPk(anneeCode);
+      if (!annee) {
+        return next(new ErrorResponse('Année scolaire non trouvée.', 'NOT_FOUND', 404));
+      }
+
+      // Vérifie l'unicité du code
+      const existing = await this.model.findByPk(codePeriode);
+      if (existing) {
+        return next(new ErrorResponse('Une période avec ce code existe déjà.', 'CONFLICT', 409));
+      }
+
+      await this.assertDates({ anneeCode, dateDebut, dateFin });
+
+      // Crée la nouvelle période ; la MGA de l'année peut passer au calcul par périodes, ses résultats sont donc à recalculer
+      const periode = await db.sequelize.transaction(async (transaction) => {
+        const created = await this.model.create({ codePeriode, libelle, anneeCode, dateDebut, dateFin, poids }, { transaction });
+        await ResultatService.markPerimesAnnee(anneeCode, { transaction });
+        return created;
+      });
+
+      // Log l'action
+      logger.info('Période créée avec succès.', { codePeriode, anneeCode, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(201).json({ success: true, data: periode });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la création de la période.', request, next);
+    }
+  }
+
+  /**
+   * @description Récupère toutes les périodes.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async getAll(request, response, next) {
+    try {
+      const resPerPage = parseInt(process.env.RES_PER_PAGE, 10) || 10;
+
+      // Compte le nombre total de périodes
+      const periodeCount = await this.model.count();
+
+      // Applique les fonctionnalités d'API (recherche, filtre, tri, etc.)
+      const apiFeatures = new APIFeatures(this.model, request.query, { searchableFields: ['codePeriode', 'libelle'] })
+        .search()
+        .filter()
+        .sort()
+        .limitFields()
+        .paginate(resPerPage);
+
+      // Exécute la requête et récupère les périodes
+      const periodes = await apiFeatures.execute();
+
+      // Log l'action
+      logger.info('Périodes récupérées avec succès.', { userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({
+        success: true,
+        count: periodes.length,
+        totalCount: periodeCount,
+        resPerPage,
+        periodes,
+      });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la récupération des périodes.', request, next);
+    }
+  }
+
+  /**
+   * @description Récupère une période par son code, avec ses compositions.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async getPeriode(request, response, next) {
+    try {
+      // Recherche la période par sa clé primaire (code)
+      const periode = await this.model.findByPk(request.params.id, {
+        include: [{ model: db.Composition, as: 'compositions', attributes: ['codeCompo', 'libelle', 'typeCompo', 'dateCompo', 'statut'] }],
+        order: [[{ model: db.Composition, as: 'compositions' }, 'dateCompo', 'ASC']],
+      });
+
+      // Si non trouvée, renvoie une erreur 404
+      if (!periode) {
+        return next(new ErrorResponse('Période non trouvée.', 'NOT_FOUND', 404));
+      }
+
+      // Log l'action
+      logger.info('Période récupérée par code avec succès.', { codePeriode: request.params.id, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: periode });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la récupération de la période par code.', request, next);
+    }
+  }
+
+  /**
+   * @description Met à jour une période existante. Les nouvelles dates doivent encore contenir les compositions de la période.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async updatePeriode(request, response, next) {
+    try {
+      // Valide les données de la requête
+      this.validator.validate(request.body, this.validator.periodeUpdateSchema);
+
+      // Recherche la période à mettre à jour
+      const periode = await this.model.findByPk(request.params.id);
+
+      // Si non trouvée, renvoie une erreur 404
+      if (!periode) {
+        return next(new ErrorResponse('Période non trouvée pour la mise à jour.', 'NOT_FOUND', 404));
+      }
+
+      const { libelle, dateDebut, dateFin, poids } = request.body;
+
+      if (dateDebut !== undefined || dateFin !== undefined) {
+        const dates = { anneeCode: periode.anneeCode, dateDebut: dateDebut ?? periode.dateDebut, dateFin: dateFin ?? periode.dateFin };
+        await this.assertDates(dates, periode.codePeriode);
+
+        // Les compositions déjà rattachées doivent rester dans la période
+        const compositions = await db.Composition.findAll({ where: { codePeriode: periode.codePeriode }, attributes: ['codeCompo', 'dateCompo'] });
+        const debut = new Date(dates.dateDebut).toISOString().slice(0, 10);
+        const fin = new Date(dates.dateFin).toISOString().slice(0, 10);
+        const horsPeriode = compositions.filter(({ dateCompo }) => {
+          const jour = new Date(dateCompo).toISOString().slice(0, 10);
+          return jour < debut || jour > fin;
+        });
+        if (horsPeriode.length > 0) {
+          return next(new ErrorResponse(
+            'Les nouvelles dates excluent des compositions rattachées à la période.',
+            'CONFLICT',
+            409,
+            { details: { compositions: horsPeriode.map(({ codeCompo, dateCompo }) => ({ codeCompo, dateCompo })) } }
+          ));
+        }
+      }
+
+      // Met à jour la période ; un changement de poids rend les MGA de l'année à recalculer
+      await db.sequelize.transaction(async (transaction) => {
+        const poidsModifie = poids !== undefined && poids !== periode.poids;
+        await periode.update({ libelle, dateDebut, dateFin, poids }, { transaction });
+
+        if (poidsModifie) {
+          await ResultatService.markPerimesAnnee(periode.anneeCode, { transaction });
+        }
+      });
+
+      // Log l'action
+      logger.info('Période mise à jour avec succès.', { codePeriode: request.params.id, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: periode });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la mise à jour de la période.', request, next);
+    }
+  }
+
+  /**
+   * @description Supprime une période. Refusée tant que des compositions y sont rattachées.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async deletePeriode(request, response, next) {
+    try {
+      // Recherche la période à supprimer
+      const periode = await this.model.findByPk(request.params.id);
+
+      // Si non trouvée, renvoie une erreur 404
+      if (!periode) {
+        return next(new ErrorResponse('Période non trouvée pour la suppression.', 'NOT_FOUND', 404));
+      }
+
+      // Les compositions rattachées doivent d'abord être réaffectées
+      const compositionsCount = await db.Composition.count({ where: { codePeriode: periode.codePeriode } });
+      if (compositionsCount > 0) {
+        return next(new ErrorResponse(
+          'Impossible de supprimer une période à laquelle des compositions sont rattachées.',
+          'CONFLICT',
+          409,
+          { details: { codePeriode: periode.codePeriode, compositionsCount } }
+        ));
+      }
+
+      // Supprime la période et ses moyennes ; sans elle, la MGA de l'année peut revenir au calcul par compositions
+      await db.sequelize.transaction(async (transaction) => {
+        await db.MoyennePeriode.destroy({ where: { codePeriode: periode.codePeriode }, transaction });
+        await periode.destroy({ transaction });
+        await ResultatService.markPerimesAnnee(periode.anneeCode, { transaction });
+      });
+
+      // Log l'action
+      logger.info('Période supprimée avec succès.', { codePeriode: request.params.id, userId: request.auth?.userId });
+
+      // Envoie une réponse vide pour indiquer la suppression réussie
+      response.status(200).json({ success: true, data: {} });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la suppression de la période.', request, next);
+    }
+  }
+
+  /**
+   * @description Calcule et enregistre les moyennes d'une période pour tous les élèves d'une classe, à partir de
+   * leurs moyennes de composition. Un enseignant ne peut calculer que les moyennes des classes de son école.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async calculateMoyennesByClasse(request, response, next) {
+    try {
+      const { id: codePeriode, classeId } = request.params;
+
+      // Vérifie l'existence de la période
+      const periode = await this.model.findByPk(codePeriode);
+      if (!periode) {
+        return next(new ErrorResponse('Période non trouvée.', 'NOT_FOUND', 404));
+      }
+
+      // Vérifie l'existence de la classe
+      const classe = await db.Classe.findByPk(classeId);
+      if (!classe) {
+        return next(new ErrorResponse('Classe non trouvée.', 'NOT_FOUND', 404));
+      }
+
+      // Un enseignant ne peut calculer que les moyennes des classes de son école
+      if (request.auth?.userRole === 'Teacher' && classe.ecoleId !== request.auth.ecoleId) {
+        return next(new ErrorResponse('Vous n\'êtes pas autorisé à calculer les moyennes de cette classe.', 'FORBIDDEN', 403));
+      }
+
+      const rapport = await ResultatService.computeMoyennesPeriodeForClasse(periode, classeId);
+
+      // Log l'action
+      logger.info('Moyennes de période calculées avec succès.', { codePeriode, classeId, calculatedCount: rapport.calculatedCount, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: rapport });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors du calcul des moyennes de période.', request, next);
+    }
+  }
+
+  /**
+   * @description Récupère les moyennes d'une période pour les élèves d'une classe, avec leur mention et leur appréciation.
+   * Un enseignant ne peut consulter que les classes de son école.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async getMoyennesByClasse(request, response, next) {
+    try {
+      const { id: codePeriode, classeId } = request.params;
+
+      // Vérifie l'existence de la période
+      const periode = await this.model.findByPk(codePeriode);
+      if (!periode) {
+        return next(new ErrorResponse('Période non trouvée.', 'NOT_FOUND', 404));
+      }
+
+      // Vérifie l'existence de la classe
+      const classe = await db.Classe.findByPk(classeId);
+      if (!classe) {
+        return next(new ErrorResponse('Classe non trouvée.', 'NOT_FOUND', 404));
+      }
+
+      // Un enseignant ne peut consulter que les moyennes des classes de son école
+      if (request.auth?.userRole === 'Teacher' && classe.ecoleId !== request.auth.ecoleId) {
+        return next(new ErrorResponse('Vous n\'êtes pas autorisé à consulter les moyennes de cette classe.', 'FORBIDDEN', 403));
+      }
+
+      const moyennes = await db.MoyennePeriode.findAll({
+        where: { codePeriode },
+        include: [{
+          model: db.Eleve,
+          as: 'eleveDetail',
+          where: { classeId },
+          attributes: ['matricul', 'lastname', 'firstname'],
+        }],
+        order: [['moyenne', 'DESC'], ['moyenneBrute', 'DESC'], [{ model: db.Eleve, as: 'eleveDetail' }, 'lastname', 'ASC']], // À moyenne arrondie égale, la valeur exacte départage
+      });
+
+      // Log l'action
+      logger.info('Moyennes de période récupérées avec succès.', { codePeriode, classeId, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({
+        success: true,
+        codePeriode,
+        classeId,
+        perime: moyennes.some((moyenne) => moyenne.perimee), // Au moins une moyenne est à recalculer
+        count: moyennes.length,
+        moyennes: await MentionService.annotate(await BaremeService.annotate(moyennes), 'moyenne'), // Ajoute le barème, la mention et l'appréciation
+      });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la récupération des moyennes de période.', request, next);
+    }
+  }
+}
+
+export default PeriodeController;
@@ -0,0 +1,186 @@
+// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
+import { db } from '../Models/index.js';
+import Validator from '../Middlewares/Validator.js';
+// Importe l'instance unique du logger
+import logger from '../Utils/Logger.js';
+import ErrorResponse from '../Utils/errorResponse.js';
+import RattrapageService from '../Services/rattrapage.js';
+
+class RattrapageController {
+  constructor() {
+    this.model = db.Rattrapage; // Accède au modèle via l'objet 'db'
+    this.validator = Validator;
+  }
+
+  /**
+   * Méthode générique pour gérer les erreurs de manière centralisée.
+   * Elle log l'erreur et la passe au prochain middleware de gestion d'erreurs.
+   * @param {Error} error - L'objet erreur capturé.
+   * @param {string} message - Un message descriptif de l'erreur pour le log et la réponse.
+   * @param {import('express').Request} request - L'objet requête Express pour accéder aux informations de l'utilisateur.
+   * @param {import('express').NextFunction} next - La fonction next d'Express pour passer l'erreur.
+   */
+  handleError(error, message, request, next) {
+    // Log l'erreur avec le message et des détails supplémentaires, y compris l'ID utilisateur si disponible.
+    logger.error(message, {
+      error: error.message,
+      stack: error.stack,
+      userId: request.auth?.userId, // Utilise l'opérateur de chaînage optionnel pour éviter les erreurs si request.auth est undefined
+      originalError: error instanceof ErrorResponse ? error.details : undefined // Ajoute les détails de l'ErrorResponse si c'est une instance
+    });
+
+    // Si l'erreur est déjà une instance de ErrorResponse, la passe directement au middleware suivant.
+    if (error instanceof ErrorResponse) {
+      return next(error);
+    }
+
+    // Pour toutes les autres erreurs, crée une nouvelle ErrorResponse générique et la passe.
+    next(new ErrorResponse(message, 'SERVER_ERROR', 500));
+  }
+
+  /**
+   * @description Inscrit au rattrapage les élèves d'une classe refusés, ou dont la MGA est inférieure au seuil de réussite
+   * d'au plus la marge de rattrapage de l'école. La MGA et la décision de chaque résultat sont conservées comme situation initiale.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async inscrireForClasse(request, response, next) {
+    try {
+      const { classeId, anneeId } = request.params;
+      const anneeCode = anneeId;
+
+      const rapport = await RattrapageService.inscrireForClasse(classeId, anneeCode);
+
+      // Log l'action
+      logger.info('Élèves inscrits au rattrapage avec succès.', { classeId, anneeCode, inscritsCount: rapport.inscritsCount, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: rapport });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de l\'inscription des élèves au rattrapage.', request, next);
+    }
+  }
+
+  /**
+   * @description Récupère les rattrapages des élèves d'une classe pour une année scolaire, avec les décisions initiale et finale.
+   * Un enseignant ne peut consulter que les classes de son école.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async getRattrapagesByClasse(request, response, next) {
+    try {
+      const { classeId, anneeId } = request.params;
+      const anneeCode = anneeId;
+
+      // Un enseignant ne peut consulter que les classes de son école
+      const ecoleId = request.auth?.userRole === 'Teacher' ? request.auth.ecoleId : undefined;
+      await RattrapageService.getClasse(classeId, { ecoleId });
+
+      const rattrapages = await this.model.findAll({
+        where: { anneeCode },
+        include: [{
+          model: db.Eleve,
+          as: 'eleveDetail',
+          where: { classeId },
+          attributes: ['matricul', 'lastname', 'firstname'],
+        }],
+        order: [[{ model: db.Eleve, as: 'eleveDetail' }, 'lastname', 'ASC'], [{ model: db.Eleve, as: 'eleveDetail' }, 'firstname', 'ASC']],
+      });
+
+      // Log l'action
+      logger.info('Rattrapages de la classe récupérés avec succès.', { classeId, anneeCode, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, classeId, anneeCode, count: rattrapages.length, rattrapages });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la récupération des rattrapages de la classe.', request, next);
+    }
+  }
+
+  /**
+   * @description Enregistre les notes de rattrapage d'un élève et calcule sa moyenne de rattrapage, pondérée par les coefficients
+   * des matières. Une décision déjà prise après rattrapage est invalidée. Un enseignant ne peut saisir que les notes des élèves de son école.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async updateNotes(request, response, next) {
+    try {
+      // Valide les données de la requête
+      this.validator.validate(request.body, this.validator.rattrapageNotesSchema);
+
+      const { eleveId, anneeId } = request.params;
+      const matriculEleve = eleveId;
+      const anneeCode = anneeId;
+
+      const ecoleId = request.auth?.userRole === 'Teacher' ? request.auth.ecoleId : undefined;
+      const rattrapage = await RattrapageService.saveNotes(matriculEleve, anneeCode, request.body.notes, { ecoleId });
+
+      // Log l'action
+      logger.info('Notes de rattrapage enregistrées avec succès.', { matriculEleve, anneeCode, moyenne: rattrapage.moyenne, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: rattrapage });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de l\'enregistrement des notes de rattrapage.', request, next);
+    }
+  }
+
+  /**
+   * @description Prend la décision finale des élèves d'une classe inscrits au rattrapage : la MGA retenue est déterminée par la
+   * règle de rattrapage de l'école, puis les règles de décision lui sont appliquées. La décision finale est reportée sur le
+   * résultat annuel ; la décision initiale reste conservée dans le rattrapage.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async decideForClasse(request, response, next) {
+    try {
+      const { classeId, anneeId } = request.params;
+      const anneeCode = anneeId;
+
+      const rapport = await RattrapageService.decideForClasse(classeId, anneeCode);
+
+      // Log l'action
+      logger.info('Décisions de rattrapage prises avec succès.', { classeId, anneeCode, decidedCount: rapport.decidedCount, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: rapport });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la décision de rattrapage.', request, next);
+    }
+  }
+
+  /**
+   * @description Désinscrit un élève du rattrapage. Si la décision finale avait été reportée sur son résultat, la décision initiale est rétablie.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async deleteRattrapage(request, response, next) {
+    try {
+      const { eleveId, anneeId } = request.params;
+      const matriculEleve = eleveId;
+      const anneeCode = anneeId;
+
+      await RattrapageService.desinscrire(matriculEleve, anneeCode);
+
+      // Log l'action
+      logger.info('Élève désinscrit du rattrapage avec succès.', { matriculEleve, anneeCode, userId: request.auth?.userId });
+
+      // Envoie une réponse vide pour indiquer la suppression réussie
+      response.status(200).json({ success: true, data: {} });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la désinscription du rattrapage.', request, next);
+    }
+  }
+}
+
+export default RattrapageController;
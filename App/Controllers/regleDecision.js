@@ -0,0 +1,240 @@
+// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
+import { db } from '../Models/index.js';
+import Validator from '../Middlewares/Validator.js';
+// Importe l'instance unique du logger
+import logger from '../Utils/Logger.js';
+import ErrorResponse from '../Utils/errorResponse.js';
+import APIFeatures from '../Utils/apiFeatures.js';
+
+class RegleDecisionController {
+  constructor() {
+    this.model = db.RegleDecision; // Accède au modèle via l'objet 'db'
+    this.validator = Validator;
+  }
+
+  /**
+   * Méthode générique pour gérer les erreurs de manière centralisée.
+   * Elle log l'erreur et la passe au prochain middleware de gestion d'erreurs.
+   * @param {Error} error - L'objet erreur capturé.
+   * @param {string} message - Un message descriptif de l'erreur pour le log et la réponse.
+   * @param {import('express').Request} request - L'objet requête Express pour accéder aux informations de l'utilisateur.
+   * @param {import('express').NextFunction} next - La fonction next d'Express pour passer l'erreur.
+   */
+  handleError(error, message, request, next) {
+    // Log l'erreur avec le message et des détails supplémentaires, y compris l'ID utilisateur si disponible.
+    logger.error(message, {
+      error: error.message,
+      stack: error.stack,
+      userId: request.auth?.userId, // Utilise l'opérateur de chaînage optionnel pour éviter les erreurs si request.auth est undefined
+      originalError: error instanceof ErrorResponse ? error.details : undefined // Ajoute les détails de l'ErrorResponse si c'est une instance
+    });
+
+    // Si l'erreur est déjà une instance de ErrorResponse, la passe directement au middleware suivant.
+    if (error instanceof ErrorResponse) {
+      return next(error);
+    }
+
+    // Pour toutes les autres erreurs, crée une nouvelle ErrorResponse générique et la passe.
+    next(new ErrorResponse(message, 'SERVER_ERROR', 500));
+  }
+
+  /**
+   * Vérifie la cohérence des bornes d'une règle (minimum strictement inférieur au maximum).
+   * @param {Object} regle - Les attributs de la règle.
+   * @throws {ErrorResponse} Si une borne minimale n'est pas inférieure à la borne maximale correspondante.
+   */
+  assertBornes({ mgaMin, mgaMax, redoublementsMin, redoublementsMax }) {
+    const isSet = (value) => value !== null && value !== undefined;
+
+    if (isSet(mgaMin) && isSet(mgaMax) && mgaMin >= mgaMax) {
+      throw new ErrorResponse('La MGA minimale doit être inférieure à la MGA maximale.', 'VALIDATION_ERROR', 400, { details: { mgaMin, mgaMax } });
+    }
+    if (isSet(redoublementsMin) && isSet(redoublementsMax) && redoublementsMin > redoublementsMax) {
+      throw new ErrorResponse('Le nombre minimal de redoublements doit être inférieur ou égal au nombre maximal.', 'VALIDATION_ERROR', 400, { details: { redoublementsMin, redoublementsMax } });
+    }
+  }
+
+  /**
+   * @description Crée une nouvelle règle de décision pour une école.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async createRegle(request, response, next) {
+    try {
+      // Valide les données de la requête
+      this.validator.validate(request.body, this.validator.regleDecisionCreateSchema);
+      this.assertBornes(request.body);
+
+      const { ecoleId, niveau, libelle, decision, mgaMin, mgaMax, redoublementsMin, redoublementsMax, priorite, actif } = request.body;
+
+      // Vérifie l'existence de l'école
+      const ecole = await db.Ecole.findByPk(ecoleId);
+      if (!ecole) {
+        return next(new ErrorResponse('École non trouvée.', 'NOT_FOUND', 404));
+      }
+
+      // Crée la nouvelle règle dans la base de données
+      const regle = await this.model.create({ ecoleId, niveau, libelle, decision, mgaMin, mgaMax, redoublementsMin, redoublementsMax, priorite, actif });
+
+      // Log l'action
+      logger.info('Règle de décision créée avec succès.', { regleId: regle.regleId, ecoleId, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(201).json({ success: true, data: regle });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la création de la règle de décision.', request, next);
+    }
+  }
+
+  /**
+   * @description Récupère toutes les règles de décision. Un enseignant ne voit que les règles de son école.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async getAll(request, response, next) {
+    try {
+      const resPerPage = parseInt(process.env.RES_PER_PAGE, 10) || 10;
+
+      // Si l'utilisateur est un enseignant, filtre les règles par son école
+      const where = request.auth?.userRole === 'Teacher' ? { ecoleId: request.auth.ecoleId } : {};
+
+      // Compte le nombre total de règles avec le filtre 'where' appliqué
+      const regleCount = await this.model.count({ where });
+
+      // Applique les fonctionnalités d'API (recherche, filtre, tri, etc.)
+      const apiFeatures = new APIFeatures(this.model, request.query, { searchableFields: ['libelle'] })
+        .search()
+        .filter()
+        .sort()
+        .limitFields()
+        .paginate(resPerPage);
+
+      // Fusionne le filtre spécifique à l'école avec les filtres de l'APIFeatures
+      apiFeatures.query.where = { ...apiFeatures.query.where, ...where };
+
+      // Exécute la requête et récupère les règles
+      const regles = await apiFeatures.execute();
+
+      // Log l'action
+      logger.info('Règles de décision récupérées avec succès.', { userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({
+        success: true,
+        count: regles.length,
+        totalCount: regleCount,
+        resPerPage,
+        regles,
+      });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la récupération des règles de décision.', request, next);
+    }
+  }
+
+  /**
+   * @description Récupère une règle de décision par son ID.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async getRegle(request, response, next) {
+    try {
+      // Recherche la règle par sa clé primaire (ID)
+      const regle = await this.model.findByPk(request.params.id);
+
+      // Si non trouvée, renvoie une erreur 404
+      if (!regle) {
+        return next(new ErrorResponse('Règle de décision non trouvée.', 'NOT_FOUND', 404));
+      }
+
+      // Un enseignant ne peut consulter que les règles de son école
+      if (request.auth?.userRole === 'Teacher' && regle.ecoleId !== request.auth.ecoleId) {
+        return next(new ErrorResponse('Vous n\'êtes pas autorisé à consulter cette règle de décision.', 'FORBIDDEN', 403));
+      }
+
+      // Log l'action
+      logger.info('Règle de décision récupérée par ID avec succès.', { regleId: request.params.id, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: regle });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la récupération de la règle de décision par ID.', request, next);
+    }
+  }
+
+  /**
+   * @description Met à jour une règle de décision existante.
+   * Les décisions déjà appliquées ne sont pas modifiées tant que les règles ne sont pas réappliquées à la classe.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async updateRegle(request, response, next) {
+    try {
+      // Valide les données de la requête
+      this.validator.validate(request.body, this.validator.regleDecisionUpdateSchema);
+
+      // Recherche la règle à mettre à jour
+      const regle = await this.model.findByPk(request.params.id);
+
+      // Si non trouvée, renvoie une erreur 404
+      if (!regle) {
+        return next(new ErrorResponse('Règle de décision non trouvée pour la mise à jour.', 'NOT_FOUND', 404));
+      }
+
+      const { niveau, libelle, decision, mgaMin, mgaMax, redoublementsMin, redoublementsMax, priorite, actif } = request.body;
+
+      // Vérifie la cohérence des bornes après fusion avec les valeurs existantes
+      this.assertBornes({ ...regle.toJSON(), ...request.body });
+
+      // Met à jour la règle
+      await regle.update({ niveau, libelle, decision, mgaMin, mgaMax, redoublementsMin, redoublementsMax, priorite, actif });
+
+      // Log l'action
+      logger.info('Règle de décision mise à jour avec succès.', { regleId: request.params.id, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: regle });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la mise à jour de la règle de décision.', request, next);
+    }
+  }
+
+  /**
+   * @description Supprime une règle de décision. Les résultats qu'elle a produits conservent leur décision.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async deleteRegle(request, response, next) {
+    try {
+      // Recherche la règle à supprimer
+      const regle = await this.model.findByPk(request.params.id);
+
+      // Si non trouvée, renvoie une erreur 404
+      if (!regle) {
+        return next(new ErrorResponse('Règle de décision non trouvée pour la suppression.', 'NOT_FOUND', 404));
+      }
+
+      // Supprime la règle
+      await regle.destroy();
+
+      // Log l'action
+      logger.info('Règle de décision supprimée avec succès.', { regleId: request.params.id, userId: request.auth?.userId });
+
+      // Envoie une réponse vide pour indiquer la suppression réussie
+      response.status(200).json({ success: true, data: {} });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la suppression de la règle de décision.', request, next);
+    }
+  }
+}
+
+export default RegleDecisionController;
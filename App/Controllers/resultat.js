@@ -1,307 +1,683 @@
-// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
-import { db } from '../Models/index.js';
-import Validator from '../Middlewares/Validator.js';
-// Importe l'instance unique du logger, comme suggéré précédemment
-import logger from '../Utils/Logger.js';
-import ErrorResponse from '../Utils/errorResponse.js';
-import APIFeatures from '../Utils/apiFeatures.js';
-
-class ResultatController {
-  constructor() {
-    this.model = db.Resultat; // Accède au modèle via l'objet 'db'
-    this.validator = Validator;
-    // this.logger n'est plus nécessaire car nous importons l'instance unique 'logger' directement
-  }
-
-  /**
-   * Méthode générique pour gérer les erreurs de manière centralisée.
-   * Elle log l'erreur et la passe au prochain middleware de gestion d'erreurs.
-   * @param {Error} error - L'objet erreur capturé.
-   * @param {string} message - Un message descriptif de l'erreur pour le log et la réponse.
-   * @param {import('express').Request} request - L'objet requête Express pour accéder aux informations de l'utilisateur.
-   * @param {import('express').NextFunction} next - La fonction next d'Express pour passer l'erreur.
-   */
-  handleError(error, message, request, next) {
-    // Log l'erreur avec le message et des détails supplémentaires, y compris l'ID utilisateur si disponible.
-    logger.error(message, {
-      error: error.message,
-      stack: error.stack,
-      userId: request.auth?.userId, // Utilise l'opérateur de chaînage optionnel pour éviter les erreurs si request.auth est undefined
-      originalError: error instanceof ErrorResponse ? error.details : undefined // Ajoute les détails de l'ErrorResponse si c'est une instance
-    });
-
-    // Si l'erreur est déjà une instance de ErrorResponse, la passe directement au middleware suivant.
-    if (error instanceof ErrorResponse) {
-      return next(error);
-    }
-
-    // Pour toutes les autres erreurs, crée une nouvelle ErrorResponse générique et la passe.
-    next(new ErrorResponse(message, 'SERVER_ERROR', 500));
-  }
-
-  /**
-   * @description Crée un nouveau résultat ou met à jour un résultat existant pour un élève et une année scolaire donnée.
-   * @param {import('express').Request} request - Objet requête Express.
-   * @param {import('express').Response} response - Objet réponse Express.
-   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
-   */
-  async createResultat(request, response, next) {
-    try {
-      // Valide les données de la requête
-      this.validator.validate(request.body, this.validator.resultatCreateSchema);
-
-      // Utilise les noms de champs mis à jour pour le modèle Resultat
-      const { eleve, annee, decision, rang, mga } = request.body;
-      const matriculEleve = eleve;   // Mappe 'eleve' de la requête vers 'matriculEleve' du modèle
-      const anneeCode = annee;     // Mappe 'annee' de la requête vers 'anneeCode' du modèle
-
-      // Cherche ou crée l'enregistrement de résultat. Si existant, le met à jour.
-      const [resultat, created] = await this.model.findOrCreate({
-        where: { matriculEleve, anneeCode }, // Utilise les noms de champs du modèle pour la clé primaire composite
-        defaults: { decision, rang, mga },
-      });
-
-      if (!created) {
-        // Met à jour le résultat si l'enregistrement existait déjà
-        await resultat.update({ decision, rang, mga });
-      }
-
-      // Log l'action
-      logger.info('Résultat créé ou mis à jour avec succès.', { matriculEleve, anneeCode, userId: request.auth?.userId });
-
-      // Envoie la réponse
-      response.status(created ? 201 : 200).json({ success: true, data: resultat });
-    } catch (error) {
-      // Gère les erreurs
-      this.handleError(error, 'Erreur lors de la création ou de la mise à jour du résultat.', request, next);
-    }
-  }
-
-  /**
-   * @description Récupère tous les résultats.
-   * @param {import('express').Request} request - Objet requête Express.
-   * @param {import('express').Response} response - Objet réponse Express.
-   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
-   */
-  async getAllResultats(request, response, next) {
-    try {
-      const resPerPage = parseInt(process.env.RES_PER_PAGE, 10) || 10;
-
-      // Compte le nombre total de résultats
-      const resultatCount = await this.model.count();
-
-      // Applique les fonctionnalités d'API
-      const apiFeatures = new APIFeatures(this.model, request.query, { searchableFields: [] })
-        .filter()
-        .sort()
-        .limitFields()
-        .paginate(resPerPage);
-
-      // Inclut les modèles associés pour enrichir la réponse, en utilisant les alias
-      apiFeatures.query.include = [
-        { model: db.AnneeScolaire, as: 'anneeScolaire' }, // Utilise l'alias défini dans le modèle Resultat
-        { model: db.Eleve, as: 'eleveDetail' }           // Inclut les détails de l'élève
-      ];
-
-      // Exécute la requête et récupère les résultats
-      const resultats = await apiFeatures.execute();
-
-      // Log l'action
-      logger.info('Tous les résultats récupérés avec succès.', { userId: request.auth?.userId });
-
-      // Envoie la réponse
-      response.status(200).json({
-        success: true,
-        count: resultats.length,
-        totalCount: resultatCount,
-        resPerPage,
-        resultats,
-      });
-    } catch (error) {
-      // Gère les erreurs
-      this.handleError(error, 'Erreur lors de la récupération de tous les résultats.', request, next);
-    }
-  }
-
-  /**
-   * @description Récupère les résultats d'un élève spécifique.
-   * @param {import('express').Request} request - Objet requête Express.
-   * @param {import('express').Response} response - Objet réponse Express.
-   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
-   */
-  async getResultatsByEleve(request, response, next) {
-    try {
-      const resPerPage = parseInt(process.env.RES_PER_PAGE, 10) || 10;
-      const matriculEleve = request.params.eleveId; // Utilise le paramètre d'URL pour le matricule de l'élève
-
-      // Filtre par le matricule de l'élève
-      const where = { matriculEleve };
-
-      // Compte le nombre total de résultats pour cet élève
-      const resultatCount = await this.model.count({ where });
-
-      // Applique les fonctionnalités d'API
-      const apiFeatures = new APIFeatures(this.model, request.query, { searchableFields: [] })
-        .filter()
-        .sort()
-        .limitFields()
-        .paginate(resPerPage);
-
-      // Fusionne le filtre spécifique à l'élève avec les filtres de l'APIFeatures
-      apiFeatures.query.where = { ...apiFeatures.query.where, ...where };
-
-      // Inclut les modèles associés pour enrichir la réponse, en utilisant les alias
-      apiFeatures.query.include = [
-        { model: db.AnneeScolaire, as: 'anneeScolaire' },
-        { model: db.Eleve, as: 'eleveDetail' }
-      ];
-
-      // Exécute la requête et récupère les résultats
-      const resultats = await apiFeatures.execute();
-
-      // Log l'action
-      logger.info('Résultats récupérés par élève avec succès.', { matriculEleve, userId: request.auth?.userId });
-
-      // Envoie la réponse
-      response.status(200).json({
-        success: true,
-        count: resultats.length,
-        totalCount: resultatCount,
-        resPerPage,
-        resultats,
-      });
-    } catch (error) {
-      // Gère les erreurs
-      this.handleError(error, 'Erreur lors de la récupération des résultats par élève.', request, next);
-    }
-  }
-
-  /**
-   * @description Récupère les résultats pour une année scolaire spécifique.
-   * @param {import('express').Request} request - Objet requête Express.
-   * @param {import('express').Response} response - Objet réponse Express.
-   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
-   */
-  async getResultatsByAnnee(request, response, next) {
-    try {
-      const resPerPage = parseInt(process.env.RES_PER_PAGE, 10) || 10;
-      const anneeCode = request.params.anneeId; // Utilise le paramètre d'URL pour le code de l'année
-
-      // Filtre par le code de l'année
-      const where = { anneeCode };
-
-      // Compte le nombre total de résultats pour cette année
-      const resultatCount = await this.model.count({ where });
-
-      // Applique les fonctionnalités d'API
-      const apiFeatures = new APIFeatures(this.model, request.query, { searchableFields: [] })
-        .filter()
-        .sort()
-        .limitFields()
-        .paginate(resPerPage);
-
-      // Fusionne le filtre spécifique à l'année avec les filtres de l'APIFeatures
-      apiFeatures.query.where = { ...apiFeatures.query.where, ...where };
-
-      // Inclut les modèles associés pour enrichir la réponse, en utilisant les alias
-      apiFeatures.query.include = [
-        { model: db.AnneeScolaire, as: 'anneeScolaire' },
-        { model: db.Eleve, as: 'eleveDetail' }
-      ];
-
-      // Exécute la requête et récupère les résultats
-      const resultats = await apiFeatures.execute();
-
-      // Log l'action
-      logger.info('Résultats récupérés par année avec succès.', { anneeCode, userId: request.auth?.userId });
-
-      // Envoie la réponse
-      response.status(200).json({
-        success: true,
-        count: resultats.length,
-        totalCount: resultatCount,
-        resPerPage,
-        resultats,
-      });
-    } catch (error) {
-      // Gère les erreurs
-      this.handleError(error, 'Erreur lors de la récupération des résultats par année.', request, next);
-    }
-  }
-
-  /**
-   * @description Met à jour un résultat existant.
-   * Le résultat est identifié par sa clé primaire composite (eleveId, anneeId).
-   * @param {import('express').Request} request - Objet requête Express.
-   * @param {import('express').Response} response - Objet réponse Express.
-   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
-   */
-  async updateResultat(request, response, next) {
-    try {
-      // Valide les données de la requête
-      this.validator.validate(request.body, this.validator.resultatUpdateSchema);
-
-      // Récupère les composants de la clé primaire composite depuis les paramètres d'URL
-      const { eleveId, anneeId } = request.params;
-      const matriculEleve = eleveId;
-      const anneeCode = anneeId;
-
-      // Recherche le résultat par sa clé primaire composite
-      const resultat = await this.model.findOne({ where: { matriculEleve, anneeCode } });
-
-      // Si non trouvé, renvoie une erreur 404
-      if (!resultat) {
-        return next(new ErrorResponse('Résultat non trouvé pour la mise à jour.', 'NOT_FOUND', 404));
-      }
-
-      const { decision, rang, mga } = request.body;
-
-      // Met à jour le résultat
-      await resultat.update({ decision, rang, mga });
-
-      // Log l'action
-      logger.info('Résultat mis à jour avec succès.', { matriculEleve, anneeCode, userId: request.auth?.userId });
-
-      // Envoie la réponse
-      response.status(200).json({ success: true, data: resultat });
-    } catch (error) {
-      // Gère les erreurs
-      this.handleError(error, 'Erreur lors de la mise à jour du résultat.', request, next);
-    }
-  }
-
-  /**
-   * @description Supprime un résultat.
-   * Le résultat est identifié par sa clé primaire composite (eleveId, anneeId).
-   * @param {import('express').Request} request - Objet requête Express.
-   * @param {import('express').Response} response - Objet réponse Express.
-   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
-   */
-  async deleteResultat(request, response, next) {
-    try {
-      // Récupère les composants de la clé primaire composite depuis les paramètres d'URL
-      const { eleveId, anneeId } = request.params;
-      const matriculEleve = eleveId;
-      const anneeCode = anneeId;
-
-      // Supprime le résultat en utilisant la clé primaire composite
-      const deletedRows = await this.model.destroy({ where: { matriculEleve, anneeCode } });
-
-      // Si aucune ligne n'a été supprimée, le résultat n'a pas été trouvé
-      if (deletedRows === 0) {
-        return next(new ErrorResponse('Résultat non trouvé pour la suppression.', 'NOT_FOUND', 404));
-      }
-
-      // Log l'action
-      logger.info('Résultat supprimé avec succès.', { matriculEleve, anneeCode, userId: request.auth?.userId });
-
-      // Envoie une réponse vide pour indiquer la suppression réussie
-      response.status(200).json({ success: true, data: {} });
-    } catch (error) {
-      // Gère les erreurs
-      this.handleError(error, 'Erreur lors de la suppression du résultat.', request, next);
-    }
-  }
-}
-
-export default ResultatController;
+// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
+import { db } from '../Models/index.js';
+import Validator from '../Middlewares/Validator.js';
+// Importe l'instance unique du logger, comme suggéré précédemment
+import logger from '../Utils/Logger.js';
+import ErrorResponse from '../Utils/errorResponse.js';
+import APIFeatures from '../Utils/apiFeatures.js';
+import ResultatService from '../Services/resultat.js';
+import BaremeService from '../Services/bareme.js';
+import ArrondiService from '../Services/arrondi.js';
+import Rounding from '../Utils/rounding.js';
+import MentionService from '../Services/mention.js';
+import DecisionService from '../Services/decision.js';
+import ExportService from '../Services/export.js';
+
+class ResultatController {
+  constructor() {
+    this.model = db.Resultat; // Accède au modèle via l'objet 'db'
+    this.validator = Validator;
+    // this.logger n'est plus nécessaire car nous importons l'instance unique 'logger' directement
+  }
+
+  /**
+   * Méthode générique pour gérer les erreurs de manière centralisée.
+   * Elle log l'erreur et la passe au prochain middleware de gestion d'erreurs.
+   * @param {Error} error - L'objet erreur capturé.
+   * @param {string} message - Un message descriptif de l'erreur pour le log et la réponse.
+   * @param {import('express').Request} request - L'objet requête Express pour accéder aux informations de l'utilisateur.
+   * @param {import('express').NextFunction} next - La fonction next d'Express pour passer l'erreur.
+   */
+  handleError(error, message, request, next) {
+    // Log l'erreur avec le message et des détails supplémentaires, y compris l'ID utilisateur si disponible.
+    logger.error(message, {
+      error: error.message,
+      stack: error.stack,
+      userId: request.auth?.userId, // Utilise l'opérateur de chaînage optionnel pour éviter les erreurs si request.auth est undefined
+      originalError: error instanceof ErrorResponse ? error.details : undefined // Ajoute les détails de l'ErrorResponse si c'est une instance
+    });
+
+    // Si l'erreur est déjà une instance de ErrorResponse, la passe directement au middleware suivant.
+    if (error instanceof ErrorResponse) {
+      return next(error);
+    }
+
+    // Pour toutes les autres erreurs, crée une nouvelle ErrorResponse générique et la passe.
+    next(new ErrorResponse(message, 'SERVER_ERROR', 500));
+  }
+
+  /**
+   * @description Crée un nouveau résultat ou met à jour un résultat existant pour un élève et une année scolaire donnée.
+   * Les rangs de la classe de l'élève sont ensuite recalculés à partir de la MGA.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async createResultat(request, response, next) {
+    try {
+      // Valide les données de la requête
+      this.validator.validate(request.body, this.validator.resultatCreateSchema);
+
+      // Utilise les noms de champs mis à jour pour le modèle Resultat
+      const { eleve, annee, decision, mga } = request.body;
+      const matriculEleve = eleve;   // Mappe 'eleve' de la requête vers 'matriculEleve' du modèle
+      const anneeCode = annee;     // Mappe 'annee' de la requête vers 'anneeCode' du modèle
+
+      // Vérifie que la MGA respecte le barème de l'école de l'élève
+      const bareme = await BaremeService.getForEleve(matriculEleve);
+      BaremeService.assertInRange(mga, bareme, 'MGA');
+
+      // La MGA saisie est arrondie selon la politique de l'école ; la valeur saisie est conservée pour le classement
+      const arrondi = await ArrondiService.getForEleve(matriculEleve);
+
+      // Une décision saisie directement n'est issue d'aucune règle
+      const attributes = { decision, mga: Rounding.apply(mga, arrondi), mgaBrute: mga, origineDecision: 'Manuelle', regleId: null, motifDecision: null, perimee: false, calculeLe: new Date() };
+
+      const [resultat, created] = await db.sequelize.transaction(async (transaction) => {
+        // Cherche ou crée l'enregistrement de résultat. Si existant, le met à jour.
+        const [record, isNew] = await this.model.findOrCreate({
+          where: { matriculEleve, anneeCode }, // Utilise les noms de champs du modèle pour la clé primaire composite
+          defaults: attributes,
+          transaction,
+        });
+
+        if (!isNew) {
+          // Met à jour le résultat si l'enregistrement existait déjà
+          await record.update(attributes, { transaction });
+        }
+
+        // La MGA a changé : recalcule les rangs de la classe
+        await ResultatService.recomputeRangsForEleve(matriculEleve, anneeCode, { transaction });
+        await record.reload({ transaction });
+
+        return [record, isNew];
+      });
+
+      // Log l'action
+      logger.info('Résultat créé ou mis à jour avec succès.', { matriculEleve, anneeCode, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(created ? 201 : 200).json({ success: true, data: { ...resultat.toJSON(), bareme } });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la création ou de la mise à jour du résultat.', request, next);
+    }
+  }
+
+  /**
+   * @description Récupère tous les résultats.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async getAllResultats(request, response, next) {
+    try {
+      const resPerPage = parseInt(process.env.RES_PER_PAGE, 10) || 10;
+
+      // Compte le nombre total de résultats
+      const resultatCount = await this.model.count();
+
+      // Applique les fonctionnalités d'API
+      const apiFeatures = new APIFeatures(this.model, request.query, { searchableFields: [] })
+        .filter()
+        .sort()
+        .limitFields()
+        .paginate(resPerPage);
+
+      // Inclut les modèles associés pour enrichir la réponse, en utilisant les alias
+      apiFeatures.query.include = [
+        { model: db.AnneeScolaire, as: 'anneeScolaire' }, // Utilise l'alias défini dans le modèle Resultat
+        { model: db.Eleve, as: 'eleveDetail' }           // Inclut les détails de l'élève
+      ];
+
+      // Exécute la requête et récupère les résultats
+      const resultats = await apiFeatures.execute();
+
+      // Log l'action
+      logger.info('Tous les résultats récupérés avec succès.', { userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({
+        success: true,
+        count: resultats.length,
+        totalCount: resultatCount,
+        resPerPage,
+        resultats: await MentionService.annotate(await BaremeService.annotate(resultats), 'mga'), // Ajoute le barème, la mention et l'appréciation de chaque résultat
+      });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la récupération de tous les résultats.', request, next);
+    }
+  }
+
+  /**
+   * @description Récupère les résultats d'un élève spécifique.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async getResultatsByEleve(request, response, next) {
+    try {
+      const resPerPage = parseInt(process.env.RES_PER_PAGE, 10) || 10;
+      const matriculEleve = request.params.eleveId; // Utilise le paramètre d'URL pour le matricule de l'élève
+
+      // Filtre par le matricule de l'élève
+      const where = { matriculEleve };
+
+      // Compte le nombre total de résultats pour cet élève
+      const resultatCount = await this.model.count({ where });
+
+      // Applique les fonctionnalités d'API
+      const apiFeatures = new APIFeatures(this.model, request.query, { searchableFields: [] })
+        .filter()
+        .sort()
+        .limitFields()
+        .paginate(resPerPage);
+
+      // Fusionne le filtre spécifique à l'élève avec les filtres de l'APIFeatures
+      apiFeatures.query.where = { ...apiFeatures.query.where, ...where };
+
+      // Inclut les modèles associés pour enrichir la réponse, en utilisant les alias
+      apiFeatures.query.include = [
+        { model: db.AnneeScolaire, as: 'anneeScolaire' },
+        { model: db.Eleve, as: 'eleveDetail' }
+      ];
+
+      // Exécute la requête et récupère les résultats
+      const resultats = await apiFeatures.execute();
+
+      // Log l'action
+      logger.info('Résultats récupérés par élève avec succès.', { matriculEleve, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({
+        success: true,
+        count: resultats.length,
+        totalCount: resultatCount,
+        resPerPage,
+        resultats: await MentionService.annotate(await BaremeService.annotate(resultats), 'mga'), // Ajoute le barème, la mention et l'appréciation de chaque résultat
+      });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la récupération des résultats par élève.', request, next);
+    }
+  }
+
+  /**
+   * @description Récupère les résultats pour une année scolaire spécifique.
+   * Avec `format=csv` ou `format=xlsx`, exporte tous les résultats filtrés de l'année en tableur.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async getResultatsByAnnee(request, response, next) {
+    try {
+      const resPerPage = parseInt(process.env.RES_PER_PAGE, 10) || 10;
+      const anneeCode = request.params.anneeId; // Utilise le paramètre d'URL pour le code de l'année
+      const format = ExportService.getFormat(request.query.format);
+
+      // Filtre par le code de l'année
+      const where = { anneeCode };
+
+      // Applique les fonctionnalités d'API
+      const apiFeatures = new APIFeatures(this.model, request.query, { searchableFields: [] })
+        .filter()
+        .sort();
+
+      // Fusionne le filtre spécifique à l'année avec les filtres de l'APIFeatures
+      apiFeatures.query.where = { ...apiFeatures.query.where, ...where };
+
+      // Export CSV ou XLSX : tous les résultats filtrés, sans pagination
+      if (ExportService.isExportFormat(format)) {
+        // Un enseignant n'exporte que les élèves de son école (aucun s'il n'est rattaché à aucune école)
+        const ecoleId = request.auth?.userRole === 'Teacher' ? request.auth.ecoleId ?? null : undefined;
+        const count = await ExportService.send(response, apiFeatures, 'resultats', { format, filename: `resultats-${anneeCode}`, ecoleId });
+        logger.info('Résultats exportés avec succès.', { anneeCode, format, count, userId: request.auth?.userId });
+        return;
+      }
+
+      apiFeatures.limitFields().paginate(resPerPage);
+
+      // Compte le nombre total de résultats pour cette année
+      const resultatCount = await this.model.count({ where });
+
+      // Inclut les modèles associés pour enrichir la réponse, en utilisant les alias
+      apiFeatures.query.include = [
+        { model: db.AnneeScolaire, as: 'anneeScolaire' },
+        { model: db.Eleve, as: 'eleveDetail' }
+      ];
+
+      // Exécute la requête et récupère les résultats
+      const resultats = await apiFeatures.execute();
+
+      // Log l'action
+      logger.info('Résultats récupérés par année avec succès.', { anneeCode, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({
+        success: true,
+        count: resultats.length,
+        totalCount: resultatCount,
+        resPerPage,
+        resultats: await MentionService.annotate(await BaremeService.annotate(resultats), 'mga'), // Ajoute le barème, la mention et l'appréciation de chaque résultat
+      });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la récupération des résultats par année.', request, next);
+    }
+  }
+
+  /**
+   * @description Affiche le détail du calcul de la MGA d'un élève pour une année scolaire, sans l'enregistrer.
+   * Si l'année est découpée en périodes, le détail est donné par période (`modeCalcul: 'Periodes'`).
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async previewMgaForEleve(request, response, next) {
+    try {
+      const { eleveId, anneeId } = request.params;
+      const matriculEleve = eleveId;
+      const anneeCode = anneeId;
+
+      // Vérifie l'existence de l'élève
+      const eleve = await db.Eleve.findByPk(matriculEleve);
+      if (!eleve) {
+        return next(new ErrorResponse('Élève non trouvé.', 'NOT_FOUND', 404));
+      }
+
+      const calcul = await ResultatService.buildMgaForEleve(matriculEleve, anneeCode);
+
+      // Log l'action
+      logger.info('Détail de la MGA récupéré avec succès.', { matriculEleve, anneeCode, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: { matriculEleve, anneeCode, ...calcul } });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors du calcul du détail de la MGA.', request, next);
+    }
+  }
+
+  /**
+   * @description Simule, sans rien enregistrer, la moyenne minimale qu'un élève doit obtenir dans les compositions restantes
+   * de l'année pour atteindre le seuil de réussite et chaque mention de son école (ou la seule mention du paramètre `mention`).
+   * La simulation utilise la même pondération que le calcul de la MGA.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async simulateForEleve(request, response, next) {
+    try {
+      const { eleveId, anneeId } = request.params;
+      const matriculEleve = eleveId;
+      const anneeCode = anneeId;
+      const { mention } = request.query;
+
+      // Vérifie l'existence de l'élève
+      const eleve = await db.Eleve.findByPk(matriculEleve);
+      if (!eleve) {
+        return next(new ErrorResponse('Élève non trouvé.', 'NOT_FOUND', 404));
+      }
+
+      const simulation = await ResultatService.simulateForEleve(matriculEleve, anneeCode, { mention });
+
+      // Log l'action
+      logger.info('Simulation de la moyenne requise effectuée avec succès.', { matriculEleve, anneeCode, mention, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: simulation });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la simulation de la moyenne requise.', request, next);
+    }
+  }
+
+  /**
+   * @description Calcule la MGA d'un élève à partir des moyennes de période (ou, à défaut de périodes, des moyennes
+   * de composition) de l'année et l'enregistre dans son résultat, avec ses moyennes de période.
+   * Renvoie le résultat enregistré et le détail du calcul.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async calculateMgaForEleve(request, response, next) {
+    try {
+      const { eleveId, anneeId } = request.params;
+      const matriculEleve = eleveId;
+      const anneeCode = anneeId;
+
+      // Vérifie l'existence de l'élève
+      const eleve = await db.Eleve.findByPk(matriculEleve);
+      if (!eleve) {
+        return next(new ErrorResponse('Élève non trouvé.', 'NOT_FOUND', 404));
+      }
+
+      const { resultat, created, calcul } = await ResultatService.computeMgaForEleve(matriculEleve, anneeCode);
+      const { bareme } = calcul;
+
+      // Sans aucune moyenne de composition, la MGA ne peut pas être calculée
+      if (!resultat) {
+        return next(new ErrorResponse('Aucune moyenne de composition trouvée pour calculer la MGA.', 'NO_MOYENNES', 404));
+      }
+
+      // Log l'action
+      logger.info('MGA calculée et enregistrée avec succès.', { matriculEleve, anneeCode, mga: calcul.mga, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(created ? 201 : 200).json({ success: true, data: { ...resultat.toJSON(), bareme }, calcul });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors du calcul de la MGA.', request, next);
+    }
+  }
+
+  /**
+   * @description Calcule et enregistre en une seule transaction la MGA de tous les élèves d'une classe, puis recalcule les rangs.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async calculateMgaForClasse(request, response, next) {
+    try {
+      const { classeId, anneeId } = request.params;
+      const anneeCode = anneeId;
+
+      // Vérifie l'existence de la classe
+      const classe = await db.Classe.findByPk(classeId);
+      if (!classe) {
+        return next(new ErrorResponse('Classe non trouvée.', 'NOT_FOUND', 404));
+      }
+
+      const rapport = await ResultatService.computeMgaForClasse(classeId, anneeCode);
+
+      // Log l'action
+      logger.info('MGA de la classe calculées et enregistrées avec succès.', { classeId, anneeCode, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: rapport });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors du calcul des MGA de la classe.', request, next);
+    }
+  }
+
+  /**
+   * @description Récupère le classement d'une classe pour une année scolaire, avec les informations d'ex aequo.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async getClassement(request, response, next) {
+    try {
+      const { classeId, anneeId } = request.params;
+      const anneeCode = anneeId;
+
+      // Vérifie l'existence de la classe
+      const classe = await db.Classe.findByPk(classeId);
+      if (!classe) {
+        return next(new ErrorResponse('Classe non trouvée.', 'NOT_FOUND', 404));
+      }
+
+      // Un enseignant ne peut consulter que le classement des classes de son école
+      if (request.auth?.userRole === 'Teacher' && classe.ecoleId !== request.auth.ecoleId) {
+        return next(new ErrorResponse('Vous n\'êtes pas autorisé à consulter le classement de cette classe.', 'FORBIDDEN', 403));
+      }
+
+      const classement = await ResultatService.getClassement(classeId, anneeCode);
+      const bareme = await BaremeService.getForClasse(classeId);
+
+      // Log l'action
+      logger.info('Classement de la classe récupéré avec succès.', { classeId, anneeCode, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({
+        success: true,
+        classeId,
+        anneeCode,
+        bareme,
+        perime: classement.some((entry) => entry.perimee), // Le classement repose sur au moins une MGA à recalculer
+        count: classement.length,
+        classement: await MentionService.annotate(classement, 'mga'), // Ajoute la mention et l'appréciation de chaque élève
+      });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la récupération du classement.', request, next);
+    }
+  }
+
+  /**
+   * @description Applique les règles de décision de l'école aux résultats de tous les élèves d'une classe pour une année scolaire.
+   * Chaque résultat enregistre la règle qui a produit sa décision. Les dérogations du conseil de classe et les décisions
+   * prises après rattrapage sont conservées, sauf si `force` est transmis.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async applyDecisionsForClasse(request, response, next) {
+    try {
+      // Valide les données de la requête
+      this.validator.validate(request.body, this.validator.decisionApplySchema);
+
+      const { classeId, anneeId } = request.params;
+      const anneeCode = anneeId;
+      const { force = false } = request.body;
+
+      // Vérifie l'existence de la classe
+      const classe = await db.Classe.findByPk(classeId);
+      if (!classe) {
+        return next(new ErrorResponse('Classe non trouvée.', 'NOT_FOUND', 404));
+      }
+
+      const rapport = await DecisionService.applyForClasse(classeId, anneeCode, { force });
+
+      // Log l'action
+      logger.info('Règles de décision appliquées à la classe avec succès.', {
+        classeId,
+        anneeCode,
+        force,
+        appliedCount: rapport.appliedCount,
+        userId: request.auth?.userId,
+      });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: rapport });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de l\'application des règles de décision.', request, next);
+    }
+  }
+
+  /**
+   * @description Enregistre la décision du conseil de classe pour un élève, en dérogation à la règle appliquée.
+   * Le motif est obligatoire ; la règle qui avait produit la décision initiale reste référencée.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async overrideDecision(request, response, next) {
+    try {
+      // Valide les données de la requête
+      this.validator.validate(request.body, this.validator.resultatDecisionSchema);
+
+      const { eleveId, anneeId } = request.params;
+      const matriculEleve = eleveId;
+      const anneeCode = anneeId;
+
+      // Recherche le résultat par sa clé primaire composite
+      const resultat = await this.model.findOne({ where: { matriculEleve, anneeCode } });
+
+      // Si non trouvé, renvoie une erreur 404
+      if (!resultat) {
+        return next(new ErrorResponse('Résultat non trouvé.', 'NOT_FOUND', 404));
+      }
+
+      const { decision, motif } = request.body;
+      const decisionInitiale = resultat.decision;
+
+      // Met à jour la décision en conservant la trace de la dérogation
+      await resultat.update({ decision, origineDecision: 'Conseil', motifDecision: motif });
+
+      // Log l'action
+      logger.info('Décision du conseil de classe enregistrée avec succès.', {
+        matriculEleve,
+        anneeCode,
+        decisionInitiale,
+        decision,
+        motif,
+        userId: request.auth?.userId,
+      });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: resultat });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de l\'enregistrement de la décision du conseil de classe.', request, next);
+    }
+  }
+
+  /**
+   * @description Enregistre l'appréciation de l'enseignant pour le résultat annuel d'un élève, à la place de l'appréciation par défaut de la mention.
+   * Une appréciation nulle rétablit l'appréciation par défaut.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async updateAppreciation(request, response, next) {
+    try {
+      // Valide les données de la requête
+      this.validator.validate(request.body, this.validator.appreciationSchema);
+
+      const { eleveId, anneeId } = request.params;
+      const matriculEleve = eleveId;
+      const anneeCode = anneeId;
+
+      // Recherche le résultat par sa clé primaire composite
+      const resultat = await this.model.findOne({ where: { matriculEleve, anneeCode } });
+
+      // Si non trouvé, renvoie une erreur 404
+      if (!resultat) {
+        return next(new ErrorResponse('Résultat non trouvé.', 'NOT_FOUND', 404));
+      }
+
+      // Une chaîne vide équivaut à retirer l'appréciation personnalisée
+      await resultat.update({ appreciation: request.body.appreciation || null });
+
+      // Log l'action
+      logger.info('Appréciation du résultat enregistrée avec succès.', { matriculEleve, anneeCode, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: await MentionService.annotate(resultat, 'mga') });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de l\'enregistrement de l\'appréciation du résultat.', request, next);
+    }
+  }
+
+  /**
+   * @description Met à jour un résultat existant.
+   * Le résultat est identifié par sa clé primaire composite (eleveId, anneeId).
+   * Si la MGA change, les rangs de la classe de l'élève sont recalculés.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async updateResultat(request, response, next) {
+    try {
+      // Valide les données de la requête
+      this.validator.validate(request.body, this.validator.resultatUpdateSchema);
+
+      // Récupère les composants de la clé primaire composite depuis les paramètres d'URL
+      const { eleveId, anneeId } = request.params;
+      const matriculEleve = eleveId;
+      const anneeCode = anneeId;
+
+      // Recherche le résultat par sa clé primaire composite
+      const resultat = await this.model.findOne({ where: { matriculEleve, anneeCode } });
+
+      // Si non trouvé, renvoie une erreur 404
+      if (!resultat) {
+        return next(new ErrorResponse('Résultat non trouvé pour la mise à jour.', 'NOT_FOUND', 404));
+      }
+
+      const { decision, mga } = request.body;
+
+      // Vérifie que la MGA respecte le barème de l'école de l'élève
+      const bareme = await BaremeService.getForEleve(matriculEleve);
+      BaremeService.assertInRange(mga, bareme, 'MGA');
+
+      // Une décision saisie directement remplace celle issue d'une règle ou du conseil de classe
+      const attributes = decision !== undefined
+        ? { decision, origineDecision: 'Manuelle', regleId: null, motifDecision: null }
+        : {};
+
+      // Une MGA saisie remplace la valeur calculée et n'est plus périmée ; elle est arrondie selon la politique de l'école
+      if (mga !== undefined) {
+        const arrondi = await ArrondiService.getForEleve(matriculEleve);
+        Object.assign(attributes, { mga: Rounding.apply(mga, arrondi), mgaBrute: mga, perimee: false, calculeLe: new Date() });
+      }
+
+      await db.sequelize.transaction(async (transaction) => {
+        // Met à jour le résultat
+        await resultat.update(attributes, { transaction });
+
+        // Recalcule les rangs de la classe si la MGA a été modifiée
+        if (mga !== undefined) {
+          await ResultatService.recomputeRangsForEleve(matriculEleve, anneeCode, { transaction });
+          await resultat.reload({ transaction });
+        }
+      });
+
+      // Log l'action
+      logger.info('Résultat mis à jour avec succès.', { matriculEleve, anneeCode, userId: request.auth?.userId });
+
+      // Envoie la réponse
+      response.status(200).json({ success: true, data: { ...resultat.toJSON(), bareme } });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la mise à jour du résultat.', request, next);
+    }
+  }
+
+  /**
+   * @description Supprime un résultat.
+   * Le résultat est identifié par sa clé primaire composite (eleveId, anneeId).
+   * Les rangs des élèves restants de la classe sont recalculés.
+   * @param {import('express').Request} request - Objet requête Express.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('express').NextFunction} next - Fonction next du middleware Express.
+   */
+  async deleteResultat(request, response, next) {
+    try {
+      // Récupère les composants de la clé primaire composite depuis les paramètres d'URL
+      const { eleveId, anneeId } = request.params;
+      const matriculEleve = eleveId;
+      const anneeCode = anneeId;
+
+      // Supprime le résultat en utilisant la clé primaire composite, puis recalcule les rangs de la classe
+      const deletedRows = await db.sequelize.transaction(async (transaction) => {
+        const count = await this.model.destroy({ where: { matriculEleve, anneeCode }, transaction, individualHooks: true });
+        if (count > 0) {
+          await ResultatService.recomputeRangsForEleve(matriculEleve, anneeCode, { transaction });
+        }
+        return count;
+      });
+
+      // Si aucune ligne n'a été supprimée, le résultat n'a pas été trouvé
+      if (deletedRows === 0) {
+        return next(new ErrorResponse('Résultat non trouvé pour la suppression.', 'NOT_FOUND', 404));
+      }
+
+      // Log l'action
+      logger.info('Résultat supprimé avec succès.', { matriculEleve, anneeCode, userId: request.auth?.userId });
+
+      // Envoie une réponse vide pour indiquer la suppression réussie
+      response.status(200).json({ success: true, data: {} });
+    } catch (error) {
+      // Gère les erreurs
+      this.handleError(error, 'Erreur lors de la suppression du résultat.', request, next);
+    }
+  }
+}
+
+export default ResultatController;
@@ -1,7 +1,7 @@
-import metrics from '../Utils/metrics.js';
-import swaggerAuth from './swaggerAuth.js';
-
-export {
-  metrics,
-  swaggerAuth
-};
+import metrics from '../Utils/metrics.js';
+import swaggerAuth from './swaggerAuth.js';
+
+export {
+  metrics,
+  swaggerAuth
+};
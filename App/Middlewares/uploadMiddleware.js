@@ -0,0 +1,50 @@
+import multer from 'multer';
+import ErrorResponse from '../Utils/errorResponse.js';
+import SpreadsheetReader from '../Utils/SpreadsheetReader.js';
+
+/**
+ * Taille maximale d'un fichier téléversé, en octets (5 Mo par défaut, configurable via IMPORT_MAX_SIZE).
+ */
+const MAX_SIZE = parseInt(process.env.IMPORT_MAX_SIZE, 10) || 5 * 1024 * 1024;
+
+class UploadMiddleware {
+  /**
+   * Crée un middleware qui reçoit un fichier CSV ou XLSX (formulaire multipart) et le conserve en mémoire
+   * dans `req.file` ; le format détecté est ajouté dans `req.file.format`.
+   * @param {string} [field='fichier'] - Le nom du champ de formulaire contenant le fichier.
+   * @returns {Function} Un middleware Express.
+   */
+  static spreadsheet(field = 'fichier') {
+    const upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: MAX_SIZE, files: 1 },
+      fileFilter: (req, file, callback) => {
+        file.format = SpreadsheetReader.getFormat(file.originalname);
+        if (!file.format) {
+          return callback(new ErrorResponse('Le fichier doit être au format CSV ou XLSX.', 'VALIDATION_ERROR', 400));
+        }
+        callback(null, true);
+      },
+    }).single(field);
+
+    return (req, res, next) => {
+      upload(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+          // Traduit les erreurs de multer (fichier trop volumineux, champ inattendu) en erreurs de l'API
+          return err.code === 'LIMIT_FILE_SIZE'
+            ? next(new ErrorResponse(`Le fichier dépasse la taille maximale de ${Math.floor(MAX_SIZE / 1024)} Ko.`, 'FILE_TOO_LARGE', 413))
+            : next(new ErrorResponse(`Fichier invalide : ${err.message}.`, 'VALIDATION_ERROR', 400, { details: { field: err.field } }));
+        }
+        if (err) {
+          return next(err);
+        }
+        if (!req.file) {
+          return next(new ErrorResponse(`Le fichier à importer est requis (champ '${field}').`, 'VALIDATION_ERROR', 400));
+        }
+        next();
+      });
+    };
+  }
+}
+
+export default UploadMiddleware;
@@ -1,199 +1,352 @@
-import Joi from 'joi';
-import logger from '../Utils/Logger.js'; // Importe l'instance unique du logger
-import ErrorResponse from '../Utils/errorResponse.js';
-
-/**
- * @class Validator
- * @description Centralise la validation des schémas de données Joi pour les requêtes API.
- */
-class Validator {
-  constructor() {
-    // L'instance du logger est importée directement, pas besoin de la réinitialiser ici.
-  }
-
-  /**
-   * Valide les données fournies contre un schéma Joi.
-   * @param {Object} data - Les données à valider (généralement `request.body`).
-   * @param {Joi.Schema} schema - Le schéma Joi à utiliser pour la validation.
-   * @param {number} [statusCode=400] - Le code de statut HTTP à utiliser en cas d'erreur de validation.
-   * @throws {ErrorResponse} Si la validation échoue.
-   */
-  validate(data, schema, statusCode = 400) {
-    // Joi.object() n'est pas nécessaire si 'schema' est déjà un objet Joi.Schema.
-    // Si 'schema' est un objet simple contenant des définitions Joi, alors Joi.object(schema) est correct.
-    // Pour plus de clarté, assurez-vous que vos schémas sont définis comme Joi.object().keys({...}).
-    const validationResult = schema.validate(data, { abortEarly: false, allowUnknown: false }); // allowUnknown pour rejeter les champs non définis
-    const { error } = validationResult;
-
-    if (error) {
-      const messages = error.details.map((err) => err.message).join(', ');
-      logger.warn(`Validation error: ${messages}`, { validationErrors: error.details }); // Log plus de détails
-      throw new new ErrorResponse(messages, 'VALIDATION_ERROR', statusCode, { details: error.details });
-    }
-  }
-
-  /**
-   * Crée un middleware Express pour la validation du corps de la requête.
-   * @param {Joi.Schema} schema - Le schéma Joi à utiliser pour la validation.
-   * @returns {Function} Un middleware Express.
-   */
-  middleware(schema) {
-    return (req, res, next) => {
-      try {
-        this.validate(req.body, schema);
-        next();
-      } catch (err) {
-        // Passe l'erreur au prochain middleware de gestion d'erreurs
-        next(err);
-      }
-    };
-  }
-
-  // --- Schémas pour les utilisateurs (User) ---
-  userCreateSchema = Joi.object({
-    username: Joi.string().required().min(3).max(50),
-    password: Joi.string().required().min(6), // Renommé 'mdpasse' en 'password'
-    userRole: Joi.string().valid('Administrator', 'Teacher', 'OtherRole').required(), // Ajout de 'OtherRole'
-    ecoleId: Joi.string().regex(/^EC[0-9]{3}$/).required(), // Renommé 'ecole' en 'ecoleId'
-  });
-
-  userUpdateSchema = Joi.object({
-    username: Joi.string().min(3).max(50).optional(), // Rendre optionnel pour les mises à jour
-    password: Joi.string().min(6).optional(), // Renommé 'mdpasse' en 'password', rendre optionnel
-    userRole: Joi.string().valid('Administrator', 'Teacher', 'OtherRole').optional(), // Ajout de 'OtherRole', rendre optionnel
-    ecoleId: Joi.string().regex(/^EC[0-9]{3}$/).optional(), // Renommé 'ecole' en 'ecoleId', rendre optionnel
-  }).min(1); // Au moins un champ doit être fourni pour la mise à jour
-
-  loginSchema = Joi.object({
-    username: Joi.string().required(),
-    password: Joi.string().required(), // Renommé 'mdpasse' en 'password'
-  });
-
-  // --- Schémas pour les écoles (Ecole) ---
-  ecoleCreateSchema = Joi.object({
-    ecoleId: Joi.string().regex(/^EC[0-9]{3}$/).required(),
-    ecoleName: Joi.string().required().min(3).max(100),
-    iep: Joi.string().max(200).allow(null, ''), // allow(null, '') pour les chaînes vides
-    ville: Joi.string().max(50).allow(null, ''), // allow(null, '') pour les chaînes vides
-  });
-
-  ecoleUpdateSchema = Joi.object({
-    ecoleName: Joi.string().min(3).max(100).optional(),
-    iep: Joi.string().max(200).allow(null, '').optional(),
-    ville: Joi.string().max(50).allow(null, '').optional(),
-  }).min(1);
-
-  // --- Schémas pour les années scolaires (AnneeScolaire) ---
-  anneeScolaireCreateSchema = Joi.object({
-    codeAnne: Joi.string().required().max(10),
-    annee: Joi.string().regex(/^[0-9]{4}-[0-9]{4}$/).required(),
-  });
-
-  anneeScolaireUpdateSchema = Joi.object({
-    codeAnne: Joi.string().max(10).optional(),
-    annee: Joi.string().regex(/^[0-9]{4}-[0-9]{4}$/).optional(),
-  }).min(1);
-
-  // --- Schémas pour les classes (Classe) ---
-  classeCreateSchema = Joi.object({
-    classeId: Joi.string().required().max(10),
-    libelle: Joi.string().required().max(50),
-    niveau: Joi.string().required().max(20),
-    anneeCode: Joi.string().regex(/^[0-9]{4}-[0-9]{4}$/).required(), // Renommé 'annee' en 'anneeCode'
-    ecoleId: Joi.string().regex(/^EC[0-9]{3}$/).required(), // Renommé 'ecole' en 'ecoleId'
-  });
-
-  classeUpdateSchema = Joi.object({
-    libelle: Joi.string().max(50).optional(),
-    niveau: Joi.string().max(20).optional(),
-    anneeCode: Joi.string().regex(/^[0-9]{4}-[0-9]{4}$/).optional(), // Renommé 'annee' en 'anneeCode'
-    ecoleId: Joi.string().regex(/^EC[0-9]{3}$/).optional(), // Renommé 'ecole' en 'ecoleId'
-  }).min(1);
-
-  // --- Schémas pour les élèves (Eleve) ---
-  eleveCreateSchema = Joi.object({
-    matricul: Joi.string().required().max(20),
-    lastname: Joi.string().required().max(50),
-    firstname: Joi.string().required().max(100), // Max 100 comme dans le modèle
-    genre: Joi.string().valid('M', 'F').required(),
-    classeId: Joi.string().required().max(10), // Renommé 'classe' en 'classeId'
-    ecoleId: Joi.string().regex(/^EC[0-9]{3}$/).required(), // Renommé 'ecole' en 'ecoleId'
-  });
-
-  eleveUpdateSchema = Joi.object({
-    matricul: Joi.string().max(20).optional(), // Matricule peut être mis à jour ? Généralement non, mais si oui, laisser optionnel.
-    lastname: Joi.string().max(50).optional(),
-    firstname: Joi.string().max(100).optional(), // Max 100
-    genre: Joi.string().valid('M', 'F').optional(),
-    classeId: Joi.string().max(10).optional(), // Renommé 'classe' en 'classeId'
-    ecoleId: Joi.string().regex(/^EC[0-9]{3}$/).optional(), // Renommé 'ecole' en 'ecoleId'
-  }).min(1);
-
-  // --- Schémas pour les évaluations (Evaluation) ---
-  evaluationCreateSchema = Joi.object({
-    codeEva: Joi.string().required().max(10),
-    nameEva: Joi.string().required().max(50),
-    coeficient: Joi.number().required().min(0.01), // Alignement avec le modèle (min 0.01)
-  });
-
-  evaluationUpdateSchema = Joi.object({
-    nameEva: Joi.string().max(50).optional(),
-    coeficient: Joi.number().min(0.01).optional(), // Alignement avec le modèle (min 0.01)
-  }).min(1);
-
-  // --- Schémas pour les compositions (Composition) ---
-  compositionCreateSchema = Joi.object({
-    codeCompo: Joi.string().required().max(10),
-    libelle: Joi.string().required().max(50),
-    dateCompo: Joi.date().required(), // Renommé 'Date' en 'dateCompo'
-    typeCompo: Joi.string().valid('Mensuelle', 'Programme', 'Passage').required(), // Utilise valid() pour ENUM
-    anneeCode: Joi.string().regex(/^[0-9]{4}-[0-9]{4}$/).required(), // Renommé 'annee' en 'anneeCode'
-  });
-
-  compositionUpdateSchema = Joi.object({
-    libelle: Joi.string().max(50).optional(),
-    dateCompo: Joi.date().optional(), // Renommé 'Date' en 'dateCompo'
-    typeCompo: Joi.string().valid('Mensuelle', 'Programme', 'Passage').optional(), // Utilise valid() pour ENUM
-    anneeCode: Joi.string().regex(/^[0-9]{4}-[0-9]{4}$/).optional(), // Renommé 'annee' en 'anneeCode'
-  }).min(1);
-
-  // --- Schémas pour les notes (Note) ---
-  noteCreateSchema = Joi.object({
-    matriculEleve: Joi.string().required().max(20), // Renommé 'eleve' en 'matriculEleve'
-    codeEva: Joi.string().required().max(10), // Renommé 'evaluation' en 'codeEva'
-    codeCompo: Joi.string().required().max(10), // Renommé 'compos' en 'codeCompo'
-    note: Joi.number().required().min(0).max(10), // Alignement avec le modèle (max 10)
-  });
-
-  noteUpdateSchema = Joi.object({
-    note: Joi.number().min(0).max(10).optional(), // Alignement avec le modèle (max 10)
-  }).min(1);
-
-  // --- Schémas pour les moyennes (Moyenne) ---
-  moyenneCreateSchema = Joi.object({
-    matriculEleve: Joi.string().required().max(20), // Renommé 'eleve' en 'matriculEleve'
-    codeCompo: Joi.string().required().max(10), // Renommé 'compos' en 'codeCompo'
-    moyenne: Joi.number().required().min(0).max(10), // Alignement avec le modèle (max 10)
-  });
-
-  moyenneUpdateSchema = Joi.object({
-    moyenne: Joi.number().min(0).max(10).optional(), // Alignement avec le modèle (max 10)
-  }).min(1);
-
-  // --- Schémas pour les résultats (Resultat) ---
-  resultatCreateSchema = Joi.object({
-    matriculEleve: Joi.string().required().max(20), // Renommé 'eleve' en 'matriculEleve'
-    anneeCode: Joi.string().regex(/^[0-9]{4}-[0-9]{4}$/).required(), // Renommé 'annee' en 'anneeCode'
-    decision: Joi.string().valid('Admis', 'Refusé', 'Passage').required(), // Utilise valid() pour ENUM
-    rang: Joi.number().required().min(1),
-    mga: Joi.number().required().min(0).max(10), // Alignement avec le modèle (max 10)
-  });
-
-  resultatUpdateSchema = Joi.object({
-    decision: Joi.string().valid('Admis', 'Refusé', 'Passage').optional(), // Utilise valid() pour ENUM
-    rang: Joi.number().min(1).optional(),
-    mga: Joi.number().min(0).max(10).optional(), // Alignement avec le modèle (max 10)
-  }).min(1);
-}
-
-export default new Validator();
+import Joi from 'joi';
+import logger from '../Utils/Logger.js'; // Importe l'instance unique du logger
+import ErrorResponse from '../Utils/errorResponse.js';
+
+/**
+ * @class Validator
+ * @description Centralise la validation des schémas de données Joi pour les requêtes API.
+ */
+class Validator {
+  constructor() {
+    // L'instance du logger est importée directement, pas besoin de la réinitialiser ici.
+  }
+
+  /**
+   * Valide les données fournies contre un schéma Joi.
+   * @param {Object} data - Les données à valider (généralement `request.body`).
+   * @param {Joi.Schema} schema - Le schéma Joi à utiliser pour la validation.
+   * @param {number} [statusCode=400] - Le code de statut HTTP à utiliser en cas d'erreur de validation.
+   * @throws {ErrorResponse} Si la validation échoue.
+   */
+  validate(data, schema, statusCode = 400) {
+    // Joi.object() n'est pas nécessaire si 'schema' est déjà un objet Joi.Schema.
+    // Si 'schema' est un objet simple contenant des définitions Joi, alors Joi.object(schema) est correct.
+    // Pour plus de clarté, assurez-vous que vos schémas sont définis comme Joi.object().keys({...}).
+    const validationResult = schema.validate(data, { abortEarly: false, allowUnknown: false }); // allowUnknown pour rejeter les champs non définis
+    const { error } = validationResult;
+
+    if (error) {
+      const messages = error.details.map((err) => err.message).join(', ');
+      logger.warn(`Validation error: ${messages}`, { validationErrors: error.details }); // Log plus de détails
+      throw new new ErrorResponse(messages, 'VALIDATION_ERROR', statusCode, { details: error.details });
+    }
+  }
+
+  /**
+   * Crée un middleware Express pour la validation du corps de la requête.
+   * @param {Joi.Schema} schema - Le schéma Joi à utiliser pour la validation.
+   * @returns {Function} Un middleware Express.
+   */
+  middleware(schema) {
+    return (req, res, next) => {
+      try {
+        this.validate(req.body, schema);
+        next();
+      } catch (err) {
+        // Passe l'erreur au prochain middleware de gestion d'erreurs
+        next(err);
+      }
+    };
+  }
+
+  // --- Schémas pour les utilisateurs (User) ---
+  userCreateSchema = Joi.object({
+    username: Joi.string().required().min(3).max(50),
+    password: Joi.string().required().min(6), // Renommé 'mdpasse' en 'password'
+    userRole: Joi.string().valid('Administrator', 'Teacher', 'OtherRole').required(), // Ajout de 'OtherRole'
+    ecoleId: Joi.string().regex(/^EC[0-9]{3}$/).required(), // Renommé 'ecole' en 'ecoleId'
+  });
+
+  userUpdateSchema = Joi.object({
+    username: Joi.string().min(3).max(50).optional(), // Rendre optionnel pour les mises à jour
+    password: Joi.string().min(6).optional(), // Renommé 'mdpasse' en 'password', rendre optionnel
+    userRole: Joi.string().valid('Administrator', 'Teacher', 'OtherRole').optional(), // Ajout de 'OtherRole', rendre optionnel
+    ecoleId: Joi.string().regex(/^EC[0-9]{3}$/).optional(), // Renommé 'ecole' en 'ecoleId', rendre optionnel
+  }).min(1); // Au moins un champ doit être fourni pour la mise à jour
+
+  loginSchema = Joi.object({
+    username: Joi.string().required(),
+    password: Joi.string().required(), // Renommé 'mdpasse' en 'password'
+  });
+
+  // --- Schémas pour les écoles (Ecole) ---
+  ecoleCreateSchema = Joi.object({
+    ecoleId: Joi.string().regex(/^EC[0-9]{3}$/).required(),
+    ecoleName: Joi.string().required().min(3).max(100),
+    iep: Joi.string().max(200).allow(null, ''), // allow(null, '') pour les chaînes vides
+    ville: Joi.string().max(50).allow(null, ''), // allow(null, '') pour les chaînes vides
+    bareme: Joi.number().integer().min(1).max(100).optional(), // Note maximale (ex: 10 ou 20)
+    baremeParNiveau: Joi.object().pattern(Joi.string().max(20), Joi.number().integer().min(1).max(100)).allow(null).optional(),
+    politiqueAbsence: Joi.string().valid('Zéro', 'Exclue').optional(), // Absence non excusée comptée 0 ou exclue des moyennes
+    seuilReussite: Joi.number().min(0).allow(null).optional(), // Moyenne minimale de réussite (par défaut la moitié du barème)
+    margeRattrapage: Joi.number().min(0).allow(null).optional(), // Écart sous le seuil ouvrant droit au rattrapage (par défaut, seuls les refusés)
+    regleRattrapage: Joi.string().valid('Remplacement', 'Plafonnement', 'Meilleure').optional(), // MGA retenue après rattrapage
+    politiqueArrondi: Joi.string().valid('Aucun', 'Plus proche', 'Troncature').optional(), // Arrondi des moyennes et MGA enregistrées
+    pasArrondi: Joi.number().positive().max(1).optional(), // Pas d'arrondi (ex: 0.01 ou 0.25)
+  });
+
+  ecoleUpdateSchema = Joi.object({
+    ecoleName: Joi.string().min(3).max(100).optional(),
+    iep: Joi.string().max(200).allow(null, '').optional(),
+    ville: Joi.string().max(50).allow(null, '').optional(),
+    bareme: Joi.number().integer().min(1).max(100).optional(),
+    baremeParNiveau: Joi.object().pattern(Joi.string().max(20), Joi.number().integer().min(1).max(100)).allow(null).optional(),
+    politiqueAbsence: Joi.string().valid('Zéro', 'Exclue').optional(),
+    seuilReussite: Joi.number().min(0).allow(null).optional(),
+    margeRattrapage: Joi.number().min(0).allow(null).optional(),
+    regleRattrapage: Joi.string().valid('Remplacement', 'Plafonnement', 'Meilleure').optional(),
+    politiqueArrondi: Joi.string().valid('Aucun', 'Plus proche', 'Troncature').optional(),
+    pasArrondi: Joi.number().positive().max(1).optional(),
+  }).min(1);
+
+  // --- Schémas pour les années scolaires (AnneeScolaire) ---
+  anneeScolaireCreateSchema = Joi.object({
+    codeAnne: Joi.string().required().max(10),
+    annee: Joi.string().regex(/^[0-9]{4}-[0-9]{4}$/).required(),
+  });
+
+  anneeScolaireUpdateSchema = Joi.object({
+    codeAnne: Joi.string().max(10).optional(),
+    annee: Joi.string().regex(/^[0-9]{4}-[0-9]{4}$/).optional(),
+  }).min(1);
+
+  // --- Schémas pour les périodes (Periode) ---
+  periodeCreateSchema = Joi.object({
+    codePeriode: Joi.string().required().max(10),
+    libelle: Joi.string().required().max(50), // Ex: "1er trimestre"
+    anneeCode: Joi.string().regex(/^[0-9]{4}-[0-9]{4}$/).required(),
+    dateDebut: Joi.date().required(),
+    dateFin: Joi.date().min(Joi.ref('dateDebut')).required(),
+    poids: Joi.number().min(0).optional(), // 1 par défaut
+  });
+
+  periodeUpdateSchema = Joi.object({
+    libelle: Joi.string().max(50).optional(),
+    dateDebut: Joi.date().optional(),
+    dateFin: Joi.date().optional(), // La cohérence avec la date de début est vérifiée dans le contrôleur
+    poids: Joi.number().min(0).optional(),
+  }).min(1);
+
+  // --- Schémas pour les classes (Classe) ---
+  classeCreateSchema = Joi.object({
+    classeId: Joi.string().required().max(10),
+    libelle: Joi.string().required().max(50),
+    niveau: Joi.string().required().max(20),
+    serie: Joi.string().max(10).allow(null).optional(), // Série de la classe (ex: "C")
+    anneeCode: Joi.string().regex(/^[0-9]{4}-[0-9]{4}$/).required(), // Renommé 'annee' en 'anneeCode'
+    ecoleId: Joi.string().regex(/^EC[0-9]{3}$/).required(), // Renommé 'ecole' en 'ecoleId'
+  });
+
+  classeUpdateSchema = Joi.object({
+    libelle: Joi.string().max(50).optional(),
+    niveau: Joi.string().max(20).optional(),
+    serie: Joi.string().max(10).allow(null).optional(),
+    anneeCode: Joi.string().regex(/^[0-9]{4}-[0-9]{4}$/).optional(), // Renommé 'annee' en 'anneeCode'
+    ecoleId: Joi.string().regex(/^EC[0-9]{3}$/).optional(), // Renommé 'ecole' en 'ecoleId'
+  }).min(1);
+
+  // --- Schémas pour les élèves (Eleve) ---
+  eleveCreateSchema = Joi.object({
+    matricul: Joi.string().required().max(20),
+    lastname: Joi.string().required().max(50),
+    firstname: Joi.string().required().max(100), // Max 100 comme dans le modèle
+    genre: Joi.string().valid('M', 'F').required(),
+    classeId: Joi.string().required().max(10), // Renommé 'classe' en 'classeId'
+    ecoleId: Joi.string().regex(/^EC[0-9]{3}$/).required(), // Renommé 'ecole' en 'ecoleId'
+  });
+
+  eleveUpdateSchema = Joi.object({
+    matricul: Joi.string().max(20).optional(), // Matricule peut être mis à jour ? Généralement non, mais si oui, laisser optionnel.
+    lastname: Joi.string().max(50).optional(),
+    firstname: Joi.string().max(100).optional(), // Max 100
+    genre: Joi.string().valid('M', 'F').optional(),
+    classeId: Joi.string().max(10).optional(), // Renommé 'classe' en 'classeId'
+    ecoleId: Joi.string().regex(/^EC[0-9]{3}$/).optional(), // Renommé 'ecole' en 'ecoleId'
+  }).min(1);
+
+  // --- Schémas pour les évaluations (Evaluation) ---
+  evaluationCreateSchema = Joi.object({
+    codeEva: Joi.string().required().max(10),
+    nameEva: Joi.string().required().max(50),
+    coeficient: Joi.number().required().min(0.01), // Alignement avec le modèle (min 0.01)
+    codeMatiere: Joi.string().max(10).allow(null).optional(), // Matière évaluée
+  });
+
+  evaluationUpdateSchema = Joi.object({
+    nameEva: Joi.string().max(50).optional(),
+    coeficient: Joi.number().min(0.01).optional(), // Alignement avec le modèle (min 0.01)
+    codeMatiere: Joi.string().max(10).allow(null).optional(),
+  }).min(1);
+
+  // --- Schémas pour les matières (Matiere) ---
+  matiereCreateSchema = Joi.object({
+    codeMatiere: Joi.string().required().max(10),
+    libelle: Joi.string().required().max(50),
+    ordre: Joi.number().integer().optional(),
+  });
+
+  matiereUpdateSchema = Joi.object({
+    libelle: Joi.string().max(50).optional(),
+    ordre: Joi.number().integer().optional(),
+  }).min(1);
+
+  matiereCoefficientSchema = Joi.object({
+    niveau: Joi.string().required().max(20),
+    serie: Joi.string().max(10).allow(null).optional(), // Null ou absent : toutes les séries du niveau
+    coefficient: Joi.number().required().min(0.01),
+  });
+
+  // --- Schémas pour les compositions (Composition) ---
+  compositionCreateSchema = Joi.object({
+    codeCompo: Joi.string().required().max(10),
+    libelle: Joi.string().required().max(50),
+    dateCompo: Joi.date().required(), // Renommé 'Date' en 'dateCompo'
+    typeCompo: Joi.string().valid('Mensuelle', 'Programme', 'Passage').required(), // Utilise valid() pour ENUM
+    anneeCode: Joi.string().regex(/^[0-9]{4}-[0-9]{4}$/).required(), // Renommé 'annee' en 'anneeCode'
+    codePeriode: Joi.string().max(10).allow(null).optional(), // Période de l'année contenant la date de composition
+  });
+
+  compositionUpdateSchema = Joi.object({
+    libelle: Joi.string().max(50).optional(),
+    dateCompo: Joi.date().optional(), // Renommé 'Date' en 'dateCompo'
+    typeCompo: Joi.string().valid('Mensuelle', 'Programme', 'Passage').optional(), // Utilise valid() pour ENUM
+    anneeCode: Joi.string().regex(/^[0-9]{4}-[0-9]{4}$/).optional(), // Renommé 'annee' en 'anneeCode'
+    codePeriode: Joi.string().max(10).allow(null).optional(),
+  }).min(1);
+
+  compositionReopenSchema = Joi.object({
+    motif: Joi.string().trim().min(3).max(500).required(), // La réouverture d'une composition clôturée doit être justifiée
+  });
+
+  // --- Schémas pour les notes (Note) ---
+  noteCreateSchema = Joi.object({
+    matriculEleve: Joi.string().required().max(20), // Renommé 'eleve' en 'matriculEleve'
+    codeEva: Joi.string().required().max(10), // Renommé 'evaluation' en 'codeEva'
+    codeCompo: Joi.string().required().max(10), // Renommé 'compos' en 'codeCompo'
+    statut: Joi.string().valid('Présent', 'Absent', 'Excusé', 'Dispensé').optional(), // 'Présent' par défaut
+    // Obligatoire pour un élève présent ; ignorée sinon. Le maximum dépend du barème de l'école, vérifié dans le contrôleur
+    note: Joi.number().min(0).when('statut', { is: Joi.valid('Absent', 'Excusé', 'Dispensé').required(), then: Joi.any().allow(null).optional(), otherwise: Joi.required() }),
+  });
+
+  noteBulkSchema = Joi.object({
+    codeEva: Joi.string().required().max(10), // Évaluation commune à toute la feuille
+    codeCompo: Joi.string().required().max(10), // Composition commune à toute la feuille
+    mode: Joi.string().valid('atomic', 'partial').default('atomic'), // Tout ou rien, ou succès partiel
+    notes: Joi.array().items(Joi.object().unknown(true)).min(1).max(500).required(), // Chaque ligne est validée avec noteCreateSchema
+    motif: Joi.string().trim().max(500).optional(), // Motif de la modification, enregistré dans l'historique
+  });
+
+  noteUpdateSchema = Joi.object({
+    statut: Joi.string().valid('Présent', 'Absent', 'Excusé', 'Dispensé').optional(),
+    // Obligatoire si l'élève redevient présent. Le maximum dépend du barème de l'école, vérifié dans le contrôleur
+    note: Joi.when('statut', {
+      switch: [
+        { is: 'Présent', then: Joi.number().min(0).required() },
+        { is: Joi.valid('Absent', 'Excusé', 'Dispensé').required(), then: Joi.number().min(0).allow(null).optional() },
+      ],
+      otherwise: Joi.number().min(0).optional(),
+    }),
+    motif: Joi.string().trim().max(500).optional(), // Motif de la modification, enregistré dans l'historique
+  }).or('statut', 'note');
+
+  // --- Schémas pour les moyennes (Moyenne) ---
+  moyenneCreateSchema = Joi.object({
+    matriculEleve: Joi.string().required().max(20), // Renommé 'eleve' en 'matriculEleve'
+    codeCompo: Joi.string().required().max(10), // Renommé 'compos' en 'codeCompo'
+    moyenne: Joi.number().required().min(0), // Le maximum dépend du barème de l'école
+  });
+
+  moyenneUpdateSchema = Joi.object({
+    moyenne: Joi.number().min(0).optional(), // Le maximum dépend du barème de l'école, vérifié dans le contrôleur
+    motif: Joi.string().trim().max(500).optional(), // Motif de la modification, enregistré dans l'historique
+  }).or('moyenne');
+
+  // --- Schémas pour les résultats (Resultat) ---
+  resultatCreateSchema = Joi.object({
+    matriculEleve: Joi.string().required().max(20), // Renommé 'eleve' en 'matriculEleve'
+    anneeCode: Joi.string().regex(/^[0-9]{4}-[0-9]{4}$/).required(), // Renommé 'annee' en 'anneeCode'
+    decision: Joi.string().valid('Admis', 'Refusé', 'Passage').required(), // Utilise valid() pour ENUM
+    mga: Joi.number().required().min(0), // Le maximum dépend du barème de l'école, vérifié dans le contrôleur
+  });
+
+  resultatUpdateSchema = Joi.object({
+    decision: Joi.string().valid('Admis', 'Refusé', 'Passage').optional(), // Utilise valid() pour ENUM
+    mga: Joi.number().min(0).optional(), // Le maximum dépend du barème de l'école, vérifié dans le contrôleur
+    motif: Joi.string().trim().max(500).optional(), // Motif de la modification, enregistré dans l'historique
+  }).or('decision', 'mga');
+
+  resultatDecisionSchema = Joi.object({
+    decision: Joi.string().valid('Admis', 'Refusé', 'Passage').required(), // Décision du conseil de classe
+    motif: Joi.string().trim().min(3).max(500).required(), // Motif obligatoire de la dérogation
+  });
+
+  decisionApplySchema = Joi.object({
+    force: Joi.boolean().optional(), // Réapplique les règles y compris sur les décisions du conseil de classe et du rattrapage
+  });
+
+  // --- Schémas pour les rattrapages (Rattrapage) ---
+  rattrapageNotesSchema = Joi.object({
+    notes: Joi.array().items(Joi.object({
+      codeMatiere: Joi.string().max(10).required(),
+      note: Joi.number().min(0).required(), // Le maximum dépend du barème de l'école, vérifié dans le service
+    })).min(1).unique('codeMatiere').required(),
+  });
+
+  // --- Schémas pour les règles de décision (RegleDecision) ---
+  regleDecisionCreateSchema = Joi.object({
+    ecoleId: Joi.string().regex(/^EC[0-9]{3}$/).required(),
+    niveau: Joi.string().max(20).allow(null).optional(), // Null ou absent : tous les niveaux de l'école
+    libelle: Joi.string().required().max(100),
+    decision: Joi.string().valid('Admis', 'Refusé', 'Passage').required(),
+    mgaMin: Joi.number().min(0).allow(null).optional(), // Borne incluse
+    mgaMax: Joi.number().min(0).allow(null).optional(), // Borne exclue
+    redoublementsMin: Joi.number().integer().min(0).allow(null).optional(),
+    redoublementsMax: Joi.number().integer().min(0).allow(null).optional(),
+    priorite: Joi.number().integer().optional(),
+    actif: Joi.boolean().optional(),
+  });
+
+  regleDecisionUpdateSchema = Joi.object({
+    niveau: Joi.string().max(20).allow(null).optional(),
+    libelle: Joi.string().max(100).optional(),
+    decision: Joi.string().valid('Admis', 'Refusé', 'Passage').optional(),
+    mgaMin: Joi.number().min(0).allow(null).optional(),
+    mgaMax: Joi.number().min(0).allow(null).optional(),
+    redoublementsMin: Joi.number().integer().min(0).allow(null).optional(),
+    redoublementsMax: Joi.number().integer().min(0).allow(null).optional(),
+    priorite: Joi.number().integer().optional(),
+    actif: Joi.boolean().optional(),
+  }).min(1);
+
+  // --- Schémas pour les mentions (BandeMention) ---
+  bandeMentionCreateSchema = Joi.object({
+    ecoleId: Joi.string().regex(/^EC[0-9]{3}$/).required(),
+    mention: Joi.string().valid('Félicitations', 'Tableau d\'honneur', 'Encouragements', 'Avertissement', 'Blâme').required(),
+    moyenneMin: Joi.number().min(0).required(), // Borne incluse, sur le barème de l'école
+    moyenneMax: Joi.number().min(0).allow(null).optional(), // Borne exclue
+    appreciation: Joi.string().max(500).allow(null).optional(),
+  });
+
+  bandeMentionUpdateSchema = Joi.object({
+    mention: Joi.string().valid('Félicitations', 'Tableau d\'honneur', 'Encouragements', 'Avertissement', 'Blâme').optional(),
+    moyenneMin: Joi.number().min(0).optional(),
+    moyenneMax: Joi.number().min(0).allow(null).optional(),
+    appreciation: Joi.string().max(500).allow(null).optional(),
+  }).min(1);
+
+  // --- Schémas pour les certificats (Certificat) ---
+  certificatCreateSchema = Joi.object({
+    type: Joi.string().valid('Scolarité', 'Réussite').required(), // Certificat de scolarité ou attestation de réussite
+    anneeCode: Joi.string().max(10).optional(), // Par défaut, l'année de la classe actuelle de l'élève
+  });
+
+  certificatRevocationSchema = Joi.object({
+    motif: Joi.string().trim().max(500).required(),
+  });
+
+  appreciationSchema = Joi.object({
+    appreciation: Joi.string().trim().max(500).allow('', null).required(), // Null ou vide : revient à l'appréciation par défaut de la mention
+  });
+}
+
+export default new Validator();
@@ -0,0 +1,90 @@
+import { DataTypes } from 'sequelize';
+import Schema from '../Configs/model.js'; // Assurez-vous que le chemin est correct
+
+/**
+ * @class BandeMention
+ * @extends Schema
+ * @description Modèle pour paramétrer, par école, les tranches de moyenne associées à une mention
+ * (ex: "moyenne ≥ 16 → Félicitations") et à une appréciation par défaut. Les bornes sont exprimées
+ * sur le barème général de l'école et ramenées au barème du niveau de l'élève.
+ */
+class BandeMention extends Schema {
+  /**
+   * Initialise le modèle BandeMention avec ses attributs et options.
+   * @param {import('sequelize').Sequelize} sequelize - L'instance Sequelize connectée.
+   */
+  static init(sequelize) {
+    super.init(
+      {
+        bandeId: {
+          type: DataTypes.INTEGER,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false,
+          field: 'bande_id', // Nom de la colonne dans la base de données
+        },
+        ecoleId: {
+          type: DataTypes.STRING(10),
+          allowNull: false,
+          field: 'ecole_id', // Nom de la colonne dans la base de données
+        },
+        mention: {
+          type: DataTypes.ENUM('Félicitations', 'Tableau d\'honneur', 'Encouragements', 'Avertissement', 'Blâme'),
+          allowNull: false,
+        },
+        moyenneMin: { // Borne inférieure incluse de la moyenne, sur le barème de l'école
+          type: DataTypes.FLOAT,
+          allowNull: false,
+          field: 'moyenne_min',
+          validate: {
+            min: 0,
+          },
+        },
+        moyenneMax: { // Borne supérieure exclue de la moyenne ; null si pas de borne
+          type: DataTypes.FLOAT,
+          allowNull: true,
+          field: 'moyenne_max',
+          validate: {
+            min: 0,
+          },
+        },
+        appreciation: { // Appréciation proposée par défaut pour les moyennes de la tranche
+          type: DataTypes.TEXT,
+          allowNull: true,
+        },
+        // createdAt, updatedAt, et deletedAt sont gérés par la classe Schema
+      },
+      {
+        sequelize,
+        modelName: 'BandeMention',
+        tableName: 'bandes_mention',
+        indexes: [
+          {
+            fields: ['ecole_id', 'moyenne_min'], // Recherche de la tranche d'une moyenne
+            name: 'idx_bandes_mention_ecole_min'
+          }
+        ],
+      }
+    );
+  }
+
+  /**
+   * Définit les associations pour le modèle BandeMention.
+   * @param {Object} models - Un objet contenant tous les modèles de l'application.
+   * @param {import('./Ecole.js').default} models.Ecole - Le modèle Ecole.
+   */
+  static associate(models) {
+    // Une tranche de mention appartient à une école.
+    this.belongsTo(models.Ecole, {
+      foreignKey: 'ecoleId',  // Clé étrangère dans la table 'bandes_mention'
+      targetKey: 'ecoleId',   // Clé primaire dans la table 'ecoles'
+      onDelete: 'CASCADE',    // Les tranches d'une école supprimée n'ont plus de raison d'être
+      as: 'ecole',
+    });
+
+    // Appel de la méthode associate de la classe parente.
+    super.associate(models);
+  }
+}
+
+export default BandeMention;
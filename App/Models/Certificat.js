@@ -0,0 +1,132 @@
+import { DataTypes } from 'sequelize';
+import Schema from '../Configs/model.js'; // Assurez-vous que le chemin est correct
+
+/**
+ * @class Certificat
+ * @extends Schema
+ * @description Modèle pour les certificats de scolarité et les attestations de réussite délivrés aux élèves.
+ * Chaque document porte un code de vérification unique et conserve les informations imprimées au moment de sa délivrance,
+ * afin qu'une vérification affiche ce qui a réellement été certifié. Un certificat n'est jamais supprimé : il peut être révoqué.
+ */
+class Certificat extends Schema {
+  /**
+   * Initialise le modèle Certificat avec ses attributs et options.
+   * @param {import('sequelize').Sequelize} sequelize - L'instance Sequelize connectée.
+   */
+  static init(sequelize) {
+    super.init(
+      {
+        certificatId: {
+          type: DataTypes.INTEGER,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false,
+          field: 'certificat_id', // Nom de la colonne dans la base de données
+        },
+        code: { // Code de vérification imprimé sur le document, ex: "7KQ2-M9XD-4TRB-HW3C"
+          type: DataTypes.STRING(19),
+          allowNull: false,
+          unique: true,
+        },
+        type: {
+          type: DataTypes.ENUM('Scolarité', 'Réussite'), // Certificat de scolarité ou attestation de réussite
+          allowNull: false,
+        },
+        matriculEleve: {
+          type: DataTypes.STRING(20),
+          allowNull: false,
+          field: 'matricul_eleve', // Nom de la colonne dans la base de données
+        },
+        anneeCode: {
+          type: DataTypes.STRING(10),
+          allowNull: false,
+          field: 'annee_code', // Nom de la colonne dans la base de données
+        },
+        ecoleId: {
+          type: DataTypes.STRING(10),
+          allowNull: false,
+          field: 'ecole_id', // Nom de la colonne dans la base de données
+        },
+        contenu: { // Informations imprimées sur le document : élève, classe, école, année et, pour une attestation, MGA et décision
+          type: DataTypes.JSONB,
+          allowNull: false,
+        },
+        userId: { // Utilisateur qui a délivré le document
+          type: DataTypes.INTEGER,
+          allowNull: true,
+          field: 'user_id',
+        },
+        revoqueLe: { // Date de révocation ; nulle tant que le document est valide
+          type: DataTypes.DATE,
+          allowNull: true,
+          field: 'revoque_le',
+        },
+        motifRevocation: {
+          type: DataTypes.TEXT,
+          allowNull: true,
+          field: 'motif_revocation',
+        },
+        // createdAt sert de date de délivrance
+      },
+      {
+        sequelize,
+        modelName: 'Certificat',
+        tableName: 'certificats',
+        paranoid: false, // Un certificat délivré est révoqué, jamais supprimé
+        indexes: [
+          {
+            fields: ['matricul_eleve'], // Consultation des certificats d'un élève
+            name: 'idx_certificats_eleve'
+          }
+        ],
+      }
+    );
+  }
+
+  /**
+   * Définit les associations pour le modèle Certificat.
+   * @param {Object} models - Un objet contenant tous les modèles de l'application.
+   * @param {import('./Eleve.js').default} models.Eleve - Le modèle Eleve.
+   * @param {import('./anneeScolaire.js').default} models.AnneeScolaire - Le modèle AnneeScolaire.
+   * @param {import('./Ecole.js').default} models.Ecole - Le modèle Ecole.
+   * @param {import('./User.js').default} models.User - Le modèle User.
+   */
+  static associate(models) {
+    // Un certificat est délivré à un élève.
+    this.belongsTo(models.Eleve, {
+      foreignKey: 'matriculEleve', // Clé étrangère dans la table 'certificats'
+      targetKey: 'matricul',       // Clé primaire dans la table 'eleves'
+      constraints: false,          // Le certificat reste vérifiable après la suppression de l'élève
+      as: 'eleveDetail',
+    });
+
+    // Un certificat porte sur une année scolaire.
+    this.belongsTo(models.AnneeScolaire, {
+      foreignKey: 'anneeCode',     // Clé étrangère dans la table 'certificats'
+      targetKey: 'codeAnne',       // Clé primaire dans la table 'anneescolaire'
+      onDelete: 'RESTRICT',        // Empêche la suppression d'une année pour laquelle des certificats ont été délivrés
+      as: 'anneeScolaire',
+    });
+
+    // Un certificat est délivré par une école.
+    this.belongsTo(models.Ecole, {
+      foreignKey: 'ecoleId',       // Clé étrangère dans la table 'certificats'
+      targetKey: 'ecoleId',        // Clé primaire dans la table 'ecoles'
+      onDelete: 'RESTRICT',        // Empêche la suppression d'une école qui a délivré des certificats
+      as: 'ecole',
+    });
+
+    // Un certificat a été délivré par un utilisateur.
+    this.belongsTo(models.User, {
+      foreignKey: 'userId',        // Clé étrangère dans la table 'certificats'
+      targetKey: 'userId',         // Clé primaire dans la table 'users'
+      constraints: false,          // Le certificat survit à la suppression de l'utilisateur
+      as: 'auteur',
+    });
+
+    // Appel de la méthode associate de la classe parente.
+    super.associate(models);
+  }
+}
+
+export default Certificat;
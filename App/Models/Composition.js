@@ -1,101 +1,130 @@
-import { DataTypes } from 'sequelize';
-import Schema from '../Configs/model.js'; // Assurez-vous que le chemin est correct
-
-/**
- * @class Composition
- * @extends Schema
- * @description Modèle pour gérer les évaluations (compositions, examens) des élèves.
- */
-class Composition extends Schema {
-  /**
-   * Initialise le modèle Composition avec ses attributs et options.
-   * @param {import('sequelize').Sequelize} sequelize - L'instance Sequelize connectée.
-   */
-  static init(sequelize) {
-    super.init(
-      {
-        codeCompo: {
-          type: DataTypes.STRING(10),
-          primaryKey: true,
-          allowNull: false, // La clé primaire ne doit pas être nulle
-          field: 'code_compo', // Nom de la colonne dans la base de données
-        },
-        libelle: {
-          type: DataTypes.STRING(50),
-          allowNull: false,
-          // Un libellé peut être unique par année scolaire et type de composition
-          // L'unicité combinée sera gérée par un index unique si nécessaire
-        },
-        dateCompo: { // Renommé 'Date' en 'dateCompo' pour éviter les conflits de nommage et être plus explicite
-          type: DataTypes.DATEONLY,
-          allowNull: false,
-          field: 'date_compo', // Nom de la colonne dans la base de données
-        },
-        typeCompo: {
-          type: DataTypes.ENUM('Mensuelle', 'Programme', 'Passage'),
-          allowNull: false,
-          field: 'type_compo',
-        },
-        anneeCode: { // Renommé 'annee' en 'anneeCode' pour la cohérence avec AnneeScolaire
-          type: DataTypes.STRING(10),
-          allowNull: false,
-          // Pas besoin de 'references' ici, l'association `belongsTo` le gère
-          field: 'annee_code', // Nom de la colonne dans la base de données
-        },
-        // createdAt, updatedAt, et deletedAt sont gérés par la classe Schema
-      },
-      {
-        sequelize,
-        modelName: 'Composition',
-        tableName: 'compositions',
-        // Si la combinaison libelle, typeCompo, anneeCode doit être unique, ajoutez un index composé :
-        indexes: [
-          {
-            unique: true,
-            fields: ['libelle', 'type_compo', 'annee_code'], // Utilisez les noms de colonnes réels
-            name: 'unique_composition_per_year_type'
-          }
-        ]
-        // timestamps, paranoid, underscored, normalizeStrings sont gérés par défaut par la classe Schema
-      }
-    );
-  }
-
-  /**
-   * Définit les associations pour le modèle Composition.
-   * @param {Object} models - Un objet contenant tous les modèles de l'application.
-   * @param {import('./anneeScolaire.js').default} models.AnneeScolaire - Le modèle AnneeScolaire.
-   * @param {import('./Note.js').default} models.Note - Le modèle Note.
-   * @param {import('./Moyenne.js').default} models.Moyenne - Le modèle Moyenne.
-   */
-  static associate(models) {
-    // Une composition appartient à une année scolaire spécifique.
-    this.belongsTo(models.AnneeScolaire, {
-      foreignKey: 'anneeCode', // Clé étrangère dans la table 'compositions'
-      targetKey: 'codeAnne',   // Clé primaire dans la table 'anneescolaire'
-      onDelete: 'RESTRICT',
-      as: 'anneeScolaire', // Alias pour inclure facilement l'année scolaire
-    });
-
-    // Une composition peut avoir plusieurs notes.
-    this.hasMany(models.Note, {
-      foreignKey: 'codeCompo', // Clé étrangère dans la table 'notes'
-      sourceKey: 'codeCompo',  // Clé primaire dans la table 'compositions'
-      onDelete: 'RESTRICT',
-      as: 'notes', // Alias pour inclure facilement les notes
-    });
-
-    // Une composition peut être liée à plusieurs moyennes.
-    this.hasMany(models.Moyenne, {
-      foreignKey: 'codeCompo', // Clé étrangère dans la table 'moyennes'
-      sourceKey: 'codeCompo',  // Clé primaire dans la table 'compositions'
-      onDelete: 'RESTRICT',
-      as: 'moyennes', // Alias pour inclure facilement les moyennes
-    });
-
-    // Appel de la méthode associate de la classe parente.
-    super.associate(models);
-  }
-}
-
+import { DataTypes } from 'sequelize';
+import Schema from '../Configs/model.js'; // Assurez-vous que le chemin est correct
+
+/**
+ * @class Composition
+ * @extends Schema
+ * @description Modèle pour gérer les évaluations (compositions, examens) des élèves.
+ */
+class Composition extends Schema {
+  /**
+   * Initialise le modèle Composition avec ses attributs et options.
+   * @param {import('sequelize').Sequelize} sequelize - L'instance Sequelize connectée.
+   */
+  static init(sequelize) {
+    super.init(
+      {
+        codeCompo: {
+          type: DataTypes.STRING(10),
+          primaryKey: true,
+          allowNull: false, // La clé primaire ne doit pas être nulle
+          field: 'code_compo', // Nom de la colonne dans la base de données
+        },
+        libelle: {
+          type: DataTypes.STRING(50),
+          allowNull: false,
+          // Un libellé peut être unique par année scolaire et type de composition
+          // L'unicité combinée sera gérée par un index unique si nécessaire
+        },
+        dateCompo: { // Renommé 'Date' en 'dateCompo' pour éviter les conflits de nommage et être plus explicite
+          type: DataTypes.DATEONLY,
+          allowNull: false,
+          field: 'date_compo', // Nom de la colonne dans la base de données
+        },
+        typeCompo: {
+          type: DataTypes.ENUM('Mensuelle', 'Programme', 'Passage'),
+          allowNull: false,
+          field: 'type_compo',
+        },
+        anneeCode: { // Renommé 'annee' en 'anneeCode' pour la cohérence avec AnneeScolaire
+          type: DataTypes.STRING(10),
+          allowNull: false,
+          // Pas besoin de 'references' ici, l'association `belongsTo` le gère
+          field: 'annee_code', // Nom de la colonne dans la base de données
+        },
+        codePeriode: { // Période (trimestre, semestre) de la composition ; nulle si l'année n'est pas découpée en périodes
+          type: DataTypes.STRING(10),
+          allowNull: true,
+          field: 'code_periode', // Nom de la colonne dans la base de données
+        },
+        statut: { // Cycle de vie : Ouverte → Clôturée → Publiée. Les notes et moyennes ne sont modifiables que si la composition est ouverte.
+          type: DataTypes.ENUM('Ouverte', 'Clôturée', 'Publiée'),
+          allowNull: false,
+          defaultValue: 'Ouverte',
+        },
+        clotureeLe: {
+          type: DataTypes.DATE,
+          allowNull: true,
+          field: 'cloturee_le',
+        },
+        publieeLe: {
+          type: DataTypes.DATE,
+          allowNull: true,
+          field: 'publiee_le',
+        },
+        // createdAt, updatedAt, et deletedAt sont gérés par la classe Schema
+      },
+      {
+        sequelize,
+        modelName: 'Composition',
+        tableName: 'compositions',
+        // Si la combinaison libelle, typeCompo, anneeCode doit être unique, ajoutez un index composé :
+        indexes: [
+          {
+            unique: true,
+            fields: ['libelle', 'type_compo', 'annee_code'], // Utilisez les noms de colonnes réels
+            name: 'unique_composition_per_year_type'
+          }
+        ]
+        // timestamps, paranoid, underscored, normalizeStrings sont gérés par défaut par la classe Schema
+      }
+    );
+  }
+
+  /**
+   * Définit les associations pour le modèle Composition.
+   * @param {Object} models - Un objet contenant tous les modèles de l'application.
+   * @param {import('./anneeScolaire.js').default} models.AnneeScolaire - Le modèle AnneeScolaire.
+   * @param {import('./Periode.js').default} models.Periode - Le modèle Periode.
+   * @param {import('./Note.js').default} models.Note - Le modèle Note.
+   * @param {import('./Moyenne.js').default} models.Moyenne - Le modèle Moyenne.
+   */
+  static associate(models) {
+    // Une composition appartient à une année scolaire spécifique.
+    this.belongsTo(models.AnneeScolaire, {
+      foreignKey: 'anneeCode', // Clé étrangère dans la table 'compositions'
+      targetKey: 'codeAnne',   // Clé primaire dans la table 'anneescolaire'
+      onDelete: 'RESTRICT',
+      as: 'anneeScolaire', // Alias pour inclure facilement l'année scolaire
+    });
+
+    // Une composition peut appartenir à une période de l'année (trimestre, semestre).
+    this.belongsTo(models.Periode, {
+      foreignKey: 'codePeriode', // Clé étrangère dans la table 'compositions'
+      targetKey: 'codePeriode',  // Clé primaire dans la table 'periodes'
+      onDelete: 'RESTRICT',
+      as: 'periode', // Alias pour inclure facilement la période
+    });
+
+    // Une composition peut avoir plusieurs notes.
+    this.hasMany(models.Note, {
+      foreignKey: 'codeCompo', // Clé étrangère dans la table 'notes'
+      sourceKey: 'codeCompo',  // Clé primaire dans la table 'compositions'
+      onDelete: 'RESTRICT',
+      as: 'notes', // Alias pour inclure facilement les notes
+    });
+
+    // Une composition peut être liée à plusieurs moyennes.
+    this.hasMany(models.Moyenne, {
+      foreignKey: 'codeCompo', // Clé étrangère dans la table 'moyennes'
+      sourceKey: 'codeCompo',  // Clé primaire dans la table 'compositions'
+      onDelete: 'RESTRICT',
+      as: 'moyennes', // Alias pour inclure facilement les moyennes
+    });
+
+    // Appel de la méthode associate de la classe parente.
+    super.associate(models);
+  }
+}
+
 export default Composition;
\ No newline at end of file
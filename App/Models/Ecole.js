@@ -1,90 +1,165 @@
-import { DataTypes } from 'sequelize';
-import Schema from '../Configs/model.js'; // Ensure the path is correct
-
-/**
- * @class Ecole
- * @extends Schema
- * @description Modèle pour gérer les informations des écoles.
- */
-class Ecole extends Schema {
-  /**
-   * Initialise le modèle Ecole avec ses attributs et options.
-   * @param {import('sequelize').Sequelize} sequelize - L'instance Sequelize connectée.
-   */
-  static init(sequelize) {
-    super.init(
-      {
-        ecoleId: {
-          type: DataTypes.STRING(10),
-          primaryKey: true,
-          allowNull: false, // Primary key should not be null
-          validate: {
-            is: /^EC[0-9]{3}$/, // Matches CHECK constraint, e.g., "EC001"
-          },
-          field: 'ecole_id', // Database column name
-        },
-        ecoleName: {
-          type: DataTypes.STRING(100),
-          allowNull: false,
-          unique: true, // School names should generally be unique
-          field: 'ecole_name',
-        },
-        iep: {
-          type: DataTypes.STRING(200),
-          allowNull: true, // Assuming this can be optional
-          // Consider adding a unique constraint if IEP values are unique across all schools
-        },
-        ville: {
-          type: DataTypes.STRING(50),
-          allowNull: true, // Assuming this can be optional
-        },
-        // createdAt, updatedAt, and deletedAt are handled by the Schema class
-      },
-      {
-        sequelize,
-        modelName: 'Ecole',
-        tableName: 'ecoles',
-        // The 'ecole_id' index is redundant as it's the primary key and automatically indexed.
-        // timestamps, paranoid, underscored, normalizeStrings are handled by default by the Schema class
-      }
-    );
-  }
-
-  /**
-   * Définit les associations pour le modèle Ecole.
-   * @param {Object} models - An object containing all application models.
-   * @param {import('./User.js').default} models.User - The User model.
-   * @param {import('./Classe.js').default} models.Classe - The Classe model.
-   * @param {import('./Eleve.js').default} models.Eleve - The Eleve model.
-   */
-  static associate(models) {
-    // An Ecole can have many Users (e.g., teachers, administrators)
-    this.hasMany(models.User, {
-      foreignKey: 'ecoleId', // Foreign key in the 'users' table
-      sourceKey: 'ecoleId',  // Primary key in the 'ecoles' table
-      onDelete: 'RESTRICT',  // Prevent deletion of an Ecole if Users are linked
-      as: 'users',           // Alias for eager loading: Ecole.findOne({ include: 'users' })
-    });
-
-    // An Ecole can have many Classes
-    this.hasMany(models.Classe, {
-      foreignKey: 'ecoleId', // Foreign key in the 'classes' table (as refined in Classe model)
-      sourceKey: 'ecoleId',
-      onDelete: 'RESTRICT',  // Prevent deletion of an Ecole if Classes are linked
-      as: 'classes',         // Alias for eager loading: Ecole.findOne({ include: 'classes' })
-    });
-
-    // An Ecole can have many Eleves (students)
-    this.hasMany(models.Eleve, {
-      foreignKey: 'ecoleId', // Foreign key in the 'eleves' table
-      sourceKey: 'ecoleId',
-      onDelete: 'RESTRICT',  // Prevent deletion of an Ecole if Eleves are linked
-      as: 'eleves',          // Alias for eager loading: Ecole.findOne({ include: 'eleves' })
-    });
-
-    // Call the parent Schema's associate method.
-    super.associate(models);
-  }
-}
-
+import { DataTypes } from 'sequelize';
+import Schema from '../Configs/model.js'; // Ensure the path is correct
+
+/**
+ * @class Ecole
+ * @extends Schema
+ * @description Modèle pour gérer les informations des écoles.
+ */
+class Ecole extends Schema {
+  /**
+   * Initialise le modèle Ecole avec ses attributs et options.
+   * @param {import('sequelize').Sequelize} sequelize - L'instance Sequelize connectée.
+   */
+  static init(sequelize) {
+    super.init(
+      {
+        ecoleId: {
+          type: DataTypes.STRING(10),
+          primaryKey: true,
+          allowNull: false, // Primary key should not be null
+          validate: {
+            is: /^EC[0-9]{3}$/, // Matches CHECK constraint, e.g., "EC001"
+          },
+          field: 'ecole_id', // Database column name
+        },
+        ecoleName: {
+          type: DataTypes.STRING(100),
+          allowNull: false,
+          unique: true, // School names should generally be unique
+          field: 'ecole_name',
+        },
+        iep: {
+          type: DataTypes.STRING(200),
+          allowNull: true, // Assuming this can be optional
+          // Consider adding a unique constraint if IEP values are unique across all schools
+        },
+        ville: {
+          type: DataTypes.STRING(50),
+          allowNull: true, // Assuming this can be optional
+        },
+        bareme: { // Note maximale du barème de l'école (ex: 10 au primaire, 20 au secondaire)
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          defaultValue: 10,
+          validate: {
+            min: 1,
+            max: 100,
+          },
+        },
+        baremeParNiveau: { // Barèmes spécifiques à certains niveaux, ex: { "6ème": 20 } ; prioritaires sur `bareme`
+          type: DataTypes.JSONB,
+          allowNull: true,
+          field: 'bareme_par_niveau',
+        },
+        politiqueAbsence: { // Prise en compte d'une absence non excusée dans les moyennes : comptée 0 ou exclue
+          type: DataTypes.ENUM('Zéro', 'Exclue'),
+          allowNull: false,
+          defaultValue: 'Zéro',
+          field: 'politique_absence',
+        },
+        seuilReussite: { // Moyenne minimale de réussite sur le barème de l'école ; par défaut la moitié du barème
+          type: DataTypes.FLOAT,
+          allowNull: true,
+          field: 'seuil_reussite',
+          validate: {
+            min: 0,
+          },
+        },
+        margeRattrapage: { // Écart maximal sous le seuil de réussite ouvrant droit au rattrapage ; null : seuls les refusés
+          type: DataTypes.FLOAT,
+          allowNull: true,
+          field: 'marge_rattrapage',
+          validate: {
+            min: 0,
+          },
+        },
+        regleRattrapage: { // MGA retenue après rattrapage : moyenne de rattrapage, plafonnée au seuil de réussite, ou meilleure des deux
+          type: DataTypes.ENUM('Remplacement', 'Plafonnement', 'Meilleure'),
+          allowNull: false,
+          defaultValue: 'Plafonnement',
+          field: 'regle_rattrapage',
+        },
+        politiqueArrondi: { // Arrondi des moyennes et MGA enregistrées : aucun, au pas le plus proche ou par troncature au pas
+          type: DataTypes.ENUM('Aucun', 'Plus proche', 'Troncature'),
+          allowNull: false,
+          defaultValue: 'Aucun',
+          field: 'politique_arrondi',
+        },
+        pasArrondi: { // Pas d'arrondi, ex: 0.01 (deux décimales) ou 0.25 (au quart de point)
+          type: DataTypes.FLOAT,
+          allowNull: false,
+          defaultValue: 0.01,
+          field: 'pas_arrondi',
+          validate: {
+            min: 0.0001,
+          },
+        },
+        // createdAt, updatedAt, and deletedAt are handled by the Schema class
+      },
+      {
+        sequelize,
+        modelName: 'Ecole',
+        tableName: 'ecoles',
+        // The 'ecole_id' index is redundant as it's the primary key and automatically indexed.
+        // timestamps, paranoid, underscored, normalizeStrings are handled by default by the Schema class
+      }
+    );
+  }
+
+  /**
+   * Définit les associations pour le modèle Ecole.
+   * @param {Object} models - An object containing all application models.
+   * @param {import('./User.js').default} models.User - The User model.
+   * @param {import('./Classe.js').default} models.Classe - The Classe model.
+   * @param {import('./Eleve.js').default} models.Eleve - The Eleve model.
+   * @param {import('./RegleDecision.js').default} models.RegleDecision - The RegleDecision model.
+   * @param {import('./BandeMention.js').default} models.BandeMention - The BandeMention model.
+   */
+  static associate(models) {
+    // An Ecole can have many Users (e.g., teachers, administrators)
+    this.hasMany(models.User, {
+      foreignKey: 'ecoleId', // Foreign key in the 'users' table
+      sourceKey: 'ecoleId',  // Primary key in the 'ecoles' table
+      onDelete: 'RESTRICT',  // Prevent deletion of an Ecole if Users are linked
+      as: 'users',           // Alias for eager loading: Ecole.findOne({ include: 'users' })
+    });
+
+    // An Ecole can have many Classes
+    this.hasMany(models.Classe, {
+      foreignKey: 'ecoleId', // Foreign key in the 'classes' table (as refined in Classe model)
+      sourceKey: 'ecoleId',
+      onDelete: 'RESTRICT',  // Prevent deletion of an Ecole if Classes are linked
+      as: 'classes',         // Alias for eager loading: Ecole.findOne({ include: 'classes' })
+    });
+
+    // An Ecole can have many Eleves (students)
+    this.hasMany(models.Eleve, {
+      foreignKey: 'ecoleId', // Foreign key in the 'eleves' table
+      sourceKey: 'ecoleId',
+      onDelete: 'RESTRICT',  // Prevent deletion of an Ecole if Eleves are linked
+      as: 'eleves',          // Alias for eager loading: Ecole.findOne({ include: 'eleves' })
+    });
+
+    // An Ecole defines its own end-of-year decision rules
+    this.hasMany(models.RegleDecision, {
+      foreignKey: 'ecoleId', // Foreign key in the 'regles_decision' table
+      sourceKey: 'ecoleId',
+      onDelete: 'CASCADE',   // Decision rules are removed along with their Ecole
+      as: 'reglesDecision',  // Alias for eager loading: Ecole.findOne({ include: 'reglesDecision' })
+    });
+
+    // An Ecole defines its own mention bands (Félicitations, Tableau d'honneur, ...)
+    this.hasMany(models.BandeMention, {
+      foreignKey: 'ecoleId', // Foreign key in the 'bandes_mention' table
+      sourceKey: 'ecoleId',
+      onDelete: 'CASCADE',   // Mention bands are removed along with their Ecole
+      as: 'bandesMention',   // Alias for eager loading: Ecole.findOne({ include: 'bandesMention' })
+    });
+
+    // Call the parent Schema's associate method.
+    super.associate(models);
+  }
+}
+
 export default Ecole;
\ No newline at end of file
@@ -0,0 +1,108 @@
+import { DataTypes } from 'sequelize';
+import Schema from '../Configs/model.js'; // Assurez-vous que le chemin est correct
+
+/**
+ * @class Historique
+ * @extends Schema
+ * @description Modèle pour l'historique des modifications des notes, moyennes et résultats :
+ * ancienne et nouvelle valeur, auteur, date et motif éventuel. Les entrées sont écrites par les hooks
+ * des modèles audités (voir l'option `audit` de Schema) et ne sont jamais modifiées.
+ */
+class Historique extends Schema {
+  /**
+   * Initialise le modèle Historique avec ses attributs et options.
+   * @param {import('sequelize').Sequelize} sequelize - L'instance Sequelize connectée.
+   */
+  static init(sequelize) {
+    super.init(
+      {
+        historiqueId: {
+          type: DataTypes.INTEGER,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false,
+          field: 'historique_id', // Nom de la colonne dans la base de données
+        },
+        entite: { // Modèle concerné par la modification
+          type: DataTypes.ENUM('Note', 'Moyenne', 'Resultat'),
+          allowNull: false,
+        },
+        action: {
+          type: DataTypes.ENUM('Création', 'Modification', 'Suppression'),
+          allowNull: false,
+        },
+        matriculEleve: {
+          type: DataTypes.STRING(20),
+          allowNull: false,
+          field: 'matricul_eleve', // Nom de la colonne dans la base de données
+        },
+        cle: { // Clé de l'enregistrement modifié, ex: { matriculEleve, codeEva, codeCompo }
+          type: DataTypes.JSONB,
+          allowNull: false,
+        },
+        ancienneValeur: { // Valeurs des champs suivis avant la modification ; nul pour une création
+          type: DataTypes.JSONB,
+          allowNull: true,
+          field: 'ancienne_valeur',
+        },
+        nouvelleValeur: { // Valeurs des champs suivis après la modification ; nul pour une suppression
+          type: DataTypes.JSONB,
+          allowNull: true,
+          field: 'nouvelle_valeur',
+        },
+        userId: { // Auteur de la modification ; nul pour un traitement hors requête authentifiée
+          type: DataTypes.INTEGER,
+          allowNull: true,
+          field: 'user_id',
+        },
+        motif: {
+          type: DataTypes.TEXT,
+          allowNull: true,
+        },
+        // createdAt sert d'horodatage ; un historique n'est ni modifié ni supprimé
+      },
+      {
+        sequelize,
+        modelName: 'Historique',
+        tableName: 'historiques',
+        updatedAt: false,
+        paranoid: false,
+        indexes: [
+          {
+            fields: ['matricul_eleve', 'created_at'], // Consultation de l'historique d'un élève
+            name: 'idx_historiques_eleve_date'
+          }
+        ],
+      }
+    );
+  }
+
+  /**
+   * Définit les associations pour le modèle Historique.
+   * @param {Object} models - Un objet contenant tous les modèles de l'application.
+   * @param {import('./Eleve.js').default} models.Eleve - Le modèle Eleve.
+   * @param {import('./User.js').default} models.User - Le modèle User.
+   */
+  static associate(models) {
+    // Une entrée d'historique concerne un élève.
+    this.belongsTo(models.Eleve, {
+      foreignKey: 'matriculEleve', // Clé étrangère dans la table 'historiques'
+      targetKey: 'matricul',       // Clé primaire dans la table 'eleves'
+      constraints: false,          // L'historique survit à la suppression de l'élève
+      as: 'eleveDetail',
+    });
+
+    // Une entrée d'historique a été produite par un utilisateur.
+    this.belongsTo(models.User, {
+      foreignKey: 'userId',        // Clé étrangère dans la table 'historiques'
+      targetKey: 'userId',         // Clé primaire dans la table 'users'
+      constraints: false,          // L'historique survit à la suppression de l'utilisateur
+      as: 'auteur',
+    });
+
+    // Appel de la méthode associate de la classe parente.
+    super.associate(models);
+  }
+}
+
+export default Historique;
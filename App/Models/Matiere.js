@@ -0,0 +1,72 @@
+import { DataTypes } from 'sequelize';
+import Schema from '../Configs/model.js'; // Assurez-vous que le chemin est correct
+
+/**
+ * @class Matiere
+ * @extends Schema
+ * @description Modèle pour gérer les matières enseignées (Français, Mathématiques, SVT...).
+ * Le coefficient d'une matière dépend du niveau et de la série de la classe (voir MatiereCoefficient).
+ */
+class Matiere extends Schema {
+  /**
+   * Initialise le modèle Matiere avec ses attributs et options.
+   * @param {import('sequelize').Sequelize} sequelize - L'instance Sequelize connectée.
+   */
+  static init(sequelize) {
+    super.init(
+      {
+        codeMatiere: {
+          type: DataTypes.STRING(10),
+          primaryKey: true,
+          allowNull: false, // La clé primaire ne doit jamais être nulle
+          field: 'code_matiere', // Nom de la colonne dans la base de données
+        },
+        libelle: {
+          type: DataTypes.STRING(50),
+          allowNull: false,
+          unique: true, // Une matière n'est définie qu'une seule fois (ex: "Mathématiques")
+        },
+        ordre: { // Ordre d'affichage de la matière sur les bulletins
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        // createdAt, updatedAt, et deletedAt sont gérés par la classe Schema
+      },
+      {
+        sequelize,
+        modelName: 'Matiere',
+        tableName: 'matieres',
+      }
+    );
+  }
+
+  /**
+   * Définit les associations pour le modèle Matiere.
+   * @param {Object} models - Un objet contenant tous les modèles de l'application.
+   * @param {import('./Evaluation.js').default} models.Evaluation - Le modèle Evaluation.
+   * @param {import('./MatiereCoefficient.js').default} models.MatiereCoefficient - Le modèle MatiereCoefficient.
+   */
+  static associate(models) {
+    // Une matière regroupe plusieurs évaluations.
+    this.hasMany(models.Evaluation, {
+      foreignKey: 'codeMatiere', // Clé étrangère dans la table 'evaluations'
+      sourceKey: 'codeMatiere',
+      onDelete: 'RESTRICT',      // Empêche la suppression d'une matière si des évaluations y sont liées
+      as: 'evaluations',
+    });
+
+    // Une matière a un coefficient par niveau et par série.
+    this.hasMany(models.MatiereCoefficient, {
+      foreignKey: 'codeMatiere', // Clé étrangère dans la table 'matiere_coefficients'
+      sourceKey: 'codeMatiere',
+      onDelete: 'CASCADE',       // Les coefficients disparaissent avec la matière
+      as: 'coefficients',
+    });
+
+    // Appel de la méthode associate de la classe parente.
+    super.associate(models);
+  }
+}
+
+export default Matiere;
@@ -0,0 +1,80 @@
+import { DataTypes } from 'sequelize';
+import Schema from '../Configs/model.js'; // Assurez-vous que le chemin est correct
+
+/**
+ * @class MatiereCoefficient
+ * @extends Schema
+ * @description Modèle pour stocker le coefficient d'une matière pour un niveau et, le cas échéant, une série (ex: Maths, Terminale, série C : 5).
+ */
+class MatiereCoefficient extends Schema {
+  /**
+   * Initialise le modèle MatiereCoefficient avec ses attributs et options.
+   * @param {import('sequelize').Sequelize} sequelize - L'instance Sequelize connectée.
+   */
+  static init(sequelize) {
+    super.init(
+      {
+        coefficientId: {
+          type: DataTypes.INTEGER,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false,
+          field: 'coefficient_id', // Nom de la colonne dans la base de données
+        },
+        codeMatiere: {
+          type: DataTypes.STRING(10),
+          allowNull: false,
+          field: 'code_matiere', // Nom de la colonne dans la base de données
+        },
+        niveau: { // Niveau de classe concerné (ex: "6ème", "Terminale")
+          type: DataTypes.STRING(20),
+          allowNull: false,
+        },
+        serie: { // Série concernée (ex: "A", "C", "D") ; null si le coefficient vaut pour toutes les séries du niveau
+          type: DataTypes.STRING(10),
+          allowNull: true,
+        },
+        coefficient: {
+          type: DataTypes.FLOAT,
+          allowNull: false,
+          validate: {
+            min: 0.01, // Le coefficient doit être supérieur à 0
+          },
+        },
+        // createdAt, updatedAt, et deletedAt sont gérés par la classe Schema
+      },
+      {
+        sequelize,
+        modelName: 'MatiereCoefficient',
+        tableName: 'matiere_coefficients',
+        indexes: [
+          {
+            unique: true,
+            fields: ['code_matiere', 'niveau', 'serie'], // Un seul coefficient par matière, niveau et série
+            name: 'unique_coefficient_per_matiere_niveau_serie'
+          }
+        ],
+      }
+    );
+  }
+
+  /**
+   * Définit les associations pour le modèle MatiereCoefficient.
+   * @param {Object} models - Un objet contenant tous les modèles de l'application.
+   * @param {import('./Matiere.js').default} models.Matiere - Le modèle Matiere.
+   */
+  static associate(models) {
+    // Un coefficient appartient à une matière.
+    this.belongsTo(models.Matiere, {
+      foreignKey: 'codeMatiere', // Clé étrangère dans la table 'matiere_coefficients'
+      targetKey: 'codeMatiere',  // Clé primaire dans la table 'matieres'
+      onDelete: 'CASCADE',
+      as: 'matiere',
+    });
+
+    // Appel de la méthode associate de la classe parente.
+    super.associate(models);
+  }
+}
+
+export default MatiereCoefficient;
@@ -0,0 +1,93 @@
+import { DataTypes } from 'sequelize';
+import Schema from '../Configs/model.js'; // Assurez-vous que le chemin est correct
+
+/**
+ * @class MoyennePeriode
+ * @extends Schema
+ * @description Modèle pour la moyenne d'un élève sur une période (trimestre, semestre),
+ * calculée à partir de ses moyennes de composition pondérées par type de composition.
+ */
+class MoyennePeriode extends Schema {
+  /**
+   * Initialise le modèle MoyennePeriode avec ses attributs et options.
+   * @param {import('sequelize').Sequelize} sequelize - L'instance Sequelize connectée.
+   */
+  static init(sequelize) {
+    super.init(
+      {
+        matriculEleve: {
+          type: DataTypes.STRING(20),
+          primaryKey: true, // Fait partie de la clé primaire composite
+          allowNull: false,
+          field: 'matricul_eleve', // Nom de la colonne dans la base de données
+        },
+        codePeriode: {
+          type: DataTypes.STRING(10),
+          primaryKey: true, // Fait partie de la clé primaire composite
+          allowNull: false,
+          field: 'code_periode', // Nom de la colonne dans la base de données
+        },
+        moyenne: {
+          type: DataTypes.FLOAT,
+          allowNull: false,
+          validate: {
+            min: 0, // Le maximum dépend du barème de l'école (voir Ecole.bareme)
+          },
+        },
+        moyenneBrute: { // Moyenne exacte avant application de la politique d'arrondi de l'école
+          type: DataTypes.FLOAT,
+          allowNull: true,
+          field: 'moyenne_brute',
+          validate: {
+            min: 0,
+          },
+        },
+        perimee: { // Indique que des moyennes de composition ont changé depuis le dernier calcul
+          type: DataTypes.BOOLEAN,
+          allowNull: false,
+          defaultValue: false,
+        },
+        calculeLe: { // Date du dernier calcul de la moyenne de période
+          type: DataTypes.DATE,
+          allowNull: true,
+          field: 'calcule_le',
+        },
+        // createdAt, updatedAt, et deletedAt sont gérés par la classe Schema
+      },
+      {
+        sequelize,
+        modelName: 'MoyennePeriode',
+        tableName: 'moyennes_periode',
+      }
+    );
+  }
+
+  /**
+   * Définit les associations pour le modèle MoyennePeriode.
+   * @param {Object} models - Un objet contenant tous les modèles de l'application.
+   * @param {import('./Eleve.js').default} models.Eleve - Le modèle Eleve.
+   * @param {import('./Periode.js').default} models.Periode - Le modèle Periode.
+   */
+  static associate(models) {
+    // Une moyenne de période appartient à un élève.
+    this.belongsTo(models.Eleve, {
+      foreignKey: 'matriculEleve', // Clé étrangère dans la table 'moyennes_periode'
+      targetKey: 'matricul',       // Clé primaire dans la table 'eleves'
+      onDelete: 'CASCADE',
+      as: 'eleveDetail',
+    });
+
+    // Une moyenne de période appartient à une période.
+    this.belongsTo(models.Periode, {
+      foreignKey: 'codePeriode',   // Clé étrangère dans la table 'moyennes_periode'
+      targetKey: 'codePeriode',    // Clé primaire dans la table 'periodes'
+      onDelete: 'RESTRICT',
+      as: 'periodeDetail',
+    });
+
+    // Appel de la méthode associate de la classe parente.
+    super.associate(models);
+  }
+}
+
+export default MoyennePeriode;
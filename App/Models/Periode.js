@@ -0,0 +1,106 @@
+import { DataTypes } from 'sequelize';
+import Schema from '../Configs/model.js'; // Assurez-vous que le chemin est correct
+
+/**
+ * @class Periode
+ * @extends Schema
+ * @description Modèle pour les périodes d'une année scolaire (trimestres, semestres).
+ * Les compositions sont rattachées à une période ; la moyenne de période est calculée à partir de ses compositions
+ * et la MGA à partir des moyennes de période, pondérées par le poids de chaque période.
+ */
+class Periode extends Schema {
+  /**
+   * Initialise le modèle Periode avec ses attributs et options.
+   * @param {import('sequelize').Sequelize} sequelize - L'instance Sequelize connectée.
+   */
+  static init(sequelize) {
+    super.init(
+      {
+        codePeriode: {
+          type: DataTypes.STRING(10),
+          primaryKey: true,
+          allowNull: false, // La clé primaire ne doit jamais être nulle
+          field: 'code_periode', // Nom de la colonne dans la base de données
+        },
+        libelle: { // Ex: "1er trimestre"
+          type: DataTypes.STRING(50),
+          allowNull: false,
+        },
+        anneeCode: {
+          type: DataTypes.STRING(10),
+          allowNull: false,
+          field: 'annee_code', // Nom de la colonne dans la base de données
+        },
+        dateDebut: {
+          type: DataTypes.DATEONLY,
+          allowNull: false,
+          field: 'date_debut',
+        },
+        dateFin: {
+          type: DataTypes.DATEONLY,
+          allowNull: false,
+          field: 'date_fin',
+        },
+        poids: { // Poids de la moyenne de période dans la MGA
+          type: DataTypes.FLOAT,
+          allowNull: false,
+          defaultValue: 1,
+          validate: {
+            min: 0,
+          },
+        },
+        // createdAt, updatedAt, et deletedAt sont gérés par la classe Schema
+      },
+      {
+        sequelize,
+        modelName: 'Periode',
+        tableName: 'periodes',
+        indexes: [
+          {
+            unique: true,
+            fields: ['libelle', 'annee_code'], // Un seul "1er trimestre" par année scolaire
+            name: 'unique_periode_per_year'
+          }
+        ],
+      }
+    );
+  }
+
+  /**
+   * Définit les associations pour le modèle Periode.
+   * @param {Object} models - Un objet contenant tous les modèles de l'application.
+   * @param {import('./anneeScolaire.js').default} models.AnneeScolaire - Le modèle AnneeScolaire.
+   * @param {import('./Composition.js').default} models.Composition - Le modèle Composition.
+   * @param {import('./MoyennePeriode.js').default} models.MoyennePeriode - Le modèle MoyennePeriode.
+   */
+  static associate(models) {
+    // Une période appartient à une année scolaire.
+    this.belongsTo(models.AnneeScolaire, {
+      foreignKey: 'anneeCode', // Clé étrangère dans la table 'periodes'
+      targetKey: 'codeAnne',   // Clé primaire dans la table 'anneescolaire'
+      onDelete: 'RESTRICT',
+      as: 'anneeScolaire',
+    });
+
+    // Une période regroupe plusieurs compositions.
+    this.hasMany(models.Composition, {
+      foreignKey: 'codePeriode', // Clé étrangère dans la table 'compositions'
+      sourceKey: 'codePeriode',
+      onDelete: 'RESTRICT',      // Empêche la suppression d'une période à laquelle des compositions sont rattachées
+      as: 'compositions',
+    });
+
+    // Une période a une moyenne par élève.
+    this.hasMany(models.MoyennePeriode, {
+      foreignKey: 'codePeriode', // Clé étrangère dans la table 'moyennes_periode'
+      sourceKey: 'codePeriode',
+      onDelete: 'RESTRICT',
+      as: 'moyennes',
+    });
+
+    // Appel de la méthode associate de la classe parente.
+    super.associate(models);
+  }
+}
+
+export default Periode;
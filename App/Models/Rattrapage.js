@@ -0,0 +1,136 @@
+import { DataTypes } from 'sequelize';
+import Schema from '../Configs/model.js'; // Assurez-vous que le chemin est correct
+
+/**
+ * @class Rattrapage
+ * @extends Schema
+ * @description Modèle pour l'inscription d'un élève au rattrapage de fin d'année, ses notes de rattrapage
+ * et la décision finale. La décision initiale est conservée ; la décision finale est reportée sur le résultat annuel.
+ */
+class Rattrapage extends Schema {
+  /**
+   * Initialise le modèle Rattrapage avec ses attributs et options.
+   * La clé primaire est composite : (matriculEleve, anneeCode), comme celle du résultat annuel.
+   * @param {import('sequelize').Sequelize} sequelize - L'instance Sequelize connectée.
+   */
+  static init(sequelize) {
+    super.init(
+      {
+        matriculEleve: {
+          type: DataTypes.STRING(20),
+          primaryKey: true, // Fait partie de la clé primaire composite
+          allowNull: false,
+          field: 'matricul_eleve', // Nom de la colonne dans la base de données
+        },
+        anneeCode: {
+          type: DataTypes.STRING(10),
+          primaryKey: true, // Fait partie de la clé primaire composite
+          allowNull: false,
+          field: 'annee_code', // Nom de la colonne dans la base de données
+        },
+        mgaInitiale: { // MGA du résultat au moment de l'inscription
+          type: DataTypes.FLOAT,
+          allowNull: false,
+          field: 'mga_initiale',
+          validate: {
+            min: 0,
+          },
+        },
+        decisionInitiale: { // Décision du résultat au moment de l'inscription
+          type: DataTypes.ENUM('Admis', 'Refusé', 'Passage'),
+          allowNull: false,
+          field: 'decision_initiale',
+        },
+        origineDecisionInitiale: {
+          type: DataTypes.ENUM('Règle', 'Conseil', 'Manuelle'),
+          allowNull: true,
+          field: 'origine_decision_initiale',
+        },
+        regleIdInitiale: { // Règle qui avait produit la décision initiale
+          type: DataTypes.INTEGER,
+          allowNull: true,
+          field: 'regle_id_initiale',
+        },
+        notes: { // Notes de rattrapage par matière, ex: [{ codeMatiere: 'MATH', note: 12, coefficient: 4 }]
+          type: DataTypes.JSONB,
+          allowNull: true,
+        },
+        moyenne: { // Moyenne de rattrapage ; nulle tant que les notes ne sont pas saisies
+          type: DataTypes.FLOAT,
+          allowNull: true,
+          validate: {
+            min: 0, // Le maximum dépend du barème de l'école (voir Ecole.bareme)
+          },
+        },
+        regleRattrapage: { // Règle de l'école appliquée pour la décision finale (voir Ecole.regleRattrapage)
+          type: DataTypes.ENUM('Remplacement', 'Plafonnement', 'Meilleure'),
+          allowNull: true,
+          field: 'regle_rattrapage',
+        },
+        mgaRetenue: { // MGA retenue pour la décision finale
+          type: DataTypes.FLOAT,
+          allowNull: true,
+          field: 'mga_retenue',
+          validate: {
+            min: 0,
+          },
+        },
+        decisionFinale: {
+          type: DataTypes.ENUM('Admis', 'Refusé', 'Passage'),
+          allowNull: true,
+          field: 'decision_finale',
+        },
+        decideLe: {
+          type: DataTypes.DATE,
+          allowNull: true,
+          field: 'decide_le',
+        },
+        // createdAt, updatedAt, et deletedAt sont gérés par la classe Schema
+      },
+      {
+        sequelize,
+        modelName: 'Rattrapage',
+        tableName: 'rattrapages',
+        paranoid: false, // Une désinscription supprime l'inscription, qui peut ensuite être recréée avec la même clé
+      }
+    );
+  }
+
+  /**
+   * Définit les associations pour le modèle Rattrapage.
+   * @param {Object} models - Un objet contenant tous les modèles de l'application.
+   * @param {import('./Eleve.js').default} models.Eleve - Le modèle Eleve.
+   * @param {import('./anneeScolaire.js').default} models.AnneeScolaire - Le modèle AnneeScolaire.
+   * @param {import('./RegleDecision.js').default} models.RegleDecision - Le modèle RegleDecision.
+   */
+  static associate(models) {
+    // Un rattrapage concerne un élève.
+    this.belongsTo(models.Eleve, {
+      foreignKey: 'matriculEleve', // Clé étrangère dans la table 'rattrapages'
+      targetKey: 'matricul',       // Clé primaire dans la table 'eleves'
+      onDelete: 'CASCADE',
+      as: 'eleveDetail',
+    });
+
+    // Un rattrapage est lié à une année scolaire.
+    this.belongsTo(models.AnneeScolaire, {
+      foreignKey: 'anneeCode',     // Clé étrangère dans la table 'rattrapages'
+      targetKey: 'codeAnne',       // Clé primaire dans la table 'anneescolaire'
+      onDelete: 'RESTRICT',
+      as: 'anneeScolaire',
+    });
+
+    // La décision initiale peut avoir été produite par une règle de décision.
+    this.belongsTo(models.RegleDecision, {
+      foreignKey: 'regleIdInitiale', // Clé étrangère dans la table 'rattrapages'
+      targetKey: 'regleId',          // Clé primaire dans la table 'regles_decision'
+      onDelete: 'SET NULL',
+      as: 'regleInitiale',
+    });
+
+    // Appel de la méthode associate de la classe parente.
+    super.associate(models);
+  }
+}
+
+export default Rattrapage;
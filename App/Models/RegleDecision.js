@@ -0,0 +1,129 @@
+import { DataTypes } from 'sequelize';
+import Schema from '../Configs/model.js'; // Assurez-vous que le chemin est correct
+
+/**
+ * @class RegleDecision
+ * @extends Schema
+ * @description Modèle pour paramétrer, par école et par niveau, les règles de décision de fin d'année
+ * (ex: "MGA ≥ 10 → Admis", "8.5 ≤ MGA < 10 → Passage"). Les règles sont évaluées par ordre de priorité
+ * croissante et la première règle satisfaite détermine la décision.
+ */
+class RegleDecision extends Schema {
+  /**
+   * Initialise le modèle RegleDecision avec ses attributs et options.
+   * @param {import('sequelize').Sequelize} sequelize - L'instance Sequelize connectée.
+   */
+  static init(sequelize) {
+    super.init(
+      {
+        regleId: {
+          type: DataTypes.INTEGER,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false,
+          field: 'regle_id', // Nom de la colonne dans la base de données
+        },
+        ecoleId: {
+          type: DataTypes.STRING(10),
+          allowNull: false,
+          field: 'ecole_id', // Nom de la colonne dans la base de données
+        },
+        niveau: { // Niveau concerné (ex: "CM2") ; null si la règle s'applique à tous les niveaux de l'école
+          type: DataTypes.STRING(20),
+          allowNull: true,
+        },
+        libelle: {
+          type: DataTypes.STRING(100),
+          allowNull: false,
+        },
+        decision: {
+          type: DataTypes.ENUM('Admis', 'Refusé', 'Passage'), // Mêmes valeurs que Resultat.decision
+          allowNull: false,
+        },
+        mgaMin: { // Borne inférieure incluse de la MGA ; null si pas de borne
+          type: DataTypes.FLOAT,
+          allowNull: true,
+          field: 'mga_min',
+          validate: {
+            min: 0,
+          },
+        },
+        mgaMax: { // Borne supérieure exclue de la MGA ; null si pas de borne
+          type: DataTypes.FLOAT,
+          allowNull: true,
+          field: 'mga_max',
+          validate: {
+            min: 0,
+          },
+        },
+        redoublementsMin: { // Nombre minimal de redoublements antérieurs de l'élève ; null si pas de condition
+          type: DataTypes.INTEGER,
+          allowNull: true,
+          field: 'redoublements_min',
+          validate: {
+            min: 0,
+          },
+        },
+        redoublementsMax: { // Nombre maximal de redoublements antérieurs de l'élève ; null si pas de condition
+          type: DataTypes.INTEGER,
+          allowNull: true,
+          field: 'redoublements_max',
+          validate: {
+            min: 0,
+          },
+        },
+        priorite: { // Ordre d'évaluation : la règle de plus petite priorité est évaluée en premier
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        actif: {
+          type: DataTypes.BOOLEAN,
+          allowNull: false,
+          defaultValue: true,
+        },
+        // createdAt, updatedAt, et deletedAt sont gérés par la classe Schema
+      },
+      {
+        sequelize,
+        modelName: 'RegleDecision',
+        tableName: 'regles_decision',
+        indexes: [
+          {
+            fields: ['ecole_id', 'niveau', 'priorite'], // Recherche des règles applicables à une classe
+            name: 'idx_regles_decision_ecole_niveau'
+          }
+        ],
+      }
+    );
+  }
+
+  /**
+   * Définit les associations pour le modèle RegleDecision.
+   * @param {Object} models - Un objet contenant tous les modèles de l'application.
+   * @param {import('./Ecole.js').default} models.Ecole - Le modèle Ecole.
+   * @param {import('./Resultat.js').default} models.Resultat - Le modèle Resultat.
+   */
+  static associate(models) {
+    // Une règle de décision appartient à une école.
+    this.belongsTo(models.Ecole, {
+      foreignKey: 'ecoleId',  // Clé étrangère dans la table 'regles_decision'
+      targetKey: 'ecoleId',   // Clé primaire dans la table 'ecoles'
+      onDelete: 'CASCADE',    // Les règles d'une école supprimée n'ont plus de raison d'être
+      as: 'ecole',
+    });
+
+    // Une règle peut avoir produit la décision de plusieurs résultats.
+    this.hasMany(models.Resultat, {
+      foreignKey: 'regleId',  // Clé étrangère dans la table 'resultats'
+      sourceKey: 'regleId',
+      onDelete: 'SET NULL',   // Les résultats conservent leur décision si la règle est supprimée
+      as: 'resultats',
+    });
+
+    // Appel de la méthode associate de la classe parente.
+    super.associate(models);
+  }
+}
+
+export default RegleDecision;
@@ -1,98 +1,150 @@
-import { DataTypes } from 'sequelize';
-import Schema from '../Configs/model.js'; // Assurez-vous que le chemin est correct
-
-/**
- * @class Resultat
- * @extends Schema
- * @description Modèle pour stocker le résultat final d'un élève pour une année scolaire donnée.
- */
-class Resultat extends Schema {
-  /**
-   * Initialise le modèle Resultat avec ses attributs et options.
-   * La clé primaire est composite : (matriculEleve, anneeCode).
-   * @param {import('sequelize').Sequelize} sequelize - L'instance Sequelize connectée.
-   */
-  static init(sequelize) {
-    super.init(
-      {
-        matriculEleve: { // Renommé 'eleve' pour la cohérence avec le modèle Eleve
-          type: DataTypes.STRING(20),
-          primaryKey: true,
-          allowNull: false, // La clé primaire ne doit jamais être nulle
-          field: 'matricul_eleve', // Nom de la colonne dans la base de données
-          // Pas besoin de 'references' ici, l'association `belongsTo` le gère
-        },
-        anneeCode: { // Renommé 'annee' pour la cohérence avec le modèle AnneeScolaire
-          type: DataTypes.STRING(10),
-          primaryKey: true,
-          allowNull: false, // La clé primaire ne doit jamais être nulle
-          field: 'annee_code', // Nom de la colonne dans la base de données
-          // Pas besoin de 'references' ici, l'association `belongsTo` le gère
-        },
-        decision: {
-          type: DataTypes.ENUM('Admis', 'Refusé', 'Passage'), // Ajout de 'Passage' si applicable
-          allowNull: false,
-        },
-        rang: {
-          type: DataTypes.INTEGER,
-          allowNull: false,
-          validate: {
-            min: 1, // Le rang doit être au moins 1
-          },
-        },
-        mga: { // Moyenne Générale Annuelle
-          type: DataTypes.FLOAT,
-          allowNull: false,
-          validate: {
-            min: 0,
-            max: 10, // Confirmez la plage maximale (0-10 ou 0-20 ?)
-          },
-        },
-        // createdAt, updatedAt, et deletedAt sont gérés par la classe Schema
-      },
-      {
-        sequelize,
-        modelName: 'Resultat',
-        tableName: 'resultats', // Généralement préférable d'utiliser le pluriel pour les noms de tables
-        // La clé primaire composite (matriculEleve, anneeCode) assure l'unicité et crée un index implicite.
-        // L'index sur 'annee' (maintenant 'annee_code') est redondant car déjà couvert par la clé primaire composite.
-        indexes: [
-            // Aucun index explicite supplémentaire n'est généralement nécessaire pour cette clé primaire composite.
-            // Si des requêtes spécifiques nécessitent des index sur des sous-ensembles de cette clé,
-            // ou d'autres champs non primaires, ils seraient définis ici.
-            // Par exemple, pour les requêtes de classement par année :
-            // { fields: ['annee_code', 'rang'] }
-        ],
-      }
-    );
-  }
-
-  /**
-   * Définit les associations pour le modèle Resultat.
-   * @param {Object} models - Un objet contenant tous les modèles de l'application.
-   * @param {import('./Eleve.js').default} models.Eleve - Le modèle Eleve.
-   * @param {import('./anneeScolaire.js').default} models.AnneeScolaire - Le modèle AnneeScolaire.
-   */
-  static associate(models) {
-    // Un résultat appartient à un élève spécifique.
-    this.belongsTo(models.Eleve, {
-      foreignKey: 'matriculEleve', // Clé étrangère dans la table 'resultats'
-      targetKey: 'matricul',       // Clé primaire dans la table 'eleves'
-      onDelete: 'CASCADE',         // Si l'élève est supprimé, ses résultats sont aussi supprimés
-      as: 'eleveDetail',           // Alias pour inclure les détails de l'élève
-    });
-
-    // Un résultat est lié à une année scolaire spécifique.
-    this.belongsTo(models.AnneeScolaire, {
-      foreignKey: 'anneeCode',    // Clé étrangère dans la table 'resultats'
-      targetKey: 'codeAnne',      // Clé primaire dans la table 'anneescolaire'
-      onDelete: 'RESTRICT',       // Empêche la suppression d'une année si des résultats y sont liés
-      as: 'anneeScolaire',        // Alias pour inclure les détails de l'année scolaire
-    });
-
-    // Appel de la méthode associate de la classe parente.
-    super.associate(models);
-  }
-}
-
+import { DataTypes } from 'sequelize';
+import Schema from '../Configs/model.js'; // Assurez-vous que le chemin est correct
+
+/**
+ * @class Resultat
+ * @extends Schema
+ * @description Modèle pour stocker le résultat final d'un élève pour une année scolaire donnée.
+ */
+class Resultat extends Schema {
+  /**
+   * Initialise le modèle Resultat avec ses attributs et options.
+   * La clé primaire est composite : (matriculEleve, anneeCode).
+   * @param {import('sequelize').Sequelize} sequelize - L'instance Sequelize connectée.
+   */
+  static init(sequelize) {
+    super.init(
+      {
+        matriculEleve: { // Renommé 'eleve' pour la cohérence avec le modèle Eleve
+          type: DataTypes.STRING(20),
+          primaryKey: true,
+          allowNull: false, // La clé primaire ne doit jamais être nulle
+          field: 'matricul_eleve', // Nom de la colonne dans la base de données
+          // Pas besoin de 'references' ici, l'association `belongsTo` le gère
+        },
+        anneeCode: { // Renommé 'annee' pour la cohérence avec le modèle AnneeScolaire
+          type: DataTypes.STRING(10),
+          primaryKey: true,
+          allowNull: false, // La clé primaire ne doit jamais être nulle
+          field: 'annee_code', // Nom de la colonne dans la base de données
+          // Pas besoin de 'references' ici, l'association `belongsTo` le gère
+        },
+        decision: {
+          type: DataTypes.ENUM('Admis', 'Refusé', 'Passage'), // Ajout de 'Passage' si applicable
+          allowNull: true, // Nulle tant que la décision de fin d'année n'a pas été prise (ex: MGA calculée automatiquement)
+        },
+        origineDecision: { // Qui a pris la décision : une règle de l'école, le conseil de classe, une saisie manuelle ou le rattrapage
+          type: DataTypes.ENUM('Règle', 'Conseil', 'Manuelle', 'Rattrapage'),
+          allowNull: true,
+          field: 'origine_decision',
+        },
+        regleId: { // Règle de décision qui a produit (ou proposé, en cas de dérogation du conseil) la décision
+          type: DataTypes.INTEGER,
+          allowNull: true,
+          field: 'regle_id',
+        },
+        motifDecision: { // Motif obligatoire lorsque le conseil de classe déroge à la décision
+          type: DataTypes.TEXT,
+          allowNull: true,
+          field: 'motif_decision',
+        },
+        appreciation: { // Appréciation saisie par l'enseignant ; remplace l'appréciation par défaut de la mention
+          type: DataTypes.TEXT,
+          allowNull: true,
+        },
+        rang: {
+          type: DataTypes.INTEGER,
+          allowNull: true, // Calculé automatiquement à partir de la MGA exacte au sein de la classe
+          validate: {
+            min: 1, // Le rang doit être au moins 1
+          },
+        },
+        exAequo: { // Indique si le rang est partagé avec d'autres élèves de la classe
+          type: DataTypes.BOOLEAN,
+          allowNull: false,
+          defaultValue: false,
+          field: 'ex_aequo',
+        },
+        mga: { // Moyenne Générale Annuelle
+          type: DataTypes.FLOAT,
+          allowNull: false,
+          validate: {
+            min: 0, // Le maximum dépend du barème de l'école (voir Ecole.bareme)
+          },
+        },
+        mgaBrute: { // MGA exacte avant application de la politique d'arrondi de l'école ; sert au classement
+          type: DataTypes.FLOAT,
+          allowNull: true,
+          field: 'mga_brute',
+          validate: {
+            min: 0,
+          },
+        },
+        perimee: { // Indique que des moyennes ont changé depuis le dernier calcul : la MGA et le rang doivent être recalculés
+          type: DataTypes.BOOLEAN,
+          allowNull: false,
+          defaultValue: false,
+        },
+        calculeLe: { // Date du dernier calcul (ou de la dernière saisie) de la MGA
+          type: DataTypes.DATE,
+          allowNull: true,
+          field: 'calcule_le',
+        },
+        // createdAt, updatedAt, et deletedAt sont gérés par la classe Schema
+      },
+      {
+        sequelize,
+        modelName: 'Resultat',
+        tableName: 'resultats', // Généralement préférable d'utiliser le pluriel pour les noms de tables
+        audit: { entite: 'Resultat', fields: ['mga', 'decision', 'appreciation'] }, // Historique des MGA et décisions
+        // La clé primaire composite (matriculEleve, anneeCode) assure l'unicité et crée un index implicite.
+        // L'index sur 'annee' (maintenant 'annee_code') est redondant car déjà couvert par la clé primaire composite.
+        indexes: [
+            // Aucun index explicite supplémentaire n'est généralement nécessaire pour cette clé primaire composite.
+            // Si des requêtes spécifiques nécessitent des index sur des sous-ensembles de cette clé,
+            // ou d'autres champs non primaires, ils seraient définis ici.
+            // Par exemple, pour les requêtes de classement par année :
+            // { fields: ['annee_code', 'rang'] }
+        ],
+      }
+    );
+  }
+
+  /**
+   * Définit les associations pour le modèle Resultat.
+   * @param {Object} models - Un objet contenant tous les modèles de l'application.
+   * @param {import('./Eleve.js').default} models.Eleve - Le modèle Eleve.
+   * @param {import('./anneeScolaire.js').default} models.AnneeScolaire - Le modèle AnneeScolaire.
+   * @param {import('./RegleDecision.js').default} models.RegleDecision - Le modèle RegleDecision.
+   */
+  static associate(models) {
+    // Un résultat appartient à un élève spécifique.
+    this.belongsTo(models.Eleve, {
+      foreignKey: 'matriculEleve', // Clé étrangère dans la table 'resultats'
+      targetKey: 'matricul',       // Clé primaire dans la table 'eleves'
+      onDelete: 'CASCADE',         // Si l'élève est supprimé, ses résultats sont aussi supprimés
+      as: 'eleveDetail',           // Alias pour inclure les détails de l'élève
+    });
+
+    // Un résultat est lié à une année scolaire spécifique.
+    this.belongsTo(models.AnneeScolaire, {
+      foreignKey: 'anneeCode',    // Clé étrangère dans la table 'resultats'
+      targetKey: 'codeAnne',      // Clé primaire dans la table 'anneescolaire'
+      onDelete: 'RESTRICT',       // Empêche la suppression d'une année si des résultats y sont liés
+      as: 'anneeScolaire',        // Alias pour inclure les détails de l'année scolaire
+    });
+
+    // Un résultat peut avoir été décidé par une règle de décision.
+    this.belongsTo(models.RegleDecision, {
+      foreignKey: 'regleId',      // Clé étrangère dans la table 'resultats'
+      targetKey: 'regleId',       // Clé primaire dans la table 'regles_decision'
+      onDelete: 'SET NULL',       // La décision est conservée si la règle est supprimée
+      as: 'regleDecision',        // Alias pour inclure la règle appliquée
+    });
+
+    // Appel de la méthode associate de la classe parente.
+    super.associate(models);
+  }
+}
+
 export default Resultat;
\ No newline at end of file
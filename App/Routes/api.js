@@ -1,409 +1,804 @@
-import express from 'express';
-import AuthMiddleware from '../Middlewares/authMiddleware.js';
-import EcoleController from '../Controllers/ecole.js';
-import UserController from '../Controllers/user.js';
-import AnneeScolaireController from '../Controllers/anneeScolaire.js';
-import ClasseController from '../Controllers/classe.js';
-import EleveController from '../Controllers/eleve.js';
-import EvaluationController from '../Controllers/evaluation.js';
-import CompositionController from '../Controllers/composition.js';
-import NoteController from '../Controllers/note.js';
-import MoyenneController from '../Controllers/moyenne.js';
-import ResultatController from '../Controllers/resultat.js';
-import Validator from '../Middlewares/Validator.js';
-import { db } from '../Models/index.js'; // Importe l'objet 'db' qui contient tous les modèles
-
-const router = express.Router();
-
-// Instancie les contrôleurs
-const userController = new UserController();
-const ecoleController = new EcoleController();
-const anneeScolaireController = new AnneeScolaireController();
-const classeController = new ClasseController();
-const eleveController = new EleveController();
-const evaluationController = new EvaluationController();
-const compositionController = new CompositionController();
-const noteController = new NoteController();
-const moyenneController = new MoyenneController();
-const resultatController = new ResultatController();
-
-// --- User routes ---
-router.post(
-  '/users',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator']),
-  Validator.middleware(Validator.userCreateSchema),
-  userController.createUser.bind(userController)
-);
-router.get(
-  '/users',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator']),
-  userController.getAll.bind(userController)
-);
-router.get(
-  '/users/:id',
-  AuthMiddleware.authenticate,
-  // L'autorisation de propriété est gérée ici. Le filtrage par école pour les enseignants est dans le contrôleur.
-  AuthMiddleware.authorize([], { ownershipRequired: true, model: db.User, idParam: 'id' }),
-  userController.getUser.bind(userController)
-);
-router.put(
-  '/users/:id',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize([], { ownershipRequired: true, model: db.User, idParam: 'id' }),
-  Validator.middleware(Validator.userUpdateSchema),
-  userController.updateUser.bind(userController)
-);
-router.delete(
-  '/users/:id',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator']), // Seul l'administrateur peut supprimer des utilisateurs (soft delete)
-  userController.deleteUser.bind(userController)
-);
-router.post(
-  '/login',
-  Validator.middleware(Validator.loginSchema),
-  userController.login.bind(userController)
-);
-
-// --- Ecole routes ---
-router.post(
-  '/ecoles',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator']),
-  Validator.middleware(Validator.ecoleCreateSchema),
-  ecoleController.createEcole.bind(ecoleController)
-);
-router.get(
-  '/ecoles',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator', 'Teacher']), // Les enseignants peuvent voir toutes les écoles
-  ecoleController.getAll.bind(ecoleController)
-);
-router.get(
-  '/ecoles/:id',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator', 'Teacher']), // Les enseignants peuvent voir les détails d'une école
-  ecoleController.getEcole.bind(ecoleController)
-);
-router.put(
-  '/ecoles/:id',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator']),
-  Validator.middleware(Validator.ecoleUpdateSchema),
-  ecoleController.updateEcole.bind(ecoleController)
-);
-router.delete(
-  '/ecoles/:id',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator']),
-  ecoleController.deleteEcole.bind(ecoleController)
-);
-
-// --- AnneeScolaire routes ---
-router.post(
-  '/anneescolaires',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator']),
-  Validator.middleware(Validator.anneeScolaireCreateSchema),
-  anneeScolaireController.createAnneeScolaire.bind(anneeScolaireController)
-);
-router.get(
-  '/anneescolaires',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator', 'Teacher']),
-  anneeScolaireController.getAll.bind(anneeScolaireController)
-);
-router.get(
-  '/anneescolaires/:id',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator', 'Teacher']),
-  anneeScolaireController.getAnneeScolaire.bind(anneeScolaireController)
-);
-router.put(
-  '/anneescolaires/:id',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator']),
-  Validator.middleware(Validator.anneeScolaireUpdateSchema),
-  anneeScolaireController.updateAnneeScolaire.bind(anneeScolaireController)
-);
-router.delete(
-  '/anneescolaires/:id',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator']),
-  anneeScolaireController.deleteAnneeScolaire.bind(anneeScolaireController)
-);
-
-// --- Classe routes ---
-router.post(
-  '/classes',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator', 'Teacher']), // La restriction par école est dans le contrôleur
-  Validator.middleware(Validator.classeCreateSchema),
-  classeController.createClasse.bind(classeController)
-);
-router.get(
-  '/classes',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator', 'Teacher']), // La restriction par école est dans le contrôleur
-  classeController.getAll.bind(classeController)
-);
-router.get(
-  '/classes/:id',
-  AuthMiddleware.authenticate,
-  // L'autorisation de propriété/restriction d'école est gérée dans le contrôleur.
-  AuthMiddleware.authorize(['Administrator', 'Teacher']),
-  classeController.getClasse.bind(classeController)
-);
-router.put(
-  '/classes/:id',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator', 'Teacher']), // La restriction par école est dans le contrôleur
-  Validator.middleware(Validator.classeUpdateSchema),
-  classeController.updateClasse.bind(classeController)
-);
-router.delete(
-  '/classes/:id',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator']), // Seul l'administrateur peut supprimer une classe
-  classeController.deleteClasse.bind(classeController)
-);
-
-// --- Eleve routes ---
-router.post(
-  '/eleves',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator', 'Teacher']), // La restriction par école est dans le contrôleur
-  Validator.middleware(Validator.eleveCreateSchema),
-  eleveController.createEleve.bind(eleveController)
-);
-router.get(
-  '/eleves',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator', 'Teacher']), // La restriction par école est dans le contrôleur
-  eleveController.getAll.bind(eleveController)
-);
-router.get(
-  '/eleves/:id',
-  AuthMiddleware.authenticate,
-  // L'autorisation de propriété/restriction d'école est gérée dans le contrôleur.
-  AuthMiddleware.authorize(['Administrator', 'Teacher']),
-  eleveController.getEleve.bind(eleveController)
-);
-router.put(
-  '/eleves/:id',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator', 'Teacher']), // La restriction par école est dans le contrôleur
-  Validator.middleware(Validator.eleveUpdateSchema),
-  eleveController.updateEleve.bind(eleveController)
-);
-router.delete(
-  '/eleves/:id',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator']), // Seul l'administrateur peut supprimer un élève
-  eleveController.deleteEleve.bind(eleveController)
-);
-
-// --- Evaluation routes ---
-router.post(
-  '/evaluations',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator']),
-  Validator.middleware(Validator.evaluationCreateSchema),
-  evaluationController.createEvaluation.bind(evaluationController)
-);
-router.get(
-  '/evaluations',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator', 'Teacher']),
-  evaluationController.getAll.bind(evaluationController)
-);
-router.get(
-  '/evaluations/:id',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator', 'Teacher']),
-  evaluationController.getEvaluation.bind(evaluationController)
-);
-router.put(
-  '/evaluations/:id',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator']),
-  Validator.middleware(Validator.evaluationUpdateSchema),
-  evaluationController.updateEvaluation.bind(evaluationController)
-);
-router.delete(
-  '/evaluations/:id',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator']),
-  evaluationController.deleteEvaluation.bind(evaluationController)
-);
-
-// --- Composition routes ---
-router.post(
-  '/compositions',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator', 'Teacher']),
-  Validator.middleware(Validator.compositionCreateSchema),
-  compositionController.createComposition.bind(compositionController)
-);
-router.get(
-  '/compositions',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator', 'Teacher']),
-  compositionController.getAll.bind(compositionController)
-);
-router.get(
-  '/compositions/:id',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator', 'Teacher']),
-  compositionController.getComposition.bind(compositionController)
-);
-router.put(
-  '/compositions/:id',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator', 'Teacher']),
-  Validator.middleware(Validator.compositionUpdateSchema),
-  compositionController.updateComposition.bind(compositionController)
-);
-router.delete(
-  '/compositions/:id',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator']),
-  compositionController.deleteComposition.bind(compositionController)
-);
-
-// --- Note routes ---
-router.post(
-  '/notes',
-  AuthMiddleware.authenticate,
-  // La restriction par école est dans le contrôleur (pour l'élève associé)
-  AuthMiddleware.authorize(['Teacher']),
-  Validator.middleware(Validator.noteCreateSchema),
-  noteController.createNote.bind(noteController)
-);
-router.get(
-  '/notes/eleve/:eleveId',
-  AuthMiddleware.authenticate,
-  // L'enseignant ne peut voir que les notes des élèves de son école.
-  // L'administrateur peut voir toutes les notes.
-  AuthMiddleware.authorize(['Administrator', 'Teacher'], { model: db.Eleve, idParam: 'eleveId', ownershipRequired: true, ownerField: 'ecoleId', isOwner: async (auth, eleveId) => {
-    const eleve = await db.Eleve.findByPk(eleveId);
-    return eleve && eleve.ecoleId === auth.ecoleId;
-  }}),
-  noteController.getNotesByEleve.bind(noteController)
-);
-router.get(
-  '/notes',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator', 'Teacher']), // Le filtrage par école pour les enseignants est dans le contrôleur
-  noteController.getAllNotes.bind(noteController)
-);
-router.put(
-  '/notes/:eleveId/:evaluationId/:composId', // Route pour clé primaire composite
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Teacher'], { model: db.Eleve, idParam: 'eleveId', ownershipRequired: true, ownerField: 'ecoleId', isOwner: async (auth, eleveId) => {
-    const eleve = await db.Eleve.findByPk(eleveId);
-    return eleve && eleve.ecoleId === auth.ecoleId;
-  }}),
-  Validator.middleware(Validator.noteUpdateSchema),
-  noteController.updateNote.bind(noteController)
-);
-router.delete(
-  '/notes/:eleveId/:evaluationId/:composId', // Route pour clé primaire composite
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator']), // Seul l'administrateur peut supprimer une note
-  noteController.deleteNote.bind(noteController)
-);
-
-
-// --- Moyenne routes ---
-router.post(
-  '/moyennes',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Teacher']), // La restriction par école est dans le contrôleur
-  Validator.middleware(Validator.moyenneCreateSchema),
-  moyenneController.calculateMoyenne.bind(moyenneController)
-);
-router.get(
-  '/moyennes',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator', 'Teacher']), // Le filtrage par école pour les enseignants est dans le contrôleur
-  moyenneController.getAllMoyennes.bind(moyenneController)
-);
-router.get(
-  '/moyennes/eleve/:eleveId',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator', 'Teacher'], { model: db.Eleve, idParam: 'eleveId', ownershipRequired: true, ownerField: 'ecoleId', isOwner: async (auth, eleveId) => {
-    const eleve = await db.Eleve.findByPk(eleveId);
-    return eleve && eleve.ecoleId === auth.ecoleId;
-  }}),
-  moyenneController.getMoyennesByEleve.bind(moyenneController)
-);
-router.get(
-  '/moyennes/composition/:composId',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator', 'Teacher']), // Le filtrage par école pour les enseignants est dans le contrôleur
-  moyenneController.getMoyennesByCompos.bind(moyenneController)
-);
-router.put(
-  '/moyennes/:eleveId/:composId', // Route pour clé primaire composite
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Teacher'], { model: db.Eleve, idParam: 'eleveId', ownershipRequired: true, ownerField: 'ecoleId', isOwner: async (auth, eleveId) => {
-    const eleve = await db.Eleve.findByPk(eleveId);
-    return eleve && eleve.ecoleId === auth.ecoleId;
-  }}),
-  Validator.middleware(Validator.moyenneUpdateSchema),
-  moyenneController.updateMoyenne.bind(moyenneController)
-);
-router.delete(
-  '/moyennes/:eleveId/:composId', // Route pour clé primaire composite
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator']), // Seul l'administrateur peut supprimer une moyenne
-  moyenneController.deleteMoyenne.bind(moyenneController)
-);
-
-// --- Resultat routes ---
-router.post(
-  '/resultats',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator']), // La restriction par école est dans le contrôleur
-  Validator.middleware(Validator.resultatCreateSchema),
-  resultatController.createResultat.bind(resultatController)
-);
-router.get(
-  '/resultats',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator', 'Teacher']), // Le filtrage par école pour les enseignants est dans le contrôleur
-  resultatController.getAllResultats.bind(resultatController)
-);
-router.get(
-  '/resultats/eleve/:eleveId',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator', 'Teacher'], { model: db.Eleve, idParam: 'eleveId', ownershipRequired: true, ownerField: 'ecoleId', isOwner: async (auth, eleveId) => {
-    const eleve = await db.Eleve.findByPk(eleveId);
-    return eleve && eleve.ecoleId === auth.ecoleId;
-  }}),
-  resultatController.getResultatsByEleve.bind(resultatController)
-);
-router.get(
-  '/resultats/annee/:anneeId',
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator', 'Teacher']), // Le filtrage par école pour les enseignants est dans le contrôleur
-  resultatController.getResultatsByAnnee.bind(resultatController)
-);
-router.put(
-  '/resultats/:eleveId/:anneeId', // Route pour clé primaire composite
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator']), // Seul l'administrateur peut mettre à jour un résultat
-  Validator.middleware(Validator.resultatUpdateSchema),
-  resultatController.updateResultat.bind(resultatController)
-);
-router.delete(
-  '/resultats/:eleveId/:anneeId', // Route pour clé primaire composite
-  AuthMiddleware.authenticate,
-  AuthMiddleware.authorize(['Administrator']), // Seul l'administrateur peut supprimer un résultat
-  resultatController.deleteResultat.bind(resultatController)
-);
-
-export default router;
+import express from 'express';
+import AuthMiddleware from '../Middlewares/authMiddleware.js';
+import UploadMiddleware from '../Middlewares/uploadMiddleware.js';
+import EcoleController from '../Controllers/ecole.js';
+import UserController from '../Controllers/user.js';
+import AnneeScolaireController from '../Controllers/anneeScolaire.js';
+import PeriodeController from '../Controllers/periode.js';
+import ClasseController from '../Controllers/classe.js';
+import EleveController from '../Controllers/eleve.js';
+import BulletinController from '../Controllers/bulletin.js';
+import CertificatController from '../Controllers/certificat.js';
+import EvaluationController from '../Controllers/evaluation.js';
+import CompositionController from '../Controllers/composition.js';
+import NoteController from '../Controllers/note.js';
+import MoyenneController from '../Controllers/moyenne.js';
+import ResultatController from '../Controllers/resultat.js';
+import RattrapageController from '../Controllers/rattrapage.js';
+import RegleDecisionController from '../Controllers/regleDecision.js';
+import MatiereController from '../Controllers/matiere.js';
+import BandeMentionController from '../Controllers/bandeMention.js';
+import HistoriqueController from '../Controllers/historique.js';
+import Validator from '../Middlewares/Validator.js';
+import { db } from '../Models/index.js'; // Importe l'objet 'db' qui contient tous les modèles
+
+const router = express.Router();
+
+// Instancie les contrôleurs
+const userController = new UserController();
+const ecoleController = new EcoleController();
+const anneeScolaireController = new AnneeScolaireController();
+const periodeController = new PeriodeController();
+const classeController = new ClasseController();
+const eleveController = new EleveController();
+const bulletinController = new BulletinController();
+const certificatController = new CertificatController();
+const evaluationController = new EvaluationController();
+const compositionController = new CompositionController();
+const noteController = new NoteController();
+const moyenneController = new MoyenneController();
+const resultatController = new ResultatController();
+const rattrapageController = new RattrapageController();
+const regleDecisionController = new RegleDecisionController();
+const matiereController = new MatiereController();
+const bandeMentionController = new BandeMentionController();
+const historiqueController = new HistoriqueController();
+
+// --- User routes ---
+router.post(
+  '/users',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']),
+  Validator.middleware(Validator.userCreateSchema),
+  userController.createUser.bind(userController)
+);
+router.get(
+  '/users',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']),
+  userController.getAll.bind(userController)
+);
+router.get(
+  '/users/:id',
+  AuthMiddleware.authenticate,
+  // L'autorisation de propriété est gérée ici. Le filtrage par école pour les enseignants est dans le contrôleur.
+  AuthMiddleware.authorize([], { ownershipRequired: true, model: db.User, idParam: 'id' }),
+  userController.getUser.bind(userController)
+);
+router.put(
+  '/users/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize([], { ownershipRequired: true, model: db.User, idParam: 'id' }),
+  Validator.middleware(Validator.userUpdateSchema),
+  userController.updateUser.bind(userController)
+);
+router.delete(
+  '/users/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']), // Seul l'administrateur peut supprimer des utilisateurs (soft delete)
+  userController.deleteUser.bind(userController)
+);
+router.post(
+  '/login',
+  Validator.middleware(Validator.loginSchema),
+  userController.login.bind(userController)
+);
+
+// --- Ecole routes ---
+router.post(
+  '/ecoles',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']),
+  Validator.middleware(Validator.ecoleCreateSchema),
+  ecoleController.createEcole.bind(ecoleController)
+);
+router.get(
+  '/ecoles',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']), // Les enseignants peuvent voir toutes les écoles
+  ecoleController.getAll.bind(ecoleController)
+);
+router.get(
+  '/ecoles/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']), // Les enseignants peuvent voir les détails d'une école
+  ecoleController.getEcole.bind(ecoleController)
+);
+router.put(
+  '/ecoles/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']),
+  Validator.middleware(Validator.ecoleUpdateSchema),
+  ecoleController.updateEcole.bind(ecoleController)
+);
+router.delete(
+  '/ecoles/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']),
+  ecoleController.deleteEcole.bind(ecoleController)
+);
+
+// --- AnneeScolaire routes ---
+router.post(
+  '/anneescolaires',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']),
+  Validator.middleware(Validator.anneeScolaireCreateSchema),
+  anneeScolaireController.createAnneeScolaire.bind(anneeScolaireController)
+);
+router.get(
+  '/anneescolaires',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']),
+  anneeScolaireController.getAll.bind(anneeScolaireController)
+);
+router.get(
+  '/anneescolaires/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']),
+  anneeScolaireController.getAnneeScolaire.bind(anneeScolaireController)
+);
+router.put(
+  '/anneescolaires/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']),
+  Validator.middleware(Validator.anneeScolaireUpdateSchema),
+  anneeScolaireController.updateAnneeScolaire.bind(anneeScolaireController)
+);
+router.delete(
+  '/anneescolaires/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']),
+  anneeScolaireController.deleteAnneeScolaire.bind(anneeScolaireController)
+);
+
+// --- Periode routes ---
+router.post(
+  '/periodes',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']),
+  Validator.middleware(Validator.periodeCreateSchema),
+  periodeController.createPeriode.bind(periodeController)
+);
+router.get(
+  '/periodes',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']),
+  periodeController.getAll.bind(periodeController)
+);
+router.get(
+  '/periodes/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']),
+  periodeController.getPeriode.bind(periodeController)
+);
+router.put(
+  '/periodes/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']),
+  Validator.middleware(Validator.periodeUpdateSchema),
+  periodeController.updatePeriode.bind(periodeController)
+);
+router.delete(
+  '/periodes/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']),
+  periodeController.deletePeriode.bind(periodeController)
+);
+router.post(
+  '/periodes/:id/classe/:classeId/calculate',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']), // La restriction par école est dans le contrôleur
+  periodeController.calculateMoyennesByClasse.bind(periodeController)
+);
+router.get(
+  '/periodes/:id/classe/:classeId/moyennes',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']), // La restriction par école est dans le contrôleur
+  periodeController.getMoyennesByClasse.bind(periodeController)
+);
+
+// --- Classe routes ---
+router.post(
+  '/classes',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']), // La restriction par école est dans le contrôleur
+  Validator.middleware(Validator.classeCreateSchema),
+  classeController.createClasse.bind(classeController)
+);
+router.get(
+  '/classes',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']), // La restriction par école est dans le contrôleur
+  classeController.getAll.bind(classeController)
+);
+router.get(
+  '/classes/:id',
+  AuthMiddleware.authenticate,
+  // L'autorisation de propriété/restriction d'école est gérée dans le contrôleur.
+  AuthMiddleware.authorize(['Administrator', 'Teacher']),
+  classeController.getClasse.bind(classeController)
+);
+router.put(
+  '/classes/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']), // La restriction par école est dans le contrôleur
+  Validator.middleware(Validator.classeUpdateSchema),
+  classeController.updateClasse.bind(classeController)
+);
+router.delete(
+  '/classes/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']), // Seul l'administrateur peut supprimer une classe
+  classeController.deleteClasse.bind(classeController)
+);
+
+// --- Eleve routes ---
+router.post(
+  '/eleves',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']), // La restriction par école est dans le contrôleur
+  Validator.middleware(Validator.eleveCreateSchema),
+  eleveController.createEleve.bind(eleveController)
+);
+router.post(
+  '/eleves/import', // Fichier CSV ou XLSX dans le champ 'fichier' ; ?annee= pour l'année des classes, ?dryRun=true pour un aperçu sans enregistrement
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']), // La restriction par école est dans le service
+  UploadMiddleware.spreadsheet('fichier'),
+  eleveController.importEleves.bind(eleveController)
+);
+router.get(
+  '/eleves',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']), // La restriction par école est dans le contrôleur
+  eleveController.getAll.bind(eleveController)
+);
+router.get(
+  '/eleves/:id',
+  AuthMiddleware.authenticate,
+  // L'autorisation de propriété/restriction d'école est gérée dans le contrôleur.
+  AuthMiddleware.authorize(['Administrator', 'Teacher']),
+  eleveController.getEleve.bind(eleveController)
+);
+router.put(
+  '/eleves/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']), // La restriction par école est dans le contrôleur
+  Validator.middleware(Validator.eleveUpdateSchema),
+  eleveController.updateEleve.bind(eleveController)
+);
+router.delete(
+  '/eleves/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']), // Seul l'administrateur peut supprimer un élève
+  eleveController.deleteEleve.bind(eleveController)
+);
+router.get(
+  '/eleves/:id/bulletin', // ?composition=<codeCompo> ou ?periode=<codePeriode>
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']), // La restriction par école est dans le service
+  bulletinController.getBulletin.bind(bulletinController)
+);
+router.post(
+  '/eleves/:id/certificats',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']), // La restriction par école est dans le service
+  Validator.middleware(Validator.certificatCreateSchema),
+  certificatController.delivrerCertificat.bind(certificatController)
+);
+router.get(
+  '/eleves/:id/certificats',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']), // La restriction par école est dans le service
+  certificatController.getCertificatsByEleve.bind(certificatController)
+);
+
+// --- Certificat routes ---
+router.get(
+  '/certificats/verification/:code', // Route publique : vérification de l'authenticité d'un document
+  certificatController.verifierCertificat.bind(certificatController)
+);
+router.post(
+  '/certificats/:code/revoke',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']), // Seul l'administrateur peut révoquer un document
+  Validator.middleware(Validator.certificatRevocationSchema),
+  certificatController.revoquerCertificat.bind(certificatController)
+);
+
+// --- Evaluation routes ---
+router.post(
+  '/evaluations',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']),
+  Validator.middleware(Validator.evaluationCreateSchema),
+  evaluationController.createEvaluation.bind(evaluationController)
+);
+router.get(
+  '/evaluations',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']),
+  evaluationController.getAll.bind(evaluationController)
+);
+router.get(
+  '/evaluations/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']),
+  evaluationController.getEvaluation.bind(evaluationController)
+);
+router.put(
+  '/evaluations/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']),
+  Validator.middleware(Validator.evaluationUpdateSchema),
+  evaluationController.updateEvaluation.bind(evaluationController)
+);
+router.delete(
+  '/evaluations/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']),
+  evaluationController.deleteEvaluation.bind(evaluationController)
+);
+
+// --- Composition routes ---
+router.post(
+  '/compositions',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']),
+  Validator.middleware(Validator.compositionCreateSchema),
+  compositionController.createComposition.bind(compositionController)
+);
+router.get(
+  '/compositions',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']),
+  compositionController.getAll.bind(compositionController)
+);
+router.get(
+  '/compositions/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']),
+  compositionController.getComposition.bind(compositionController)
+);
+router.get(
+  '/compositions/:id/statistics',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']), // La restriction par école est dans le service
+  compositionController.getStatistics.bind(compositionController)
+);
+router.get(
+  '/compositions/:id/anomalies',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']), // La restriction par école est dans le service
+  compositionController.getAnomalies.bind(compositionController)
+);
+router.get(
+  '/compositions/:id/pv', // ?classe=<classeId>&format=json|pdf
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']), // La restriction par école est dans le service
+  compositionController.getProcesVerbal.bind(compositionController)
+);
+router.put(
+  '/compositions/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']),
+  Validator.middleware(Validator.compositionUpdateSchema),
+  compositionController.updateComposition.bind(compositionController)
+);
+router.post(
+  '/compositions/:id/close',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']), // Seule la direction valide et clôture une composition
+  compositionController.closeComposition.bind(compositionController)
+);
+router.post(
+  '/compositions/:id/publish',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']),
+  compositionController.publishComposition.bind(compositionController)
+);
+router.post(
+  '/compositions/:id/reopen',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']),
+  Validator.middleware(Validator.compositionReopenSchema),
+  compositionController.reopenComposition.bind(compositionController)
+);
+router.delete(
+  '/compositions/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']),
+  compositionController.deleteComposition.bind(compositionController)
+);
+
+// --- Note routes ---
+router.post(
+  '/notes',
+  AuthMiddleware.authenticate,
+  // La restriction par école est dans le contrôleur (pour l'élève associé)
+  AuthMiddleware.authorize(['Teacher']),
+  Validator.middleware(Validator.noteCreateSchema),
+  noteController.createNote.bind(noteController)
+);
+router.post(
+  '/notes/bulk',
+  AuthMiddleware.authenticate,
+  // Chaque ligne est validée dans le service ; la restriction par école y est aussi appliquée, ligne par ligne
+  AuthMiddleware.authorize(['Teacher']),
+  noteController.bulkCreateNotes.bind(noteController)
+);
+router.post(
+  '/notes/import', // ?composition=<codeCompo> ; fichier CSV ou XLSX dans le champ 'fichier' ; ?dryRun=true pour un aperçu sans enregistrement
+  AuthMiddleware.authenticate,
+  // Chaque cellule est vérifiée dans le service ; la restriction par école y est aussi appliquée, élève par élève
+  AuthMiddleware.authorize(['Teacher']),
+  UploadMiddleware.spreadsheet('fichier'),
+  noteController.importNotes.bind(noteController)
+);
+router.get(
+  '/notes/eleve/:eleveId',
+  AuthMiddleware.authenticate,
+  // L'enseignant ne peut voir que les notes des élèves de son école.
+  // L'administrateur peut voir toutes les notes.
+  AuthMiddleware.authorize(['Administrator', 'Teacher'], { model: db.Eleve, idParam: 'eleveId', ownershipRequired: true, ownerField: 'ecoleId', isOwner: async (auth, eleveId) => {
+    const eleve = await db.Eleve.findByPk(eleveId);
+    return eleve && eleve.ecoleId === auth.ecoleId;
+  }}),
+  noteController.getNotesByEleve.bind(noteController)
+);
+router.get(
+  '/notes',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']), // Le filtrage par école pour les enseignants est dans le contrôleur
+  noteController.getAllNotes.bind(noteController)
+);
+router.put(
+  '/notes/:eleveId/:evaluationId/:composId', // Route pour clé primaire composite
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Teacher'], { model: db.Eleve, idParam: 'eleveId', ownershipRequired: true, ownerField: 'ecoleId', isOwner: async (auth, eleveId) => {
+    const eleve = await db.Eleve.findByPk(eleveId);
+    return eleve && eleve.ecoleId === auth.ecoleId;
+  }}),
+  Validator.middleware(Validator.noteUpdateSchema),
+  noteController.updateNote.bind(noteController)
+);
+router.delete(
+  '/notes/:eleveId/:evaluationId/:composId', // Route pour clé primaire composite
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']), // Seul l'administrateur peut supprimer une note
+  noteController.deleteNote.bind(noteController)
+);
+
+
+// --- Moyenne routes ---
+router.post(
+  '/moyennes',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Teacher']), // La restriction par école est dans le contrôleur
+  Validator.middleware(Validator.moyenneCreateSchema),
+  moyenneController.calculateMoyenne.bind(moyenneController)
+);
+router.post(
+  '/moyennes/composition/:composId/classe/:classeId/calculate',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']), // La restriction par école est dans le contrôleur
+  moyenneController.calculateMoyennesByClasse.bind(moyenneController)
+);
+router.get(
+  '/moyennes',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']), // Le filtrage par école pour les enseignants est dans le contrôleur
+  moyenneController.getAllMoyennes.bind(moyenneController)
+);
+router.get(
+  '/moyennes/eleve/:eleveId',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher'], { model: db.Eleve, idParam: 'eleveId', ownershipRequired: true, ownerField: 'ecoleId', isOwner: async (auth, eleveId) => {
+    const eleve = await db.Eleve.findByPk(eleveId);
+    return eleve && eleve.ecoleId === auth.ecoleId;
+  }}),
+  moyenneController.getMoyennesByEleve.bind(moyenneController)
+);
+router.get(
+  '/moyennes/composition/:composId',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']), // Le filtrage par école pour les enseignants est dans le contrôleur
+  moyenneController.getMoyennesByCompos.bind(moyenneController)
+);
+router.put(
+  '/moyennes/:eleveId/:composId', // Route pour clé primaire composite
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Teacher'], { model: db.Eleve, idParam: 'eleveId', ownershipRequired: true, ownerField: 'ecoleId', isOwner: async (auth, eleveId) => {
+    const eleve = await db.Eleve.findByPk(eleveId);
+    return eleve && eleve.ecoleId === auth.ecoleId;
+  }}),
+  Validator.middleware(Validator.moyenneUpdateSchema),
+  moyenneController.updateMoyenne.bind(moyenneController)
+);
+router.put(
+  '/moyennes/:eleveId/:composId/appreciation', // Appréciation de l'enseignant, à la place de celle de la mention
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Teacher'], { model: db.Eleve, idParam: 'eleveId', ownershipRequired: true, ownerField: 'ecoleId', isOwner: async (auth, eleveId) => {
+    const eleve = await db.Eleve.findByPk(eleveId);
+    return eleve && eleve.ecoleId === auth.ecoleId;
+  }}),
+  Validator.middleware(Validator.appreciationSchema),
+  moyenneController.updateAppreciation.bind(moyenneController)
+);
+router.delete(
+  '/moyennes/:eleveId/:composId', // Route pour clé primaire composite
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']), // Seul l'administrateur peut supprimer une moyenne
+  moyenneController.deleteMoyenne.bind(moyenneController)
+);
+
+// --- Resultat routes ---
+router.post(
+  '/resultats',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']), // La restriction par école est dans le contrôleur
+  Validator.middleware(Validator.resultatCreateSchema),
+  resultatController.createResultat.bind(resultatController)
+);
+router.get(
+  '/resultats',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']), // Le filtrage par école pour les enseignants est dans le contrôleur
+  resultatController.getAllResultats.bind(resultatController)
+);
+router.get(
+  '/resultats/eleve/:eleveId',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher'], { model: db.Eleve, idParam: 'eleveId', ownershipRequired: true, ownerField: 'ecoleId', isOwner: async (auth, eleveId) => {
+    const eleve = await db.Eleve.findByPk(eleveId);
+    return eleve && eleve.ecoleId === auth.ecoleId;
+  }}),
+  resultatController.getResultatsByEleve.bind(resultatController)
+);
+router.get(
+  '/resultats/annee/:anneeId',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']), // Le filtrage par école pour les enseignants est dans le contrôleur
+  resultatController.getResultatsByAnnee.bind(resultatController)
+);
+router.get(
+  '/resultats/mga/eleve/:eleveId/annee/:anneeId',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher'], { model: db.Eleve, idParam: 'eleveId', ownershipRequired: true, ownerField: 'ecoleId', isOwner: async (auth, eleveId) => {
+    const eleve = await db.Eleve.findByPk(eleveId);
+    return eleve && eleve.ecoleId === auth.ecoleId;
+  }}),
+  resultatController.previewMgaForEleve.bind(resultatController)
+);
+router.get(
+  '/resultats/simulation/eleve/:eleveId/annee/:anneeId', // Moyenne requise dans les compositions restantes, sans enregistrement
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher'], { model: db.Eleve, idParam: 'eleveId', ownershipRequired: true, ownerField: 'ecoleId', isOwner: async (auth, eleveId) => {
+    const eleve = await db.Eleve.findByPk(eleveId);
+    return eleve && eleve.ecoleId === auth.ecoleId;
+  }}),
+  resultatController.simulateForEleve.bind(resultatController)
+);
+router.post(
+  '/resultats/mga/eleve/:eleveId/annee/:anneeId',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']), // Seul l'administrateur peut enregistrer un résultat
+  resultatController.calculateMgaForEleve.bind(resultatController)
+);
+router.post(
+  '/resultats/mga/classe/:classeId/annee/:anneeId',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']), // Seul l'administrateur peut enregistrer les résultats d'une classe
+  resultatController.calculateMgaForClasse.bind(resultatController)
+);
+router.get(
+  '/resultats/classement/classe/:classeId/annee/:anneeId',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']), // La restriction par école est dans le contrôleur
+  resultatController.getClassement.bind(resultatController)
+);
+router.post(
+  '/resultats/decisions/classe/:classeId/annee/:anneeId',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']), // Seul l'administrateur peut appliquer les règles de décision
+  Validator.middleware(Validator.decisionApplySchema),
+  resultatController.applyDecisionsForClasse.bind(resultatController)
+);
+router.put(
+  '/resultats/:eleveId/:anneeId/decision', // Dérogation du conseil de classe
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']), // Seul l'administrateur enregistre les décisions du conseil de classe
+  Validator.middleware(Validator.resultatDecisionSchema),
+  resultatController.overrideDecision.bind(resultatController)
+);
+router.put(
+  '/resultats/:eleveId/:anneeId/appreciation', // Appréciation de l'enseignant, à la place de celle de la mention
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Teacher'], { model: db.Eleve, idParam: 'eleveId', ownershipRequired: true, ownerField: 'ecoleId', isOwner: async (auth, eleveId) => {
+    const eleve = await db.Eleve.findByPk(eleveId);
+    return eleve && eleve.ecoleId === auth.ecoleId;
+  }}),
+  Validator.middleware(Validator.appreciationSchema),
+  resultatController.updateAppreciation.bind(resultatController)
+);
+router.put(
+  '/resultats/:eleveId/:anneeId', // Route pour clé primaire composite
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']), // Seul l'administrateur peut mettre à jour un résultat
+  Validator.middleware(Validator.resultatUpdateSchema),
+  resultatController.updateResultat.bind(resultatController)
+);
+router.delete(
+  '/resultats/:eleveId/:anneeId', // Route pour clé primaire composite
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']), // Seul l'administrateur peut supprimer un résultat
+  resultatController.deleteResultat.bind(resultatController)
+);
+
+// --- Rattrapage routes ---
+router.post(
+  '/rattrapages/classe/:classeId/annee/:anneeId',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']), // Seul l'administrateur inscrit les élèves au rattrapage
+  rattrapageController.inscrireForClasse.bind(rattrapageController)
+);
+router.get(
+  '/rattrapages/classe/:classeId/annee/:anneeId',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']), // La restriction par école est dans le contrôleur
+  rattrapageController.getRattrapagesByClasse.bind(rattrapageController)
+);
+router.post(
+  '/rattrapages/decisions/classe/:classeId/annee/:anneeId',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']), // Seul l'administrateur prend les décisions de rattrapage
+  rattrapageController.decideForClasse.bind(rattrapageController)
+);
+router.put(
+  '/rattrapages/:eleveId/:anneeId/notes',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']), // La restriction par école est dans le service
+  Validator.middleware(Validator.rattrapageNotesSchema),
+  rattrapageController.updateNotes.bind(rattrapageController)
+);
+router.delete(
+  '/rattrapages/:eleveId/:anneeId',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']),
+  rattrapageController.deleteRattrapage.bind(rattrapageController)
+);
+
+// --- RegleDecision routes ---
+router.post(
+  '/regles-decision',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']), // Seul l'administrateur paramètre les règles de décision
+  Validator.middleware(Validator.regleDecisionCreateSchema),
+  regleDecisionController.createRegle.bind(regleDecisionController)
+);
+router.get(
+  '/regles-decision',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']), // Le filtrage par école pour les enseignants est dans le contrôleur
+  regleDecisionController.getAll.bind(regleDecisionController)
+);
+router.get(
+  '/regles-decision/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']), // La restriction par école est dans le contrôleur
+  regleDecisionController.getRegle.bind(regleDecisionController)
+);
+router.put(
+  '/regles-decision/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']),
+  Validator.middleware(Validator.regleDecisionUpdateSchema),
+  regleDecisionController.updateRegle.bind(regleDecisionController)
+);
+router.delete(
+  '/regles-decision/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']),
+  regleDecisionController.deleteRegle.bind(regleDecisionController)
+);
+
+// --- Historique routes ---
+router.get(
+  '/historique/eleve/:eleveId',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher'], { model: db.Eleve, idParam: 'eleveId', ownershipRequired: true, ownerField: 'ecoleId', isOwner: async (auth, eleveId) => {
+    const eleve = await db.Eleve.findByPk(eleveId);
+    return eleve && eleve.ecoleId === auth.ecoleId;
+  }}),
+  historiqueController.getHistoriqueByEleve.bind(historiqueController)
+);
+
+// --- BandeMention routes ---
+router.post(
+  '/mentions',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']), // Seul l'administrateur paramètre les mentions
+  Validator.middleware(Validator.bandeMentionCreateSchema),
+  bandeMentionController.createBande.bind(bandeMentionController)
+);
+router.get(
+  '/mentions',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']), // Le filtrage par école pour les enseignants est dans le contrôleur
+  bandeMentionController.getAll.bind(bandeMentionController)
+);
+router.get(
+  '/mentions/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']), // La restriction par école est dans le contrôleur
+  bandeMentionController.getBande.bind(bandeMentionController)
+);
+router.put(
+  '/mentions/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']),
+  Validator.middleware(Validator.bandeMentionUpdateSchema),
+  bandeMentionController.updateBande.bind(bandeMentionController)
+);
+router.delete(
+  '/mentions/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']),
+  bandeMentionController.deleteBande.bind(bandeMentionController)
+);
+
+// --- Matiere routes ---
+router.post(
+  '/matieres',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']), // Seul l'administrateur paramètre les matières
+  Validator.middleware(Validator.matiereCreateSchema),
+  matiereController.createMatiere.bind(matiereController)
+);
+router.get(
+  '/matieres',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']),
+  matiereController.getAll.bind(matiereController)
+);
+router.get(
+  '/matieres/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']),
+  matiereController.getMatiere.bind(matiereController)
+);
+router.put(
+  '/matieres/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']),
+  Validator.middleware(Validator.matiereUpdateSchema),
+  matiereController.updateMatiere.bind(matiereController)
+);
+router.delete(
+  '/matieres/:id',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']),
+  matiereController.deleteMatiere.bind(matiereController)
+);
+router.get(
+  '/matieres/:id/coefficients',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator', 'Teacher']),
+  matiereController.getCoefficients.bind(matiereController)
+);
+router.put(
+  '/matieres/:id/coefficients',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']), // Crée ou remplace le coefficient pour un niveau et une série
+  Validator.middleware(Validator.matiereCoefficientSchema),
+  matiereController.setCoefficient.bind(matiereController)
+);
+router.delete(
+  '/matieres/:id/coefficients/:coefficientId',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(['Administrator']),
+  matiereController.deleteCoefficient.bind(matiereController)
+);
+
+export default router;
@@ -0,0 +1,306 @@
+import { Op } from 'sequelize';
+// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
+import { db } from '../Models/index.js';
+import ErrorResponse from '../Utils/errorResponse.js';
+import Statistics from '../Utils/statistics.js';
+
+/**
+ * Seuil du score z modifié (médiane et écart absolu médian) au-delà duquel une note est jugée aberrante.
+ */
+const SEUIL_ABERRANCE = 3.5;
+
+/**
+ * Nombre minimal de notes d'une évaluation pour rechercher des notes aberrantes ou identiques.
+ */
+const MIN_NOTES = 5;
+
+/**
+ * Nombre minimal d'évaluations communes pour comparer les notes de deux élèves.
+ */
+const MIN_EVALUATIONS_COMMUNES = 3;
+
+/**
+ * Liens vers les ressources de l'API, relatifs à sa racine.
+ */
+const liens = {
+  note: ({ matriculEleve, codeEva, codeCompo }) => ({ rel: 'note', href: `/notes/${matriculEleve}/${codeEva}/${codeCompo}` }),
+  eleve: (matriculEleve) => ({ rel: 'eleve', href: `/eleves/${matriculEleve}` }),
+  evaluation: (codeEva) => ({ rel: 'evaluation', href: `/evaluations/${codeEva}` }),
+};
+
+/**
+ * @class AnomalieService
+ * @description Détecte les erreurs de saisie probables dans les notes d'une composition pour une classe :
+ * notes aberrantes, notes manquantes, saisies en double et évaluations notées de façon uniforme.
+ * Chaque anomalie est un avertissement accompagné de liens vers les enregistrements concernés.
+ */
+class AnomalieService {
+  /**
+   * Repère, pour chaque évaluation, les notes très éloignées de celles de la classe.
+   * Le score z modifié (écart à la médiane rapporté à l'écart absolu médian) résiste aux valeurs extrêmes elles-mêmes.
+   * @param {Array<Object>} notes - Les notes de la classe pour la composition (`matriculEleve`, `codeEva`, `codeCompo`, `note`, `statut`).
+   * @returns {Array<Object>} Les avertissements.
+   */
+  static detectNotesAberrantes(notes) {
+    const anomalies = [];
+
+    this.groupByEvaluation(notes.filter((note) => note.statut === 'Présent')).forEach((notesEvaluation, codeEva) => {
+      if (notesEvaluation.length < MIN_NOTES) return;
+
+      const valeurs = notesEvaluation.map((note) => note.note).sort((a, b) => a - b);
+      const mediane = Statistics.median(valeurs);
+      const ecartAbsoluMedian = Statistics.median(valeurs.map((valeur) => Math.abs(valeur - mediane)).sort((a, b) => a - b));
+      if (ecartAbsoluMedian === 0) return; // Notes uniformes : voir detectNotesIdentiques
+
+      notesEvaluation.forEach((note) => {
+        const score = (0.6745 * (note.note - mediane)) / ecartAbsoluMedian;
+        if (Math.abs(score) > SEUIL_ABERRANCE) {
+          anomalies.push({
+            type: 'NOTE_ABERRANTE',
+            message: `La note ${note.note} de l'élève ${note.matriculEleve} à l'évaluation ${codeEva} est très éloignée de la médiane de la classe (${mediane}).`,
+            codeEva,
+            matriculEleve: note.matriculEleve,
+            details: { note: note.note, mediane, score: Statistics.round(score) },
+            liens: [liens.note(note), liens.eleve(note.matriculEleve)],
+          });
+        }
+      });
+    });
+
+    return anomalies;
+  }
+
+  /**
+   * Repère les élèves sans note (ni statut d'absence) pour une évaluation notée chez leurs camarades.
+   * @param {Array<Object>} eleves - Les élèves de la classe (`matricul`, `lastname`, `firstname`).
+   * @param {Array<Object>} notes - Les notes de la classe pour la composition.
+   * @param {string} codeCompo - Le code de la composition.
+   * @returns {Array<Object>} Les avertissements.
+   */
+  static detectNotesManquantes(eleves, notes, codeCompo) {
+    const anomalies = [];
+
+    this.groupByEvaluation(notes).forEach((notesEvaluation, codeEva) => {
+      const saisis = new Set(notesEvaluation.map((note) => note.matriculEleve));
+
+      eleves
+        .filter((eleve) => !saisis.has(eleve.matricul))
+        .forEach(({ matricul, lastname, firstname }) => {
+          anomalies.push({
+            type: 'NOTE_MANQUANTE',
+            message: `L'élève ${lastname} ${firstname} (${matricul}) n'a pas de note à l'évaluation ${codeEva}, saisie pour ${saisis.size} camarade(s).`,
+            codeEva,
+            matriculEleve: matricul,
+            details: { codeCompo, notesSaisies: saisis.size },
+            liens: [liens.eleve(matricul), liens.evaluation(codeEva)],
+          });
+        });
+    });
+
+    return anomalies;
+  }
+
+  /**
+   * Repère les saisies qui ressemblent à des doublons :
+   * - des élèves homonymes de la classe ayant tous deux des notes (élève inscrit deux fois) ;
+   * - deux élèves ayant exactement les mêmes notes sur au moins trois évaluations (ligne recopiée).
+   * @param {Array<Object>} eleves - Les élèves de la classe (`matricul`, `lastname`, `firstname`).
+   * @param {Array<Object>} notes - Les notes de la classe pour la composition.
+   * @returns {Array<Object>} Les avertissements.
+   */
+  static detectDoublons(eleves, notes) {
+    const anomalies = [];
+    const notesParEleve = new Map();
+    notes.forEach((note) => {
+      if (!notesParEleve.has(note.matriculEleve)) {
+        notesParEleve.set(note.matriculEleve, new Map());
+      }
+      notesParEleve.get(note.matriculEleve).set(note.codeEva, note);
+    });
+
+    // Élèves homonymes ayant des notes
+    const homonymes = new Map();
+    eleves
+      .filter((eleve) => notesParEleve.has(eleve.matricul))
+      .forEach((eleve) => {
+        const cle = `${eleve.lastname} ${eleve.firstname}`.trim().toLowerCase();
+        if (!homonymes.has(cle)) {
+          homonymes.set(cle, []);
+        }
+        homonymes.get(cle).push(eleve);
+      });
+
+    homonymes.forEach((groupe) => {
+      if (groupe.length < 2) return;
+
+      anomalies.push({
+        type: 'ELEVE_EN_DOUBLE',
+        message: `${groupe.length} élèves de la classe nommés ${groupe[0].lastname} ${groupe[0].firstname} ont des notes : l'élève est peut-être inscrit en double.`,
+        codeEva: null,
+        matriculEleve: groupe[0].matricul,
+        details: { matricules: groupe.map((eleve) => eleve.matricul) },
+        liens: groupe.map((eleve) => liens.eleve(eleve.matricul)),
+      });
+    });
+
+    // Élèves ayant les mêmes notes sur toutes leurs évaluations communes
+    const matricules = [...notesParEleve.keys()].sort();
+    for (let i = 0; i < matricules.length; i += 1) {
+      for (let j = i + 1; j < matricules.length; j += 1) {
+        const notesA = notesParEleve.get(matricules[i]);
+        const notesB = notesParEleve.get(matricules[j]);
+        const communes = [...notesA.keys()].filter((codeEva) => notesB.has(codeEva)
+          && notesA.get(codeEva).statut === 'Présent' && notesB.get(codeEva).statut === 'Présent');
+
+        if (communes.length < MIN_EVALUATIONS_COMMUNES) continue;
+        if (!communes.every((codeEva) => notesA.get(codeEva).note === notesB.get(codeEva).note)) continue;
+
+        anomalies.push({
+          type: 'NOTES_DUPLIQUEES',
+          message: `Les élèves ${matricules[i]} et ${matricules[j]} ont exactement les mêmes notes sur ${communes.length} évaluations : la saisie a peut-être été recopiée.`,
+          codeEva: null,
+          matriculEleve: matricules[i],
+          details: { matricules: [matricules[i], matricules[j]], evaluations: communes },
+          liens: communes.flatMap((codeEva) => [liens.note(notesA.get(codeEva)), liens.note(notesB.get(codeEva))]),
+        });
+      }
+    }
+
+    return anomalies;
+  }
+
+  /**
+   * Repère les évaluations dont toutes les notes de la classe sont identiques.
+   * @param {Array<Object>} notes - Les notes de la classe pour la composition.
+   * @param {Map<string, number[]>} [auteurs] - Les auteurs de la saisie des notes, indexés par code d'évaluation.
+   * @returns {Array<Object>} Les avertissements.
+   */
+  static detectNotesIdentiques(notes, auteurs = new Map()) {
+    const anomalies = [];
+
+    this.groupByEvaluation(notes.filter((note) => note.statut === 'Présent')).forEach((notesEvaluation, codeEva) => {
+      if (notesEvaluation.length < MIN_NOTES) return;
+
+      const valeur = notesEvaluation[0].note;
+      if (!notesEvaluation.every((note) => note.note === valeur)) return;
+
+      anomalies.push({
+        type: 'NOTES_IDENTIQUES',
+        message: `Les ${notesEvaluation.length} notes de la classe à l'évaluation ${codeEva} valent toutes ${valeur}.`,
+        codeEva,
+        matriculEleve: null,
+        details: { note: valeur, notesCount: notesEvaluation.length, saisiesPar: auteurs.get(codeEva) || [] },
+        liens: [liens.evaluation(codeEva), ...notesEvaluation.map((note) => liens.note(note))],
+      });
+    });
+
+    return anomalies;
+  }
+
+  /**
+   * Regroupe des notes par évaluation.
+   * @param {Array<Object>} notes - Les notes.
+   * @returns {Map<string, Array<Object>>} Les notes, indexées par code d'évaluation.
+   */
+  static groupByEvaluation(notes) {
+    const groupes = new Map();
+    notes.forEach((note) => {
+      if (!groupes.has(note.codeEva)) {
+        groupes.set(note.codeEva, []);
+      }
+      groupes.get(note.codeEva).push(note);
+    });
+
+    return groupes;
+  }
+
+  /**
+   * Récupère, dans l'historique, les utilisateurs ayant saisi les notes d'une composition pour des élèves, par évaluation.
+   * @param {string} codeCompo - Le code de la composition.
+   * @param {string[]} matricules - Les matricules des élèves.
+   * @returns {Promise<Map<string, number[]>>} Les identifiants des auteurs, indexés par code d'évaluation.
+   */
+  static async getAuteursSaisie(codeCompo, matricules) {
+    const historique = await db.Historique.findAll({
+      where: {
+        entite: 'Note',
+        action: 'Création',
+        matriculEleve: { [Op.in]: matricules },
+        cle: { codeCompo },
+        userId: { [Op.ne]: null },
+      },
+      attributes: ['cle', 'userId'],
+    });
+
+    const auteurs = new Map();
+    historique.forEach(({ cle, userId }) => {
+      if (!auteurs.has(cle.codeEva)) {
+        auteurs.set(cle.codeEva, new Set());
+      }
+      auteurs.get(cle.codeEva).add(userId);
+    });
+
+    return new Map([...auteurs].map(([codeEva, ids]) => [codeEva, [...ids]]));
+  }
+
+  /**
+   * Construit le rapport des anomalies de saisie d'une composition pour une classe.
+   * @param {string} codeCompo - Le code de la composition.
+   * @param {string} classeId - L'identifiant de la classe.
+   * @param {Object} [options={}]
+   * @param {string} [options.ecoleId] - Si renseigné, seule une classe de cette école est acceptée.
+   * @returns {Promise<Object>} Le rapport, avec la liste des avertissements et leur décompte par type.
+   * @throws {ErrorResponse} Si la composition ou la classe n'existe pas (404), ou si la classe n'appartient pas à l'école (403).
+   */
+  static async getForComposition(codeCompo, classeId, { ecoleId } = {}) {
+    const composition = await db.Composition.findByPk(codeCompo);
+    if (!composition) {
+      throw new ErrorResponse('Composition non trouvée.', 'NOT_FOUND', 404);
+    }
+
+    const classe = await db.Classe.findByPk(classeId, { attributes: ['classeId', 'ecoleId'] });
+    if (!classe) {
+      throw new ErrorResponse('Classe non trouvée.', 'NOT_FOUND', 404);
+    }
+
+    if (ecoleId && classe.ecoleId !== ecoleId) {
+      throw new ErrorResponse('Vous n\'êtes pas autorisé à consulter les anomalies de cette classe.', 'FORBIDDEN', 403);
+    }
+
+    const eleves = await db.Eleve.findAll({
+      where: { classeId },
+      attributes: ['matricul', 'lastname', 'firstname'],
+      order: [['lastname', 'ASC'], ['firstname', 'ASC']],
+    });
+    const notes = (await db.Note.findAll({
+      where: { codeCompo, matriculEleve: { [Op.in]: eleves.map((eleve) => eleve.matricul) } },
+      attributes: ['matriculEleve', 'codeEva', 'codeCompo', 'note', 'statut'],
+    })).map((note) => note.toJSON());
+
+    const auteurs = await this.getAuteursSaisie(codeCompo, eleves.map((eleve) => eleve.matricul));
+    const anomalies = [
+      ...this.detectNotesAberrantes(notes),
+      ...this.detectNotesManquantes(eleves, notes, codeCompo),
+      ...this.detectDoublons(eleves, notes),
+      ...this.detectNotesIdentiques(notes, auteurs),
+    ];
+
+    const parType = {};
+    anomalies.forEach(({ type }) => {
+      parType[type] = (parType[type] || 0) + 1;
+    });
+
+    return {
+      codeCompo,
+      classeId,
+      statutComposition: composition.statut,
+      totalEleves: eleves.length,
+      totalNotes: notes.length,
+      count: anomalies.length,
+      parType,
+      anomalies,
+    };
+  }
+}
+
+export default AnomalieService;
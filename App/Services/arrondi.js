@@ -0,0 +1,120 @@
+import { Op } from 'sequelize';
+// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
+import { db } from '../Models/index.js';
+import Rounding from '../Utils/rounding.js';
+
+/**
+ * Politique appliquée lorsqu'aucune école n'est disponible : les valeurs sont enregistrées sans arrondi.
+ */
+const POLITIQUE_DEFAUT = { politique: 'Aucun', pas: 0.01 };
+
+/**
+ * @class ArrondiService
+ * @description Résout la politique d'arrondi des moyennes et des MGA paramétrée par école, et l'applique aux valeurs enregistrées.
+ * Les valeurs exactes sont conservées à côté des valeurs arrondies (`moyenneBrute`, `mgaBrute`) pour que le classement ne dépende pas de l'arrondi.
+ */
+class ArrondiService {
+  /**
+   * Détermine la politique d'arrondi d'une école.
+   * @param {Object|null} ecole - L'école (attributs `politiqueArrondi` et `pasArrondi`).
+   * @returns {{politique: string, pas: number}}
+   */
+  static resolve(ecole) {
+    if (!ecole) {
+      return POLITIQUE_DEFAUT;
+    }
+
+    return {
+      politique: ecole.politiqueArrondi ?? POLITIQUE_DEFAUT.politique,
+      pas: ecole.pasArrondi ?? POLITIQUE_DEFAUT.pas,
+    };
+  }
+
+  /**
+   * Récupère les politiques d'arrondi applicables à plusieurs élèves en une seule requête.
+   * @param {string[]} matricules - Les matricules des élèves.
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<Map<string, {politique: string, pas: number}>>} Les politiques, indexées par matricule.
+   */
+  static async getForEleves(matricules, { transaction } = {}) {
+    const uniqueMatricules = [...new Set(matricules.filter(Boolean))];
+    if (uniqueMatricules.length === 0) {
+      return new Map();
+    }
+
+    const eleves = await db.Eleve.findAll({
+      where: { matricul: { [Op.in]: uniqueMatricules } },
+      attributes: ['matricul'],
+      include: [{ model: db.Ecole, as: 'ecole', attributes: ['ecoleId', 'politiqueArrondi', 'pasArrondi'] }],
+      transaction,
+    });
+
+    return new Map(eleves.map((eleve) => [eleve.matricul, this.resolve(eleve.ecole)]));
+  }
+
+  /**
+   * Récupère la politique d'arrondi applicable à un élève.
+   * @param {string} matriculEleve - Le matricule de l'élève.
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<{politique: string, pas: number}>}
+   */
+  static async getForEleve(matriculEleve, { transaction } = {}) {
+    const politiques = await this.getForEleves([matriculEleve], { transaction });
+    return politiques.get(matriculEleve) ?? POLITIQUE_DEFAUT;
+  }
+
+  /**
+   * Récupère la politique d'arrondi applicable à une classe (celle de son école).
+   * @param {string} classeId - L'identifiant de la classe.
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<{politique: string, pas: number}>}
+   */
+  static async getForClasse(classeId, { transaction } = {}) {
+    const classe = await db.Classe.findByPk(classeId, {
+      attributes: ['classeId'],
+      include: [{ model: db.Ecole, as: 'ecole', attributes: ['ecoleId', 'politiqueArrondi', 'pasArrondi'] }],
+      transaction,
+    });
+
+    return this.resolve(classe?.ecole);
+  }
+
+  /**
+   * Réapplique la politique d'arrondi d'une école à toutes les moyennes et MGA déjà enregistrées pour ses élèves,
+   * à partir de leur valeur exacte. Une valeur enregistrée avant l'introduction des valeurs exactes sert elle-même de valeur exacte.
+   * Les rangs, calculés sur les valeurs exactes, ne changent pas.
+   * @param {Object} ecole - L'école (instance Sequelize, après mise à jour de sa politique).
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<{moyennes: number, moyennesPeriode: number, resultats: number}>} Le nombre de valeurs modifiées par table.
+   */
+  static async reapplyForEcole(ecole, { transaction } = {}) {
+    const politique = this.resolve(ecole);
+    const eleveInclude = { model: db.Eleve, as: 'eleveDetail', where: { ecoleId: ecole.ecoleId }, attributes: ['matricul'] };
+    const targets = [
+      { key: 'moyennes', model: db.Moyenne, field: 'moyenne', brute: 'moyenneBrute' },
+      { key: 'moyennesPeriode', model: db.MoyennePeriode, field: 'moyenne', brute: 'moyenneBrute' },
+      { key: 'resultats', model: db.Resultat, field: 'mga', brute: 'mgaBrute' },
+    ];
+    const counts = {};
+
+    for (const { key, model, field, brute } of targets) {
+      const records = await model.findAll({ include: [eleveInclude], transaction });
+      counts[key] = 0;
+
+      for (const record of records) {
+        const exacte = record[brute] ?? record[field];
+        const arrondie = Rounding.apply(exacte, politique);
+
+        // Seules les valeurs dont l'arrondi change sont mises à jour (l'historique des MGA reste ainsi lisible)
+        if (record[field] !== arrondie || record[brute] !== exacte) {
+          await record.update({ [field]: arrondie, [brute]: exacte }, { transaction });
+          counts[key] += 1;
+        }
+      }
+    }
+
+    return counts;
+  }
+}
+
+export default ArrondiService;
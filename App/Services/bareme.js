@@ -0,0 +1,134 @@
+import { Op } from 'sequelize';
+// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
+import { db } from '../Models/index.js';
+import ErrorResponse from '../Utils/errorResponse.js';
+import GradingConfig from '../Configs/grading.js';
+
+/**
+ * @class BaremeService
+ * @description Résout le barème de notation (note maximale) applicable à un élève ou une classe,
+ * à partir du paramétrage de l'école et, le cas échéant, du niveau de la classe.
+ */
+class BaremeService {
+  /**
+   * Détermine le barème d'une école pour un niveau donné.
+   * Un barème défini pour le niveau est prioritaire sur le barème général de l'école.
+   * @param {Object|null} ecole - L'école (attributs `bareme` et `baremeParNiveau`).
+   * @param {string} [niveau] - Le niveau de la classe (ex: "6ème").
+   * @returns {number} La note maximale applicable.
+   */
+  static resolve(ecole, niveau) {
+    if (!ecole) {
+      return GradingConfig.getDefaultBareme();
+    }
+
+    const baremeNiveau = niveau && ecole.baremeParNiveau ? ecole.baremeParNiveau[niveau] : undefined;
+    return baremeNiveau ?? ecole.bareme ?? GradingConfig.getDefaultBareme();
+  }
+
+  /**
+   * Détermine la moyenne minimale de réussite d'une école pour un niveau donné.
+   * Le seuil de l'école est exprimé sur son barème général ; il est ramené au barème du niveau
+   * lorsque celui-ci est différent. Sans seuil paramétré, la réussite est fixée à la moitié du barème.
+   * @param {Object|null} ecole - L'école (attributs `bareme`, `baremeParNiveau` et `seuilReussite`).
+   * @param {string} [niveau] - Le niveau de la classe (ex: "6ème").
+   * @returns {number} Le seuil de réussite sur le barème applicable.
+   */
+  static resolveSeuil(ecole, niveau) {
+    const bareme = this.resolve(ecole, niveau);
+    if (ecole?.seuilReussite === null || ecole?.seuilReussite === undefined) {
+      return bareme / 2;
+    }
+
+    return ecole.bareme ? (ecole.seuilReussite * bareme) / ecole.bareme : ecole.seuilReussite;
+  }
+
+  /**
+   * Récupère les barèmes applicables à plusieurs élèves en une seule requête.
+   * @param {string[]} matricules - Les matricules des élèves.
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<Map<string, number>>} Les barèmes, indexés par matricule.
+   */
+  static async getForEleves(matricules, { transaction } = {}) {
+    const uniqueMatricules = [...new Set(matricules.filter(Boolean))];
+    if (uniqueMatricules.length === 0) {
+      return new Map();
+    }
+
+    const eleves = await db.Eleve.findAll({
+      where: { matricul: { [Op.in]: uniqueMatricules } },
+      attributes: ['matricul'],
+      include: [
+        { model: db.Classe, as: 'classe', attributes: ['classeId', 'niveau'] },
+        { model: db.Ecole, as: 'ecole', attributes: ['ecoleId', 'bareme', 'baremeParNiveau'] },
+      ],
+      transaction,
+    });
+
+    return new Map(eleves.map((eleve) => [eleve.matricul, this.resolve(eleve.ecole, eleve.classe?.niveau)]));
+  }
+
+  /**
+   * Récupère le barème applicable à un élève.
+   * @param {string} matriculEleve - Le matricule de l'élève.
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<number>}
+   */
+  static async getForEleve(matriculEleve, { transaction } = {}) {
+    const baremes = await this.getForEleves([matriculEleve], { transaction });
+    return baremes.get(matriculEleve) ?? GradingConfig.getDefaultBareme();
+  }
+
+  /**
+   * Récupère le barème applicable à une classe (même école et même niveau pour tous ses élèves).
+   * @param {string} classeId - L'identifiant de la classe.
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<number>}
+   */
+  static async getForClasse(classeId, { transaction } = {}) {
+    const classe = await db.Classe.findByPk(classeId, {
+      attributes: ['classeId', 'niveau'],
+      include: [{ model: db.Ecole, as: 'ecole', attributes: ['ecoleId', 'bareme', 'baremeParNiveau'] }],
+      transaction,
+    });
+
+    return this.resolve(classe?.ecole, classe?.niveau);
+  }
+
+  /**
+   * Vérifie qu'une valeur (note, moyenne, MGA) respecte le barème.
+   * @param {number} value - La valeur à vérifier.
+   * @param {number} bareme - La note maximale applicable.
+   * @param {string} [label='note'] - Le libellé de la valeur pour le message d'erreur.
+   * @throws {ErrorResponse} Si la valeur dépasse le barème.
+   */
+  static assertInRange(value, bareme, label = 'note') {
+    if (value !== undefined && value !== null && (value < 0 || value > bareme)) {
+      throw new ErrorResponse(
+        `La valeur ${value} de la ${label} est hors du barème (0 à ${bareme}).`,
+        'OUT_OF_SCALE',
+        422,
+        { details: { value, bareme, label } }
+      );
+    }
+  }
+
+  /**
+   * Ajoute le barème applicable à un ou plusieurs enregistrements liés à un élève (attribut `matriculEleve`).
+   * @param {Object|Array<Object>} records - Les enregistrements (instances Sequelize ou objets simples).
+   * @returns {Promise<Object|Array<Object>>} Les enregistrements sous forme d'objets simples, avec l'attribut `bareme`.
+   */
+  static async annotate(records) {
+    const list = Array.isArray(records) ? records : [records];
+    const baremes = await this.getForEleves(list.map((record) => record.matriculEleve));
+
+    const annotated = list.map((record) => ({
+      ...(typeof record.toJSON === 'function' ? record.toJSON() : record),
+      bareme: baremes.get(record.matriculEleve) ?? null,
+    }));
+
+    return Array.isArray(records) ? annotated : annotated[0];
+  }
+}
+
+export default BaremeService;
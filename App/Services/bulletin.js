@@ -0,0 +1,237 @@
+import { Op } from 'sequelize';
+// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
+import { db } from '../Models/index.js';
+import ErrorResponse from '../Utils/errorResponse.js';
+import Ranking from '../Utils/ranking.js';
+import Rounding from '../Utils/rounding.js';
+import BaremeService from './bareme.js';
+import MentionService from './mention.js';
+import ArrondiService from './arrondi.js';
+
+/**
+ * @class BulletinService
+ * @description Rassemble les données d'un bulletin de notes : école, élève et classe, notes par évaluation regroupées
+ * par matière avec leurs coefficients, moyenne, rang, mention et appréciation. Le rendu est assuré par les modèles Pug.
+ */
+class BulletinService {
+  /**
+   * Récupère un élève avec sa classe et son école.
+   * @param {string} matriculEleve - Le matricule de l'élève.
+   * @param {Object} [options={}]
+   * @param {string} [options.ecoleId] - Si renseigné, seul un élève de cette école est accepté.
+   * @returns {Promise<Object>} L'élève (instance Sequelize).
+   * @throws {ErrorResponse} Si l'élève n'existe pas (404) ou n'appartient pas à l'école (403).
+   */
+  static async getEleve(matriculEleve, { ecoleId } = {}) {
+    const eleve = await db.Eleve.findByPk(matriculEleve, {
+      include: [
+        { model: db.Classe, as: 'classe', attributes: ['classeId', 'libelle', 'niveau', 'serie', 'anneeCode'] },
+        { model: db.Ecole, as: 'ecole' },
+      ],
+    });
+    if (!eleve) {
+      throw new ErrorResponse('Élève non trouvé.', 'NOT_FOUND', 404);
+    }
+
+    if (ecoleId && eleve.ecoleId !== ecoleId) {
+      throw new ErrorResponse('Vous n\'êtes pas autorisé à consulter le bulletin de cet élève.', 'FORBIDDEN', 403);
+    }
+
+    return eleve;
+  }
+
+  /**
+   * Regroupe les notes d'un élève par matière, dans l'ordre d'affichage des matières.
+   * La moyenne et le coefficient de chaque matière sont repris du détail enregistré avec la moyenne de composition ;
+   * une moyenne saisie manuellement n'a pas de détail et seules les notes sont alors affichées.
+   * @param {Array<Object>} notes - Les notes, chacune incluant son évaluation (`evaluationType`) et sa matière (`evaluationType.matiere`).
+   * @param {Array<Object>|null} detailMatieres - Le détail par matière enregistré avec la moyenne (`Moyenne.detailMatieres`).
+   * @param {{politique: string, pas: number}} arrondi - La politique d'arrondi de l'école, appliquée aux moyennes par matière.
+   * @returns {Array<Object>} Les matières, avec leurs évaluations.
+   */
+  static groupNotesParMatiere(notes, detailMatieres, arrondi) {
+    const details = new Map((detailMatieres || []).map((detail) => [detail.codeMatiere ?? `EVA:${detail.codeEva}`, detail]));
+    const matieres = new Map();
+
+    for (const note of notes) {
+      const evaluation = note.evaluationType;
+      const codeMatiere = evaluation.codeMatiere ?? null;
+      const key = codeMatiere ?? `EVA:${note.codeEva}`;
+
+      if (!matieres.has(key)) {
+        const detail = details.get(key);
+        matieres.set(key, {
+          codeMatiere,
+          libelle: codeMatiere ? evaluation.matiere?.libelle ?? codeMatiere : evaluation.nameEva,
+          ordre: evaluation.matiere?.ordre ?? 0,
+          coefficient: detail?.coefficient ?? null,
+          moyenne: detail ? Rounding.apply(detail.moyenne, arrondi) : null,
+          evaluations: [],
+        });
+      }
+
+      matieres.get(key).evaluations.push({
+        codeEva: note.codeEva,
+        nameEva: evaluation.nameEva,
+        coefficient: evaluation.coeficient,
+        note: note.note,
+        statut: note.statut,
+      });
+    }
+
+    return [...matieres.values()]
+      .sort((a, b) => a.ordre - b.ordre || String(a.libelle).localeCompare(String(b.libelle)))
+      .map(({ ordre, evaluations, ...matiere }) => ({
+        ...matiere,
+        evaluations: evaluations.sort((a, b) => a.codeEva.localeCompare(b.codeEva)),
+      }));
+  }
+
+  /**
+   * Construit l'en-tête commun à tous les bulletins : école, élève et classe.
+   * @param {Object} eleve - L'élève, avec sa classe et son école.
+   * @returns {Object}
+   */
+  static buildEntete(eleve) {
+    const { ecole, classe } = eleve;
+
+    return {
+      ecole: ecole ? { ecoleId: ecole.ecoleId, ecoleName: ecole.ecoleName, iep: ecole.iep, ville: ecole.ville } : null,
+      eleve: { matricul: eleve.matricul, lastname: eleve.lastname, firstname: eleve.firstname, genre: eleve.genre },
+      classe: classe ? { classeId: classe.classeId, libelle: classe.libelle, niveau: classe.niveau, serie: classe.serie } : null,
+      bareme: BaremeService.resolve(ecole, classe?.niveau),
+      genereLe: new Date(),
+    };
+  }
+
+  /**
+   * Rassemble les données du bulletin d'un élève pour une composition.
+   * Le bulletin est provisoire tant que la composition n'est pas publiée ou que la moyenne est à recalculer.
+   * @param {string} matriculEleve - Le matricule de l'élève.
+   * @param {string} codeCompo - Le code de la composition.
+   * @param {Object} [options={}]
+   * @param {string} [options.ecoleId] - Si renseigné, seul un élève de cette école est accepté.
+   * @returns {Promise<Object>} Les données du bulletin.
+   * @throws {ErrorResponse} Si l'élève ou la composition n'existe pas, ou si la moyenne n'a pas été calculée (404).
+   */
+  static async buildForComposition(matriculEleve, codeCompo, { ecoleId } = {}) {
+    const eleve = await this.getEleve(matriculEleve, { ecoleId });
+
+    const composition = await db.Composition.findByPk(codeCompo);
+    if (!composition) {
+      throw new ErrorResponse('Composition non trouvée.', 'NOT_FOUND', 404);
+    }
+
+    const moyenne = await db.Moyenne.findOne({ where: { matriculEleve, codeCompo } });
+    if (!moyenne) {
+      throw new ErrorResponse('La moyenne de l\'élève pour cette composition n\'a pas encore été calculée.', 'NOT_FOUND', 404, { details: { matriculEleve, codeCompo } });
+    }
+
+    const notes = await db.Note.findAll({
+      where: { matriculEleve, codeCompo },
+      include: [{ model: db.Evaluation, as: 'evaluationType', include: [{ model: db.Matiere, as: 'matiere' }] }],
+    });
+
+    // Nombre d'élèves classés dans la classe pour la composition
+    const effectif = await db.Moyenne.count({
+      where: { codeCompo },
+      include: [{ model: db.Eleve, as: 'eleveDetail', where: { classeId: eleve.classeId }, attributes: [] }],
+    });
+
+    const { mention, appreciation } = await MentionService.annotate(moyenne, 'moyenne');
+
+    return {
+      ...this.buildEntete(eleve),
+      titre: 'Bulletin de notes',
+      anneeCode: composition.anneeCode,
+      composition: { codeCompo, libelle: composition.libelle, typeCompo: composition.typeCompo, dateCompo: composition.dateCompo },
+      provisoire: composition.statut !== 'Publiée' || moyenne.perimee,
+      matieres: this.groupNotesParMatiere(notes, moyenne.detailMatieres, ArrondiService.resolve(eleve.ecole)),
+      moyenne: moyenne.moyenne,
+      rang: moyenne.rang,
+      exAequo: moyenne.exAequo,
+      effectif,
+      mention,
+      appreciation,
+    };
+  }
+
+  /**
+   * Rassemble les données du bulletin d'un élève pour une période : les notes et la moyenne de chaque composition
+   * de la période, puis la moyenne de période. Le rang de période est calculé sur les moyennes exactes de la classe.
+   * @param {string} matriculEleve - Le matricule de l'élève.
+   * @param {string} codePeriode - Le code de la période.
+   * @param {Object} [options={}]
+   * @param {string} [options.ecoleId] - Si renseigné, seul un élève de cette école est accepté.
+   * @returns {Promise<Object>} Les données du bulletin.
+   * @throws {ErrorResponse} Si l'élève ou la période n'existe pas, ou si la moyenne de période n'a pas été calculée (404).
+   */
+  static async buildForPeriode(matriculEleve, codePeriode, { ecoleId } = {}) {
+    const eleve = await this.getEleve(matriculEleve, { ecoleId });
+
+    const periode = await db.Periode.findByPk(codePeriode);
+    if (!periode) {
+      throw new ErrorResponse('Période non trouvée.', 'NOT_FOUND', 404);
+    }
+
+    const moyennePeriode = await db.MoyennePeriode.findOne({ where: { matriculEleve, codePeriode } });
+    if (!moyennePeriode) {
+      throw new ErrorResponse('La moyenne de l\'élève pour cette période n\'a pas encore été calculée.', 'NOT_FOUND', 404, { details: { matriculEleve, codePeriode } });
+    }
+
+    const compositions = await db.Composition.findAll({ where: { codePeriode }, order: [['dateCompo', 'ASC'], ['codeCompo', 'ASC']] });
+    const codesCompo = compositions.map((composition) => composition.codeCompo);
+
+    const moyennes = await db.Moyenne.findAll({ where: { matriculEleve, codeCompo: { [Op.in]: codesCompo } } });
+    const moyennesByCompo = new Map(moyennes.map((moyenne) => [moyenne.codeCompo, moyenne]));
+
+    const notes = await db.Note.findAll({
+      where: { matriculEleve, codeCompo: { [Op.in]: codesCompo } },
+      include: [{ model: db.Evaluation, as: 'evaluationType', include: [{ model: db.Matiere, as: 'matiere' }] }],
+    });
+
+    // Rang de l'élève parmi les moyennes de période de sa classe
+    const moyennesClasse = await db.MoyennePeriode.findAll({
+      where: { codePeriode },
+      include: [{ model: db.Eleve, as: 'eleveDetail', where: { classeId: eleve.classeId }, attributes: ['matricul'] }],
+    });
+    const classement = Ranking.rank(moyennesClasse, (moyenne) => moyenne.moyenneBrute ?? moyenne.moyenne);
+    const position = classement.find(({ entry }) => entry.matriculEleve === matriculEleve);
+
+    const arrondi = ArrondiService.resolve(eleve.ecole);
+    const { mention, appreciation } = await MentionService.annotate(moyennePeriode, 'moyenne');
+
+    return {
+      ...this.buildEntete(eleve),
+      titre: `Bulletin du ${periode.libelle}`,
+      anneeCode: periode.anneeCode,
+      periode: { codePeriode, libelle: periode.libelle, dateDebut: periode.dateDebut, dateFin: periode.dateFin },
+      provisoire: moyennePeriode.perimee || compositions.some((composition) => composition.statut !== 'Publiée'),
+      compositions: compositions.map((composition) => {
+        const moyenne = moyennesByCompo.get(composition.codeCompo);
+        return {
+          codeCompo: composition.codeCompo,
+          libelle: composition.libelle,
+          typeCompo: composition.typeCompo,
+          dateCompo: composition.dateCompo,
+          moyenne: moyenne?.moyenne ?? null,
+          rang: moyenne?.rang ?? null,
+          exAequo: moyenne?.exAequo ?? false,
+          matieres: this.groupNotesParMatiere(
+            notes.filter((note) => note.codeCompo === composition.codeCompo),
+            moyenne?.detailMatieres,
+            arrondi
+          ),
+        };
+      }),
+      moyenne: moyennePeriode.moyenne,
+      rang: position?.rang ?? null,
+      exAequo: position?.exAequo ?? false,
+      effectif: classement.length,
+      mention,
+      appreciation,
+    };
+  }
+}
+
+export default BulletinService;
@@ -0,0 +1,243 @@
+import crypto from 'crypto';
+// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
+import { db } from '../Models/index.js';
+import ErrorResponse from '../Utils/errorResponse.js';
+import BaremeService from './bareme.js';
+import MentionService from './mention.js';
+
+/**
+ * Alphabet des codes de vérification (base 32 de Crockford) : sans I, L, O ni U, pour éviter les confusions à la saisie.
+ */
+const ALPHABET_CODE = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+/**
+ * Nombre de caractères d'un code de vérification (80 bits aléatoires), imprimés par groupes de quatre.
+ */
+const LONGUEUR_CODE = 16;
+
+/**
+ * Titre et modèle Pug de chaque type de document.
+ */
+const TYPES = {
+  'Scolarité': { titre: 'Certificat de scolarité', template: 'scolarite' },
+  'Réussite': { titre: 'Attestation de réussite', template: 'reussite' },
+};
+
+/**
+ * @class CertificatService
+ * @description Délivre les certificats de scolarité et les attestations de réussite des élèves, et vérifie leur authenticité.
+ * Chaque document reçoit un code de vérification aléatoire, enregistré avec les informations imprimées :
+ * un document falsifié ou modifié ne correspond à aucun code, ou pas aux informations enregistrées.
+ */
+class CertificatService {
+  /**
+   * Retourne le titre et le modèle d'un type de document.
+   * @param {'Scolarité'|'Réussite'} type - Le type de document.
+   * @returns {{titre: string, template: string}}
+   */
+  static getType(type) {
+    return TYPES[type];
+  }
+
+  /**
+   * Génère un code de vérification aléatoire, ex: "7KQ2-M9XD-4TRB-HW3C".
+   * @returns {string}
+   */
+  static genererCode() {
+    // 256 étant un multiple de 32, le modulo ne favorise aucun caractère
+    const caracteres = [...crypto.randomBytes(LONGUEUR_CODE)].map((octet) => ALPHABET_CODE[octet % ALPHABET_CODE.length]);
+    return caracteres.join('').match(/.{4}/g).join('-');
+  }
+
+  /**
+   * Normalise un code saisi : majuscules, séparateurs ignorés, et lettres ambiguës ramenées aux chiffres (I, L → 1 ; O → 0).
+   * @param {string} code - Le code saisi.
+   * @returns {string|null} Le code au format imprimé, ou `null` s'il ne peut pas être un code de vérification.
+   */
+  static normaliserCode(code) {
+    const caracteres = String(code || '')
+      .toUpperCase()
+      .replace(/[^0-9A-Z]/g, '')
+      .replace(/[IL]/g, '1')
+      .replace(/O/g, '0');
+
+    if (caracteres.length !== LONGUEUR_CODE || [...caracteres].some((caractere) => !ALPHABET_CODE.includes(caractere))) {
+      return null;
+    }
+
+    return caracteres.match(/.{4}/g).join('-');
+  }
+
+  /**
+   * Récupère un élève avec sa classe et son école.
+   * @param {string} matriculEleve - Le matricule de l'élève.
+   * @param {Object} [options={}]
+   * @param {string} [options.ecoleId] - Si renseigné, seul un élève de cette école est accepté.
+   * @param {import('sequelize').Transaction} [options.transaction] - Transaction en cours.
+   * @returns {Promise<Object>} L'élève (instance Sequelize).
+   * @throws {ErrorResponse} Si l'élève n'existe pas (404) ou n'appartient pas à l'école (403).
+   */
+  static async getEleve(matriculEleve, { ecoleId, transaction } = {}) {
+    const eleve = await db.Eleve.findByPk(matriculEleve, {
+      include: [
+        { model: db.Classe, as: 'classe', attributes: ['classeId', 'libelle', 'niveau', 'serie', 'anneeCode'] },
+        { model: db.Ecole, as: 'ecole' },
+      ],
+      transaction,
+    });
+    if (!eleve) {
+      throw new ErrorResponse('Élève non trouvé.', 'NOT_FOUND', 404);
+    }
+
+    if (ecoleId && eleve.ecoleId !== ecoleId) {
+      throw new ErrorResponse('Vous n\'êtes pas autorisé à délivrer un document pour cet élève.', 'FORBIDDEN', 403);
+    }
+
+    return eleve;
+  }
+
+  /**
+   * Délivre un document à un élève et l'enregistre avec son code de vérification.
+   * - Un certificat de scolarité n'est délivré que pour l'année de la classe actuelle de l'élève.
+   * - Une attestation de réussite exige un résultat « Admis » à jour pour l'année.
+   * @param {string} matriculEleve - Le matricule de l'élève.
+   * @param {Object} demande
+   * @param {'Scolarité'|'Réussite'} demande.type - Le type de document.
+   * @param {string} [demande.anneeCode] - L'année scolaire ; par défaut celle de la classe actuelle de l'élève.
+   * @param {Object} [options={}]
+   * @param {string} [options.ecoleId] - Si renseigné, seul un élève de cette école est accepté.
+   * @param {number} [options.userId] - L'utilisateur qui délivre le document.
+   * @param {import('sequelize').Transaction} [options.transaction] - Transaction en cours.
+   * @returns {Promise<Object>} Le certificat enregistré (instance Sequelize).
+   * @throws {ErrorResponse} Si l'élève ou l'année n'existe pas (404), si l'élève n'appartient pas à l'école (403),
+   * si le résultat de l'année est à recalculer (409) ou si l'élève ne remplit pas les conditions du document (422).
+   */
+  static async delivrer(matriculEleve, { type, anneeCode }, { ecoleId, userId, transaction } = {}) {
+    const eleve = await this.getEleve(matriculEleve, { ecoleId, transaction });
+    const codeAnne = anneeCode || eleve.classe?.anneeCode;
+
+    const anneeScolaire = await db.AnneeScolaire.findByPk(codeAnne, { transaction });
+    if (!anneeScolaire) {
+      throw new ErrorResponse('Année scolaire non trouvée.', 'NOT_FOUND', 404);
+    }
+
+    // La classe n'est connue que pour l'année en cours de l'élève
+    const classe = eleve.classe?.anneeCode === codeAnne ? eleve.classe : null;
+    const contenu = {
+      eleve: { matricul: eleve.matricul, lastname: eleve.lastname, firstname: eleve.firstname, genre: eleve.genre },
+      classe: classe ? { libelle: classe.libelle, niveau: classe.niveau, serie: classe.serie } : null,
+      ecole: { ecoleId: eleve.ecole.ecoleId, ecoleName: eleve.ecole.ecoleName, iep: eleve.ecole.iep, ville: eleve.ecole.ville },
+      annee: { codeAnne, libelle: anneeScolaire.annee },
+    };
+
+    if (type === 'Scolarité' && !classe) {
+      throw new ErrorResponse(
+        `Un certificat de scolarité ne peut être délivré que pour l'année scolaire en cours de l'élève (${eleve.classe?.anneeCode}).`,
+        'NOT_ELIGIBLE',
+        422
+      );
+    }
+
+    if (type === 'Réussite') {
+      const resultat = await db.Resultat.findOne({ where: { matriculEleve, anneeCode: codeAnne }, transaction });
+      if (!resultat || resultat.decision !== 'Admis') {
+        throw new ErrorResponse(
+          `L'élève n'est pas déclaré admis pour l'année ${codeAnne} : aucune attestation de réussite ne peut être délivrée.`,
+          'NOT_ELIGIBLE',
+          422,
+          { details: { decision: resultat?.decision ?? null } }
+        );
+      }
+      if (resultat.perimee) {
+        throw new ErrorResponse(
+          `Le résultat de l'élève pour l'année ${codeAnne} doit être recalculé avant de délivrer une attestation de réussite.`,
+          'RESULTAT_PERIME',
+          409
+        );
+      }
+
+      const { mga, mention } = await MentionService.annotate(resultat, 'mga');
+      contenu.resultat = { decision: resultat.decision, mga, bareme: BaremeService.resolve(eleve.ecole, classe?.niveau), mention };
+    }
+
+    return db.Certificat.create({
+      code: this.genererCode(),
+      type,
+      matriculEleve,
+      anneeCode: codeAnne,
+      ecoleId: eleve.ecoleId,
+      contenu,
+      userId,
+    }, { transaction });
+  }
+
+  /**
+   * Prépare les données d'un document pour son modèle Pug.
+   * @param {Object} certificat - Le certificat enregistré.
+   * @param {string} urlVerification - L'adresse de la page de vérification du document.
+   * @returns {Object} Les données du document.
+   */
+  static toDocument(certificat, urlVerification) {
+    return {
+      ...certificat.contenu,
+      titre: TYPES[certificat.type].titre,
+      type: certificat.type,
+      code: certificat.code,
+      urlVerification,
+      delivreLe: certificat.createdAt,
+    };
+  }
+
+  /**
+   * Vérifie un code de vérification et retourne les informations minimales du document correspondant,
+   * à comparer avec le document présenté. Le matricule et les notes de l'élève ne sont pas divulgués.
+   * @param {string} code - Le code saisi.
+   * @returns {Promise<Object>} Le statut et les informations du document.
+   * @throws {ErrorResponse} Si aucun document ne correspond au code (404).
+   */
+  static async verifier(code) {
+    const codeNormalise = this.normaliserCode(code);
+    const certificat = codeNormalise ? await db.Certificat.findOne({ where: { code: codeNormalise } }) : null;
+    if (!certificat) {
+      throw new ErrorResponse('Aucun document ne correspond à ce code de vérification.', 'NOT_FOUND', 404);
+    }
+
+    const { contenu } = certificat;
+    return {
+      code: certificat.code,
+      statut: certificat.revoqueLe ? 'Révoqué' : 'Valide',
+      document: TYPES[certificat.type].titre,
+      eleve: `${contenu.eleve.lastname} ${contenu.eleve.firstname}`,
+      classe: contenu.classe?.libelle ?? null,
+      ecole: contenu.ecole.ecoleName,
+      anneeScolaire: contenu.annee.codeAnne,
+      decision: contenu.resultat?.decision ?? null,
+      delivreLe: certificat.createdAt,
+      revoqueLe: certificat.revoqueLe,
+    };
+  }
+
+  /**
+   * Révoque un document (ex: délivré par erreur). Sa vérification indique alors qu'il n'est plus valide.
+   * @param {string} code - Le code de vérification du document.
+   * @param {string} motif - Le motif de la révocation.
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<Object>} Le certificat révoqué.
+   * @throws {ErrorResponse} Si aucun document ne correspond au code (404) ou s'il est déjà révoqué (409).
+   */
+  static async revoquer(code, motif, { transaction } = {}) {
+    const codeNormalise = this.normaliserCode(code);
+    const certificat = codeNormalise ? await db.Certificat.findOne({ where: { code: codeNormalise }, transaction }) : null;
+    if (!certificat) {
+      throw new ErrorResponse('Aucun document ne correspond à ce code de vérification.', 'NOT_FOUND', 404);
+    }
+
+    if (certificat.revoqueLe) {
+      throw new ErrorResponse('Ce document est déjà révoqué.', 'ALREADY_REVOKED', 409, { details: { revoqueLe: certificat.revoqueLe } });
+    }
+
+    return certificat.update({ revoqueLe: new Date(), motifRevocation: motif }, { transaction });
+  }
+}
+
+export default CertificatService;
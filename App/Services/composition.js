@@ -0,0 +1,115 @@
+// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
+import { db } from '../Models/index.js';
+import ErrorResponse from '../Utils/errorResponse.js';
+
+/**
+ * Transitions autorisées du cycle de vie d'une composition : Ouverte → Clôturée → Publiée.
+ * La réouverture (retour à 'Ouverte') est possible depuis une composition clôturée ou publiée.
+ */
+const TRANSITIONS = {
+  Ouverte: ['Clôturée'],
+  Clôturée: ['Publiée', 'Ouverte'],
+  Publiée: ['Ouverte'],
+};
+
+/**
+ * @class CompositionService
+ * @description Gère le cycle de vie des compositions et le verrouillage des notes et moyennes une fois la composition clôturée.
+ */
+class CompositionService {
+  /**
+   * Vérifie qu'une composition est ouverte, c'est-à-dire que ses notes et moyennes peuvent encore être modifiées.
+   * @param {string|Object} composition - Le code de la composition, ou la composition déjà chargée.
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<Object>} La composition.
+   * @throws {ErrorResponse} Si la composition n'existe pas (404) ou n'est plus ouverte (409).
+   */
+  static async assertOuverte(composition, { transaction } = {}) {
+    const record = typeof composition === 'string' || composition === undefined
+      ? await db.Composition.findByPk(composition, { transaction })
+      : composition;
+
+    if (!record) {
+      throw new ErrorResponse('Composition non trouvée.', 'NOT_FOUND', 404);
+    }
+
+    if (record.statut !== 'Ouverte') {
+      throw new ErrorResponse(
+        `La composition ${record.codeCompo} est ${record.statut.toLowerCase()} : ses notes et moyennes ne peuvent plus être modifiées.`,
+        'COMPOSITION_CLOSED',
+        409,
+        { details: { codeCompo: record.codeCompo, statut: record.statut } }
+      );
+    }
+
+    return record;
+  }
+
+  /**
+   * Vérifie qu'une composition peut être rattachée à une période : la période doit exister, appartenir à la même
+   * année scolaire et contenir la date de la composition.
+   * @param {string} codePeriode - Le code de la période.
+   * @param {Object} composition - Les champs `anneeCode` et `dateCompo` de la composition.
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<Object>} La période.
+   * @throws {ErrorResponse} Si la période n'existe pas (404) ou ne correspond pas à la composition (400).
+   */
+  static async assertPeriode(codePeriode, { anneeCode, dateCompo }, { transaction } = {}) {
+    const periode = await db.Periode.findByPk(codePeriode, { transaction });
+
+    if (!periode) {
+      throw new ErrorResponse('Période non trouvée.', 'NOT_FOUND', 404);
+    }
+
+    if (periode.anneeCode !== anneeCode) {
+      throw new ErrorResponse(
+        `La période ${codePeriode} appartient à l'année scolaire ${periode.anneeCode}, et non à ${anneeCode}.`,
+        'VALIDATION_ERROR',
+        400,
+        { details: { codePeriode, anneeCode, anneePeriode: periode.anneeCode } }
+      );
+    }
+
+    // Les dates de période sont sans heure : la comparaison se fait sur le jour de la composition
+    const jour = new Date(dateCompo).toISOString().slice(0, 10);
+    if (jour < periode.dateDebut || jour > periode.dateFin) {
+      throw new ErrorResponse(
+        `La date de composition (${jour}) est en dehors de la période ${codePeriode} (${periode.dateDebut} - ${periode.dateFin}).`,
+        'VALIDATION_ERROR',
+        400,
+        { details: { codePeriode, dateCompo: jour, dateDebut: periode.dateDebut, dateFin: periode.dateFin } }
+      );
+    }
+
+    return periode;
+  }
+
+  /**
+   * Fait passer une composition à un nouveau statut, en respectant le cycle de vie.
+   * @param {Object} composition - La composition à modifier.
+   * @param {'Ouverte'|'Clôturée'|'Publiée'} statut - Le nouveau statut.
+   * @returns {Promise<Object>} La composition mise à jour.
+   * @throws {ErrorResponse} Si la transition n'est pas autorisée (409).
+   */
+  static async changeStatut(composition, statut) {
+    const ancienStatut = composition.statut;
+
+    if (!TRANSITIONS[ancienStatut]?.includes(statut)) {
+      throw new ErrorResponse(
+        `Impossible de passer la composition du statut '${ancienStatut}' au statut '${statut}'.`,
+        'INVALID_STATUS_TRANSITION',
+        409,
+        { details: { codeCompo: composition.codeCompo, statut: ancienStatut, statutDemande: statut, transitionsPossibles: TRANSITIONS[ancienStatut] } }
+      );
+    }
+
+    const attributes = { statut };
+    if (statut === 'Clôturée') attributes.clotureeLe = new Date();
+    if (statut === 'Publiée') attributes.publieeLe = new Date();
+    if (statut === 'Ouverte') Object.assign(attributes, { clotureeLe: null, publieeLe: null });
+
+    return composition.update(attributes);
+  }
+}
+
+export default CompositionService;
@@ -0,0 +1,174 @@
+import { Op } from 'sequelize';
+// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
+import { db } from '../Models/index.js';
+import ErrorResponse from '../Utils/errorResponse.js';
+
+/**
+ * @class DecisionService
+ * @description Applique les règles de décision de fin d'année (Admis / Refusé / Passage) paramétrées par école et par niveau.
+ */
+class DecisionService {
+  /**
+   * Indique si une règle est satisfaite par la situation d'un élève.
+   * La borne inférieure de MGA est incluse, la borne supérieure est exclue ; une borne nulle n'impose aucune condition.
+   * @param {Object} regle - La règle de décision.
+   * @param {{mga: number, redoublements: number}} situation - La MGA et le nombre de redoublements antérieurs de l'élève.
+   * @returns {boolean}
+   */
+  static matches(regle, { mga, redoublements }) {
+    const isSet = (value) => value !== null && value !== undefined;
+
+    if (isSet(regle.mgaMin) && mga < regle.mgaMin) return false;
+    if (isSet(regle.mgaMax) && mga >= regle.mgaMax) return false;
+    if (isSet(regle.redoublementsMin) && redoublements < regle.redoublementsMin) return false;
+    if (isSet(regle.redoublementsMax) && redoublements > regle.redoublementsMax) return false;
+
+    return true;
+  }
+
+  /**
+   * Sélectionne la première règle satisfaite par la situation d'un élève.
+   * @param {Array<Object>} regles - Les règles applicables, déjà triées par ordre d'évaluation.
+   * @param {{mga: number, redoublements: number}} situation - La MGA et le nombre de redoublements antérieurs de l'élève.
+   * @returns {Object|null} La règle retenue, ou null si aucune règle n'est satisfaite.
+   */
+  static selectRegle(regles, situation) {
+    return regles.find((regle) => this.matches(regle, situation)) || null;
+  }
+
+  /**
+   * Récupère les règles actives d'une école applicables à un niveau, dans leur ordre d'évaluation.
+   * À priorité égale, une règle propre au niveau passe avant une règle commune à tous les niveaux.
+   * @param {string} ecoleId - L'identifiant de l'école.
+   * @param {string} niveau - Le niveau de la classe.
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<Array<Object>>}
+   */
+  static async getRegles(ecoleId, niveau, { transaction } = {}) {
+    const regles = await db.RegleDecision.findAll({
+      where: {
+        ecoleId,
+        actif: true,
+        [Op.or]: [{ niveau }, { niveau: null }],
+      },
+      order: [['priorite', 'ASC'], ['regleId', 'ASC']],
+      transaction,
+    });
+
+    return regles.sort((a, b) => a.priorite - b.priorite || (a.niveau === null) - (b.niveau === null));
+  }
+
+  /**
+   * Compte, pour chaque élève, le nombre d'années scolaires antérieures conclues par un refus (redoublement).
+   * @param {string[]} matricules - Les matricules des élèves.
+   * @param {string} anneeCode - Le code de l'année scolaire en cours (ex: "2024-2025").
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<Map<string, number>>} Le nombre de redoublements, indexé par matricule.
+   */
+  static async countRedoublements(matricules, anneeCode, { transaction } = {}) {
+    const redoublements = await db.Resultat.count({
+      where: {
+        matriculEleve: { [Op.in]: matricules },
+        anneeCode: { [Op.lt]: anneeCode }, // Le format "AAAA-AAAA" permet la comparaison chronologique
+        decision: 'Refusé',
+      },
+      group: ['matriculEleve'],
+      transaction,
+    });
+
+    return new Map(redoublements.map(({ matriculEleve, count }) => [matriculEleve, Number(count)]));
+  }
+
+  /**
+   * Applique les règles de décision de l'école à tous les résultats d'une classe pour une année scolaire, dans une seule transaction.
+   * Les décisions prises par le conseil de classe ou après rattrapage sont conservées, sauf si `force` est activé.
+   * @param {string} classeId - L'identifiant de la classe.
+   * @param {string} anneeCode - Le code de l'année scolaire.
+   * @param {Object} [options={}]
+   * @param {boolean} [options.force=false] - Réapplique les règles y compris sur les décisions du conseil de classe et du rattrapage.
+   * @returns {Promise<Object>} Le rapport d'application, avec la règle retenue pour chaque élève.
+   * @throws {ErrorResponse} Si aucune règle active n'est paramétrée pour l'école et le niveau de la classe.
+   */
+  static async applyForClasse(classeId, anneeCode, { force = false } = {}) {
+    return db.sequelize.transaction(async (transaction) => {
+      const classe = await db.Classe.findByPk(classeId, { attributes: ['classeId', 'ecoleId', 'niveau'], transaction });
+      const regles = await this.getRegles(classe.ecoleId, classe.niveau, { transaction });
+
+      if (regles.length === 0) {
+        throw new ErrorResponse(
+          'Aucune règle de décision active n\'est paramétrée pour l\'école et le niveau de cette classe.',
+          'NO_DECISION_RULES',
+          422,
+          { details: { ecoleId: classe.ecoleId, niveau: classe.niveau } }
+        );
+      }
+
+      const resultats = await db.Resultat.findAll({
+        where: { anneeCode },
+        include: [{
+          model: db.Eleve,
+          as: 'eleveDetail',
+          where: { classeId },
+          attributes: ['matricul', 'lastname', 'firstname'],
+        }],
+        order: [[{ model: db.Eleve, as: 'eleveDetail' }, 'lastname', 'ASC'], [{ model: db.Eleve, as: 'eleveDetail' }, 'firstname', 'ASC']],
+        transaction,
+      });
+
+      const redoublements = await this.countRedoublements(resultats.map((resultat) => resultat.matriculEleve), anneeCode, { transaction });
+      const decisions = [];
+      const decisionsConseil = [];
+      const decisionsRattrapage = [];
+      const sansRegle = [];
+
+      for (const resultat of resultats) {
+        const { matriculEleve, mga } = resultat;
+        const { lastname, firstname } = resultat.eleveDetail;
+        const situation = { mga, redoublements: redoublements.get(matriculEleve) || 0 };
+
+        // Une dérogation du conseil de classe n'est pas écrasée par les règles
+        if (resultat.origineDecision === 'Conseil' && !force) {
+          decisionsConseil.push({ matriculEleve, lastname, firstname, ...situation, decision: resultat.decision, motifDecision: resultat.motifDecision });
+          continue;
+        }
+
+        // Ni une décision prise après rattrapage
+        if (resultat.origineDecision === 'Rattrapage' && !force) {
+          decisionsRattrapage.push({ matriculEleve, lastname, firstname, ...situation, decision: resultat.decision });
+          continue;
+        }
+
+        const regle = this.selectRegle(regles, situation);
+        if (!regle) {
+          sansRegle.push({ matriculEleve, lastname, firstname, ...situation });
+          continue;
+        }
+
+        await resultat.update({
+          decision: regle.decision,
+          regleId: regle.regleId,
+          origineDecision: 'Règle',
+          motifDecision: null,
+        }, { transaction });
+
+        decisions.push({ matriculEleve, lastname, firstname, ...situation, decision: regle.decision, regleId: regle.regleId, regle: regle.libelle });
+      }
+
+      return {
+        classeId,
+        anneeCode,
+        force,
+        regles: regles.map(({ regleId, libelle, niveau, decision, priorite }) => ({ regleId, libelle, niveau, decision, priorite })),
+        totalResultats: resultats.length,
+        perimesCount: resultats.filter((resultat) => resultat.perimee).length, // Décisions prises sur une MGA à recalculer
+        appliedCount: decisions.length,
+        decisions,
+        decisionsConseil,
+        decisionsRattrapage,
+        sansRegle,
+      };
+    });
+  }
+}
+
+export default DecisionService;
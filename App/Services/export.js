@@ -0,0 +1,210 @@
+// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
+import { db } from '../Models/index.js';
+import ErrorResponse from '../Utils/errorResponse.js';
+import SpreadsheetExporter from '../Utils/SpreadsheetExporter.js';
+import BaremeService from './bareme.js';
+import MentionService from './mention.js';
+
+/**
+ * Colonnes d'identification d'un élève, communes aux exports de notes, de moyennes et de résultats.
+ */
+const COLONNES_ELEVE = [
+  { header: 'Nom', key: 'nom', width: 20 },
+  { header: 'Prénoms', key: 'prenoms', width: 25 },
+  { header: 'Classe', key: 'classe', width: 15 },
+];
+
+/**
+ * Inclusion de l'élève et de sa classe, pour des colonnes lisibles (nom plutôt que matricule).
+ * @param {string|null} [ecoleId] - Si défini, seuls les enregistrements des élèves de cette école sont retenus.
+ * @returns {Object}
+ */
+const includeEleve = (ecoleId) => ({
+  model: db.Eleve,
+  as: 'eleveDetail',
+  attributes: ['matricul', 'lastname', 'firstname'],
+  include: [{ model: db.Classe, as: 'classe', attributes: ['classeId', 'libelle'] }],
+  ...(ecoleId !== undefined && { where: { ecoleId }, required: true }),
+});
+
+/**
+ * Extrait les colonnes d'identification d'un élève.
+ * @param {Object|null} eleve - L'élève, avec sa classe.
+ * @returns {{nom: string, prenoms: string, classe: string}}
+ */
+const identifierEleve = (eleve) => ({
+  nom: eleve?.lastname ?? null,
+  prenoms: eleve?.firstname ?? null,
+  classe: eleve?.classe?.libelle ?? null,
+});
+
+/**
+ * Définition de chaque export : colonnes, associations à inclure et mise en forme d'un lot d'enregistrements.
+ * Les associations sont déclarées sous forme de fonctions, les modèles n'étant initialisés qu'au démarrage ;
+ * elles reçoivent l'école à laquelle limiter l'export (les élèves, eux, sont filtrés par le contrôleur).
+ */
+const EXPORTS = {
+  notes: {
+    columns: [
+      ...COLONNES_ELEVE,
+      { header: 'Composition', key: 'composition', width: 20 },
+      { header: 'Matière', key: 'matiere', width: 20 },
+      { header: 'Évaluation', key: 'evaluation', width: 20 },
+      { header: 'Coefficient', key: 'coefficient' },
+      { header: 'Statut', key: 'statut' },
+      { header: 'Note', key: 'note' },
+      { header: 'Barème', key: 'bareme' },
+    ],
+    include: (ecoleId) => [
+      includeEleve(ecoleId),
+      { model: db.Composition, as: 'composition', attributes: ['codeCompo', 'libelle'] },
+      { model: db.Evaluation, as: 'evaluationType', attributes: ['codeEva', 'nameEva', 'coeficient'], include: [{ model: db.Matiere, as: 'matiere', attributes: ['codeMatiere', 'libelle'] }] },
+    ],
+    map: async (records) => (await BaremeService.annotate(records)).map((note) => ({
+      ...identifierEleve(note.eleveDetail),
+      composition: note.composition?.libelle ?? note.codeCompo,
+      matiere: note.evaluationType?.matiere?.libelle ?? null,
+      evaluation: note.evaluationType?.nameEva ?? note.codeEva,
+      coefficient: note.evaluationType?.coeficient ?? null,
+      statut: note.statut,
+      note: note.note,
+      bareme: note.bareme,
+    })),
+  },
+  moyennes: {
+    columns: [
+      ...COLONNES_ELEVE,
+      { header: 'Composition', key: 'composition', width: 20 },
+      { header: 'Moyenne', key: 'moyenne' },
+      { header: 'Barème', key: 'bareme' },
+      { header: 'Rang', key: 'rang' },
+      { header: 'Ex aequo', key: 'exAequo' },
+      { header: 'Mention', key: 'mention', width: 20 },
+      { header: 'Appréciation', key: 'appreciation', width: 40 },
+      { header: 'À recalculer', key: 'perimee' },
+    ],
+    include: (ecoleId) => [includeEleve(ecoleId), { model: db.Composition, as: 'compositionDetail', attributes: ['codeCompo', 'libelle'] }],
+    map: async (records) => (await MentionService.annotate(await BaremeService.annotate(records), 'moyenne')).map((moyenne) => ({
+      ...identifierEleve(moyenne.eleveDetail),
+      composition: moyenne.compositionDetail?.libelle ?? moyenne.codeCompo,
+      moyenne: moyenne.moyenne,
+      bareme: moyenne.bareme,
+      rang: moyenne.rang,
+      exAequo: moyenne.exAequo,
+      mention: moyenne.mention,
+      appreciation: moyenne.appreciation,
+      perimee: moyenne.perimee,
+    })),
+  },
+  resultats: {
+    columns: [
+      ...COLONNES_ELEVE,
+      { header: 'Année scolaire', key: 'annee', width: 15 },
+      { header: 'MGA', key: 'mga' },
+      { header: 'Barème', key: 'bareme' },
+      { header: 'Rang', key: 'rang' },
+      { header: 'Ex aequo', key: 'exAequo' },
+      { header: 'Décision', key: 'decision' },
+      { header: 'Mention', key: 'mention', width: 20 },
+      { header: 'Appréciation', key: 'appreciation', width: 40 },
+      { header: 'À recalculer', key: 'perimee' },
+    ],
+    include: (ecoleId) => [includeEleve(ecoleId)],
+    map: async (records) => (await MentionService.annotate(await BaremeService.annotate(records), 'mga')).map((resultat) => ({
+      ...identifierEleve(resultat.eleveDetail),
+      annee: resultat.anneeCode,
+      mga: resultat.mga,
+      bareme: resultat.bareme,
+      rang: resultat.rang,
+      exAequo: resultat.exAequo,
+      decision: resultat.decision,
+      mention: resultat.mention,
+      appreciation: resultat.appreciation,
+      perimee: resultat.perimee,
+    })),
+  },
+  eleves: {
+    columns: [
+      { header: 'Matricule', key: 'matricul', width: 15 },
+      { header: 'Nom', key: 'nom', width: 20 },
+      { header: 'Prénoms', key: 'prenoms', width: 25 },
+      { header: 'Genre', key: 'genre' },
+      { header: 'Classe', key: 'classe', width: 15 },
+      { header: 'Niveau', key: 'niveau' },
+      { header: 'École', key: 'ecole', width: 30 },
+    ],
+    include: () => [
+      { model: db.Classe, as: 'classe', attributes: ['classeId', 'libelle', 'niveau'] },
+      { model: db.Ecole, as: 'ecole', attributes: ['ecoleId', 'ecoleName'] },
+    ],
+    map: async (records) => records.map((eleve) => ({
+      matricul: eleve.matricul,
+      nom: eleve.lastname,
+      prenoms: eleve.firstname,
+      genre: eleve.genre,
+      classe: eleve.classe?.libelle ?? null,
+      niveau: eleve.classe?.niveau ?? null,
+      ecole: eleve.ecole?.ecoleName ?? null,
+    })),
+  },
+};
+
+/**
+ * @class ExportService
+ * @description Exporte en CSV ou en XLSX les listes de notes, de moyennes, de résultats et d'élèves, avec les mêmes filtres
+ * que les listes JSON (`APIFeatures`) mais sans pagination. Les enregistrements sont lus et écrits par lots.
+ */
+class ExportService {
+  /**
+   * Indique si un format demandé est un format d'export.
+   * @param {string} [format] - Le format demandé (paramètre de requête `format`).
+   * @returns {boolean}
+   */
+  static isExportFormat(format) {
+    return SpreadsheetExporter.isExportFormat(format);
+  }
+
+  /**
+   * Valide le format demandé pour une liste : JSON par défaut, ou un format d'export.
+   * @param {any} format - Le paramètre de requête `format`.
+   * @returns {'json'|'csv'|'xlsx'} Le format retenu.
+   * @throws {ErrorResponse} Si le format n'est pas reconnu (400).
+   */
+  static getFormat(format) {
+    if (format === undefined || format === 'json') {
+      return 'json';
+    }
+    if (!this.isExportFormat(format)) {
+      throw new ErrorResponse('Le paramètre \'format\' doit valoir \'json\', \'csv\' ou \'xlsx\'.', 'VALIDATION_ERROR', 400);
+    }
+    return format;
+  }
+
+  /**
+   * Envoie l'export d'une liste en réponse HTTP.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {import('../Utils/apiFeatures.js').default} apiFeatures - La requête construite (recherche, filtres, tri), sans pagination.
+   * @param {'notes'|'moyennes'|'resultats'|'eleves'} type - Le type d'export.
+   * @param {Object} options
+   * @param {'csv'|'xlsx'} options.format - Le format de l'export.
+   * @param {string} options.filename - Le nom du fichier, sans extension.
+   * @param {string|null} [options.ecoleId] - Si défini (enseignant), limite un export de notes, de moyennes ou de résultats
+   * aux élèves de cette école ; `null` (enseignant sans école) n'exporte aucune ligne.
+   * @param {number} [options.batchSize=500] - Le nombre d'enregistrements lus par requête.
+   * @returns {Promise<number>} Le nombre de lignes exportées.
+   */
+  static async send(response, apiFeatures, type, { format, filename, ecoleId, batchSize = 500 }) {
+    const { columns, include, map } = EXPORTS[type];
+    apiFeatures.query.include = include(ecoleId);
+
+    async function* rows() {
+      for await (const records of apiFeatures.batches(batchSize)) {
+        yield map(records);
+      }
+    }
+
+    return SpreadsheetExporter.send(response, { format, filename, columns, batches: rows() });
+  }
+}
+
+export default ExportService;
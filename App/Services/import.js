@@ -0,0 +1,447 @@
+import { Op } from 'sequelize';
+// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
+import { db } from '../Models/index.js';
+import Validator from '../Middlewares/Validator.js';
+import ErrorResponse from '../Utils/errorResponse.js';
+import SpreadsheetReader from '../Utils/SpreadsheetReader.js';
+import MoyenneService from './moyenne.js';
+import NoteService from './note.js';
+
+/**
+ * Colonnes attendues dans un fichier d'élèves : pour chaque champ, les en-têtes acceptés (comparés sans accents ni casse),
+ * le premier étant celui cité dans les messages d'erreur.
+ * Les en-têtes de l'export des élèves sont reconnus, un export peut donc être réimporté tel quel.
+ */
+const COLONNES_ELEVE = {
+  matricul: ['Matricule', 'matricul'],
+  lastname: ['Nom', 'lastname'],
+  firstname: ['Prénoms', 'Prénom', 'firstname'],
+  genre: ['Genre', 'Sexe'],
+  classe: ['Classe', 'classeId', 'Code classe'], // Identifiant ou libellé de la classe
+  ecole: ['École', 'ecoleId'], // Facultative : identifiant ou nom de l'école, vérifié par rapport à la classe
+};
+
+/**
+ * Colonnes obligatoires d'un fichier d'élèves ; l'école est déduite de la classe.
+ */
+const COLONNES_ELEVE_REQUISES = ['matricul', 'lastname', 'firstname', 'genre', 'classe'];
+
+/**
+ * Statuts de présence acceptés dans une cellule de note à la place d'une valeur (comparés sans accents ni casse).
+ */
+const STATUTS_NOTE = {
+  abs: 'Absent',
+  absent: 'Absent',
+  exc: 'Excusé',
+  excuse: 'Excusé',
+  disp: 'Dispensé',
+  dispense: 'Dispensé',
+};
+
+/**
+ * Ramène un en-tête ou un libellé à une forme comparable : sans accents, en minuscules, sans espaces ni ponctuation.
+ * @param {string|null} value - Le texte à normaliser.
+ * @returns {string}
+ */
+const normaliser = (value) => (value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]/g, '');
+
+/**
+ * @class ImportService
+ * @description Importe des enregistrements à partir d'un fichier CSV ou XLSX. Chaque ligne est vérifiée et les erreurs
+ * sont signalées ligne par ligne ; l'import n'est effectué que si toutes les lignes sont valides, en une seule transaction.
+ * En mode simulation (`dryRun`), le rapport est produit sans rien enregistrer.
+ */
+class ImportService {
+  /**
+   * Associe chaque champ à la position de sa colonne dans le fichier, d'après les en-têtes.
+   * @param {Array<string|null>} headers - Les en-têtes du fichier.
+   * @param {Object<string, Array<string>>} colonnes - Les en-têtes acceptés pour chaque champ.
+   * @param {Array<string>} requises - Les champs dont la colonne est obligatoire.
+   * @returns {Object<string, number>} La position de la colonne de chaque champ trouvé.
+   * @throws {ErrorResponse} Si une colonne obligatoire est absente (400).
+   */
+  static mapColonnes(headers, colonnes, requises) {
+    const positions = {};
+    headers.forEach((header, position) => {
+      const champ = Object.keys(colonnes).find((key) => colonnes[key].some((alias) => normaliser(alias) === normaliser(header)));
+      if (champ && positions[champ] === undefined) {
+        positions[champ] = position;
+      }
+    });
+
+    const manquantes = requises.filter((champ) => positions[champ] === undefined);
+    if (manquantes.length > 0) {
+      throw new ErrorResponse(
+        `Colonne(s) manquante(s) dans le fichier : ${manquantes.map((champ) => colonnes[champ][0]).join(', ')}.`,
+        'VALIDATION_ERROR',
+        400,
+        { details: { colonnesManquantes: manquantes, colonnesTrouvees: headers.filter(Boolean) } }
+      );
+    }
+
+    return positions;
+  }
+
+  /**
+   * Lit un fichier téléversé et extrait, pour chaque ligne, la valeur de chaque champ.
+   * @param {{buffer: Buffer, format: 'csv'|'xlsx'}} file - Le fichier téléversé (voir `UploadMiddleware.spreadsheet`).
+   * @param {Object<string, Array<string>>} colonnes - Les en-têtes acceptés pour chaque champ.
+   * @param {Array<string>} requises - Les champs dont la colonne est obligatoire.
+   * @returns {Promise<Array<{ligne: number, valeurs: Object<string, string|null>}>>} Les lignes, avec leur numéro dans le fichier.
+   * @throws {ErrorResponse} Si une colonne obligatoire est absente ou si le fichier ne contient aucune ligne (400).
+   */
+  static async lireFichier(file, colonnes, requises) {
+    const { headers, rows } = await SpreadsheetReader.read(file.buffer, file.format);
+    const positions = this.mapColonnes(headers, colonnes, requises);
+
+    if (rows.length === 0) {
+      throw new ErrorResponse('Le fichier ne contient aucune ligne à importer.', 'VALIDATION_ERROR', 400);
+    }
+
+    return rows.map(({ ligne, cells }) => ({
+      ligne,
+      valeurs: Object.fromEntries(Object.keys(colonnes).map((champ) => [champ, positions[champ] === undefined ? null : cells[positions[champ]] ?? null])),
+    }));
+  }
+
+  /**
+   * Construit le rapport d'un import à partir des lignes vérifiées.
+   * @param {Array<{statut: string}>} lignes - Les lignes, chacune avec son statut ('Valide' ou 'Erreur') et ses erreurs.
+   * @param {boolean} dryRun - Indique une simulation.
+   * @param {number} importes - Le nombre d'enregistrements créés.
+   * @returns {Object} Le rapport.
+   */
+  static buildRapport(lignes, dryRun, importes) {
+    const erreurs = lignes.filter((ligne) => ligne.statut === 'Erreur').length;
+    return {
+      dryRun,
+      total: lignes.length,
+      valides: lignes.length - erreurs,
+      erreurs,
+      importes,
+      lignes,
+    };
+  }
+
+  /**
+   * Retrouve la classe d'une ligne d'élève parmi les classes de l'année importée, par son identifiant ou, à défaut, par son libellé.
+   * Un libellé n'étant unique que par année et par école, il est d'abord restreint à l'école de l'enseignant ou de la colonne École ;
+   * s'il désigne encore plusieurs classes, la ligne est en erreur plutôt que rattachée à l'une d'elles au hasard.
+   * @param {Object<string, string|null>} valeurs - Les valeurs de la ligne.
+   * @param {Object} index
+   * @param {Map<string, Object>} index.classesById - Les classes de l'année, par identifiant normalisé.
+   * @param {Map<string, Array<Object>>} index.classesByLibelle - Les classes de l'année, par libellé normalisé.
+   * @param {string} index.anneeCode - L'année scolaire importée.
+   * @param {string|null} [index.ecoleId] - Si défini (enseignant), seules les classes de cette école sont acceptées.
+   * @returns {{classe: Object|null, erreur: string|null}} La classe, ou le motif de l'erreur.
+   */
+  static resoudreClasse(valeurs, { classesById, classesByLibelle, anneeCode, ecoleId }) {
+    const memeEcole = (classe) => !valeurs.ecole || [classe.ecoleId, classe.ecole?.ecoleName].some((value) => normaliser(value) === normaliser(valeurs.ecole));
+
+    const classe = classesById.get(normaliser(valeurs.classe));
+    if (classe) {
+      if (ecoleId !== undefined && classe.ecoleId !== ecoleId) {
+        return { classe: null, erreur: `La classe '${classe.libelle}' n'appartient pas à votre école.` };
+      }
+      if (!memeEcole(classe)) {
+        return { classe: null, erreur: `L'école '${valeurs.ecole}' ne correspond pas à celle de la classe '${classe.libelle}' (${classe.ecoleId}).` };
+      }
+      return { classe, erreur: null };
+    }
+
+    const homonymes = classesByLibelle.get(normaliser(valeurs.classe)) || [];
+    const candidates = homonymes.filter((candidate) => (ecoleId === undefined || candidate.ecoleId === ecoleId) && memeEcole(candidate));
+
+    if (candidates.length === 1) {
+      return { classe: candidates[0], erreur: null };
+    }
+    if (candidates.length > 1) {
+      return {
+        classe: null,
+        erreur: `Le libellé '${valeurs.classe}' désigne plusieurs classes en ${anneeCode} (écoles : ${candidates.map((candidate) => candidate.ecoleId).join(', ')}) : `
+          + 'précisez l\'école dans la colonne École ou indiquez l\'identifiant de la classe.',
+      };
+    }
+    if (homonymes.length > 0 && valeurs.ecole) {
+      return { classe: null, erreur: `Aucune classe '${valeurs.classe}' dans l'école '${valeurs.ecole}' en ${anneeCode}.` };
+    }
+    if (homonymes.length > 0 && ecoleId !== undefined) {
+      return { classe: null, erreur: `La classe '${valeurs.classe}' n'appartient pas à votre école.` };
+    }
+    return { classe: null, erreur: `Classe inconnue pour l'année ${anneeCode} : '${valeurs.classe}'.` };
+  }
+
+  /**
+   * Importe des élèves à partir d'un fichier. Pour chaque ligne, la classe est retrouvée parmi les classes de l'année importée
+   * (voir `resoudreClasse`), l'école est celle de la classe, puis l'élève est validé avec le schéma de création d'un élève.
+   * Sont signalés : les colonnes invalides (genre, longueurs), les classes inconnues, ambiguës ou d'une autre école,
+   * les matricules déjà attribués (y compris à un élève supprimé) et les matricules en double dans le fichier.
+   * @param {{buffer: Buffer, format: 'csv'|'xlsx'}} file - Le fichier téléversé.
+   * @param {Object} [options={}]
+   * @param {string} [options.anneeCode] - L'année scolaire des classes ; par défaut la plus récente.
+   * @param {string|null} [options.ecoleId] - Si défini (enseignant), seules les classes de cette école sont acceptées.
+   * @param {boolean} [options.dryRun=false] - Produit le rapport sans rien enregistrer.
+   * @param {import('sequelize').Transaction} [options.transaction] - Transaction de l'import.
+   * @returns {Promise<Object>} Le rapport de l'import ; aucun élève n'est créé si une ligne est en erreur.
+   * @throws {ErrorResponse} Si le fichier est mal formé (400) ou si l'année scolaire n'existe pas (404).
+   */
+  static async importEleves(file, { anneeCode, ecoleId, dryRun = false, transaction } = {}) {
+    const lignes = await this.lireFichier(file, COLONNES_ELEVE, COLONNES_ELEVE_REQUISES);
+
+    // Les codes d'année (AAAA-AAAA) se trient chronologiquement : la plus récente est celle de la rentrée
+    const annee = anneeCode
+      ? await db.AnneeScolaire.findByPk(anneeCode, { transaction })
+      : await db.AnneeScolaire.findOne({ order: [['codeAnne', 'DESC']], transaction });
+    if (!annee) {
+      throw new ErrorResponse('Année scolaire non trouvée.', 'NOT_FOUND', 404);
+    }
+
+    // Index des classes de l'année, séparément par identifiant et par libellé (un libellé se répète d'une école à l'autre)
+    const classes = await db.Classe.findAll({
+      where: { anneeCode: annee.codeAnne },
+      attributes: ['classeId', 'libelle', 'ecoleId'],
+      include: [{ model: db.Ecole, as: 'ecole', attributes: ['ecoleId', 'ecoleName'] }],
+      transaction,
+    });
+    const classesById = new Map(classes.map((classe) => [normaliser(classe.classeId), classe]));
+    const classesByLibelle = new Map();
+    classes.forEach((classe) => {
+      const key = normaliser(classe.libelle);
+      classesByLibelle.set(key, [...(classesByLibelle.get(key) || []), classe]);
+    });
+    const index = { classesById, classesByLibelle, anneeCode: annee.codeAnne, ecoleId };
+
+    // Matricules déjà attribués, y compris aux élèves supprimés (la clé primaire reste occupée)
+    const matricules = lignes.map(({ valeurs }) => valeurs.matricul).filter(Boolean);
+    const existants = new Set((await db.Eleve.findAll({
+      where: { matricul: { [Op.in]: matricules } },
+      attributes: ['matricul'],
+      paranoid: false,
+      transaction,
+    })).map((eleve) => eleve.matricul));
+
+    const premiereLigne = new Map(); // Première ligne du fichier portant chaque matricule
+    const resultats = lignes.map(({ ligne, valeurs }) => {
+      const erreurs = [];
+      const { classe, erreur } = valeurs.classe ? this.resoudreClasse(valeurs, index) : { classe: null, erreur: null };
+      if (erreur) {
+        erreurs.push(erreur);
+      }
+
+      const eleve = {
+        matricul: valeurs.matricul,
+        lastname: valeurs.lastname,
+        firstname: valeurs.firstname,
+        genre: valeurs.genre?.toUpperCase(),
+        classeId: classe?.classeId,
+        ecoleId: classe?.ecoleId,
+      };
+
+      // Valide l'élève comme une création unitaire ; les erreurs de classe ont déjà été signalées
+      const { error } = Validator.eleveCreateSchema.validate(
+        Object.fromEntries(Object.entries(eleve).filter(([, value]) => value !== null && value !== undefined)),
+        { abortEarly: false }
+      );
+      (error?.details || [])
+        .filter((detail) => !(['classeId', 'ecoleId'].includes(detail.path[0]) && valeurs.classe))
+        .forEach((detail) => erreurs.push(detail.message));
+
+      if (valeurs.matricul) {
+        if (existants.has(valeurs.matricul)) {
+          erreurs.push(`Le matricule '${valeurs.matricul}' est déjà attribué.`);
+        }
+        if (premiereLigne.has(valeurs.matricul)) {
+          erreurs.push(`Le matricule '${valeurs.matricul}' figure déjà à la ligne ${premiereLigne.get(valeurs.matricul)} du fichier.`);
+        } else {
+          premiereLigne.set(valeurs.matricul, ligne);
+        }
+      }
+
+      return { ligne, statut: erreurs.length > 0 ? 'Erreur' : 'Valide', ...eleve, erreurs };
+    });
+
+    // Tout ou rien : aucun élève n'est créé si une ligne est en erreur
+    const valide = resultats.every((resultat) => resultat.statut === 'Valide');
+    if (dryRun || !valide) {
+      return this.buildRapport(resultats, dryRun, 0);
+    }
+
+    const eleves = await db.Eleve.bulkCreate(
+      resultats.map(({ ligne, statut, erreurs, ...eleve }) => eleve),
+      { transaction }
+    );
+
+    return this.buildRapport(resultats, dryRun, eleves.length);
+  }
+
+  /**
+   * Interprète une cellule de note : un nombre (virgule ou point décimal) pour un élève présent,
+   * ou un statut de présence (« Abs », « Excusé », « Disp », ...).
+   * @param {string} valeur - Le texte de la cellule.
+   * @returns {{note: number|null, statut: string}|null} La note et le statut, ou `null` si la cellule n'est pas lisible.
+   */
+  static parseCelluleNote(valeur) {
+    if (/^\d+([.,]\d+)?$/.test(valeur)) {
+      return { note: parseFloat(valeur.replace(',', '.')), statut: 'Présent' };
+    }
+
+    const statut = STATUTS_NOTE[normaliser(valeur)];
+    return statut ? { note: null, statut } : null;
+  }
+
+  /**
+   * Importe les notes d'une composition à partir de la feuille d'un enseignant : une ligne par élève (colonne Matricule)
+   * et une colonne par évaluation, identifiée par son code ou son nom. Les autres colonnes (nom, prénoms, ...) sont ignorées,
+   * de même que les cellules vides, qui laissent la note existante inchangée.
+   * Chaque cellule est vérifiée comme une ligne de feuille de notes (élève, école, doublon, barème) et les erreurs sont signalées
+   * par cellule. Les notes sont créées ou remplacées ; celles qui sont identiques aux notes déjà saisies ne sont pas réécrites,
+   * si bien que réimporter une feuille corrigée ne modifie que les cellules corrigées. Les moyennes des élèves concernés
+   * sont resynchronisées.
+   * @param {{buffer: Buffer, format: 'csv'|'xlsx'}} file - Le fichier téléversé.
+   * @param {string} codeCompo - Le code de la composition, déjà vérifiée comme ouverte.
+   * @param {Object} [options={}]
+   * @param {string} [options.ecoleId] - Si renseigné, seuls les élèves de cette école sont acceptés.
+   * @param {boolean} [options.dryRun=false] - Produit le rapport sans rien enregistrer.
+   * @param {import('sequelize').Transaction} [options.transaction] - Transaction de l'import.
+   * @returns {Promise<Object>} Le rapport de l'import ; aucune note n'est enregistrée si une cellule est en erreur.
+   * @throws {ErrorResponse} Si le fichier est mal formé ou ne contient aucune colonne d'évaluation (400).
+   */
+  static async importNotes(file, codeCompo, { ecoleId, dryRun = false, transaction } = {}) {
+    const { headers, rows } = await SpreadsheetReader.read(file.buffer, file.format);
+    const { matricul: positionMatricule } = this.mapColonnes(headers, { matricul: COLONNES_ELEVE.matricul }, ['matricul']);
+
+    if (rows.length === 0) {
+      throw new ErrorResponse('Le fichier ne contient aucune ligne à importer.', 'VALIDATION_ERROR', 400);
+    }
+
+    // Colonnes d'évaluation, reconnues par le nom ou, en priorité, par le code de l'évaluation
+    const evaluationsByKey = new Map();
+    const evaluations = await db.Evaluation.findAll({ attributes: ['codeEva', 'nameEva'], transaction });
+    evaluations.forEach((evaluation) => evaluationsByKey.set(normaliser(evaluation.nameEva), evaluation));
+    evaluations.forEach((evaluation) => evaluationsByKey.set(normaliser(evaluation.codeEva), evaluation));
+
+    const colonnes = [];
+    const colonnesIgnorees = [];
+    headers.forEach((header, position) => {
+      if (position === positionMatricule || !header) return;
+
+      const evaluation = evaluationsByKey.get(normaliser(header));
+      if (!evaluation) {
+        colonnesIgnorees.push(header);
+      } else if (colonnes.some(({ codeEva }) => codeEva === evaluation.codeEva)) {
+        throw new ErrorResponse(`L'évaluation ${evaluation.codeEva} figure dans plusieurs colonnes du fichier.`, 'VALIDATION_ERROR', 400);
+      } else {
+        colonnes.push({ position, colonne: header, codeEva: evaluation.codeEva, nameEva: evaluation.nameEva });
+      }
+    });
+
+    if (colonnes.length === 0) {
+      throw new ErrorResponse(
+        'Aucune colonne du fichier ne correspond à une évaluation (code ou nom).',
+        'VALIDATION_ERROR',
+        400,
+        { details: { colonnesTrouvees: headers.filter(Boolean) } }
+      );
+    }
+
+    const erreurs = [];
+    const valides = [];
+    let totalCellules = 0;
+
+    // Lignes sans matricule : signalées une seule fois, leurs cellules ne sont pas lues
+    const lignes = rows.filter(({ ligne, cells }) => {
+      if (cells[positionMatricule]) return true;
+      erreurs.push({ ligne, colonne: headers[positionMatricule], matriculEleve: null, codeEva: null, valeur: null, code: 'VALIDATION_ERROR', message: 'Le matricule de l\'élève est requis.' });
+      return false;
+    });
+
+    // Chaque colonne est vérifiée comme une feuille de notes de l'évaluation
+    for (const { position, colonne, codeEva } of colonnes) {
+      const cellules = [];
+      lignes.forEach(({ ligne, cells }) => {
+        const valeur = cells[position];
+        if (valeur === null || valeur === undefined) return; // Cellule vide : note inchangée
+        totalCellules += 1;
+
+        const matriculEleve = cells[positionMatricule];
+        const saisie = this.parseCelluleNote(valeur);
+        if (!saisie) {
+          erreurs.push({ ligne, colonne, matriculEleve, codeEva, valeur, code: 'INVALID_VALUE', message: `Valeur illisible : '${valeur}'. Une note ou un statut (Abs, Excusé, Disp) est attendu.` });
+          return;
+        }
+        cellules.push({ ligne, valeur, row: { matriculEleve, ...saisie } });
+      });
+      if (cellules.length === 0) continue;
+
+      const verification = await NoteService.checkRows(codeEva, codeCompo, cellules.map(({ row }) => row), { ecoleId });
+      verification.erreurs.forEach(({ index, matriculEleve, code, message }) => {
+        erreurs.push({ ligne: cellules[index].ligne, colonne, matriculEleve, codeEva, valeur: cellules[index].valeur, code, message });
+      });
+      verification.valides.forEach(({ index, matriculEleve, note, statut }) => {
+        valides.push({ ligne: cellules[index].ligne, colonne, matriculEleve, codeEva, note, statut });
+      });
+    }
+
+    // Compare avec les notes déjà saisies pour ne réécrire que les cellules modifiées
+    const existantes = valides.length === 0 ? [] : await db.Note.findAll({
+      where: {
+        codeCompo,
+        matriculEleve: { [Op.in]: [...new Set(valides.map(({ matriculEleve }) => matriculEleve))] },
+        codeEva: { [Op.in]: colonnes.map(({ codeEva }) => codeEva) },
+      },
+      attributes: ['matriculEleve', 'codeEva', 'note', 'statut'],
+      transaction,
+    });
+    const existantesByCle = new Map(existantes.map((note) => [`${note.matriculEleve}|${note.codeEva}`, note]));
+
+    const aEnregistrer = [];
+    let inchangees = 0;
+    valides.forEach((cellule) => {
+      const existante = existantesByCle.get(`${cellule.matriculEleve}|${cellule.codeEva}`);
+      if (existante && existante.statut === cellule.statut && existante.note === cellule.note) {
+        inchangees += 1;
+      } else {
+        aEnregistrer.push({ ...cellule, creation: !existante });
+      }
+    });
+
+    const rapport = {
+      dryRun,
+      codeCompo,
+      evaluations: colonnes.map(({ colonne, codeEva, nameEva }) => ({ colonne, codeEva, nameEva })),
+      colonnesIgnorees,
+      totalLignes: rows.length,
+      totalCellules,
+      creees: aEnregistrer.filter(({ creation }) => creation).length,
+      modifiees: aEnregistrer.filter(({ creation }) => !creation).length,
+      inchangees,
+      erreurs: erreurs.length,
+      enregistrees: 0,
+      moyennesResynchronisees: 0,
+      cellulesEnErreur: erreurs.sort((a, b) => a.ligne - b.ligne || headers.indexOf(a.colonne) - headers.indexOf(b.colonne)),
+    };
+
+    // Tout ou rien : aucune note n'est enregistrée si une cellule est en erreur
+    if (dryRun || erreurs.length > 0) {
+      return rapport;
+    }
+
+    for (const { matriculEleve, codeEva, note, statut } of aEnregistrer) {
+      await NoteService.saveNote(matriculEleve, codeEva, codeCompo, { note, statut }, { transaction });
+    }
+
+    // Une seule resynchronisation par élève, après l'enregistrement de toutes ses notes
+    const matricules = [...new Set(aEnregistrer.map(({ matriculEleve }) => matriculEleve))];
+    for (const matriculEleve of matricules) {
+      await MoyenneService.syncAfterNoteChange(matriculEleve, codeCompo, { transaction });
+    }
+
+    return { ...rapport, enregistrees: aEnregistrer.length, moyennesResynchronisees: matricules.length };
+  }
+}
+
+export default ImportService;
@@ -0,0 +1,78 @@
+import { Op } from 'sequelize';
+// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
+import { db } from '../Models/index.js';
+import BaremeService from './bareme.js';
+
+/**
+ * @class MentionService
+ * @description Attribue une mention et une appréciation par défaut aux moyennes et aux MGA,
+ * à partir des tranches paramétrées par chaque école.
+ */
+class MentionService {
+  /**
+   * Sélectionne la tranche contenant une valeur. La borne inférieure est incluse, la borne supérieure est exclue ;
+   * si plusieurs tranches se chevauchent, celle dont la borne inférieure est la plus haute l'emporte.
+   * @param {Array<Object>} bandes - Les tranches de mention de l'école.
+   * @param {number} valeur - La moyenne, exprimée sur le barème général de l'école.
+   * @returns {Object|null} La tranche retenue, ou null si aucune tranche ne contient la valeur.
+   */
+  static selectBande(bandes, valeur) {
+    return [...bandes]
+      .sort((a, b) => b.moyenneMin - a.moyenneMin)
+      .find((bande) => valeur >= bande.moyenneMin && (bande.moyenneMax === null || bande.moyenneMax === undefined || valeur < bande.moyenneMax)) || null;
+  }
+
+  /**
+   * Ajoute la mention et l'appréciation à des moyennes ou des résultats.
+   * L'appréciation saisie par l'enseignant est prioritaire sur l'appréciation par défaut de la mention.
+   * @param {Object|Array<Object>} records - Un ou plusieurs enregistrements (instances Sequelize ou objets) portant `matriculEleve`.
+   * @param {string} valueField - Le champ contenant la valeur à évaluer (`moyenne` ou `mga`).
+   * @returns {Promise<Object|Array<Object>>} Les enregistrements, avec `mention`, `appreciation` et `appreciationPersonnalisee`.
+   */
+  static async annotate(records, valueField) {
+    const list = Array.isArray(records) ? records : [records];
+    const matricules = [...new Set(list.map((record) => record.matriculEleve).filter(Boolean))];
+
+    // Charge en une seule requête l'école et le niveau de chaque élève
+    const eleves = matricules.length === 0 ? [] : await db.Eleve.findAll({
+      where: { matricul: { [Op.in]: matricules } },
+      attributes: ['matricul', 'ecoleId'],
+      include: [
+        { model: db.Classe, as: 'classe', attributes: ['classeId', 'niveau'] },
+        { model: db.Ecole, as: 'ecole', attributes: ['ecoleId', 'bareme', 'baremeParNiveau'] },
+      ],
+    });
+    const elevesByMatricul = new Map(eleves.map((eleve) => [eleve.matricul, eleve]));
+
+    // Charge les tranches de toutes les écoles concernées
+    const ecoleIds = [...new Set(eleves.map((eleve) => eleve.ecoleId))];
+    const bandes = ecoleIds.length === 0 ? [] : await db.BandeMention.findAll({ where: { ecoleId: { [Op.in]: ecoleIds } } });
+
+    const annotated = list.map((record) => {
+      const data = typeof record.toJSON === 'function' ? record.toJSON() : record;
+      const eleve = elevesByMatricul.get(data.matriculEleve);
+      const valeur = data[valueField];
+      let bande = null;
+
+      if (eleve && typeof valeur === 'number') {
+        // Les tranches sont exprimées sur le barème général de l'école
+        const bareme = BaremeService.resolve(eleve.ecole, eleve.classe?.niveau);
+        const valeurEcole = eleve.ecole?.bareme ? (valeur * eleve.ecole.bareme) / bareme : valeur;
+        bande = this.selectBande(bandes.filter((item) => item.ecoleId === eleve.ecoleId), valeurEcole);
+      }
+
+      const appreciationPersonnalisee = data.appreciation !== null && data.appreciation !== undefined;
+
+      return {
+        ...data,
+        mention: bande ? bande.mention : null,
+        appreciation: appreciationPersonnalisee ? data.appreciation : bande?.appreciation ?? null,
+        appreciationPersonnalisee,
+      };
+    });
+
+    return Array.isArray(records) ? annotated : annotated[0];
+  }
+}
+
+export default MentionService;
@@ -0,0 +1,531 @@
+import { Op } from 'sequelize';
+// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
+import { db } from '../Models/index.js';
+import ErrorResponse from '../Utils/errorResponse.js';
+import Ranking from '../Utils/ranking.js';
+import Rounding from '../Utils/rounding.js';
+import BaremeService from './bareme.js';
+import ArrondiService from './arrondi.js';
+import ResultatService from './resultat.js';
+import GradingConfig from '../Configs/grading.js';
+
+/**
+ * @class MoyenneService
+ * @description Regroupe la logique de calcul des moyennes de composition,
+ * partagée entre le calcul individuel et le calcul pour une classe entière.
+ */
+class MoyenneService {
+  /**
+   * Calcule la moyenne pondérée d'un ensemble de notes à partir des coefficients des évaluations.
+   * @param {Array<Object>} notes - Les notes, chacune incluant son évaluation (`evaluationType`).
+   * @returns {number} La moyenne pondérée (0 si la somme des coefficients est nulle).
+   */
+  static computeWeightedAverage(notes) {
+    const total = notes.reduce((sum, note) => sum + note.note * note.evaluationType.coeficient, 0);
+    const totalCoef = notes.reduce((sum, note) => sum + note.evaluationType.coeficient, 0);
+
+    return totalCoef === 0 ? 0 : total / totalCoef; // Évite la division par zéro
+  }
+
+  /**
+   * Calcule la moyenne générale d'un élève comme sur un bulletin : moyenne de chaque matière d'abord
+   * (pondérée par les coefficients des évaluations), puis moyenne des matières pondérée par leur coefficient.
+   * Une évaluation sans matière forme son propre groupe et compte avec son propre coefficient.
+   * Une matière sans coefficient pour le niveau et la série de la classe compte avec un coefficient de 1.
+   * @param {Array<Object>} notes - Les notes retenues, chacune incluant son évaluation (`evaluationType`) et sa matière (`evaluationType.matiere`).
+   * @param {Map<string, number>} [coefficients] - Les coefficients des matières pour la classe, indexés par code de matière.
+   * @returns {{moyenne: number, matieres: Array<Object>}} La moyenne générale et le détail par matière.
+   */
+  static computeMoyenneGenerale(notes, coefficients = new Map()) {
+    // Regroupe les notes par matière
+    const groupes = new Map();
+    for (const note of notes) {
+      const evaluation = note.evaluationType;
+      const codeMatiere = evaluation.codeMatiere ?? null;
+      const key = codeMatiere ?? `EVA:${note.codeEva}`;
+
+      if (!groupes.has(key)) {
+        groupes.set(key, {
+          codeMatiere,
+          codeEva: codeMatiere ? undefined : note.codeEva,
+          libelle: codeMatiere ? evaluation.matiere?.libelle ?? codeMatiere : evaluation.nameEva,
+          ordre: evaluation.matiere?.ordre ?? 0,
+          notes: [],
+        });
+      }
+      groupes.get(key).notes.push(note);
+    }
+
+    const matieres = [...groupes.values()]
+      .sort((a, b) => a.ordre - b.ordre || String(a.libelle).localeCompare(String(b.libelle)))
+      .map(({ codeMatiere, codeEva, libelle, notes: notesMatiere }) => {
+        let coefficient = 1;
+        let coefficientParDefaut = false;
+
+        if (!codeMatiere) {
+          coefficient = notesMatiere[0].evaluationType.coeficient; // Évaluation hors matière : son propre coefficient
+        } else if (coefficients.has(codeMatiere)) {
+          coefficient = coefficients.get(codeMatiere);
+        } else {
+          coefficientParDefaut = true;
+        }
+
+        return {
+          codeMatiere,
+          codeEva,
+          libelle,
+          moyenne: this.computeWeightedAverage(notesMatiere),
+          coefficient,
+          coefficientParDefaut,
+          notesCount: notesMatiere.length,
+        };
+      });
+
+    const total = matieres.reduce((sum, matiere) => sum + matiere.moyenne * matiere.coefficient, 0);
+    const totalCoef = matieres.reduce((sum, matiere) => sum + matiere.coefficient, 0);
+
+    return { moyenne: totalCoef === 0 ? 0 : total / totalCoef, matieres };
+  }
+
+  /**
+   * Récupère les coefficients des matières pour un niveau et une série.
+   * Un coefficient propre à la série est prioritaire sur le coefficient commun à toutes les séries du niveau.
+   * @param {string} niveau - Le niveau de la classe.
+   * @param {string|null} [serie] - La série de la classe.
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<Map<string, number>>} Les coefficients, indexés par code de matière.
+   */
+  static async getCoefficientsMatieres(niveau, serie = null, { transaction } = {}) {
+    const series = serie ? [serie, null] : [null];
+    const rows = await db.MatiereCoefficient.findAll({
+      where: { niveau, [Op.or]: series.map((value) => ({ serie: value })) },
+      attributes: ['codeMatiere', 'serie', 'coefficient'],
+      transaction,
+    });
+
+    const coefficients = new Map();
+    rows
+      .sort((a, b) => (a.serie === null) - (b.serie === null)) // Les coefficients de série d'abord
+      .forEach(({ codeMatiere, coefficient }) => {
+        if (!coefficients.has(codeMatiere)) {
+          coefficients.set(codeMatiere, coefficient);
+        }
+      });
+
+    return coefficients;
+  }
+
+  /**
+   * Sépare les notes prises en compte dans la moyenne de celles qui en sont exclues, selon leur statut :
+   * - 'Présent' : la note est retenue ;
+   * - 'Excusé' et 'Dispensé' : l'évaluation est exclue ;
+   * - 'Absent' : l'évaluation compte pour 0 ou est exclue, selon la politique d'absence de l'école.
+   * @param {Array<Object>} notes - Les notes, chacune incluant son évaluation (`evaluationType`).
+   * @param {'Zéro'|'Exclue'} [politiqueAbsence] - La politique appliquée aux absences non excusées.
+   * @returns {{retenues: Array<Object>, exclues: Array<Object>}} Les notes retenues (avec leur valeur effective) et les notes exclues.
+   */
+  static partitionNotes(notes, politiqueAbsence = GradingConfig.getDefaultPolitiqueAbsence()) {
+    const retenues = [];
+    const exclues = [];
+
+    for (const note of notes) {
+      const { matriculEleve, codeEva, evaluationType } = note;
+      const statut = note.statut || 'Présent';
+
+      if (statut === 'Présent') {
+        retenues.push(note);
+      } else if (statut === 'Absent' && politiqueAbsence === 'Zéro') {
+        retenues.push({ matriculEleve, codeEva, statut, note: 0, evaluationType }); // L'absence non excusée compte pour 0
+      } else {
+        exclues.push({ matriculEleve, codeEva, nameEva: evaluationType?.nameEva, coeficient: evaluationType?.coeficient, statut });
+      }
+    }
+
+    return { retenues, exclues };
+  }
+
+  /**
+   * Récupère la politique d'absence de l'école de plusieurs élèves en une seule requête.
+   * @param {string[]} matricules - Les matricules des élèves.
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<Map<string, 'Zéro'|'Exclue'>>} Les politiques, indexées par matricule.
+   */
+  static async getPolitiquesAbsence(matricules, { transaction } = {}) {
+    const eleves = await db.Eleve.findAll({
+      where: { matricul: { [Op.in]: matricules } },
+      attributes: ['matricul'],
+      include: [{ model: db.Ecole, as: 'ecole', attributes: ['ecoleId', 'politiqueAbsence'] }],
+      transaction,
+    });
+
+    return new Map(eleves.map((eleve) => [eleve.matricul, eleve.ecole?.politiqueAbsence ?? GradingConfig.getDefaultPolitiqueAbsence()]));
+  }
+
+  /**
+   * Vérifie que toutes les notes respectent le barème avant de calculer une moyenne.
+   * @param {Array<Object>} notes - Les notes à vérifier.
+   * @param {Map<string, number>|number} bareme - Le barème applicable, ou les barèmes indexés par matricule.
+   * @throws {ErrorResponse} Si au moins une note dépasse le barème.
+   */
+  static assertNotesInScale(notes, bareme) {
+    const horsBareme = notes
+      .filter((note) => note.note > (bareme instanceof Map ? bareme.get(note.matriculEleve) : bareme))
+      .map(({ matriculEleve, codeEva, codeCompo, note }) => ({ matriculEleve, codeEva, codeCompo, note }));
+
+    if (horsBareme.length > 0) {
+      throw new ErrorResponse('Certaines notes dépassent le barème de l\'école. Corrigez-les avant de calculer la moyenne.', 'OUT_OF_SCALE', 422, {
+        details: horsBareme,
+      });
+    }
+  }
+
+  /**
+   * Enregistre (crée ou met à jour) la moyenne d'un élève pour une composition.
+   * La moyenne est enregistrée arrondie selon la politique de l'école, la valeur exacte étant conservée pour le classement.
+   * La moyenne est marquée à jour ; si sa valeur exacte change, le résultat annuel de l'élève est marqué comme périmé.
+   * @param {string} matriculEleve - Le matricule de l'élève.
+   * @param {string} codeCompo - Le code de la composition.
+   * @param {number} moyenne - La moyenne calculée (valeur exacte).
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @param {Array<Object>|null} [options.detailMatieres=null] - Le détail par matière du calcul (nul pour une saisie manuelle).
+   * @param {{politique: string, pas: number}} [options.arrondi] - La politique d'arrondi de l'école (par défaut, aucun arrondi).
+   * @returns {Promise<[import('../Models/Moyenne.js').default, boolean, boolean]>} L'enregistrement, un indicateur de création et un indicateur de changement de valeur.
+   */
+  static async saveMoyenne(matriculEleve, codeCompo, moyenne, { transaction, detailMatieres = null, arrondi } = {}) {
+    const attributes = { moyenne: Rounding.apply(moyenne, arrondi), moyenneBrute: moyenne, perimee: false, calculeLe: new Date(), detailMatieres };
+
+    const [record, created] = await db.Moyenne.findOrCreate({
+      where: { matriculEleve, codeCompo },
+      defaults: attributes,
+      transaction,
+    });
+
+    const changed = created || (record.moyenneBrute ?? record.moyenne) !== moyenne;
+
+    if (!created) {
+      await record.update(attributes, { transaction }); // Met à jour la moyenne si l'enregistrement existait déjà
+    }
+
+    // La MGA de l'année dépend de cette moyenne
+    if (changed) {
+      await ResultatService.markPerimes([matriculEleve], codeCompo, { transaction });
+    }
+
+    return [record, created, changed];
+  }
+
+  /**
+   * Recalcule les rangs des moyennes d'une classe pour une composition, à partir des moyennes exactes (avant arrondi).
+   * Les ex aequo partagent le même rang, le rang suivant est ensuite sauté (1, 2, 2, 4).
+   * @param {string} classeId - L'identifiant de la classe.
+   * @param {string} codeCompo - Le code de la composition.
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<Array<Object>>} Les moyennes de la classe, classées.
+   */
+  static async recomputeRangs(classeId, codeCompo, { transaction } = {}) {
+    const moyennes = await db.Moyenne.findAll({
+      where: { codeCompo },
+      include: [{
+        model: db.Eleve,
+        as: 'eleveDetail',
+        where: { classeId },
+        attributes: ['matricul', 'lastname', 'firstname', 'classeId'],
+      }],
+      transaction,
+    });
+
+    const classement = Ranking.rank(moyennes, (moyenne) => moyenne.moyenneBrute ?? moyenne.moyenne);
+
+    // Seules les moyennes dont le rang a changé sont mises à jour
+    for (const { entry: moyenne, rang, exAequo } of classement) {
+      if (moyenne.rang !== rang || moyenne.exAequo !== exAequo) {
+        await moyenne.update({ rang, exAequo }, { transaction });
+      }
+    }
+
+    return classement.map(({ entry }) => entry);
+  }
+
+  /**
+   * Recalcule les rangs de la classe d'un élève pour une composition.
+   * @param {string} matriculEleve - Le matricule de l'élève.
+   * @param {string} codeCompo - Le code de la composition.
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<void>}
+   */
+  static async recomputeRangsForEleve(matriculEleve, codeCompo, { transaction } = {}) {
+    const eleve = await db.Eleve.findByPk(matriculEleve, { attributes: ['matricul', 'classeId'], transaction });
+
+    if (eleve) {
+      await this.recomputeRangs(eleve.classeId, codeCompo, { transaction });
+    }
+  }
+
+  /**
+   * Marque la moyenne d'un élève pour une composition comme périmée, ainsi que son résultat annuel.
+   * @param {string} matriculEleve - Le matricule de l'élève.
+   * @param {string} codeCompo - Le code de la composition.
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<import('../Models/Moyenne.js').default|null>} La moyenne, ou `null` si elle n'existe pas.
+   */
+  static async markPerimee(matriculEleve, codeCompo, { transaction } = {}) {
+    const record = await db.Moyenne.findOne({ where: { matriculEleve, codeCompo }, transaction });
+
+    if (record && !record.perimee) {
+      await record.update({ perimee: true }, { transaction });
+      await ResultatService.markPerimes([matriculEleve], codeCompo, { transaction });
+    }
+
+    return record;
+  }
+
+  /**
+   * Marque comme périmées des moyennes déjà enregistrées après un changement de paramètre qui modifie leur calcul
+   * (politique d'absence, barème, coefficient), ainsi que les résultats annuels des élèves concernés.
+   * @param {Object} where - Le filtre des moyennes concernées (ex: `{ matriculEleve: { [Op.in]: matricules } }`).
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<number>} Le nombre de moyennes concernées.
+   */
+  static async markPerimees(where, { transaction } = {}) {
+    const moyennes = await db.Moyenne.findAll({ where, attributes: ['matriculEleve', 'codeCompo'], transaction });
+    if (moyennes.length === 0) {
+      return 0;
+    }
+
+    await db.Moyenne.update({ perimee: true }, { where: { ...where, perimee: false }, transaction });
+
+    // Les résultats sont marqués composition par composition, chacune étant rattachée à une année
+    const matriculesByCompo = new Map();
+    moyennes.forEach(({ matriculEleve, codeCompo }) => {
+      matriculesByCompo.set(codeCompo, [...(matriculesByCompo.get(codeCompo) || []), matriculEleve]);
+    });
+    for (const [codeCompo, matricules] of matriculesByCompo) {
+      await ResultatService.markPerimes(matricules, codeCompo, { transaction });
+    }
+
+    return moyennes.length;
+  }
+
+  /**
+   * Marque comme périmées les moyennes des élèves d'une école, après un changement de sa politique d'absence ou de son barème.
+   * @param {string} ecoleId - L'identifiant de l'école.
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<number>} Le nombre de moyennes concernées.
+   */
+  static async markPerimeesForEcole(ecoleId, { transaction } = {}) {
+    const eleves = await db.Eleve.findAll({ where: { ecoleId }, attributes: ['matricul'], transaction });
+    if (eleves.length === 0) {
+      return 0;
+    }
+
+    return this.markPerimees({ matriculEleve: { [Op.in]: eleves.map(({ matricul }) => matricul) } }, { transaction });
+  }
+
+  /**
+   * Marque comme périmées les moyennes des élèves des classes d'un niveau (et d'une série), après un changement
+   * de coefficient d'une matière. Seules les compositions de l'année de chaque classe sont concernées.
+   * @param {string} niveau - Le niveau des classes.
+   * @param {string|null} [serie=null] - La série ; nulle, le coefficient vaut pour toutes les séries du niveau.
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<number>} Le nombre de moyennes concernées.
+   */
+  static async markPerimeesForNiveau(niveau, serie = null, { transaction } = {}) {
+    const classes = await db.Classe.findAll({ where: { niveau, ...(serie && { serie }) }, attributes: ['classeId', 'anneeCode'], transaction });
+
+    let count = 0;
+    for (const classe of classes) {
+      const eleves = await db.Eleve.findAll({ where: { classeId: classe.classeId }, attributes: ['matricul'], transaction });
+      const compositions = await db.Composition.findAll({ where: { anneeCode: classe.anneeCode }, attributes: ['codeCompo'], transaction });
+      if (eleves.length > 0 && compositions.length > 0) {
+        count += await this.markPerimees({
+          matriculEleve: { [Op.in]: eleves.map(({ matricul }) => matricul) },
+          codeCompo: { [Op.in]: compositions.map(({ codeCompo }) => codeCompo) },
+        }, { transaction });
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Marque comme périmées les moyennes des élèves notés dans une évaluation, après un changement de son coefficient ou de sa matière.
+   * @param {string} codeEva - Le code de l'évaluation.
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<number>} Le nombre de moyennes concernées.
+   */
+  static async markPerimeesForEvaluation(codeEva, { transaction } = {}) {
+    const notes = await db.Note.findAll({ where: { codeEva }, attributes: ['matriculEleve', 'codeCompo'], transaction });
+
+    const matriculesByCompo = new Map();
+    notes.forEach(({ matriculEleve, codeCompo }) => {
+      matriculesByCompo.set(codeCompo, [...(matriculesByCompo.get(codeCompo) || []), matriculEleve]);
+    });
+
+    let count = 0;
+    for (const [codeCompo, matricules] of matriculesByCompo) {
+      count += await this.markPerimees({ codeCompo, matriculEleve: { [Op.in]: matricules } }, { transaction });
+    }
+
+    return count;
+  }
+
+  /**
+   * Resynchronise la moyenne d'un élève pour une composition après l'ajout, la modification ou la suppression d'une note.
+   * La moyenne est recalculée à partir des notes restantes. S'il ne reste aucune note, ou si une autre note est hors barème,
+   * la moyenne existante est seulement marquée comme périmée.
+   * @param {string} matriculEleve - Le matricule de l'élève.
+   * @param {string} codeCompo - Le code de la composition.
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<{moyenne: number, perimee: boolean, calculeLe: Date|null}|null>} L'état de la moyenne, ou `null` si l'élève n'en a pas.
+   */
+  static async syncAfterNoteChange(matriculEleve, codeCompo, { transaction } = {}) {
+    let record = null;
+
+    try {
+      const result = await this.computeForEleve(matriculEleve, codeCompo, { transaction });
+      record = result ? result.record : await this.markPerimee(matriculEleve, codeCompo, { transaction });
+    } catch (error) {
+      // Une note hors barème empêche le recalcul : la moyenne reste visible mais signalée comme périmée
+      if (!(error instanceof ErrorResponse) || error.code !== 'OUT_OF_SCALE') {
+        throw error;
+      }
+      record = await this.markPerimee(matriculEleve, codeCompo, { transaction });
+    }
+
+    if (!record) {
+      return null;
+    }
+
+    const { moyenne, perimee, calculeLe } = record;
+    return { moyenne, perimee, calculeLe };
+  }
+
+  /**
+   * Calcule et enregistre la moyenne d'un élève pour une composition, puis recalcule les rangs de sa classe si elle a changé.
+   * @param {string} matriculEleve - Le matricule de l'élève.
+   * @param {string} codeCompo - Le code de la composition.
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<{record: Object, created: boolean, notesCount: number, notesExclues: Array<Object>, matieres: Array<Object>, bareme: number}|null>}
+   * Le résultat, ou `null` si l'élève n'a aucune note prise en compte.
+   */
+  static async computeForEleve(matriculEleve, codeCompo, { transaction } = {}) {
+    // Récupère toutes les notes de l'élève pour la composition, incluant les évaluations pour les coefficients
+    const notes = await db.Note.findAll({
+      where: { matriculEleve, codeCompo },
+      include: [{ model: db.Evaluation, as: 'evaluationType', include: [{ model: db.Matiere, as: 'matiere' }] }],
+      transaction,
+    });
+
+    const politiques = await this.getPolitiquesAbsence([matriculEleve], { transaction });
+    const { retenues, exclues } = this.partitionNotes(notes, politiques.get(matriculEleve));
+
+    if (retenues.length === 0) {
+      return null;
+    }
+
+    // La moyenne est exprimée sur le même barème que les notes de l'élève
+    const bareme = await BaremeService.getForEleve(matriculEleve, { transaction });
+    this.assertNotesInScale(retenues, bareme);
+
+    // Les coefficients des matières dépendent du niveau et de la série de la classe de l'élève
+    const eleve = await db.Eleve.findByPk(matriculEleve, {
+      attributes: ['matricul', 'classeId'],
+      include: [{ model: db.Classe, as: 'classe', attributes: ['classeId', 'niveau', 'serie'] }],
+      transaction,
+    });
+    const coefficients = eleve?.classe
+      ? await this.getCoefficientsMatieres(eleve.classe.niveau, eleve.classe.serie, { transaction })
+      : new Map();
+
+    const { moyenne, matieres } = this.computeMoyenneGenerale(retenues, coefficients);
+    const arrondi = await ArrondiService.getForEleve(matriculEleve, { transaction });
+    const [record, created, changed] = await this.saveMoyenne(matriculEleve, codeCompo, moyenne, { transaction, detailMatieres: matieres, arrondi });
+
+    if (changed) {
+      await this.recomputeRangsForEleve(matriculEleve, codeCompo, { transaction });
+      await record.reload({ transaction });
+    }
+
+    return { record, created, notesCount: retenues.length, notesExclues: exclues, matieres, bareme };
+  }
+
+  /**
+   * Calcule et enregistre, dans une seule transaction, les moyennes de tous les élèves d'une classe pour une composition,
+   * puis recalcule les rangs. Les élèves sans aucune note sont listés dans le rapport et aucune moyenne n'est enregistrée pour eux.
+   * @param {string} codeCompo - Le code de la composition.
+   * @param {string} classeId - L'identifiant de la classe.
+   * @returns {Promise<Object>} Le rapport de calcul par élève.
+   */
+  static async computeForClasse(codeCompo, classeId) {
+    return db.sequelize.transaction(async (transaction) => {
+      const eleves = await db.Eleve.findAll({
+        where: { classeId },
+        attributes: ['matricul', 'lastname', 'firstname'],
+        order: [['lastname', 'ASC'], ['firstname', 'ASC']],
+        transaction,
+      });
+
+      // Récupère en une seule requête toutes les notes de la classe pour la composition
+      const notes = await db.Note.findAll({
+        where: { codeCompo, matriculEleve: { [Op.in]: eleves.map((eleve) => eleve.matricul) } },
+        include: [{ model: db.Evaluation, as: 'evaluationType', include: [{ model: db.Matiere, as: 'matiere' }] }],
+        transaction,
+      });
+
+      // Toutes les notes de la classe sont exprimées sur le même barème et suivent la même politique d'absence
+      const bareme = await BaremeService.getForClasse(classeId, { transaction });
+      this.assertNotesInScale(notes, bareme);
+      const politiques = await this.getPolitiquesAbsence(eleves.map((eleve) => eleve.matricul), { transaction });
+
+      // Tous les élèves de la classe partagent les coefficients de matières de son niveau et de sa série
+      const classe = await db.Classe.findByPk(classeId, { attributes: ['classeId', 'niveau', 'serie'], transaction });
+      const coefficients = classe ? await this.getCoefficientsMatieres(classe.niveau, classe.serie, { transaction }) : new Map();
+      const arrondi = await ArrondiService.getForClasse(classeId, { transaction });
+
+      // Regroupe les notes par élève
+      const notesByEleve = new Map();
+      notes.forEach((note) => {
+        if (!notesByEleve.has(note.matriculEleve)) {
+          notesByEleve.set(note.matriculEleve, []);
+        }
+        notesByEleve.get(note.matriculEleve).push(note);
+      });
+
+      const moyennes = [];
+      const elevesSansNotes = [];
+
+      for (const eleve of eleves) {
+        const { matricul: matriculEleve, lastname, firstname } = eleve;
+        const { retenues, exclues } = this.partitionNotes(notesByEleve.get(matriculEleve) || [], politiques.get(matriculEleve));
+
+        if (retenues.length === 0) {
+          elevesSansNotes.push({ matriculEleve, lastname, firstname, notesExclues: exclues });
+          continue;
+        }
+
+        const { moyenne, matieres } = this.computeMoyenneGenerale(retenues, coefficients);
+        const [saved, created] = await this.saveMoyenne(matriculEleve, codeCompo, moyenne, { transaction, detailMatieres: matieres, arrondi });
+
+        moyennes.push({ matriculEleve, lastname, firstname, moyenne: saved.moyenne, moyenneBrute: moyenne, matieres, notesCount: retenues.length, notesExclues: exclues, created });
+      }
+
+      // Recalcule les rangs une seule fois pour toute la classe
+      const classement = await this.recomputeRangs(classeId, codeCompo, { transaction });
+      const rangs = new Map(classement.map(({ matriculEleve, rang, exAequo }) => [matriculEleve, { rang, exAequo }]));
+
+      return {
+        codeCompo,
+        classeId,
+        bareme,
+        arrondi,
+        totalEleves: eleves.length,
+        calculatedCount: moyennes.length,
+        withoutNotesCount: elevesSansNotes.length,
+        moyennes: moyennes.map((moyenne) => ({ ...moyenne, ...rangs.get(moyenne.matriculEleve) })),
+        elevesSansNotes,
+      };
+    });
+  }
+}
+
+export default MoyenneService;
@@ -0,0 +1,189 @@
+import { Op } from 'sequelize';
+// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
+import { db } from '../Models/index.js';
+import ErrorResponse from '../Utils/errorResponse.js';
+import Validator from '../Middlewares/Validator.js';
+import BaremeService from './bareme.js';
+import MoyenneService from './moyenne.js';
+
+/**
+ * @class NoteService
+ * @description Regroupe la logique d'enregistrement des notes, notamment la saisie d'une feuille de notes complète.
+ */
+class NoteService {
+  /**
+   * Normalise la note et le statut de présence saisis :
+   * la note d'un élève absent, excusé ou dispensé n'est pas conservée, et une note saisie sans statut vaut présence.
+   * @param {{note?: number|null, statut?: string}} saisie - La note et le statut saisis.
+   * @returns {{note?: number|null, statut?: string}} Les attributs à enregistrer.
+   */
+  static normalize({ note, statut }) {
+    if (statut !== undefined && statut !== 'Présent') {
+      return { statut, note: null };
+    }
+
+    return note === undefined ? {} : { statut: 'Présent', note };
+  }
+
+  /**
+   * Enregistre (crée ou met à jour) la note d'un élève pour une évaluation et une composition.
+   * @param {string} matriculEleve - Le matricule de l'élève.
+   * @param {string} codeEva - Le code de l'évaluation.
+   * @param {string} codeCompo - Le code de la composition.
+   * @param {{note: number|null, statut: string}} attributes - La note obtenue et le statut de présence, déjà normalisés.
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<[import('../Models/Note.js').default, boolean]>} L'enregistrement et un indicateur de création.
+   */
+  static async saveNote(matriculEleve, codeEva, codeCompo, attributes, { transaction } = {}) {
+    const [record, created] = await db.Note.findOrCreate({
+      where: { matriculEleve, codeEva, codeCompo },
+      defaults: attributes,
+      transaction,
+    });
+
+    if (!created) {
+      await record.update(attributes, { transaction }); // Remplace la note déjà saisie
+    }
+
+    return [record, created];
+  }
+
+  /**
+   * Vérifie chaque ligne d'une feuille de notes sans rien enregistrer.
+   * @param {string} codeEva - Le code de l'évaluation.
+   * @param {string} codeCompo - Le code de la composition.
+   * @param {Array<Object>} rows - Les lignes de la feuille (`matriculEleve`, `note`, `statut`).
+   * @param {Object} [options={}]
+   * @param {string} [options.ecoleId] - Si renseigné, seuls les élèves de cette école sont acceptés.
+   * @returns {Promise<{valides: Array<Object>, erreurs: Array<Object>}>} Les lignes valides et les erreurs par ligne.
+   */
+  static async checkRows(codeEva, codeCompo, rows, { ecoleId } = {}) {
+    const matricules = rows.map((row) => row?.matriculEleve).filter((matricul) => typeof matricul === 'string');
+
+    // Charge en une seule requête les élèves et leurs barèmes
+    const eleves = await db.Eleve.findAll({
+      where: { matricul: { [Op.in]: matricules } },
+      attributes: ['matricul', 'ecoleId'],
+    });
+    const elevesByMatricul = new Map(eleves.map((eleve) => [eleve.matricul, eleve]));
+    const baremes = await BaremeService.getForEleves(matricules);
+
+    const valides = [];
+    const erreurs = [];
+    const dejaVus = new Set();
+
+    rows.forEach((row, index) => {
+      const matriculEleve = row?.matriculEleve ?? null;
+      const erreur = (code, message, details) => erreurs.push({ index, matriculEleve, code, message, details });
+
+      // Chaque ligne est validée avec le schéma de création d'une note
+      const { error, value } = Validator.noteCreateSchema.validate({ ...row, codeEva, codeCompo }, { abortEarly: false });
+      if (error) {
+        return erreur('VALIDATION_ERROR', error.details.map((detail) => detail.message).join(', '), error.details);
+      }
+
+      if (dejaVus.has(value.matriculEleve)) {
+        return erreur('DUPLICATE_ROW', 'L\'élève apparaît plusieurs fois dans la feuille de notes.');
+      }
+      dejaVus.add(value.matriculEleve);
+
+      const eleve = elevesByMatricul.get(value.matriculEleve);
+      if (!eleve) {
+        return erreur('NOT_FOUND', 'Élève non trouvé.');
+      }
+
+      if (ecoleId && eleve.ecoleId !== ecoleId) {
+        return erreur('FORBIDDEN', 'L\'élève n\'appartient pas à votre école.');
+      }
+
+      const bareme = baremes.get(value.matriculEleve);
+      if (value.note > bareme) {
+        return erreur('OUT_OF_SCALE', `La note ${value.note} est hors du barème (0 à ${bareme}).`, { note: value.note, bareme });
+      }
+
+      valides.push({ index, matriculEleve: value.matriculEleve, ...this.normalize(value), bareme });
+    });
+
+    return { valides, erreurs };
+  }
+
+  /**
+   * Enregistre une feuille de notes (une évaluation et une composition pour plusieurs élèves) dans une seule transaction.
+   * La moyenne de chaque élève est resynchronisée dans la même transaction.
+   * - En mode `atomic`, aucune note n'est enregistrée si une seule ligne est en erreur.
+   * - En mode `partial`, chaque ligne est enregistrée dans un point de sauvegarde : les lignes en erreur sont ignorées
+   *   et signalées, les autres sont enregistrées.
+   * @param {Object} feuille
+   * @param {string} feuille.codeEva - Le code de l'évaluation.
+   * @param {string} feuille.codeCompo - Le code de la composition.
+   * @param {Array<Object>} feuille.notes - Les lignes de la feuille (`matriculEleve`, `note`, `statut`).
+   * @param {'atomic'|'partial'} [feuille.mode='atomic'] - Le mode d'enregistrement.
+   * @param {Object} [options={}]
+   * @param {string} [options.ecoleId] - Si renseigné, seuls les élèves de cette école sont acceptés.
+   * @returns {Promise<Object>} Le rapport d'enregistrement, avec les erreurs par ligne.
+   * @throws {ErrorResponse} En mode `atomic`, si au moins une ligne est en erreur.
+   */
+  static async bulkSave({ codeEva, codeCompo, notes: rows, mode = 'atomic' }, { ecoleId } = {}) {
+    const { valides, erreurs } = await this.checkRows(codeEva, codeCompo, rows, { ecoleId });
+
+    if (mode === 'atomic' && erreurs.length > 0) {
+      throw new ErrorResponse(
+        `${erreurs.length} ligne(s) de la feuille de notes sont en erreur. Aucune note n'a été enregistrée.`,
+        'BULK_VALIDATION_ERROR',
+        422,
+        { details: erreurs }
+      );
+    }
+
+    const enregistrees = await db.sequelize.transaction(async (transaction) => {
+      const saved = [];
+
+      for (const { index, matriculEleve, note, statut, bareme } of valides) {
+        const saveRow = async (t) => {
+          const [, created] = await this.saveNote(matriculEleve, codeEva, codeCompo, { note, statut }, { transaction: t });
+          const moyenne = await MoyenneService.syncAfterNoteChange(matriculEleve, codeCompo, { transaction: t });
+          return { index, matriculEleve, note, statut, bareme, created, moyenne };
+        };
+
+        if (mode === 'atomic') {
+          try {
+            saved.push(await saveRow(transaction));
+          } catch (error) {
+            // Annule toute la feuille en indiquant la ligne fautive
+            throw new ErrorResponse(
+              'Une note de la feuille n\'a pas pu être enregistrée. Aucune note n\'a été enregistrée.',
+              'BULK_WRITE_ERROR',
+              error instanceof ErrorResponse ? error.statusCode : 422,
+              { details: [{ index, matriculEleve, code: error.code || 'WRITE_ERROR', message: error.message }] }
+            );
+          }
+          continue;
+        }
+
+        try {
+          // Point de sauvegarde : un échec n'annule que cette ligne
+          saved.push(await db.sequelize.transaction({ transaction }, saveRow));
+        } catch (error) {
+          erreurs.push({ index, matriculEleve, code: error.code || 'WRITE_ERROR', message: error.message });
+        }
+      }
+
+      return saved;
+    });
+
+    return {
+      mode,
+      codeEva,
+      codeCompo,
+      totalRows: rows.length,
+      savedCount: enregistrees.length,
+      createdCount: enregistrees.filter((row) => row.created).length,
+      updatedCount: enregistrees.filter((row) => !row.created).length,
+      errorCount: erreurs.length,
+      notes: enregistrees,
+      errors: erreurs.sort((a, b) => a.index - b.index),
+    };
+  }
+}
+
+export default NoteService;
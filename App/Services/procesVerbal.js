@@ -0,0 +1,123 @@
+import { Op } from 'sequelize';
+// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
+import { db } from '../Models/index.js';
+import BaremeService from './bareme.js';
+import MentionService from './mention.js';
+import StatistiqueService from './statistique.js';
+
+/**
+ * @class ProcesVerbalService
+ * @description Construit le procès-verbal (PV) d'une composition pour une classe : une ligne par élève avec la note
+ * de chaque évaluation, la moyenne, le rang et la mention, puis les statistiques de la classe.
+ */
+class ProcesVerbalService {
+  /**
+   * Détermine les colonnes du PV : les évaluations notées dans la composition pour la classe,
+   * dans l'ordre d'affichage des matières puis par code d'évaluation.
+   * @param {Array<Object>} notes - Les notes de la classe, chacune incluant son évaluation et sa matière.
+   * @returns {Array<Object>} Les évaluations.
+   */
+  static getColonnes(notes) {
+    const evaluations = new Map();
+    notes.forEach(({ codeEva, evaluationType }) => {
+      if (!evaluations.has(codeEva)) {
+        evaluations.set(codeEva, {
+          codeEva,
+          nameEva: evaluationType.nameEva,
+          codeMatiere: evaluationType.codeMatiere ?? null,
+          matiere: evaluationType.matiere?.libelle ?? null,
+          ordre: evaluationType.matiere?.ordre ?? 0,
+          coefficient: evaluationType.coeficient,
+        });
+      }
+    });
+
+    return [...evaluations.values()]
+      .sort((a, b) => a.ordre - b.ordre || a.codeEva.localeCompare(b.codeEva))
+      .map(({ ordre, ...evaluation }) => evaluation);
+  }
+
+  /**
+   * Construit le PV d'une composition pour une classe. Tous les élèves de la classe y figurent, y compris ceux
+   * dont la moyenne n'a pas été calculée. Le PV est provisoire tant que la composition n'est pas publiée
+   * ou qu'une moyenne est à recalculer.
+   * @param {string} codeCompo - Le code de la composition.
+   * @param {string} classeId - L'identifiant de la classe.
+   * @param {Object} [options={}]
+   * @param {string} [options.ecoleId] - Si renseigné, seule une classe de cette école est acceptée.
+   * @returns {Promise<Object>} Le PV.
+   * @throws {ErrorResponse} Si la composition ou la classe n'existe pas (404), ou si la classe n'appartient pas à l'école (403).
+   */
+  static async getForComposition(codeCompo, classeId, { ecoleId } = {}) {
+    // Vérifie la composition, la classe et l'école (404 ou 403), et calcule les statistiques de la classe
+    const statistiques = await StatistiqueService.getForComposition(codeCompo, classeId, { ecoleId });
+
+    const composition = await db.Composition.findByPk(codeCompo);
+    const classe = await db.Classe.findByPk(classeId, { include: [{ model: db.Ecole, as: 'ecole' }] });
+    const eleves = await classe.getEleves({ attributes: ['matricul', 'lastname', 'firstname', 'genre'], order: [['lastname', 'ASC'], ['firstname', 'ASC']] });
+
+    const matricules = eleves.map((eleve) => eleve.matricul);
+    const notes = await db.Note.findAll({
+      where: { codeCompo, matriculEleve: { [Op.in]: matricules } },
+      include: [{ model: db.Evaluation, as: 'evaluationType', include: [{ model: db.Matiere, as: 'matiere' }] }],
+    });
+    const moyennes = await MentionService.annotate(
+      await db.Moyenne.findAll({ where: { codeCompo, matriculEleve: { [Op.in]: matricules } } }),
+      'moyenne'
+    );
+    const moyennesByEleve = new Map(moyennes.map((moyenne) => [moyenne.matriculEleve, moyenne]));
+
+    // Indexe les notes par élève puis par évaluation
+    const notesByEleve = new Map();
+    notes.forEach(({ matriculEleve, codeEva, note, statut }) => {
+      if (!notesByEleve.has(matriculEleve)) {
+        notesByEleve.set(matriculEleve, {});
+      }
+      notesByEleve.get(matriculEleve)[codeEva] = { note, statut };
+    });
+
+    const evaluations = this.getColonnes(notes);
+    const statistiquesByEva = new Map(statistiques.evaluations.map((evaluation) => [evaluation.codeEva, evaluation]));
+
+    return {
+      codeCompo,
+      libelle: composition.libelle,
+      typeCompo: composition.typeCompo,
+      dateCompo: composition.dateCompo,
+      anneeCode: composition.anneeCode,
+      statutComposition: composition.statut,
+      provisoire: composition.statut !== 'Publiée' || statistiques.moyennesPerimees > 0,
+      ecole: classe.ecole ? { ecoleId: classe.ecole.ecoleId, ecoleName: classe.ecole.ecoleName, iep: classe.ecole.iep, ville: classe.ecole.ville } : null,
+      classe: { classeId, libelle: classe.libelle, niveau: classe.niveau, serie: classe.serie },
+      bareme: BaremeService.resolve(classe.ecole, classe.niveau),
+      seuilReussite: statistiques.seuilReussite,
+      effectif: eleves.length,
+      evaluations,
+      eleves: eleves.map(({ matricul, lastname, firstname, genre }) => {
+        const moyenne = moyennesByEleve.get(matricul);
+        return {
+          matriculEleve: matricul,
+          lastname,
+          firstname,
+          genre,
+          notes: notesByEleve.get(matricul) || {},
+          moyenne: moyenne?.moyenne ?? null,
+          rang: moyenne?.rang ?? null,
+          exAequo: moyenne?.exAequo ?? false,
+          mention: moyenne?.mention ?? null,
+          perimee: moyenne?.perimee ?? false,
+        };
+      }),
+      statistiques: {
+        general: statistiques.general,
+        evaluations: evaluations.map(({ codeEva }) => {
+          const { count, moyenne, min, max, tauxReussite, nonPresents } = statistiquesByEva.get(codeEva);
+          return { codeEva, count, moyenne, min, max, tauxReussite, nonPresents };
+        }),
+      },
+      genereLe: new Date(),
+    };
+  }
+}
+
+export default ProcesVerbalService;
@@ -0,0 +1,364 @@
+import { Op } from 'sequelize';
+// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
+import { db } from '../Models/index.js';
+import ErrorResponse from '../Utils/errorResponse.js';
+import BaremeService from './bareme.js';
+import DecisionService from './decision.js';
+import MoyenneService from './moyenne.js';
+
+/**
+ * @class RattrapageService
+ * @description Gère le rattrapage de fin d'année : inscription des élèves refusés ou proches du seuil de réussite,
+ * saisie des notes de rattrapage et nouvelle décision selon la règle de rattrapage de l'école.
+ */
+class RattrapageService {
+  /**
+   * Indique si un résultat ouvre droit au rattrapage : élève refusé, ou MGA inférieure au seuil de réussite
+   * d'au plus la marge de rattrapage de l'école.
+   * @param {{mga: number, decision: string|null}} resultat - Le résultat annuel de l'élève.
+   * @param {number} seuil - Le seuil de réussite, sur le barème de l'élève.
+   * @param {number|null} marge - La marge de rattrapage, sur le barème de l'élève ; null si seuls les refusés sont concernés.
+   * @returns {boolean}
+   */
+  static isEligible({ mga, decision }, seuil, marge) {
+    if (decision === null || decision === undefined) {
+      return false; // La décision initiale doit être prise
+    }
+
+    if (decision === 'Refusé') {
+      return true;
+    }
+
+    return marge !== null && marge !== undefined && mga < seuil && mga >= seuil - marge;
+  }
+
+  /**
+   * Détermine la MGA retenue après le rattrapage selon la règle de l'école :
+   * - 'Remplacement' : la moyenne de rattrapage remplace la MGA ;
+   * - 'Plafonnement' : la moyenne de rattrapage, plafonnée au seuil de réussite, remplace la MGA si elle est meilleure ;
+   * - 'Meilleure' : la meilleure de la MGA et de la moyenne de rattrapage est retenue.
+   * @param {'Remplacement'|'Plafonnement'|'Meilleure'} regle - La règle de rattrapage de l'école.
+   * @param {number} mga - La MGA initiale.
+   * @param {number} moyenne - La moyenne de rattrapage.
+   * @param {number} seuil - Le seuil de réussite, sur le barème de l'élève.
+   * @returns {number}
+   */
+  static computeMgaRetenue(regle, mga, moyenne, seuil) {
+    switch (regle) {
+      case 'Remplacement':
+        return moyenne;
+      case 'Meilleure':
+        return Math.max(mga, moyenne);
+      case 'Plafonnement':
+      default:
+        return Math.max(mga, Math.min(moyenne, seuil));
+    }
+  }
+
+  /**
+   * Calcule la moyenne de rattrapage à partir des notes par matière, pondérées par le coefficient de chaque matière
+   * pour le niveau et la série de la classe (1 par défaut).
+   * @param {Array<{codeMatiere: string, note: number}>} notes - Les notes de rattrapage.
+   * @param {Map<string, number>} coefficients - Les coefficients, indexés par code de matière.
+   * @returns {{moyenne: number, notes: Array<Object>}} La moyenne et les notes complétées de leur coefficient.
+   */
+  static computeMoyenne(notes, coefficients) {
+    let total = 0;
+    let totalCoef = 0;
+
+    const detail = notes.map(({ codeMatiere, note }) => {
+      const coefficient = coefficients.get(codeMatiere) ?? 1;
+      total += note * coefficient;
+      totalCoef += coefficient;
+      return { codeMatiere, note, coefficient };
+    });
+
+    return { moyenne: totalCoef === 0 ? 0 : total / totalCoef, notes: detail };
+  }
+
+  /**
+   * Charge la classe avec son école, et vérifie qu'un enseignant n'accède qu'aux classes de son école.
+   * @param {string} classeId - L'identifiant de la classe.
+   * @param {Object} [options={}]
+   * @param {string} [options.ecoleId] - Restreint l'accès aux classes de cette école.
+   * @param {Object} [options.transaction] - La transaction Sequelize.
+   * @returns {Promise<Object>} La classe, avec son école.
+   * @throws {ErrorResponse} Si la classe n'existe pas (404) ou appartient à une autre école (403).
+   */
+  static async getClasse(classeId, { ecoleId, transaction } = {}) {
+    const classe = await db.Classe.findByPk(classeId, {
+      attributes: ['classeId', 'ecoleId', 'niveau', 'serie'],
+      include: [{ model: db.Ecole, as: 'ecole' }],
+      transaction,
+    });
+
+    if (!classe) {
+      throw new ErrorResponse('Classe non trouvée.', 'NOT_FOUND', 404);
+    }
+
+    if (ecoleId && classe.ecoleId !== ecoleId) {
+      throw new ErrorResponse('Vous n\'êtes pas autorisé à accéder aux rattrapages de cette classe.', 'FORBIDDEN', 403);
+    }
+
+    return classe;
+  }
+
+  /**
+   * Inscrit au rattrapage, dans une seule transaction, les élèves d'une classe dont le résultat y ouvre droit.
+   * La MGA et la décision du résultat sont conservées comme situation initiale ; les élèves déjà inscrits sont ignorés.
+   * @param {string} classeId - L'identifiant de la classe.
+   * @param {string} anneeCode - Le code de l'année scolaire.
+   * @returns {Promise<Object>} Le rapport d'inscription.
+   */
+  static async inscrireForClasse(classeId, anneeCode) {
+    return db.sequelize.transaction(async (transaction) => {
+      const classe = await this.getClasse(classeId, { transaction });
+      const seuil = BaremeService.resolveSeuil(classe.ecole, classe.niveau);
+      const bareme = BaremeService.resolve(classe.ecole, classe.niveau);
+      // La marge est exprimée sur le barème général de l'école, comme le seuil
+      const marge = classe.ecole.margeRattrapage === null || classe.ecole.margeRattrapage === undefined
+        ? null
+        : (classe.ecole.margeRattrapage * bareme) / classe.ecole.bareme;
+
+      const resultats = await db.Resultat.findAll({
+        where: { anneeCode },
+        include: [{
+          model: db.Eleve,
+          as: 'eleveDetail',
+          where: { classeId },
+          attributes: ['matricul', 'lastname', 'firstname'],
+        }],
+        order: [[{ model: db.Eleve, as: 'eleveDetail' }, 'lastname', 'ASC'], [{ model: db.Eleve, as: 'eleveDetail' }, 'firstname', 'ASC']],
+        transaction,
+      });
+
+      const existants = await db.Rattrapage.findAll({
+        where: { anneeCode, matriculEleve: { [Op.in]: resultats.map((resultat) => resultat.matriculEleve) } },
+        attributes: ['matriculEleve'],
+        transaction,
+      });
+      const dejaInscrits = new Set(existants.map((rattrapage) => rattrapage.matriculEleve));
+
+      const inscrits = [];
+      const sansDecision = [];
+
+      for (const resultat of resultats) {
+        const { matriculEleve, mga, decision } = resultat;
+        const { lastname, firstname } = resultat.eleveDetail;
+
+        if (dejaInscrits.has(matriculEleve)) continue;
+
+        if (decision === null) {
+          sansDecision.push({ matriculEleve, lastname, firstname, mga });
+          continue;
+        }
+
+        if (!this.isEligible(resultat, seuil, marge)) continue;
+
+        await db.Rattrapage.create({
+          matriculEleve,
+          anneeCode,
+          mgaInitiale: mga,
+          decisionInitiale: decision,
+          origineDecisionInitiale: resultat.origineDecision,
+          regleIdInitiale: resultat.regleId,
+        }, { transaction });
+
+        inscrits.push({ matriculEleve, lastname, firstname, mga, decision });
+      }
+
+      return {
+        classeId,
+        anneeCode,
+        bareme,
+        seuilReussite: seuil,
+        margeRattrapage: marge,
+        totalResultats: resultats.length,
+        inscritsCount: inscrits.length,
+        dejaInscritsCount: dejaInscrits.size,
+        inscrits,
+        sansDecision,
+      };
+    });
+  }
+
+  /**
+   * Enregistre les notes de rattrapage d'un élève et calcule sa moyenne de rattrapage.
+   * La décision déjà prise après rattrapage est invalidée et devra être recalculée.
+   * @param {string} matriculEleve - Le matricule de l'élève.
+   * @param {string} anneeCode - Le code de l'année scolaire.
+   * @param {Array<{codeMatiere: string, note: number}>} notes - Les notes de rattrapage par matière.
+   * @param {Object} [options={}]
+   * @param {string} [options.ecoleId] - Restreint la saisie aux élèves de cette école.
+   * @returns {Promise<Object>} Le rattrapage mis à jour.
+   * @throws {ErrorResponse} Si l'élève n'est pas inscrit (404), si une matière est inconnue (404)
+   * ou si une note dépasse le barème (422).
+   */
+  static async saveNotes(matriculEleve, anneeCode, notes, { ecoleId } = {}) {
+    return db.sequelize.transaction(async (transaction) => {
+      const rattrapage = await db.Rattrapage.findOne({ where: { matriculEleve, anneeCode }, transaction });
+      if (!rattrapage) {
+        throw new ErrorResponse('Cet élève n\'est pas inscrit au rattrapage pour cette année scolaire.', 'NOT_FOUND', 404);
+      }
+
+      const eleve = await db.Eleve.findByPk(matriculEleve, {
+        attributes: ['matricul', 'ecoleId'],
+        include: [{ model: db.Classe, as: 'classe', attributes: ['classeId', 'niveau', 'serie'] }],
+        transaction,
+      });
+
+      if (ecoleId && eleve.ecoleId !== ecoleId) {
+        throw new ErrorResponse('Vous n\'êtes pas autorisé à saisir les notes de rattrapage de cet élève.', 'FORBIDDEN', 403);
+      }
+
+      // Vérifie l'existence des matières
+      const codes = [...new Set(notes.map((note) => note.codeMatiere))];
+      const matieres = await db.Matiere.findAll({ where: { codeMatiere: { [Op.in]: codes } }, attributes: ['codeMatiere'], transaction });
+      const inconnues = codes.filter((code) => !matieres.some((matiere) => matiere.codeMatiere === code));
+      if (inconnues.length > 0) {
+        throw new ErrorResponse('Matière non trouvée.', 'NOT_FOUND', 404, { details: { codesMatiere: inconnues } });
+      }
+
+      const bareme = await BaremeService.getForEleve(matriculEleve, { transaction });
+      notes.forEach(({ note }) => BaremeService.assertInRange(note, bareme));
+
+      const coefficients = await MoyenneService.getCoefficientsMatieres(eleve.classe?.niveau, eleve.classe?.serie, { transaction });
+      const calcul = this.computeMoyenne(notes, coefficients);
+
+      return rattrapage.update({
+        notes: calcul.notes,
+        moyenne: calcul.moyenne,
+        // De nouvelles notes invalident la décision prise après rattrapage
+        regleRattrapage: null,
+        mgaRetenue: null,
+        decisionFinale: null,
+        decideLe: null,
+      }, { transaction });
+    });
+  }
+
+  /**
+   * Prend la décision finale des élèves d'une classe inscrits au rattrapage et dont les notes sont saisies, dans une
+   * seule transaction. Les règles de décision de l'école sont réappliquées à la MGA retenue, et la décision finale est
+   * reportée sur le résultat annuel ; la décision initiale reste conservée dans le rattrapage.
+   * @param {string} classeId - L'identifiant de la classe.
+   * @param {string} anneeCode - Le code de l'année scolaire.
+   * @returns {Promise<Object>} Le rapport de décision, avec la décision initiale et finale de chaque élève.
+   * @throws {ErrorResponse} Si aucune règle active n'est paramétrée pour l'école et le niveau de la classe.
+   */
+  static async decideForClasse(classeId, anneeCode) {
+    return db.sequelize.transaction(async (transaction) => {
+      const classe = await this.getClasse(classeId, { transaction });
+      const regles = await DecisionService.getRegles(classe.ecoleId, classe.niveau, { transaction });
+
+      if (regles.length === 0) {
+        throw new ErrorResponse(
+          'Aucune règle de décision active n\'est paramétrée pour l\'école et le niveau de cette classe.',
+          'NO_DECISION_RULES',
+          422,
+          { details: { ecoleId: classe.ecoleId, niveau: classe.niveau } }
+        );
+      }
+
+      const seuil = BaremeService.resolveSeuil(classe.ecole, classe.niveau);
+      const regleRattrapage = classe.ecole.regleRattrapage;
+
+      const rattrapages = await db.Rattrapage.findAll({
+        where: { anneeCode },
+        include: [{
+          model: db.Eleve,
+          as: 'eleveDetail',
+          where: { classeId },
+          attributes: ['matricul', 'lastname', 'firstname'],
+        }],
+        order: [[{ model: db.Eleve, as: 'eleveDetail' }, 'lastname', 'ASC'], [{ model: db.Eleve, as: 'eleveDetail' }, 'firstname', 'ASC']],
+        transaction,
+      });
+
+      const redoublements = await DecisionService.countRedoublements(rattrapages.map((rattrapage) => rattrapage.matriculEleve), anneeCode, { transaction });
+      const decisions = [];
+      const sansNotes = [];
+      const sansRegle = [];
+
+      for (const rattrapage of rattrapages) {
+        const { matriculEleve, mgaInitiale, decisionInitiale, moyenne } = rattrapage;
+        const { lastname, firstname } = rattrapage.eleveDetail;
+
+        if (moyenne === null) {
+          sansNotes.push({ matriculEleve, lastname, firstname });
+          continue;
+        }
+
+        const mgaRetenue = this.computeMgaRetenue(regleRattrapage, mgaInitiale, moyenne, seuil);
+        const situation = { mga: mgaRetenue, redoublements: redoublements.get(matriculEleve) || 0 };
+        const regle = DecisionService.selectRegle(regles, situation);
+
+        if (!regle) {
+          sansRegle.push({ matriculEleve, lastname, firstname, mgaInitiale, moyenne, ...situation });
+          continue;
+        }
+
+        await rattrapage.update({ regleRattrapage, mgaRetenue, decisionFinale: regle.decision, decideLe: new Date() }, { transaction });
+
+        // La MGA du résultat reste celle de l'année ; seule la décision change
+        await db.Resultat.update(
+          { decision: regle.decision, regleId: regle.regleId, origineDecision: 'Rattrapage', motifDecision: null },
+          { where: { matriculEleve, anneeCode }, individualHooks: true, transaction }
+        );
+
+        decisions.push({
+          matriculEleve,
+          lastname,
+          firstname,
+          mgaInitiale,
+          decisionInitiale,
+          moyenneRattrapage: moyenne,
+          mgaRetenue,
+          decisionFinale: regle.decision,
+          regleId: regle.regleId,
+          regle: regle.libelle,
+        });
+      }
+
+      return {
+        classeId,
+        anneeCode,
+        seuilReussite: seuil,
+        regleRattrapage,
+        totalInscrits: rattrapages.length,
+        decidedCount: decisions.length,
+        decisions,
+        sansNotes,
+        sansRegle,
+      };
+    });
+  }
+
+  /**
+   * Désinscrit un élève du rattrapage. Si la décision finale avait été reportée sur le résultat annuel,
+   * la décision initiale y est rétablie.
+   * @param {string} matriculEleve - Le matricule de l'élève.
+   * @param {string} anneeCode - Le code de l'année scolaire.
+   * @returns {Promise<void>}
+   * @throws {ErrorResponse} Si l'élève n'est pas inscrit (404).
+   */
+  static async desinscrire(matriculEleve, anneeCode) {
+    return db.sequelize.transaction(async (transaction) => {
+      const rattrapage = await db.Rattrapage.findOne({ where: { matriculEleve, anneeCode }, transaction });
+      if (!rattrapage) {
+        throw new ErrorResponse('Cet élève n\'est pas inscrit au rattrapage pour cette année scolaire.', 'NOT_FOUND', 404);
+      }
+
+      if (rattrapage.decisionFinale !== null) {
+        await db.Resultat.update(
+          { decision: rattrapage.decisionInitiale, regleId: rattrapage.regleIdInitiale, origineDecision: rattrapage.origineDecisionInitiale },
+          { where: { matriculEleve, anneeCode, origineDecision: 'Rattrapage' }, individualHooks: true, transaction }
+        );
+      }
+
+      await rattrapage.destroy({ transaction });
+    });
+  }
+}
+
+export default RattrapageService;
@@ -0,0 +1,689 @@
+import { Op } from 'sequelize';
+// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
+import { db } from '../Models/index.js';
+import ErrorResponse from '../Utils/errorResponse.js';
+import Ranking from '../Utils/ranking.js';
+import Rounding from '../Utils/rounding.js';
+import GradingConfig from '../Configs/grading.js';
+import BaremeService from './bareme.js';
+import ArrondiService from './arrondi.js';
+
+/**
+ * @class ResultatService
+ * @description Regroupe la logique métier des résultats annuels (moyennes de période, calcul de la MGA,
+ * classement des élèves au sein d'une classe).
+ */
+class ResultatService {
+  /**
+   * Calcule la Moyenne Générale Annuelle (MGA) d'un élève à partir de ses moyennes de composition.
+   * Chaque composition est pondérée par le poids de son type (Mensuelle, Programme, Passage).
+   * Les compositions sans moyenne pour l'élève sont ignorées et signalées dans le détail.
+   * @param {Array<Object>} compositions - Les compositions de l'année scolaire.
+   * @param {Map<string, number>} moyennesByCompo - Les moyennes de l'élève, indexées par code de composition.
+   * @param {Object} [weights] - Les poids par type de composition (par défaut, ceux de la configuration).
+   * @returns {Object} La MGA (null si aucune moyenne n'est pondérée) et son détail de calcul.
+   */
+  static computeMga(compositions, moyennesByCompo, weights = GradingConfig.getCompositionWeights()) {
+    const details = [];
+    const compositionsSansMoyenne = [];
+    const parType = {};
+    let total = 0;
+    let totalPoids = 0;
+
+    for (const composition of compositions) {
+      const { codeCompo, libelle, typeCompo, dateCompo } = composition;
+      const poids = weights[typeCompo] ?? 0;
+      const moyenne = moyennesByCompo.get(codeCompo);
+
+      if (moyenne === undefined || moyenne === null) {
+        compositionsSansMoyenne.push({ codeCompo, libelle, typeCompo, dateCompo });
+        continue;
+      }
+
+      details.push({ codeCompo, libelle, typeCompo, dateCompo, poids, moyenne, points: moyenne * poids });
+      total += moyenne * poids;
+      totalPoids += poids;
+
+      // Sous-totaux par type de composition
+      if (!parType[typeCompo]) {
+        parType[typeCompo] = { poids, nbCompositions: 0, sommeMoyennes: 0 };
+      }
+      parType[typeCompo].nbCompositions += 1;
+      parType[typeCompo].sommeMoyennes += moyenne;
+    }
+
+    Object.values(parType).forEach((type) => {
+      type.moyenne = type.sommeMoyennes / type.nbCompositions;
+      delete type.sommeMoyennes;
+    });
+
+    return {
+      mga: totalPoids === 0 ? null : total / totalPoids, // Évite la division par zéro
+      totalPoints: total,
+      totalPoids,
+      ponderations: weights,
+      parType,
+      details,
+      compositionsSansMoyenne,
+    };
+  }
+
+  /**
+   * Calcule la MGA d'un élève à partir de ses moyennes de période (trimestres, semestres).
+   * La moyenne de chaque période est calculée sur ses compositions comme `computeMga`, puis la MGA est
+   * la moyenne des moyennes de période pondérées par le poids de chaque période.
+   * Les périodes sans moyenne et les compositions rattachées à aucune période sont ignorées et signalées dans le détail.
+   * @param {Array<Object>} periodes - Les périodes de l'année scolaire.
+   * @param {Array<Object>} compositions - Les compositions de l'année scolaire, avec leur `codePeriode`.
+   * @param {Map<string, number>} moyennesByCompo - Les moyennes de l'élève, indexées par code de composition.
+   * @param {Object} [weights] - Les poids par type de composition (par défaut, ceux de la configuration).
+   * @returns {Object} La MGA (null si aucune moyenne de période n'est pondérée) et son détail de calcul par période.
+   */
+  static computeMgaParPeriodes(periodes, compositions, moyennesByCompo, weights = GradingConfig.getCompositionWeights()) {
+    const details = [];
+    const periodesSansMoyenne = [];
+    let total = 0;
+    let totalPoids = 0;
+
+    for (const periode of periodes) {
+      const { codePeriode, libelle, dateDebut, dateFin, poids } = periode;
+      const calcul = this.computeMga(
+        compositions.filter((composition) => composition.codePeriode === codePeriode),
+        moyennesByCompo,
+        weights
+      );
+
+      if (calcul.mga === null) {
+        periodesSansMoyenne.push({ codePeriode, libelle, dateDebut, dateFin });
+        continue;
+      }
+
+      details.push({
+        codePeriode,
+        libelle,
+        dateDebut,
+        dateFin,
+        poids,
+        moyenne: calcul.mga,
+        points: calcul.mga * poids,
+        compositions: calcul.details,
+        compositionsSansMoyenne: calcul.compositionsSansMoyenne,
+      });
+      total += calcul.mga * poids;
+      totalPoids += poids;
+    }
+
+    const codesPeriode = new Set(periodes.map((periode) => periode.codePeriode));
+
+    return {
+      mga: totalPoids === 0 ? null : total / totalPoids, // Évite la division par zéro
+      totalPoints: total,
+      totalPoids,
+      ponderations: weights,
+      periodes: details,
+      periodesSansMoyenne,
+      compositionsHorsPeriode: compositions
+        .filter((composition) => !codesPeriode.has(composition.codePeriode))
+        .map(({ codeCompo, libelle, typeCompo, dateCompo }) => ({ codeCompo, libelle, typeCompo, dateCompo })),
+    };
+  }
+
+  /**
+   * Calcule la MGA d'un élève pour une année scolaire : à partir des moyennes de période si l'année est découpée
+   * en périodes, sinon directement à partir des moyennes de composition.
+   * @param {Array<Object>} periodes - Les périodes de l'année scolaire (éventuellement vide).
+   * @param {Array<Object>} compositions - Les compositions de l'année scolaire.
+   * @param {Map<string, number>} moyennesByCompo - Les moyennes de l'élève, indexées par code de composition.
+   * @returns {Object} La MGA et son détail de calcul, avec le mode de calcul (`Periodes` ou `Compositions`).
+   */
+  static computeMgaAnnuelle(periodes, compositions, moyennesByCompo) {
+    if (periodes.length === 0) {
+      return { modeCalcul: 'Compositions', ...this.computeMga(compositions, moyennesByCompo) };
+    }
+
+    return { modeCalcul: 'Periodes', ...this.computeMgaParPeriodes(periodes, compositions, moyennesByCompo) };
+  }
+
+  /**
+   * Calcule la moyenne minimale à obtenir dans les compositions restantes pour atteindre une MGA cible.
+   * Les compositions restantes (voir `isCompositionRestante`) reçoivent toutes la même moyenne simulée ; les autres
+   * compositions gardent la moyenne de l'élève, ou restent sans moyenne.
+   * La MGA étant une moyenne pondérée, elle varie linéairement avec cette moyenne : il suffit de la calculer
+   * pour 0 et pour le barème, avec la même pondération que le calcul annuel.
+   * @param {Array<Object>} periodes - Les périodes de l'année scolaire (éventuellement vide).
+   * @param {Array<Object>} compositions - Les compositions de l'année scolaire.
+   * @param {Map<string, number>} moyennesByCompo - Les moyennes de l'élève, indexées par code de composition.
+   * @param {Array<Object>} restantes - Les compositions restantes de l'année.
+   * @param {number} cible - La MGA à atteindre.
+   * @param {number} bareme - La note maximale applicable à l'élève.
+   * @returns {Object} La moyenne requise (0 si la cible est déjà assurée, null si elle est hors d'atteinte) et les MGA extrêmes possibles.
+   */
+  static simulateMoyenneRequise(periodes, compositions, moyennesByCompo, restantes, cible, bareme) {
+    const simuler = (moyenne) => {
+      const moyennes = new Map(moyennesByCompo);
+      restantes.forEach(({ codeCompo }) => moyennes.set(codeCompo, moyenne));
+      return this.computeMgaAnnuelle(periodes, compositions, moyennes).mga;
+    };
+
+    const mgaMinimale = simuler(0);
+    const mgaMaximale = simuler(bareme);
+
+    if (mgaMinimale === null) {
+      return { cible, atteignable: false, assuree: false, moyenneRequise: null, mgaMinimale, mgaMaximale };
+    }
+
+    if (mgaMinimale >= cible) {
+      return { cible, atteignable: true, assuree: true, moyenneRequise: 0, mgaMinimale, mgaMaximale };
+    }
+
+    if (mgaMaximale < cible) {
+      return { cible, atteignable: false, assuree: false, moyenneRequise: null, mgaMinimale, mgaMaximale };
+    }
+
+    return {
+      cible,
+      atteignable: true,
+      assuree: false,
+      moyenneRequise: (bareme * (cible - mgaMinimale)) / (mgaMaximale - mgaMinimale),
+      mgaMinimale,
+      mgaMaximale,
+    };
+  }
+
+  /**
+   * Indique si une composition reste à passer : encore ouverte et prévue aujourd'hui ou plus tard.
+   * Une composition passée ou clôturée n'est jamais simulée, même si l'élève n'y a pas de moyenne.
+   * @param {Object} composition - La composition (statut et date).
+   * @param {string} aujourdhui - La date du jour, au format AAAA-MM-JJ.
+   * @returns {boolean}
+   */
+  static isCompositionRestante({ statut, dateCompo }, aujourdhui) {
+    return statut === 'Ouverte' && dateCompo >= aujourdhui;
+  }
+
+  /**
+   * Simule, sans rien enregistrer, la moyenne qu'un élève doit obtenir dans les compositions restantes de l'année
+   * pour atteindre le seuil de réussite et les mentions de son école.
+   * @param {string} matriculEleve - Le matricule de l'élève.
+   * @param {string} anneeCode - Le code de l'année scolaire.
+   * @param {Object} [options={}]
+   * @param {string} [options.mention] - Limite la simulation au seuil de réussite et à cette mention.
+   * @returns {Promise<Object>} La MGA actuelle, les compositions restantes, les compositions passées sans moyenne
+   * et la moyenne requise pour chaque objectif.
+   * @throws {ErrorResponse} Si l'école n'a pas de tranche pour la mention demandée (404).
+   */
+  static async simulateForEleve(matriculEleve, anneeCode, { mention } = {}) {
+    const eleve = await db.Eleve.findByPk(matriculEleve, {
+      attributes: ['matricul', 'ecoleId'],
+      include: [
+        { model: db.Classe, as: 'classe', attributes: ['classeId', 'niveau'] },
+        { model: db.Ecole, as: 'ecole' },
+      ],
+    });
+
+    const periodes = await this.getPeriodesAnnee(anneeCode);
+    const compositions = await this.getCompositionsAnnee(anneeCode);
+    const moyennes = (await this.getMoyennesByEleve([matriculEleve], compositions.map((c) => c.codeCompo))).get(matriculEleve) || new Map();
+
+    const bareme = BaremeService.resolve(eleve.ecole, eleve.classe?.niveau);
+    const seuil = BaremeService.resolveSeuil(eleve.ecole, eleve.classe?.niveau);
+
+    // Les tranches de mention sont exprimées sur le barème général de l'école
+    const bandes = await db.BandeMention.findAll({ where: { ecoleId: eleve.ecoleId }, order: [['moyenneMin', 'ASC']] });
+    const bandesRetenues = mention ? bandes.filter((bande) => bande.mention === mention) : bandes;
+    if (mention && bandesRetenues.length === 0) {
+      throw new ErrorResponse(`Aucune tranche n'est paramétrée pour la mention '${mention}' dans l'école de l'élève.`, 'NOT_FOUND', 404);
+    }
+
+    const objectifs = [
+      { objectif: 'Réussite', mention: null, cible: seuil },
+      ...bandesRetenues.map((bande) => ({
+        objectif: 'Mention',
+        mention: bande.mention,
+        cible: eleve.ecole?.bareme ? (bande.moyenneMin * bareme) / eleve.ecole.bareme : bande.moyenneMin,
+      })),
+    ];
+
+    const calcul = this.computeMgaAnnuelle(periodes, compositions, moyennes);
+
+    // Les compositions restantes sont déterminées par leur statut et leur date, pas par l'absence de moyenne :
+    // une composition passée sans moyenne (élève absent, moyennes non calculées) est signalée à part
+    const aujourdhui = new Date().toISOString().slice(0, 10);
+    const restantes = compositions.filter((composition) => this.isCompositionRestante(composition, aujourdhui));
+    const sansMoyenne = compositions.filter((composition) => !this.isCompositionRestante(composition, aujourdhui) && !moyennes.has(composition.codeCompo));
+    const resumer = ({ codeCompo, libelle, typeCompo, dateCompo, codePeriode, statut }) => ({ codeCompo, libelle, typeCompo, dateCompo, codePeriode, statut });
+
+    return {
+      matriculEleve,
+      anneeCode,
+      bareme,
+      modeCalcul: calcul.modeCalcul,
+      ponderations: calcul.ponderations,
+      mgaActuelle: calcul.mga, // Sur les seules compositions déjà notées
+      compositionsRestantes: restantes.map(resumer),
+      compositionsSansMoyenne: sansMoyenne.map(resumer), // Passées ou clôturées, sans moyenne pour l'élève : non simulées
+      objectifs: objectifs.map(({ objectif, mention: libelle, cible }) => ({
+        objectif,
+        mention: libelle,
+        ...this.simulateMoyenneRequise(periodes, compositions, moyennes, restantes, cible, bareme),
+      })),
+    };
+  }
+
+  /**
+   * Récupère les périodes d'une année scolaire, par ordre chronologique.
+   * @param {string} anneeCode - Le code de l'année scolaire.
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<Array<Object>>}
+   */
+  static async getPeriodesAnnee(anneeCode, { transaction } = {}) {
+    return db.Periode.findAll({
+      where: { anneeCode },
+      attributes: ['codePeriode', 'libelle', 'dateDebut', 'dateFin', 'poids'],
+      order: [['dateDebut', 'ASC']],
+      transaction,
+    });
+  }
+
+  /**
+   * Récupère les compositions d'une année scolaire, par ordre chronologique.
+   * @param {string} anneeCode - Le code de l'année scolaire.
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<Array<Object>>}
+   */
+  static async getCompositionsAnnee(anneeCode, { transaction } = {}) {
+    return db.Composition.findAll({
+      where: { anneeCode },
+      attributes: ['codeCompo', 'libelle', 'typeCompo', 'dateCompo', 'codePeriode', 'statut'],
+      order: [['dateCompo', 'ASC']],
+      transaction,
+    });
+  }
+
+  /**
+   * Récupère les moyennes de composition d'élèves, regroupées par élève puis par composition.
+   * Les valeurs exactes (avant arrondi) sont utilisées, afin que l'arrondi ne se cumule pas dans la MGA.
+   * @param {string[]} matricules - Les matricules des élèves.
+   * @param {string[]} codesCompo - Les codes des compositions.
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<Map<string, Map<string, number>>>}
+   */
+  static async getMoyennesByEleve(matricules, codesCompo, { transaction } = {}) {
+    const moyennes = await db.Moyenne.findAll({
+      where: { matriculEleve: { [Op.in]: matricules }, codeCompo: { [Op.in]: codesCompo } },
+      attributes: ['matriculEleve', 'codeCompo', 'moyenne', 'moyenneBrute'],
+      transaction,
+    });
+
+    const byEleve = new Map();
+    moyennes.forEach(({ matriculEleve, codeCompo, moyenne, moyenneBrute }) => {
+      if (!byEleve.has(matriculEleve)) {
+        byEleve.set(matriculEleve, new Map());
+      }
+      byEleve.get(matriculEleve).set(codeCompo, moyenneBrute ?? moyenne);
+    });
+
+    return byEleve;
+  }
+
+  /**
+   * Calcule le détail de la MGA d'un élève pour une année scolaire, sans rien enregistrer.
+   * @param {string} matriculEleve - Le matricule de l'élève.
+   * @param {string} anneeCode - Le code de l'année scolaire.
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<Object>} Le détail du calcul de la MGA.
+   */
+  static async buildMgaForEleve(matriculEleve, anneeCode, { transaction } = {}) {
+    const periodes = await this.getPeriodesAnnee(anneeCode, { transaction });
+    const compositions = await this.getCompositionsAnnee(anneeCode, { transaction });
+    const moyennes = await this.getMoyennesByEleve([matriculEleve], compositions.map((c) => c.codeCompo), { transaction });
+    const bareme = await BaremeService.getForEleve(matriculEleve, { transaction });
+
+    return { ...this.computeMgaAnnuelle(periodes, compositions, moyennes.get(matriculEleve) || new Map()), bareme };
+  }
+
+  /**
+   * Enregistre les moyennes de période d'un élève issues d'un calcul de MGA par période.
+   * Chaque moyenne est enregistrée arrondie selon la politique de l'école, avec sa valeur exacte.
+   * @param {string} matriculEleve - Le matricule de l'élève.
+   * @param {Array<Object>} periodes - Le détail par période d'un calcul (`periodes` de `computeMgaParPeriodes`).
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @param {{politique: string, pas: number}} [options.arrondi] - La politique d'arrondi de l'école (par défaut, aucun arrondi).
+   * @returns {Promise<void>}
+   */
+  static async saveMoyennesPeriode(matriculEleve, periodes, { transaction, arrondi } = {}) {
+    for (const { codePeriode, moyenne } of periodes) {
+      // La moyenne enregistrée est à jour par rapport aux moyennes de composition
+      const attributes = { moyenne: Rounding.apply(moyenne, arrondi), moyenneBrute: moyenne, perimee: false, calculeLe: new Date() };
+
+      const [moyennePeriode, created] = await db.MoyennePeriode.findOrCreate({
+        where: { matriculEleve, codePeriode },
+        defaults: attributes,
+        transaction,
+      });
+
+      if (!created) {
+        await moyennePeriode.update(attributes, { transaction });
+      }
+    }
+  }
+
+  /**
+   * Enregistre la MGA d'un élève dans son résultat annuel (créé si nécessaire, sans décision).
+   * La MGA est enregistrée arrondie selon la politique de l'école, la valeur exacte étant conservée pour le classement.
+   * @param {string} matriculEleve - Le matricule de l'élève.
+   * @param {string} anneeCode - Le code de l'année scolaire.
+   * @param {number} mga - La MGA calculée (valeur exacte).
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @param {{politique: string, pas: number}} [options.arrondi] - La politique d'arrondi de l'école (par défaut, aucun arrondi).
+   * @returns {Promise<[Object, boolean]>} Le résultat et un indicateur de création.
+   */
+  static async saveMga(matriculEleve, anneeCode, mga, { transaction, arrondi } = {}) {
+    // La MGA enregistrée est à jour par rapport aux moyennes de composition
+    const attributes = { mga: Rounding.apply(mga, arrondi), mgaBrute: mga, perimee: false, calculeLe: new Date() };
+
+    const [resultat, created] = await db.Resultat.findOrCreate({
+      where: { matriculEleve, anneeCode },
+      defaults: attributes,
+      transaction,
+    });
+
+    if (!created) {
+      await resultat.update(attributes, { transaction });
+    }
+
+    return [resultat, created];
+  }
+
+  /**
+   * Marque comme périmés les résultats annuels d'élèves après la modification de leurs moyennes pour une composition.
+   * Les résultats sont rattachés à l'année scolaire de la composition ; les moyennes de la période de la composition
+   * sont également marquées comme périmées.
+   * @param {string[]} matricules - Les matricules des élèves dont une moyenne a changé.
+   * @param {string} codeCompo - Le code de la composition concernée.
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<number>} Le nombre de résultats marqués comme périmés.
+   */
+  static async markPerimes(matricules, codeCompo, { transaction } = {}) {
+    if (matricules.length === 0) {
+      return 0;
+    }
+
+    const composition = await db.Composition.findByPk(codeCompo, { attributes: ['codeCompo', 'anneeCode', 'codePeriode'], transaction });
+    if (!composition) {
+      return 0;
+    }
+
+    if (composition.codePeriode) {
+      await db.MoyennePeriode.update(
+        { perimee: true },
+        { where: { matriculEleve: { [Op.in]: matricules }, codePeriode: composition.codePeriode, perimee: false }, transaction }
+      );
+    }
+
+    const [count] = await db.Resultat.update(
+      { perimee: true },
+      { where: { matriculEleve: { [Op.in]: matricules }, anneeCode: composition.anneeCode, perimee: false }, transaction }
+    );
+
+    return count;
+  }
+
+  /**
+   * Marque comme périmés tous les résultats d'une année scolaire, ainsi que les moyennes des périodes indiquées, après
+   * un changement du découpage de l'année : création ou suppression d'une période (qui peut changer le mode de calcul de la MGA),
+   * modification de son poids, ou rattachement d'une composition à une autre période.
+   * @param {string} anneeCode - Le code de l'année scolaire.
+   * @param {Object} [options={}]
+   * @param {Array<string|null>} [options.codePeriodes=[]] - Les périodes dont les moyennes sont à recalculer.
+   * @param {import('sequelize').Transaction} [options.transaction] - Transaction en cours.
+   * @returns {Promise<number>} Le nombre de résultats marqués comme périmés.
+   */
+  static async markPerimesAnnee(anneeCode, { codePeriodes = [], transaction } = {}) {
+    const periodes = codePeriodes.filter(Boolean);
+    if (periodes.length > 0) {
+      await db.MoyennePeriode.update(
+        { perimee: true },
+        { where: { codePeriode: { [Op.in]: periodes }, perimee: false }, transaction }
+      );
+    }
+
+    const [count] = await db.Resultat.update({ perimee: true }, { where: { anneeCode, perimee: false }, transaction });
+
+    return count;
+  }
+
+  /**
+   * Calcule et enregistre la MGA d'un élève, puis recalcule les rangs de sa classe.
+   * @param {string} matriculEleve - Le matricule de l'élève.
+   * @param {string} anneeCode - Le code de l'année scolaire.
+   * @returns {Promise<{resultat: Object|null, created: boolean, calcul: Object}>} Le résultat enregistré (null si aucune moyenne) et le détail du calcul.
+   */
+  static async computeMgaForEleve(matriculEleve, anneeCode) {
+    return db.sequelize.transaction(async (transaction) => {
+      const calcul = await this.buildMgaForEleve(matriculEleve, anneeCode, { transaction });
+
+      if (calcul.mga === null) {
+        return { resultat: null, created: false, calcul };
+      }
+
+      const arrondi = await ArrondiService.getForEleve(matriculEleve, { transaction });
+      if (calcul.modeCalcul === 'Periodes') {
+        await this.saveMoyennesPeriode(matriculEleve, calcul.periodes, { transaction, arrondi });
+      }
+
+      const [resultat, created] = await this.saveMga(matriculEleve, anneeCode, calcul.mga, { transaction, arrondi });
+      await this.recomputeRangsForEleve(matriculEleve, anneeCode, { transaction });
+      await resultat.reload({ transaction });
+
+      return { resultat, created, calcul };
+    });
+  }
+
+  /**
+   * Calcule et enregistre, dans une seule transaction, la MGA de tous les élèves d'une classe, puis recalcule les rangs.
+   * @param {string} classeId - L'identifiant de la classe.
+   * @param {string} anneeCode - Le code de l'année scolaire.
+   * @returns {Promise<Object>} Le rapport de calcul par élève, avec le détail de chaque MGA.
+   */
+  static async computeMgaForClasse(classeId, anneeCode) {
+    return db.sequelize.transaction(async (transaction) => {
+      const eleves = await db.Eleve.findAll({
+        where: { classeId },
+        attributes: ['matricul', 'lastname', 'firstname'],
+        order: [['lastname', 'ASC'], ['firstname', 'ASC']],
+        transaction,
+      });
+
+      const periodes = await this.getPeriodesAnnee(anneeCode, { transaction });
+      const compositions = await this.getCompositionsAnnee(anneeCode, { transaction });
+      const moyennes = await this.getMoyennesByEleve(
+        eleves.map((eleve) => eleve.matricul),
+        compositions.map((composition) => composition.codeCompo),
+        { transaction }
+      );
+
+      const bareme = await BaremeService.getForClasse(classeId, { transaction });
+      const arrondi = await ArrondiService.getForClasse(classeId, { transaction });
+      const resultats = [];
+      const elevesSansMoyenne = [];
+
+      for (const { matricul: matriculEleve, lastname, firstname } of eleves) {
+        const calcul = this.computeMgaAnnuelle(periodes, compositions, moyennes.get(matriculEleve) || new Map());
+
+        if (calcul.mga === null) {
+          elevesSansMoyenne.push({ matriculEleve, lastname, firstname });
+          continue;
+        }
+
+        if (calcul.modeCalcul === 'Periodes') {
+          await this.saveMoyennesPeriode(matriculEleve, calcul.periodes, { transaction, arrondi });
+        }
+
+        const [resultat] = await this.saveMga(matriculEleve, anneeCode, calcul.mga, { transaction, arrondi });
+        resultats.push({ matriculEleve, lastname, firstname, mga: resultat.mga, mgaBrute: calcul.mga, calcul });
+      }
+
+      // Recalcule les rangs une seule fois pour toute la classe
+      const classement = await this.recomputeRangs(classeId, anneeCode, { transaction });
+      const rangs = new Map(classement.map(({ matriculEleve, rang, exAequo }) => [matriculEleve, { rang, exAequo }]));
+
+      return {
+        classeId,
+        anneeCode,
+        bareme,
+        arrondi,
+        modeCalcul: periodes.length === 0 ? 'Compositions' : 'Periodes',
+        ponderations: GradingConfig.getCompositionWeights(),
+        totalEleves: eleves.length,
+        calculatedCount: resultats.length,
+        withoutMoyennesCount: elevesSansMoyenne.length,
+        resultats: resultats.map((resultat) => ({ ...resultat, ...rangs.get(resultat.matriculEleve) })),
+        elevesSansMoyenne,
+      };
+    });
+  }
+
+  /**
+   * Calcule et enregistre, dans une seule transaction, les moyennes d'une période pour tous les élèves d'une classe.
+   * Utilisé pour les bulletins de période, avant le calcul de la MGA.
+   * @param {Object} periode - La période (instance Sequelize).
+   * @param {string} classeId - L'identifiant de la classe.
+   * @returns {Promise<Object>} Le rapport de calcul par élève, avec le détail de chaque moyenne de période.
+   */
+  static async computeMoyennesPeriodeForClasse(periode, classeId) {
+    return db.sequelize.transaction(async (transaction) => {
+      const eleves = await db.Eleve.findAll({
+        where: { classeId },
+        attributes: ['matricul', 'lastname', 'firstname'],
+        order: [['lastname', 'ASC'], ['firstname', 'ASC']],
+        transaction,
+      });
+
+      const compositions = (await this.getCompositionsAnnee(periode.anneeCode, { transaction }))
+        .filter((composition) => composition.codePeriode === periode.codePeriode);
+      const moyennes = await this.getMoyennesByEleve(
+        eleves.map((eleve) => eleve.matricul),
+        compositions.map((composition) => composition.codeCompo),
+        { transaction }
+      );
+
+      const bareme = await BaremeService.getForClasse(classeId, { transaction });
+      const arrondi = await ArrondiService.getForClasse(classeId, { transaction });
+      const moyennesPeriode = [];
+      const elevesSansMoyenne = [];
+
+      for (const { matricul: matriculEleve, lastname, firstname } of eleves) {
+        const calcul = this.computeMga(compositions, moyennes.get(matriculEleve) || new Map());
+
+        if (calcul.mga === null) {
+          elevesSansMoyenne.push({ matriculEleve, lastname, firstname });
+          continue;
+        }
+
+        await this.saveMoyennesPeriode(matriculEleve, [{ codePeriode: periode.codePeriode, moyenne: calcul.mga }], { transaction, arrondi });
+        moyennesPeriode.push({ matriculEleve, lastname, firstname, moyenne: Rounding.apply(calcul.mga, arrondi), moyenneBrute: calcul.mga, calcul });
+      }
+
+      return {
+        codePeriode: periode.codePeriode,
+        classeId,
+        bareme,
+        arrondi,
+        ponderations: GradingConfig.getCompositionWeights(),
+        totalEleves: eleves.length,
+        calculatedCount: moyennesPeriode.length,
+        withoutMoyennesCount: elevesSansMoyenne.length,
+        moyennesPeriode,
+        elevesSansMoyenne,
+      };
+    });
+  }
+
+  /**
+   * Recalcule les rangs des résultats d'une classe pour une année scolaire à partir de la MGA exacte (avant arrondi).
+   * Les ex aequo partagent le même rang, le rang suivant est ensuite sauté (1, 2, 2, 4).
+   * @param {string} classeId - L'identifiant de la classe.
+   * @param {string} anneeCode - Le code de l'année scolaire.
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<Array<Object>>} Les résultats de la classe, classés.
+   */
+  static async recomputeRangs(classeId, anneeCode, { transaction } = {}) {
+    const resultats = await db.Resultat.findAll({
+      where: { anneeCode },
+      include: [{
+        model: db.Eleve,
+        as: 'eleveDetail',
+        where: { classeId },
+        attributes: ['matricul', 'lastname', 'firstname', 'classeId'],
+      }],
+      transaction,
+    });
+
+    const classement = Ranking.rank(resultats, (resultat) => resultat.mgaBrute ?? resultat.mga);
+
+    // Seuls les résultats dont le rang a changé sont mis à jour
+    for (const { entry: resultat, rang, exAequo } of classement) {
+      if (resultat.rang !== rang || resultat.exAequo !== exAequo) {
+        await resultat.update({ rang, exAequo }, { transaction });
+      }
+    }
+
+    return classement.map(({ entry }) => entry);
+  }
+
+  /**
+   * Recalcule les rangs de la classe d'un élève pour une année scolaire.
+   * @param {string} matriculEleve - Le matricule de l'élève.
+   * @param {string} anneeCode - Le code de l'année scolaire.
+   * @param {Object} [options={}] - Options Sequelize (ex: `transaction`).
+   * @returns {Promise<void>}
+   */
+  static async recomputeRangsForEleve(matriculEleve, anneeCode, { transaction } = {}) {
+    const eleve = await db.Eleve.findByPk(matriculEleve, { attributes: ['matricul', 'classeId'], transaction });
+
+    if (eleve) {
+      await this.recomputeRangs(eleve.classeId, anneeCode, { transaction });
+    }
+  }
+
+  /**
+   * Construit le classement d'une classe pour une année scolaire, avec les informations d'ex aequo.
+   * @param {string} classeId - L'identifiant de la classe.
+   * @param {string} anneeCode - Le code de l'année scolaire.
+   * @returns {Promise<Array<Object>>} Le classement, du premier au dernier.
+   */
+  static async getClassement(classeId, anneeCode) {
+    const resultats = await db.Resultat.findAll({
+      where: { anneeCode, rang: { [Op.ne]: null } },
+      include: [{
+        model: db.Eleve,
+        as: 'eleveDetail',
+        where: { classeId },
+        attributes: ['matricul', 'lastname', 'firstname'],
+      }],
+      order: [['rang', 'ASC'], [{ model: db.Eleve, as: 'eleveDetail' }, 'lastname', 'ASC']],
+    });
+
+    // Nombre d'élèves partageant chaque rang
+    const countsByRang = new Map();
+    resultats.forEach(({ rang }) => countsByRang.set(rang, (countsByRang.get(rang) || 0) + 1));
+
+    return resultats.map((resultat) => ({
+      rang: resultat.rang,
+      exAequo: resultat.exAequo,
+      nbExAequo: countsByRang.get(resultat.rang),
+      matriculEleve: resultat.matriculEleve,
+      lastname: resultat.eleveDetail.lastname,
+      firstname: resultat.eleveDetail.firstname,
+      mga: resultat.mga,
+      perimee: resultat.perimee,
+      calculeLe: resultat.calculeLe,
+      decision: resultat.decision,
+      origineDecision: resultat.origineDecision,
+      appreciation: resultat.appreciation,
+    }));
+  }
+}
+
+export default ResultatService;
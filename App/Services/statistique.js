@@ -0,0 +1,118 @@
+// Importe l'objet 'db' qui contient l'instance Sequelize et tous les modèles
+import { db } from '../Models/index.js';
+import ErrorResponse from '../Utils/errorResponse.js';
+import Statistics from '../Utils/statistics.js';
+import BaremeService from './bareme.js';
+
+/**
+ * Genres distingués dans la répartition des indicateurs (valeurs de `Eleve.genre`).
+ */
+const GENRES = ['M', 'F'];
+
+/**
+ * @class StatistiqueService
+ * @description Calcule les indicateurs d'une composition pour une classe : sur les moyennes générales,
+ * par matière, par évaluation et par genre.
+ */
+class StatistiqueService {
+  /**
+   * Calcule les indicateurs d'une série, globalement puis pour chaque genre.
+   * @param {Array<{valeur: number|null, genre: string}>} entries - Les valeurs avec le genre de l'élève.
+   * @param {{bareme: number, seuil: number}} options - Le barème et le seuil de réussite.
+   * @returns {Object} Les indicateurs, avec leur répartition par genre (`parGenre`).
+   */
+  static describeParGenre(entries, options) {
+    const parGenre = Object.fromEntries(GENRES.map((genre) => [
+      genre,
+      Statistics.describe(entries.filter((entry) => entry.genre === genre).map((entry) => entry.valeur), options),
+    ]));
+
+    return { ...Statistics.describe(entries.map((entry) => entry.valeur), options), parGenre };
+  }
+
+  /**
+   * Calcule les statistiques d'une composition pour une classe.
+   * - Les moyennes générales enregistrées servent aux indicateurs globaux.
+   * - Le détail par matière enregistré avec chaque moyenne sert aux indicateurs par matière.
+   * - Les notes saisies servent aux indicateurs par évaluation (les absents, excusés et dispensés sont comptés à part).
+   * @param {string} codeCompo - Le code de la composition.
+   * @param {string} classeId - L'identifiant de la classe.
+   * @param {Object} [options={}]
+   * @param {string} [options.ecoleId] - Si renseigné, seule une classe de cette école est acceptée.
+   * @returns {Promise<Object>} Les statistiques de la composition pour la classe.
+   * @throws {ErrorResponse} Si la composition ou la classe n'existe pas (404), ou si la classe n'appartient pas à l'école (403).
+   */
+  static async getForComposition(codeCompo, classeId, { ecoleId } = {}) {
+    const composition = await db.Composition.findByPk(codeCompo);
+    if (!composition) {
+      throw new ErrorResponse('Composition non trouvée.', 'NOT_FOUND', 404);
+    }
+
+    const classe = await db.Classe.findByPk(classeId, {
+      attributes: ['classeId', 'ecoleId', 'niveau'],
+      include: [{ model: db.Ecole, as: 'ecole', attributes: ['ecoleId', 'bareme', 'baremeParNiveau', 'seuilReussite'] }],
+    });
+    if (!classe) {
+      throw new ErrorResponse('Classe non trouvée.', 'NOT_FOUND', 404);
+    }
+
+    if (ecoleId && classe.ecoleId !== ecoleId) {
+      throw new ErrorResponse('Vous n\'êtes pas autorisé à consulter les statistiques de cette classe.', 'FORBIDDEN', 403);
+    }
+
+    const bareme = BaremeService.resolve(classe.ecole, classe.niveau);
+    const seuil = BaremeService.resolveSeuil(classe.ecole, classe.niveau);
+    const options = { bareme, seuil };
+    const eleveInclude = { model: db.Eleve, as: 'eleveDetail', where: { classeId }, attributes: ['matricul', 'genre'] };
+
+    const moyennes = await db.Moyenne.findAll({ where: { codeCompo }, include: [eleveInclude] });
+    const notes = await db.Note.findAll({
+      where: { codeCompo },
+      include: [eleveInclude, { model: db.Evaluation, as: 'evaluationType', attributes: ['codeEva', 'nameEva', 'codeMatiere'] }],
+    });
+
+    // Regroupe les moyennes par matière à partir du détail enregistré lors du calcul
+    const matieres = new Map();
+    moyennes.forEach(({ detailMatieres, eleveDetail }) => {
+      (detailMatieres || []).forEach(({ codeMatiere, codeEva, libelle, moyenne }) => {
+        const key = codeMatiere ?? `EVA:${codeEva}`;
+        if (!matieres.has(key)) {
+          matieres.set(key, { codeMatiere, codeEva, libelle, entries: [] });
+        }
+        matieres.get(key).entries.push({ valeur: moyenne, genre: eleveDetail.genre });
+      });
+    });
+
+    // Regroupe les notes par évaluation
+    const evaluations = new Map();
+    notes.forEach(({ codeEva, note, statut, evaluationType, eleveDetail }) => {
+      if (!evaluations.has(codeEva)) {
+        evaluations.set(codeEva, { codeEva, nameEva: evaluationType.nameEva, codeMatiere: evaluationType.codeMatiere, entries: [], nonPresents: 0 });
+      }
+      const evaluation = evaluations.get(codeEva);
+      if (statut !== 'Présent') {
+        evaluation.nonPresents += 1;
+      }
+      evaluation.entries.push({ valeur: note, genre: eleveDetail.genre });
+    });
+
+    return {
+      codeCompo,
+      classeId,
+      statutComposition: composition.statut,
+      bareme,
+      seuilReussite: seuil,
+      moyennesPerimees: moyennes.filter((moyenne) => moyenne.perimee).length, // Indicateurs calculés sur des moyennes à recalculer
+      general: this.describeParGenre(
+        moyennes.map(({ moyenne, eleveDetail }) => ({ valeur: moyenne, genre: eleveDetail.genre })),
+        options
+      ),
+      matieres: [...matieres.values()].map(({ entries, ...matiere }) => ({ ...matiere, ...this.describeParGenre(entries, options) })),
+      evaluations: [...evaluations.values()]
+        .sort((a, b) => a.codeEva.localeCompare(b.codeEva))
+        .map(({ entries, ...evaluation }) => ({ ...evaluation, ...this.describeParGenre(entries, options) })),
+    };
+  }
+}
+
+export default StatistiqueService;
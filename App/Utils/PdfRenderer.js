@@ -0,0 +1,159 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import pug from 'pug';
+import puppeteer from 'puppeteer';
+
+// Résolution des chemins pour les modules ES (ESM)
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Dossier racine des vues Pug (le même que celui configuré dans `app.js`).
+ */
+const VIEWS_DIR = path.join(__dirname, '..', 'Views');
+
+/**
+ * Dossier des modèles utilisés lorsqu'une école n'a pas personnalisé les siens.
+ */
+const THEME_DEFAUT = 'default';
+
+/**
+ * Fonctions de mise en forme mises à disposition de tous les modèles.
+ */
+const helpers = {
+  // Nombre à la française (virgule décimale, deux décimales au plus) ; tiret pour une valeur absente
+  formatNombre: (value) => (value === null || value === undefined ? '—' : Number(value).toLocaleString('fr-FR', { maximumFractionDigits: 2 })),
+  // Date au format JJ/MM/AAAA
+  formatDate: (value) => (value ? new Date(value).toLocaleDateString('fr-FR') : ''),
+  // Rang ordinal (1er, 2e, ...)
+  formatRang: (rang, exAequo = false) => (rang ? `${rang}${rang === 1 ? 'er' : 'e'}${exAequo ? ' ex aequo' : ''}` : '—'),
+};
+
+/**
+ * @class PdfRenderer
+ * @description Génère des documents PDF (bulletins, procès-verbaux, ...) à partir de modèles Pug.
+ * Chaque école peut personnaliser un modèle en le plaçant dans `Views/<dossier>/<ecoleId>/` ;
+ * à défaut, le modèle de `Views/<dossier>/default/` est utilisé.
+ * Le HTML est converti en PDF par un navigateur Chromium sans interface (Puppeteer), lancé au premier rendu puis réutilisé.
+ */
+class PdfRenderer {
+  constructor() {
+    this.browser = null; // Promesse du navigateur partagé entre les rendus
+  }
+
+  /**
+   * Détermine le fichier de modèle à utiliser pour une école.
+   * @param {string} dossier - Le dossier du document dans `Views` (ex: "bulletins").
+   * @param {string} template - Le nom du modèle, sans extension (ex: "composition").
+   * @param {string} [ecoleId] - L'identifiant de l'école.
+   * @returns {string} Le chemin absolu du modèle.
+   */
+  resolveTemplate(dossier, template, ecoleId) {
+    if (ecoleId) {
+      const personnalise = path.join(VIEWS_DIR, dossier, ecoleId, `${template}.pug`);
+      if (fs.existsSync(personnalise)) {
+        return personnalise;
+      }
+    }
+
+    return path.join(VIEWS_DIR, dossier, THEME_DEFAUT, `${template}.pug`);
+  }
+
+  /**
+   * Produit le HTML d'un document à partir de son modèle.
+   * @param {string} dossier - Le dossier du document dans `Views`.
+   * @param {string} template - Le nom du modèle, sans extension.
+   * @param {Object} data - Les données du document.
+   * @param {Object} [options={}]
+   * @param {string} [options.ecoleId] - L'école dont le modèle personnalisé est prioritaire.
+   * @returns {string} Le HTML du document.
+   */
+  renderHtml(dossier, template, data, { ecoleId } = {}) {
+    return pug.renderFile(this.resolveTemplate(dossier, template, ecoleId), {
+      ...helpers,
+      ...data,
+      cache: process.env.NODE_ENV === 'production', // En développement, les modifications des modèles sont prises en compte sans redémarrage
+    });
+  }
+
+  /**
+   * Retourne le navigateur partagé, en le lançant si nécessaire.
+   * Les arguments de lancement peuvent être complétés via PDF_BROWSER_ARGS (ex: "--no-sandbox" dans un conteneur).
+   * @returns {Promise<import('puppeteer').Browser>}
+   */
+  async getBrowser() {
+    if (!this.browser) {
+      this.browser = puppeteer
+        .launch({
+          headless: true,
+          args: (process.env.PDF_BROWSER_ARGS || '').split(' ').filter(Boolean),
+        })
+        .then((browser) => {
+          // Un navigateur fermé de manière inattendue sera relancé au prochain rendu
+          browser.on('disconnected', () => { this.browser = null; });
+          return browser;
+        })
+        .catch((error) => {
+          this.browser = null;
+          throw error;
+        });
+    }
+
+    return this.browser;
+  }
+
+  /**
+   * Convertit du HTML en PDF au format A4.
+   * @param {string} html - Le HTML à convertir.
+   * @param {Object} [options={}]
+   * @param {boolean} [options.landscape=false] - Oriente la page en paysage (ex: procès-verbaux).
+   * @returns {Promise<Buffer>} Le contenu du PDF.
+   */
+  async htmlToPdf(html, { landscape = false } = {}) {
+    const browser = await this.getBrowser();
+    const page = await browser.newPage();
+
+    try {
+      await page.setContent(html, { waitUntil: 'load' });
+      const pdf = await page.pdf({
+        format: 'A4',
+        landscape,
+        printBackground: true,
+        margin: { top: '12mm', right: '10mm', bottom: '12mm', left: '10mm' },
+      });
+      return Buffer.from(pdf);
+    } finally {
+      await page.close();
+    }
+  }
+
+  /**
+   * Génère un document PDF à partir de son modèle.
+   * @param {string} dossier - Le dossier du document dans `Views`.
+   * @param {string} template - Le nom du modèle, sans extension.
+   * @param {Object} data - Les données du document.
+   * @param {Object} [options={}]
+   * @param {string} [options.ecoleId] - L'école dont le modèle personnalisé est prioritaire.
+   * @param {boolean} [options.landscape=false] - Oriente la page en paysage.
+   * @returns {Promise<Buffer>} Le contenu du PDF.
+   */
+  async render(dossier, template, data, { ecoleId, landscape = false } = {}) {
+    return this.htmlToPdf(this.renderHtml(dossier, template, data, { ecoleId }), { landscape });
+  }
+
+  /**
+   * Ferme le navigateur partagé, s'il a été lancé (arrêt du serveur).
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.browser) {
+      const browser = await this.browser.catch(() => null);
+      this.browser = null;
+      await browser?.close();
+    }
+  }
+}
+
+// Exporte une instance unique, afin de partager le navigateur dans toute l'application
+export default new PdfRenderer();
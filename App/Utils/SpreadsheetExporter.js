@@ -0,0 +1,212 @@
+import ExcelJS from 'exceljs';
+
+/**
+ * Formats d'export reconnus et type MIME de chacun.
+ */
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+/**
+ * Séparateur des colonnes CSV : le point-virgule, attendu par les tableurs configurés en français
+ * (où la virgule est le séparateur décimal).
+ */
+const CSV_SEPARATOR = ';';
+
+/**
+ * Premiers caractères qui font interpréter une cellule comme une formule par Excel ou LibreOffice.
+ */
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * @class SpreadsheetExporter
+ * @description Classe utilitaire pour écrire un tableau de données en CSV ou en XLSX directement dans la réponse HTTP.
+ * Les lignes sont lues et écrites au fil de l'eau, lot par lot, pour que la mémoire reste constante quel que soit le volume.
+ */
+class SpreadsheetExporter {
+  /**
+   * Indique si un format demandé est un format d'export.
+   * @param {string} [format] - Le format demandé (paramètre de requête `format`).
+   * @returns {boolean}
+   */
+  static isExportFormat(format) {
+    return Object.hasOwn(CONTENT_TYPES, format);
+  }
+
+  /**
+   * Neutralise un texte qui serait interprété comme une formule à l'ouverture du fichier (ex: "=HYPERLINK(...)")
+   * en le préfixant d'une apostrophe. Les nombres, y compris négatifs, ne passent pas par ici.
+   * @param {string} text - Le texte de la cellule.
+   * @returns {string}
+   */
+  static escapeFormula(text) {
+    return FORMULA_PREFIX.test(text) ? `'${text}` : text;
+  }
+
+  /**
+   * Met en forme une valeur pour une cellule CSV : nombres avec une virgule décimale, booléens en Oui/Non,
+   * dates au format ISO, textes neutralisés s'ils commencent comme une formule,
+   * et guillemets autour des valeurs contenant un séparateur, un guillemet ou un saut de ligne.
+   * @param {any} value - La valeur de la cellule.
+   * @returns {string}
+   */
+  static formatCsvCell(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    let text;
+    if (typeof value === 'number') {
+      text = String(value).replace('.', ',');
+    } else if (typeof value === 'boolean') {
+      text = value ? 'Oui' : 'Non';
+    } else if (value instanceof Date) {
+      text = value.toISOString();
+    } else {
+      text = this.escapeFormula(String(value));
+    }
+
+    return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Met en forme une valeur pour une cellule XLSX : booléens en Oui/Non et textes neutralisés s'ils commencent comme une formule ;
+   * les nombres et les dates gardent leur type.
+   * @param {any} value - La valeur de la cellule.
+   * @returns {any}
+   */
+  static formatXlsxCell(value) {
+    if (typeof value === 'boolean') {
+      return value ? 'Oui' : 'Non';
+    }
+    return typeof value === 'string' ? this.escapeFormula(value) : value;
+  }
+
+  /**
+   * Attend que le tampon d'un flux se vide s'il est plein, pour ne pas accumuler l'export en mémoire face à un client lent.
+   * @param {import('stream').Writable} stream - Le flux de destination.
+   * @returns {Promise<void>}
+   * @throws {Error} Si le flux est fermé avant de s'être vidé (client déconnecté).
+   */
+  static async drain(stream) {
+    if (stream.writableNeedDrain) {
+      await new Promise((resolve) => {
+        const done = () => {
+          stream.off('drain', done);
+          stream.off('close', done);
+          resolve();
+        };
+        stream.on('drain', done);
+        stream.on('close', done);
+      });
+    }
+    if (stream.destroyed) {
+      throw new Error('Connexion fermée avant la fin de l\'export.');
+    }
+  }
+
+  /**
+   * Écrit dans un flux en respectant sa capacité : attend qu'il se vide avant de continuer.
+   * @param {import('stream').Writable} stream - Le flux de destination.
+   * @param {string} chunk - Les données à écrire.
+   * @returns {Promise<void>}
+   */
+  static async write(stream, chunk) {
+    stream.write(chunk);
+    await this.drain(stream);
+  }
+
+  /**
+   * Écrit un export CSV (UTF-8 avec BOM, pour une ouverture correcte des accents dans les tableurs).
+   * @param {import('stream').Writable} stream - Le flux de destination.
+   * @param {Array<{header: string, key: string}>} columns - Les colonnes.
+   * @param {AsyncIterable<Array<Object>>} batches - Les lignes, par lots.
+   * @returns {Promise<number>} Le nombre de lignes écrites.
+   */
+  static async writeCsv(stream, columns, batches) {
+    let count = 0;
+    await this.write(stream, `\uFEFF${columns.map(({ header }) => this.formatCsvCell(header)).join(CSV_SEPARATOR)}\r\n`);
+
+    for await (const rows of batches) {
+      const lines = rows.map((row) => columns.map(({ key }) => this.formatCsvCell(row[key])).join(CSV_SEPARATOR));
+      await this.write(stream, `${lines.join('\r\n')}\r\n`);
+      count += rows.length;
+    }
+
+    stream.end();
+    return count;
+  }
+
+  /**
+   * Écrit un export XLSX avec le classeur en flux d'ExcelJS : chaque ligne est validée dès son ajout,
+   * et chaque lot attend que la réponse se vide avant de lire le suivant.
+   * @param {import('stream').Writable} stream - Le flux de destination.
+   * @param {Array<{header: string, key: string, width?: number}>} columns - Les colonnes.
+   * @param {AsyncIterable<Array<Object>>} batches - Les lignes, par lots.
+   * @param {string} sheetName - Le nom de la feuille.
+   * @returns {Promise<number>} Le nombre de lignes écrites.
+   */
+  static async writeXlsx(stream, columns, batches, sheetName) {
+    let count = 0;
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+    const worksheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', ySplit: 1 }] });
+
+    worksheet.columns = columns.map(({ header, key, width }) => ({ header, key, width: width || Math.max(header.length + 2, 12) }));
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.getRow(1).commit();
+
+    for await (const rows of batches) {
+      rows.forEach((row) => {
+        worksheet.addRow(Object.fromEntries(columns.map(({ key }) => [key, this.formatXlsxCell(row[key])]))).commit();
+      });
+      count += rows.length;
+      // Laisse ExcelJS compresser et transmettre les lignes validées avant de lire le lot suivant
+      await new Promise((resolve) => { setImmediate(resolve); });
+      await this.drain(stream);
+    }
+
+    worksheet.commit();
+    await workbook.commit();
+    return count;
+  }
+
+  /**
+   * Envoie un export en réponse HTTP, en pièce jointe.
+   * Le premier lot est lu avant l'envoi des en-têtes : une requête invalide (filtre, tri) produit ainsi une réponse d'erreur normale.
+   * Une erreur survenant plus tard interrompt le téléchargement.
+   * @param {import('express').Response} response - Objet réponse Express.
+   * @param {Object} options
+   * @param {'csv'|'xlsx'} options.format - Le format de l'export.
+   * @param {string} options.filename - Le nom du fichier, sans extension.
+   * @param {Array<{header: string, key: string, width?: number}>} options.columns - Les colonnes, dans l'ordre d'affichage.
+   * @param {AsyncIterable<Array<Object>>} options.batches - Les lignes (objets indexés par `key`), par lots.
+   * @returns {Promise<number>} Le nombre de lignes exportées.
+   */
+  static async send(response, { format, filename, columns, batches }) {
+    const iterator = batches[Symbol.asyncIterator]();
+    const first = await iterator.next();
+    const rows = (async function* replay() {
+      if (!first.done) {
+        yield first.value;
+        yield* { [Symbol.asyncIterator]: () => iterator };
+      }
+    }());
+
+    response.status(200).set({
+      'Content-Type': CONTENT_TYPES[format],
+      'Content-Disposition': `attachment; filename="${filename}.${format}"`,
+    });
+
+    try {
+      return format === 'csv'
+        ? await this.writeCsv(response, columns, rows)
+        : await this.writeXlsx(response, columns, rows, filename.slice(0, 31)); // Un nom de feuille Excel est limité à 31 caractères
+    } catch (error) {
+      response.destroy(error); // Les en-têtes sont déjà partis : le client reçoit un téléchargement interrompu
+      throw error;
+    }
+  }
+}
+
+export default SpreadsheetExporter;
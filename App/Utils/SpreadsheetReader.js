@@ -0,0 +1,156 @@
+import path from 'path';
+import ExcelJS from 'exceljs';
+import ErrorResponse from './errorResponse.js';
+
+/**
+ * Séparateurs de colonnes CSV reconnus, par ordre de préférence en cas d'égalité.
+ */
+const CSV_SEPARATORS = [';', ',', '\t'];
+
+/**
+ * @class SpreadsheetReader
+ * @description Classe utilitaire pour lire un fichier CSV ou XLSX téléversé : la première ligne contient les en-têtes,
+ * chaque ligne suivante est retournée avec son numéro dans le fichier, afin de signaler les erreurs ligne par ligne.
+ * Les cellules sont lues sous forme de texte ; une cellule vide vaut `null`.
+ */
+class SpreadsheetReader {
+  /**
+   * Détermine le format d'un fichier d'après son extension.
+   * @param {string} filename - Le nom du fichier téléversé.
+   * @returns {'csv'|'xlsx'|null} Le format, ou `null` s'il n'est pas pris en charge.
+   */
+  static getFormat(filename) {
+    const extension = path.extname(filename || '').toLowerCase().slice(1);
+    return ['csv', 'xlsx'].includes(extension) ? extension : null;
+  }
+
+  /**
+   * Normalise le texte d'une cellule : espaces superflus retirés, chaîne vide ramenée à `null`.
+   * @param {any} value - La valeur lue.
+   * @returns {string|null}
+   */
+  static normalizeCell(value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    const text = String(value).trim();
+    return text === '' ? null : text;
+  }
+
+  /**
+   * Détermine le séparateur d'un fichier CSV : celui qui apparaît le plus dans la ligne d'en-têtes.
+   * @param {string} headerLine - La première ligne du fichier.
+   * @returns {string} Le séparateur.
+   */
+  static detectSeparator(headerLine) {
+    return CSV_SEPARATORS.reduce((best, separator) => (headerLine.split(separator).length > headerLine.split(best).length ? separator : best));
+  }
+
+  /**
+   * Découpe le contenu d'un fichier CSV en lignes de cellules. Gère les valeurs entre guillemets,
+   * y compris celles contenant un séparateur, un guillemet doublé ou un saut de ligne.
+   * @param {string} content - Le contenu du fichier.
+   * @returns {Array<{ligne: number, cells: Array<string>}>} Les lignes, avec leur numéro dans le fichier.
+   */
+  static parseCsv(content) {
+    const text = content.replace(/^\uFEFF/, ''); // Retire le BOM éventuel (exports Excel en UTF-8)
+    const separator = this.detectSeparator(text.split(/\r?\n/, 1)[0]);
+    const lignes = [];
+
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let ligne = 1;
+    let debut = 1; // Numéro de la ligne du fichier où commence l'enregistrement courant
+
+    const pushLigne = () => {
+      cells.push(cell);
+      lignes.push({ ligne: debut, cells });
+      cells = [];
+      cell = '';
+    };
+
+    for (let i = 0; i < text.length; i += 1) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i += 1;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          if (char === '\n') ligne += 1;
+          cell += char;
+        }
+      } else if (char === '"' && cell === '') {
+        quoted = true;
+      } else if (char === separator) {
+        cells.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i += 1;
+        pushLigne();
+        ligne += 1;
+        debut = ligne;
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell !== '' || cells.length > 0) {
+      pushLigne();
+    }
+
+    return lignes;
+  }
+
+  /**
+   * Lit la première feuille d'un classeur XLSX.
+   * @param {Buffer} buffer - Le contenu du fichier.
+   * @returns {Promise<Array<{ligne: number, cells: Array<string>}>>} Les lignes, avec leur numéro dans la feuille.
+   * @throws {ErrorResponse} Si le fichier n'est pas un classeur XLSX valide (400).
+   */
+  static async parseXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch (error) {
+      // Fichier corrompu ou d'un autre format renommé en .xlsx (ex: "Can't find end of central directory")
+      throw new ErrorResponse('Fichier XLSX illisible.', 'VALIDATION_ERROR', 400);
+    }
+    const worksheet = workbook.worksheets[0];
+    const lignes = [];
+
+    worksheet?.eachRow({ includeEmpty: false }, (row, ligne) => {
+      const cells = [];
+      // Le texte affiché de la cellule (résultat des formules, nombres tels que saisis)
+      row.eachCell({ includeEmpty: true }, (cell, colonne) => { cells[colonne - 1] = cell.text; });
+      lignes.push({ ligne, cells: Array.from(cells, (value) => value ?? '') });
+    });
+
+    return lignes;
+  }
+
+  /**
+   * Lit un fichier CSV ou XLSX.
+   * @param {Buffer} buffer - Le contenu du fichier.
+   * @param {'csv'|'xlsx'} format - Le format du fichier.
+   * @returns {Promise<{headers: Array<string|null>, rows: Array<{ligne: number, cells: Array<string|null>}>}>}
+   * Les en-têtes et les lignes non vides, avec leur numéro dans le fichier.
+   * @throws {ErrorResponse} Si un fichier XLSX est illisible (400).
+   */
+  static async read(buffer, format) {
+    const lignes = format === 'xlsx' ? await this.parseXlsx(buffer) : this.parseCsv(buffer.toString('utf8'));
+    const [entete, ...donnees] = lignes;
+
+    return {
+      headers: (entete?.cells || []).map((value) => this.normalizeCell(value)),
+      rows: donnees
+        .map(({ ligne, cells }) => ({ ligne, cells: cells.map((value) => this.normalizeCell(value)) }))
+        .filter(({ cells }) => cells.some((value) => value !== null)), // Ignore les lignes vides
+    };
+  }
+}
+
+export default SpreadsheetReader;
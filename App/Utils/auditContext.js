@@ -0,0 +1,30 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * @class AuditContext
+ * @description Conserve, pour toute la durée du traitement d'une requête, l'utilisateur authentifié et le motif
+ * éventuel de la modification. Les hooks d'historique des modèles y lisent l'auteur de chaque changement.
+ */
+class AuditContext {
+  /**
+   * Exécute une fonction dans un contexte d'audit.
+   * @param {{userId?: number, motif?: string|null}} context - L'utilisateur et le motif de la modification.
+   * @param {Function} callback - La fonction à exécuter (ex: le `next` d'Express).
+   * @returns {any} La valeur retournée par la fonction.
+   */
+  static run(context, callback) {
+    return storage.run({ ...context }, callback);
+  }
+
+  /**
+   * Retourne le contexte d'audit courant.
+   * @returns {{userId?: number, motif?: string|null}} Le contexte, ou un objet vide hors d'une requête authentifiée.
+   */
+  static get() {
+    return storage.getStore() || {};
+  }
+}
+
+export default AuditContext;
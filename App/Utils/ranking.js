@@ -0,0 +1,40 @@
+/**
+ * @class Ranking
+ * @description Classe utilitaire pour calculer des classements par valeur décroissante,
+ * avec gestion des ex aequo (rang partagé, puis saut : 1, 2, 2, 4).
+ */
+class Ranking {
+  /**
+   * Classe des entrées par valeur décroissante.
+   * Les entrées sans valeur numérique (null, undefined, NaN) ne sont pas classées.
+   * @param {Array<any>} entries - Les entrées à classer.
+   * @param {(entry: any) => number} getValue - Fonction qui retourne la valeur de classement d'une entrée.
+   * @returns {Array<{entry: any, rang: number, exAequo: boolean, nbExAequo: number}>} Les entrées classées, de la meilleure à la moins bonne.
+   */
+  static rank(entries, getValue) {
+    const sorted = entries
+      .map((entry) => ({ entry, value: getValue(entry) }))
+      .filter(({ value }) => typeof value === 'number' && !Number.isNaN(value))
+      .sort((a, b) => b.value - a.value);
+
+    // Compte le nombre d'entrées partageant chaque valeur
+    const counts = new Map();
+    sorted.forEach(({ value }) => counts.set(value, (counts.get(value) || 0) + 1));
+
+    let rang = 0;
+    let previousValue = null;
+
+    return sorted.map(({ entry, value }, index) => {
+      // Un nouveau rang n'est attribué que lorsque la valeur change (les ex aequo partagent le même rang)
+      if (value !== previousValue) {
+        rang = index + 1;
+        previousValue = value;
+      }
+
+      const nbExAequo = counts.get(value);
+      return { entry, rang, exAequo: nbExAequo > 1, nbExAequo };
+    });
+  }
+}
+
+export default Ranking;
@@ -0,0 +1,40 @@
+/**
+ * Marge de tolérance sur les erreurs de représentation des flottants (ex: 11.25 / 0.25 = 44.99999...).
+ */
+const EPSILON = 1e-9;
+
+/**
+ * @class Rounding
+ * @description Classe utilitaire pour arrondir une moyenne selon une politique et un pas
+ * (ex: deux décimales avec un pas de 0.01, au quart de point avec un pas de 0.25).
+ */
+class Rounding {
+  /**
+   * Arrondit une valeur selon une politique et un pas.
+   * - 'Plus proche' : multiple du pas le plus proche (les demis sont arrondis vers le haut).
+   * - 'Troncature' : multiple du pas immédiatement inférieur ou égal.
+   * - 'Aucun' (voir `Ecole.politiqueArrondi`) : la valeur est retournée telle quelle.
+   * @param {number|null} value - La valeur à arrondir.
+   * @param {{politique: string, pas: number}} politique - La politique d'arrondi et son pas.
+   * @returns {number|null} La valeur arrondie, ou la valeur d'origine si elle n'est pas numérique.
+   */
+  static apply(value, { politique, pas } = {}) {
+    if (typeof value !== 'number' || Number.isNaN(value) || !(pas > 0)) {
+      return value;
+    }
+
+    let multiple;
+    if (politique === 'Plus proche') {
+      multiple = Math.round(value / pas + EPSILON);
+    } else if (politique === 'Troncature') {
+      multiple = Math.floor(value / pas + EPSILON);
+    } else {
+      return value;
+    }
+
+    // Élimine les résidus de calcul flottant (ex: 0.1 * 3 = 0.30000000000000004)
+    return Number((multiple * pas).toFixed(10));
+  }
+}
+
+export default Rounding;
@@ -0,0 +1,89 @@
+/**
+ * @class Statistics
+ * @description Classe utilitaire pour calculer les indicateurs descriptifs d'une série de notes ou de moyennes
+ * (moyenne, médiane, écart type, extrêmes, taux de réussite et histogramme).
+ */
+class Statistics {
+  /**
+   * Arrondit une valeur à deux décimales pour l'affichage des indicateurs.
+   * @param {number|null} value - La valeur à arrondir.
+   * @returns {number|null}
+   */
+  static round(value) {
+    return value === null ? null : Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Calcule la médiane d'une série déjà triée par ordre croissant.
+   * @param {number[]} sorted - Les valeurs triées.
+   * @returns {number|null} La médiane, ou null si la série est vide.
+   */
+  static median(sorted) {
+    if (sorted.length === 0) {
+      return null;
+    }
+
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  }
+
+  /**
+   * Répartit les valeurs en tranches de même largeur couvrant tout le barème.
+   * Chaque tranche inclut sa borne inférieure et exclut sa borne supérieure, sauf la dernière qui inclut la note maximale.
+   * @param {number[]} values - Les valeurs à répartir.
+   * @param {number} bareme - La note maximale.
+   * @param {number} [tranches=10] - Le nombre de tranches.
+   * @returns {Array<{min: number, max: number, count: number}>}
+   */
+  static histogram(values, bareme, tranches = 10) {
+    const largeur = bareme / tranches;
+    const histogramme = Array.from({ length: tranches }, (_, index) => ({
+      min: this.round(index * largeur),
+      max: this.round((index + 1) * largeur),
+      count: 0,
+    }));
+
+    values.forEach((value) => {
+      const index = Math.min(Math.max(Math.floor(value / largeur), 0), tranches - 1);
+      histogramme[index].count += 1;
+    });
+
+    return histogramme;
+  }
+
+  /**
+   * Calcule les indicateurs descriptifs d'une série de valeurs.
+   * Les valeurs non numériques (null, undefined, NaN) sont ignorées. L'écart type est celui de la population.
+   * @param {Array<number|null>} values - Les valeurs (notes ou moyennes).
+   * @param {Object} options
+   * @param {number} options.bareme - La note maximale, utilisée pour l'histogramme.
+   * @param {number} options.seuil - La valeur minimale de réussite (incluse).
+   * @param {number} [options.tranches=10] - Le nombre de tranches de l'histogramme.
+   * @returns {{count: number, moyenne: number|null, mediane: number|null, ecartType: number|null, min: number|null, max: number|null,
+   *   reussis: number, tauxReussite: number|null, histogramme: Array<Object>}}
+   */
+  static describe(values, { bareme, seuil, tranches = 10 }) {
+    const sorted = values
+      .filter((value) => typeof value === 'number' && !Number.isNaN(value))
+      .sort((a, b) => a - b);
+    const count = sorted.length;
+
+    const moyenne = count === 0 ? null : sorted.reduce((sum, value) => sum + value, 0) / count;
+    const variance = count === 0 ? null : sorted.reduce((sum, value) => sum + (value - moyenne) ** 2, 0) / count;
+    const reussis = sorted.filter((value) => value >= seuil).length;
+
+    return {
+      count,
+      moyenne: this.round(moyenne),
+      mediane: this.round(this.median(sorted)),
+      ecartType: variance === null ? null : this.round(Math.sqrt(variance)),
+      min: count === 0 ? null : sorted[0],
+      max: count === 0 ? null : sorted[count - 1],
+      reussis,
+      tauxReussite: count === 0 ? null : this.round((reussis / count) * 100), // En pourcentage
+      histogramme: this.histogram(sorted, bareme, tranches),
+    };
+  }
+}
+
+export default Statistics;